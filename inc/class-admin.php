@@ -55,6 +55,7 @@ class WP_AI_Image_Gen_Admin {
 		add_action('admin_init', [$this, 'register_settings']);
 		add_action('admin_enqueue_scripts', [$this, 'enqueue_scripts']);
 		add_action('admin_footer', [$this, 'add_admin_footer_js']);
+		add_action('wp_enqueue_media', [$this, 'enqueue_media_scripts']);
 
 		// Add the main provider setting to the editor settings
 		add_filter('block_editor_settings_all', function($settings) {
@@ -77,7 +78,7 @@ class WP_AI_Image_Gen_Admin {
 			if (!isset($settings['wp_ai_image_gen_settings'])) {
 				$settings['wp_ai_image_gen_settings'] = [];
 			}
-			$settings['wp_ai_image_gen_settings']['main_provider'] = $main_provider;
+			$settings['wp_ai_image_gen_settings'] = array_merge($settings['wp_ai_image_gen_settings'], $this->get_script_settings());
 			
 			return $settings;
 		}, 20); // Add a higher priority to ensure our settings are added after others
@@ -94,6 +95,15 @@ class WP_AI_Image_Gen_Admin {
 			'wp-ai-image-gen-settings', // Menu slug
 			[$this, 'render_settings_page'] // Callback
 		);
+
+		// The usage report lives under Tools, next to the site's other reports
+		add_management_page(
+			'AI Image Usage',
+			'AI Image Usage',
+			'manage_options',
+			'wp-ai-image-gen-usage',
+			[$this, 'render_usage_page']
+		);
 	}
 
 	/**
@@ -114,6 +124,119 @@ class WP_AI_Image_Gen_Admin {
 		<?php
 	}
 
+	/**
+	 * Renders the usage report with totals per user and per provider for a period.
+	 */
+	public function render_usage_page() {
+		$periods = [
+			'month'      => 'This month',
+			'last_month' => 'Last month',
+			'7_days'     => 'Last 7 days',
+			'today'      => 'Today',
+			'all'        => 'All time',
+		];
+		$period = isset($_GET['period']) ? sanitize_key(wp_unslash($_GET['period'])) : 'month';
+		$period = isset($periods[$period]) ? $period : 'month';
+
+		list($start, $end) = $this->get_report_bounds($period);
+		$report = wp_ai_image_gen_usage()->get_report($start, $end);
+		?>
+		<div class="wrap">
+			<h1>AI Image Usage</h1>
+			<form method="get">
+				<input type="hidden" name="page" value="wp-ai-image-gen-usage">
+				<label for="wp-ai-image-gen-usage-period">Period</label>
+				<select id="wp-ai-image-gen-usage-period" name="period">
+					<?php foreach ($periods as $value => $label) : ?>
+						<option value="<?php echo esc_attr($value); ?>" <?php selected($period, $value); ?>><?php echo esc_html($label); ?></option>
+					<?php endforeach; ?>
+				</select>
+				<?php submit_button('Show', 'secondary', '', false); ?>
+			</form>
+			<p class="description">Costs are estimated from the providers' published prices and may differ from your bill. Failed and cancelled generations do not count as images.</p>
+
+			<h2>By user</h2>
+			<?php $this->render_usage_table($report['users'], ['user_id' => 'User']); ?>
+
+			<h2>By provider and model</h2>
+			<?php $this->render_usage_table($report['providers'], ['provider' => 'Provider', 'model' => 'Model']); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Renders a table of usage totals.
+	 * @param array $rows The report rows.
+	 * @param array $columns The columns identifying a row, keyed by report field.
+	 */
+	private function render_usage_table($rows, $columns) {
+		if (empty($rows)) {
+			echo '<p>No images were generated in this period.</p>';
+			return;
+		}
+		?>
+		<table class="widefat striped">
+			<thead>
+				<tr>
+					<?php foreach ($columns as $label) : ?>
+						<th><?php echo esc_html($label); ?></th>
+					<?php endforeach; ?>
+					<th>Requests</th>
+					<th>Images</th>
+					<th>Failed</th>
+					<th>Estimated cost</th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach ($rows as $row) : ?>
+					<tr>
+						<?php foreach (array_keys($columns) as $field) : ?>
+							<td>
+								<?php
+								if ($field === 'user_id') {
+									$user = get_userdata($row['user_id']);
+									echo esc_html($user ? $user->display_name : "#{$row['user_id']}");
+								} else if ($field === 'provider') {
+									echo esc_html($this->providers[$row['provider']] ?? $row['provider']);
+								} else {
+									echo esc_html($row[$field]);
+								}
+								?>
+							</td>
+						<?php endforeach; ?>
+						<td><?php echo esc_html(intval($row['requests'])); ?></td>
+						<td><?php echo esc_html(intval($row['images'])); ?></td>
+						<td><?php echo esc_html(intval($row['failed'])); ?></td>
+						<td><?php echo esc_html('$' . number_format((float) $row['estimated_cost'], 2)); ?></td>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Gets the start and end timestamps of a report period in the site's timezone.
+	 * @param string $period The report period.
+	 * @return array The start and end timestamps, null where the period is open.
+	 */
+	private function get_report_bounds($period) {
+		$today = current_datetime()->setTime(0, 0);
+		switch ($period) {
+			case 'today':
+				return [$today->getTimestamp(), null];
+			case '7_days':
+				return [$today->modify('-6 days')->getTimestamp(), null];
+			case 'last_month':
+				$month = $today->modify('first day of this month');
+				return [$month->modify('-1 month')->getTimestamp(), $month->getTimestamp()];
+			case 'all':
+				return [null, null];
+			default:
+				return [$today->modify('first day of this month')->getTimestamp(), null];
+		}
+	}
+
 	/**
 	 * Registers all settings for the plugin.
 	 */
@@ -141,6 +264,49 @@ class WP_AI_Image_Gen_Admin {
 			['sanitize_callback' => [$this, 'sanitize_main_provider']]
 		);
 
+		// Register the style presets and the default preset of each post type
+		register_setting(
+			'wp_ai_image_gen_settings',
+			WP_AI_Image_Gen_Style_Presets::PRESETS_OPTION,
+			['sanitize_callback' => [wp_ai_image_gen_style_presets(), 'sanitize_presets']]
+		);
+		register_setting(
+			'wp_ai_image_gen_settings',
+			WP_AI_Image_Gen_Style_Presets::DEFAULTS_OPTION,
+			['sanitize_callback' => [wp_ai_image_gen_style_presets(), 'sanitize_defaults']]
+		);
+
+		// Register what is written for generated images
+		register_setting(
+			'wp_ai_image_gen_settings',
+			WP_AI_Image_Gen_Alt_Text::AUTO_OPTION,
+			['sanitize_callback' => [wp_ai_image_gen_alt_text(), 'sanitize_auto_mode']]
+		);
+
+		// Register the quotas and rate limits of each role
+		register_setting(
+			'wp_ai_image_gen_settings',
+			WP_AI_Image_Gen_Usage::LIMITS_OPTION,
+			['sanitize_callback' => [wp_ai_image_gen_usage(), 'sanitize_limits']]
+		);
+
+		// Register the prompt blocklist, moderation and policy
+		register_setting(
+			'wp_ai_image_gen_settings',
+			WP_AI_Image_Gen_Prompt_Safety::BLOCKLIST_OPTION,
+			['sanitize_callback' => [wp_ai_image_gen_prompt_safety(), 'sanitize_blocklist']]
+		);
+		register_setting(
+			'wp_ai_image_gen_settings',
+			WP_AI_Image_Gen_Prompt_Safety::MODERATION_OPTION,
+			['sanitize_callback' => [wp_ai_image_gen_prompt_safety(), 'sanitize_moderation']]
+		);
+		register_setting(
+			'wp_ai_image_gen_settings',
+			WP_AI_Image_Gen_Prompt_Safety::POLICY_OPTION,
+			['sanitize_callback' => [wp_ai_image_gen_prompt_safety(), 'sanitize_policy']]
+		);
+
 		// Add settings section for providers
 		add_settings_section(
 			'wp_ai_image_gen_settings_section',
@@ -182,6 +348,94 @@ class WP_AI_Image_Gen_Admin {
 			'wp-ai-image-gen-settings',
 			'wp_ai_image_gen_quality_section'
 		);
+
+		// Add style presets section
+		add_settings_section(
+			'wp_ai_image_gen_presets_section',
+			'Style Presets',
+			[$this, 'render_presets_section'],
+			'wp-ai-image-gen-settings'
+		);
+
+		add_settings_field(
+			'wp_ai_image_gen_style_presets',
+			'Presets',
+			[$this, 'render_presets_field'],
+			'wp-ai-image-gen-settings',
+			'wp_ai_image_gen_presets_section'
+		);
+
+		add_settings_field(
+			'wp_ai_image_gen_default_presets',
+			'Default Preset',
+			[$this, 'render_default_presets_field'],
+			'wp-ai-image-gen-settings',
+			'wp_ai_image_gen_presets_section'
+		);
+
+		// Add alt text section
+		add_settings_section(
+			'wp_ai_image_gen_alt_text_section',
+			'Alt Text',
+			[$this, 'render_alt_text_section'],
+			'wp-ai-image-gen-settings'
+		);
+
+		add_settings_field(
+			WP_AI_Image_Gen_Alt_Text::AUTO_OPTION,
+			'Generated Images',
+			[$this, 'render_auto_alt_text_field'],
+			'wp-ai-image-gen-settings',
+			'wp_ai_image_gen_alt_text_section'
+		);
+
+		// Add prompt safety section
+		add_settings_section(
+			'wp_ai_image_gen_prompt_safety_section',
+			'Prompt Safety',
+			[$this, 'render_prompt_safety_section'],
+			'wp-ai-image-gen-settings'
+		);
+
+		add_settings_field(
+			WP_AI_Image_Gen_Prompt_Safety::BLOCKLIST_OPTION,
+			'Blocklist',
+			[$this, 'render_prompt_blocklist_field'],
+			'wp-ai-image-gen-settings',
+			'wp_ai_image_gen_prompt_safety_section'
+		);
+
+		add_settings_field(
+			WP_AI_Image_Gen_Prompt_Safety::MODERATION_OPTION,
+			'Moderation',
+			[$this, 'render_prompt_moderation_field'],
+			'wp-ai-image-gen-settings',
+			'wp_ai_image_gen_prompt_safety_section'
+		);
+
+		add_settings_field(
+			WP_AI_Image_Gen_Prompt_Safety::POLICY_OPTION,
+			'Flagged Prompts',
+			[$this, 'render_prompt_policy_field'],
+			'wp-ai-image-gen-settings',
+			'wp_ai_image_gen_prompt_safety_section'
+		);
+
+		// Add usage limits section
+		add_settings_section(
+			'wp_ai_image_gen_usage_section',
+			'Usage Limits',
+			[$this, 'render_usage_section'],
+			'wp-ai-image-gen-settings'
+		);
+
+		add_settings_field(
+			'wp_ai_image_gen_usage_limits',
+			'Limits per Role',
+			[$this, 'render_usage_limits_field'],
+			'wp-ai-image-gen-settings',
+			'wp_ai_image_gen_usage_section'
+		);
 	}
 
 	/**
@@ -293,6 +547,246 @@ class WP_AI_Image_Gen_Admin {
 		<?php
 	}
 
+	/**
+	 * Renders the style presets section description.
+	 */
+	public function render_presets_section() {
+		echo '<p>Presets keep generated images consistent across the site. Editors pick one when generating, it wraps their prompt and sets defaults they can still change.</p>';
+	}
+
+	/**
+	 * Renders the style presets table, with an empty row to add a preset.
+	 */
+	public function render_presets_field() {
+		$presets = wp_ai_image_gen_style_presets()->get_presets();
+		$presets[] = [];
+		$name = WP_AI_Image_Gen_Style_Presets::PRESETS_OPTION;
+		?>
+		<table class="widefat striped wp-ai-image-gen-presets">
+			<thead>
+				<tr>
+					<th>Name</th>
+					<th>Prompt prefix / suffix</th>
+					<th>Negative prompt</th>
+					<th>Aspect ratio / quality</th>
+					<th>Brand reference images</th>
+					<th>Delete</th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach ($presets as $index => $preset) : ?>
+					<?php $field = "{$name}[{$index}]"; ?>
+					<tr>
+						<td>
+							<input type="hidden" name="<?php echo esc_attr($field); ?>[id]" value="<?php echo esc_attr($preset['id'] ?? ''); ?>">
+							<input type="text" name="<?php echo esc_attr($field); ?>[name]" value="<?php echo esc_attr($preset['name'] ?? ''); ?>" placeholder="<?php echo empty($preset) ? 'New preset' : ''; ?>">
+						</td>
+						<td>
+							<input type="text" name="<?php echo esc_attr($field); ?>[prompt_prefix]" value="<?php echo esc_attr($preset['prompt_prefix'] ?? ''); ?>" placeholder="Prefix">
+							<input type="text" name="<?php echo esc_attr($field); ?>[prompt_suffix]" value="<?php echo esc_attr($preset['prompt_suffix'] ?? ''); ?>" placeholder="Suffix">
+						</td>
+						<td>
+							<input type="text" name="<?php echo esc_attr($field); ?>[negative_prompt]" value="<?php echo esc_attr($preset['negative_prompt'] ?? ''); ?>">
+						</td>
+						<td>
+							<input type="text" name="<?php echo esc_attr($field); ?>[aspect_ratio]" value="<?php echo esc_attr($preset['aspect_ratio'] ?? ''); ?>" placeholder="e.g. 16:9" list="wp-ai-image-gen-aspect-ratios" size="8">
+							<select name="<?php echo esc_attr($field); ?>[quality]">
+								<option value="">Model default</option>
+								<?php foreach (['low' => 'Low', 'medium' => 'Medium', 'high' => 'High'] as $quality => $label) : ?>
+									<option value="<?php echo esc_attr($quality); ?>" <?php selected($preset['quality'] ?? '', $quality); ?>><?php echo esc_html($label); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</td>
+						<td>
+							<input type="text"
+								   class="wp-ai-image-gen-reference-ids"
+								   name="<?php echo esc_attr($field); ?>[reference_image_ids]"
+								   value="<?php echo esc_attr(implode(',', $preset['reference_image_ids'] ?? [])); ?>"
+								   placeholder="Attachment IDs"
+								   size="12">
+							<button type="button" class="button wp-ai-image-gen-choose-references">Choose</button>
+						</td>
+						<td>
+							<?php if (!empty($preset)) : ?>
+								<input type="checkbox" name="<?php echo esc_attr($field); ?>[delete]" value="1" aria-label="Delete preset">
+							<?php endif; ?>
+						</td>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+		<datalist id="wp-ai-image-gen-aspect-ratios">
+			<?php foreach (['1:1', '16:9', '9:16', '4:3', '3:4', '3:2', '2:3'] as $aspect_ratio) : ?>
+				<option value="<?php echo esc_attr($aspect_ratio); ?>">
+			<?php endforeach; ?>
+		</datalist>
+		<p class="description">Fill in the last row to add a preset. Aspect ratio, quality and negative prompt only apply to models that support them, reference images only to models that accept input images.</p>
+		<?php
+	}
+
+	/**
+	 * Renders the default preset field for each post type edited in the block editor.
+	 */
+	public function render_default_presets_field() {
+		$presets = wp_ai_image_gen_style_presets()->get_presets();
+		$post_types = get_post_types(['show_in_rest' => true, 'public' => true], 'objects');
+		$name = WP_AI_Image_Gen_Style_Presets::DEFAULTS_OPTION;
+		foreach ($post_types as $post_type) {
+			if ($post_type->name === 'attachment') {
+				continue;
+			}
+			$default = wp_ai_image_gen_style_presets()->get_default_preset_id($post_type->name);
+			?>
+			<p>
+				<label>
+					<?php echo esc_html($post_type->labels->singular_name); ?>
+					<select name="<?php echo esc_attr("{$name}[{$post_type->name}]"); ?>">
+						<option value="">No preset</option>
+						<?php foreach ($presets as $preset) : ?>
+							<option value="<?php echo esc_attr($preset['id']); ?>" <?php selected($default, $preset['id']); ?>><?php echo esc_html($preset['name']); ?></option>
+						<?php endforeach; ?>
+					</select>
+				</label>
+			</p>
+			<?php
+		}
+	}
+
+	/**
+	 * Renders the alt text section description.
+	 */
+	public function render_alt_text_section() {
+		echo '<p>Describe images with a vision model instead of using the prompt as alt text. Any image block can also get a description from its "AI alt text" panel. Describing images needs an OpenAI API key.</p>';
+	}
+
+	/**
+	 * Renders the field choosing what is written for generated images.
+	 */
+	public function render_auto_alt_text_field() {
+		$mode = wp_ai_image_gen_alt_text()->get_auto_mode();
+		$options = [
+			'off'         => 'Use the prompt as alt text',
+			'alt'         => 'Write alt text',
+			'alt_caption' => 'Write alt text and a caption',
+		];
+		?>
+		<select name="<?php echo esc_attr(WP_AI_Image_Gen_Alt_Text::AUTO_OPTION); ?>">
+			<?php foreach ($options as $value => $label) : ?>
+				<option value="<?php echo esc_attr($value); ?>" <?php selected($mode, $value); ?>><?php echo esc_html($label); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<p class="description">Writing a description takes a few more seconds per image and is billed by the provider.</p>
+		<?php
+	}
+
+	/**
+	 * Renders the prompt safety section description.
+	 */
+	public function render_prompt_safety_section() {
+		echo '<p>Check prompts before they are sent to a provider. Editors see the words to change while they type, and generations are checked again before they start.</p>';
+	}
+
+	/**
+	 * Renders the blocklist of terms and patterns.
+	 */
+	public function render_prompt_blocklist_field() {
+		$blocklist = wp_ai_image_gen_prompt_safety()->get_blocklist();
+		?>
+		<textarea name="<?php echo esc_attr(WP_AI_Image_Gen_Prompt_Safety::BLOCKLIST_OPTION); ?>"
+				  rows="6"
+				  class="large-text code"><?php echo esc_textarea(implode("\n", $blocklist)); ?></textarea>
+		<p class="description">One entry per line. Words and phrases match whole words in any case, entries like <code>/gore|blood/i</code> are regular expressions.</p>
+		<?php
+	}
+
+	/**
+	 * Renders the field enabling prompt moderation.
+	 */
+	public function render_prompt_moderation_field() {
+		?>
+		<label>
+			<input type="checkbox"
+				   name="<?php echo esc_attr(WP_AI_Image_Gen_Prompt_Safety::MODERATION_OPTION); ?>"
+				   value="1"
+				   <?php checked(wp_ai_image_gen_prompt_safety()->is_moderation_enabled()); ?>>
+			Check prompts with the provider's moderation API
+		</label>
+		<p class="description">Uses OpenAI's free moderation endpoint and needs an OpenAI API key, even when Replicate is the main provider.</p>
+		<?php
+	}
+
+	/**
+	 * Renders the field choosing what happens to flagged prompts.
+	 */
+	public function render_prompt_policy_field() {
+		$policy = wp_ai_image_gen_prompt_safety()->get_policy();
+		$options = [
+			'block' => 'Block them',
+			'warn'  => 'Warn the editor but allow them',
+			'log'   => 'Only log them',
+		];
+		?>
+		<select name="<?php echo esc_attr(WP_AI_Image_Gen_Prompt_Safety::POLICY_OPTION); ?>">
+			<?php foreach ($options as $value => $label) : ?>
+				<option value="<?php echo esc_attr($value); ?>" <?php selected($policy, $value); ?>><?php echo esc_html($label); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<p class="description">Flagged prompts are logged with the <code>wp_ai_image_gen_prompt_flagged</code> action and in the debug log.</p>
+		<?php
+	}
+
+	/**
+	 * Renders the usage limits section description.
+	 */
+	public function render_usage_section() {
+		$report_url = admin_url('tools.php?page=wp-ai-image-gen-usage');
+		echo '<p>Limit how many images each role can generate, to keep API costs under control. See who generated what in the <a href="' . esc_url($report_url) . '">usage report</a>.</p>';
+	}
+
+	/**
+	 * Renders the limits of each role that can generate images.
+	 */
+	public function render_usage_limits_field() {
+		$limits = get_option(WP_AI_Image_Gen_Usage::LIMITS_OPTION, []);
+		$name = WP_AI_Image_Gen_Usage::LIMITS_OPTION;
+		$labels = ['day' => 'Images per day', 'month' => 'Images per month', 'minute' => 'Generations per minute'];
+		?>
+		<table class="widefat striped">
+			<thead>
+				<tr>
+					<th>Role</th>
+					<?php foreach ($labels as $label) : ?>
+						<th><?php echo esc_html($label); ?></th>
+					<?php endforeach; ?>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach (wp_roles()->role_objects as $role) : ?>
+					<?php
+					// Only roles that can edit posts can generate images
+					if (!$role->has_cap('edit_posts')) {
+						continue;
+					}
+					?>
+					<tr>
+						<td><?php echo esc_html(translate_user_role(wp_roles()->role_names[$role->name])); ?></td>
+						<?php foreach (array_keys($labels) as $period) : ?>
+							<td>
+								<input type="number"
+									   min="0"
+									   class="small-text"
+									   name="<?php echo esc_attr("{$name}[{$role->name}][{$period}]"); ?>"
+									   value="<?php echo esc_attr($limits[$role->name][$period] ?? 0); ?>">
+							</td>
+						<?php endforeach; ?>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+		<p class="description">Use 0 for no limit. Users with several roles get the most generous limit. Failed and cancelled generations do not count towards the daily and monthly limits.</p>
+		<?php
+	}
+
 	/**
 	 * Renders the API key field for a provider.
 	 * 
@@ -364,6 +858,12 @@ class WP_AI_Image_Gen_Admin {
 			'1.0.0'
 		);
 
+		// The style presets pick their reference images in the media modal, and the list view
+		// of the Media Library does not load it but gets the "Generate with AI" button along with it
+		if ($hook === 'settings_page_wp-ai-image-gen-settings' || $hook === 'upload.php') {
+			wp_enqueue_media();
+		}
+
 		// Enqueue block editor scripts
 		if (in_array($hook, ['post.php', 'post-new.php'])) {
 			// Get the main provider setting
@@ -379,12 +879,10 @@ class WP_AI_Image_Gen_Admin {
 				}
 			}
 
-			wp_enqueue_script(
+			$this->enqueue_build_script(
 				'wp-ai-image-gen-editor',
-				plugin_dir_url(dirname(__FILE__)) . 'build/index.js',
-				['wp-blocks', 'wp-element', 'wp-editor', 'wp-components', 'wp-i18n'],
-				'1.0.0',
-				true
+				'index',
+				['wp-blocks', 'wp-element', 'wp-editor', 'wp-components', 'wp-i18n', 'wp-data', 'wp-plugins', 'wp-compose', 'wp-core-data', 'wp-edit-post', 'wp-commands', 'wp-keyboard-shortcuts']
 			);
 
 			// Add localized data for the editor
@@ -396,6 +894,9 @@ class WP_AI_Image_Gen_Admin {
 					'mainProvider' => $main_provider
 				]
 			]);
+
+			// Load the translations of the editor messages
+			wp_set_script_translations('wp-ai-image-gen-editor', 'wp-ai-image-gen');
 		}
 
 		// Add localized data for admin scripts
@@ -405,6 +906,78 @@ class WP_AI_Image_Gen_Admin {
 		]);
 	}
 
+	/**
+	 * Enqueues the "Generate with AI" tab of the media modal wherever the media modal is loaded,
+	 * e.g. in the classic editor, on the widgets screen or on the Media Library screen.
+	 */
+	public function enqueue_media_scripts() {
+		// Generating needs the REST routes of the editor and saving needs uploads
+		if (!current_user_can('edit_posts') || !current_user_can('upload_files')) {
+			return;
+		}
+
+		$enqueued = $this->enqueue_build_script(
+			'wp-ai-image-gen-media',
+			'media',
+			['media-views', 'wp-element', 'wp-components', 'wp-i18n', 'wp-data', 'wp-api-fetch', 'wp-url', 'wp-dom-ready', 'wp-block-editor']
+		);
+		if (!$enqueued) {
+			return;
+		}
+		wp_enqueue_style('wp-components');
+
+		// Screens without the block editor have no editor settings to read the plugin settings from
+		wp_localize_script('wp-ai-image-gen-media', 'wpAiImageGenMedia', [
+			'settings' => $this->get_script_settings(),
+		]);
+
+		wp_set_script_translations('wp-ai-image-gen-media', 'wp-ai-image-gen');
+	}
+
+	/**
+	 * Enqueues a script built by `npm run build`, with the dependencies and version from its `.asset.php` file.
+	 * @param string $handle The script handle.
+	 * @param string $entry The name of the built entry point, e.g. 'index' for build/index.js.
+	 * @param array $dependencies Script dependencies the build does not detect, e.g. 'media-views'.
+	 * @return bool True if the script was enqueued, false if it has not been built.
+	 */
+	private function enqueue_build_script($handle, $entry, $dependencies = []) {
+		$asset_file = plugin_dir_path(dirname(__FILE__)) . "build/{$entry}.asset.php";
+		if (!file_exists($asset_file)) {
+			wp_ai_image_gen_debug_log("The {$entry} script is missing, run npm run build");
+			return false;
+		}
+		$asset = require $asset_file;
+
+		wp_enqueue_script(
+			$handle,
+			plugin_dir_url(dirname(__FILE__)) . "build/{$entry}.js",
+			array_values(array_unique(array_merge($dependencies, $asset['dependencies']))),
+			$asset['version'],
+			true
+		);
+		return true;
+	}
+
+	/**
+	 * Gets the settings the editor and media scripts need.
+	 * @return array The main provider, what each provider model can do, and the image types generated images can be converted to.
+	 */
+	public function get_script_settings() {
+		return [
+			'main_provider' => get_option('wp_ai_image_gen_main_provider', ''),
+			// What each provider model can do so the scripts can gate their UI on it
+			'capabilities' => wp_ai_image_gen_provider_manager()->get_capability_map(),
+			// The image types generated images can be converted to before saving them
+			'upload_formats' => WP_AI_Image_Handler::get_processed_mime_types(),
+			// Whether prompts are checked against the blocklist while they are typed, and what happens to flagged ones
+			'prompt_safety' => [
+				'enabled' => !empty(wp_ai_image_gen_prompt_safety()->get_blocklist()),
+				'policy'  => wp_ai_image_gen_prompt_safety()->get_policy(),
+			],
+		];
+	}
+
 	/**
 	 * Adds JavaScript to the admin footer for API key removal functionality.
 	 */
@@ -429,6 +1002,25 @@ class WP_AI_Image_Gen_Admin {
 					}
 				});
 			});
+
+			// Pick the reference images of a style preset in the media modal
+			document.querySelectorAll('.wp-ai-image-gen-choose-references').forEach(function(button) {
+				button.addEventListener('click', function() {
+					var input = this.parentNode.querySelector('.wp-ai-image-gen-reference-ids');
+					var frame = wp.media({
+						title: 'Brand reference images',
+						library: { type: 'image' },
+						multiple: true,
+						button: { text: 'Use images' }
+					});
+					frame.on('select', function() {
+						input.value = frame.state().get('selection').map(function(attachment) {
+							return attachment.id;
+						}).join(',');
+					});
+					frame.open();
+				});
+			});
 		});
 		</script>
 		<?php
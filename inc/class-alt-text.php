@@ -0,0 +1,214 @@
+<?php
+/**
+ * Class that writes alt text and captions for images with a provider's vision model.
+ *
+ * @package WP_AI_Image_Gen
+ */
+class WP_AI_Image_Gen_Alt_Text {
+    /**
+     * Holds the singleton instance of this class.
+     * @var WP_AI_Image_Gen_Alt_Text
+     */
+    private static $instance = null;
+
+    /**
+     * The option holding what is written for generated images: `off`, `alt` or `alt_caption`.
+     * @var string
+     */
+    public const AUTO_OPTION = 'wp_ai_image_gen_auto_alt_text';
+
+    /**
+     * The values of the auto option.
+     * @var array
+     */
+    public const AUTO_MODES = ['off', 'alt', 'alt_caption'];
+
+    /**
+     * Images larger than this are sent by URL rather than inline, in bytes.
+     * @var int
+     */
+    private const MAX_INLINE_SIZE = 4194304;
+
+    /**
+     * Hooks into the upload of generated images.
+     */
+    private function __construct() {
+        add_filter('wp_ai_image_gen_image_text', [$this, 'filter_generated_image_text'], 10, 3);
+    }
+
+    /**
+     * Gets the singleton instance of the alt text writer.
+     * @return WP_AI_Image_Gen_Alt_Text The singleton instance.
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Gets what is written for generated images.
+     * @return string One of AUTO_MODES.
+     */
+    public function get_auto_mode() {
+        $mode = get_option(self::AUTO_OPTION, 'off');
+        return in_array($mode, self::AUTO_MODES, true) ? $mode : 'off';
+    }
+
+    /**
+     * Sanitizes the auto option submitted on the settings page.
+     * @param string $input The submitted value.
+     * @return string One of AUTO_MODES.
+     */
+    public function sanitize_auto_mode($input) {
+        return in_array($input, self::AUTO_MODES, true) ? $input : 'off';
+    }
+
+    /**
+     * Writes alt text and a caption for an image.
+     * Media library images are sent inline, so images on local or private sites can be described too.
+     * @param int $attachment_id The attachment ID, 0 for images outside the media library.
+     * @param string $image_url The image URL, used when there is no attachment.
+     * @param string $context Optional. What the image is about, e.g. the prompt it was generated with.
+     * @param bool $record_usage Optional. Whether the description counts towards the user's rate limit,
+     *                           descriptions of generated images are part of their generation.
+     * @return array|WP_Error Array with `alt` and `caption`, or error.
+     */
+    public function describe($attachment_id, $image_url = '', $context = '', $record_usage = false) {
+        $provider = $this->get_provider();
+        if (is_wp_error($provider)) {
+            return $provider;
+        }
+
+        if ($attachment_id) {
+            $image_url = $this->get_attachment_image($attachment_id);
+            if (is_wp_error($image_url)) {
+                return $image_url;
+            }
+        }
+        if (empty($image_url)) {
+            return new WP_Error('invalid_url', 'There is no image to describe.', ['status' => 400]);
+        }
+
+        // Descriptions generate no images, so they only count as requests
+        $request_id = 0;
+        if ($record_usage) {
+            $request_id = wp_ai_image_gen_usage()->reserve_request(
+                get_current_user_id(),
+                '',
+                $provider->get_id(),
+                $provider->get_description_model(),
+                [],
+                0,
+                0.0
+            );
+            if (is_wp_error($request_id)) {
+                return $request_id;
+            }
+        }
+
+        wp_ai_image_gen_debug_log("Describing image with {$provider->get_id()}" . ($attachment_id ? " (attachment {$attachment_id})" : ''));
+        $description = $provider->describe_image($image_url, wp_strip_all_tags($context));
+
+        if ($record_usage) {
+            wp_ai_image_gen_usage()->record_request_result($request_id, is_wp_error($description) ? 'failed' : 'succeeded');
+        }
+        return $description;
+    }
+
+    /**
+     * Replaces the prompt as alt text of a generated image with a description, when the site enables it.
+     * This is the callback of the wp_ai_image_gen_image_text filter.
+     * @param array $text The `alt` and `caption` of the image.
+     * @param int $attachment_id The attachment ID.
+     * @param string $prompt The prompt the image was generated with.
+     * @return array The alt text and caption.
+     */
+    public function filter_generated_image_text($text, $attachment_id, $prompt) {
+        $mode = $this->get_auto_mode();
+        if ($mode === 'off') {
+            return $text;
+        }
+
+        $description = $this->describe($attachment_id, '', $prompt);
+        if (is_wp_error($description)) {
+            // The image itself was generated, so it keeps the prompt as alt text
+            wp_ai_image_gen_debug_log("Failed to describe generated image {$attachment_id}: " . $description->get_error_message());
+            return $text;
+        }
+
+        $text['alt'] = $description['alt'];
+        if ($mode === 'alt_caption' && $description['caption'] !== '') {
+            $text['caption'] = $description['caption'];
+        }
+        return $text;
+    }
+
+    /**
+     * Gets the provider describing images, the main provider if it can, or else the first configured one that can.
+     * @return WP_AI_Image_Provider|WP_Error The provider, or error if none can describe images.
+     */
+    private function get_provider() {
+        $api_keys = get_option('wp_ai_image_gen_provider_api_keys', []);
+        $providers = wp_ai_image_gen_provider_manager()->get_providers();
+
+        $main_provider = get_option('wp_ai_image_gen_main_provider', '');
+        if (isset($providers[$main_provider])) {
+            $providers = [$main_provider => $providers[$main_provider]] + $providers;
+        }
+
+        foreach ($providers as $provider_id => $registered_provider) {
+            if (empty($api_keys[$provider_id])) {
+                continue;
+            }
+            $provider = new $registered_provider($api_keys[$provider_id], '');
+            if ($provider->supports_image_description()) {
+                return $provider;
+            }
+        }
+
+        return new WP_Error(
+            'description_unsupported',
+            'None of the configured providers can describe images. Add an OpenAI API key in Settings > AI Image Gen.'
+        );
+    }
+
+    /**
+     * Gets a media library image as a data URI, or its URL when it is too large to send inline.
+     * @param int $attachment_id The attachment ID.
+     * @return string|WP_Error The data URI or URL, or error if the attachment is not an image.
+     */
+    private function get_attachment_image($attachment_id) {
+        if (!wp_attachment_is_image($attachment_id)) {
+            return new WP_Error('invalid_input', 'The attachment is not an image.', ['status' => 400]);
+        }
+
+        // A large thumbnail is plenty to describe the image
+        $file = get_attached_file($attachment_id);
+        $resized = image_get_intermediate_size($attachment_id, 'large');
+        if ($file && $resized && !empty($resized['path'])) {
+            $file = path_join(wp_get_upload_dir()['basedir'], $resized['path']);
+        }
+
+        if (!$file || !is_readable($file) || filesize($file) > self::MAX_INLINE_SIZE) {
+            return wp_get_attachment_image_url($attachment_id, 'large') ?: new WP_Error('invalid_url', 'The image file could not be read.');
+        }
+
+        $mime_type = wp_check_filetype($file)['type'] ?: get_post_mime_type($attachment_id);
+        return 'data:' . $mime_type . ';base64,' . base64_encode(file_get_contents($file));
+    }
+}
+
+/**
+ * Gets the singleton instance of the alt text writer.
+ * @return WP_AI_Image_Gen_Alt_Text The alt text writer instance.
+ */
+function wp_ai_image_gen_alt_text() {
+    return WP_AI_Image_Gen_Alt_Text::get_instance();
+}
+
+// Initialize the alt text writer so generated images get their description
+add_action('init', function() {
+    wp_ai_image_gen_alt_text();
+}, 10);
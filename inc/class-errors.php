@@ -0,0 +1,283 @@
+<?php
+/**
+ * Class that sorts plugin and provider errors into the categories the editor understands.
+ *
+ * @package WP_AI_Image_Gen
+ */
+final class WP_AI_Image_Gen_Errors {
+    /**
+     * The provider rejected the API key or the account is not allowed to use the model.
+     * @var string
+     */
+    public const CATEGORY_AUTH = 'auth';
+
+    /**
+     * Too many requests were sent to the provider, they can be sent again after a while.
+     * @var string
+     */
+    public const CATEGORY_RATE_LIMIT = 'rate_limit';
+
+    /**
+     * The provider account ran out of credit or hit its usage limit.
+     * @var string
+     */
+    public const CATEGORY_QUOTA = 'quota';
+
+    /**
+     * The prompt or the image was rejected by safety filters.
+     * @var string
+     */
+    public const CATEGORY_MODERATION = 'moderation';
+
+    /**
+     * The prompt, the parameters or the input images are not valid.
+     * @var string
+     */
+    public const CATEGORY_INVALID_INPUT = 'invalid_input';
+
+    /**
+     * The provider could not be reached or failed on its side.
+     * @var string
+     */
+    public const CATEGORY_PROVIDER_UNAVAILABLE = 'provider_unavailable';
+
+    /**
+     * The generation took too long.
+     * @var string
+     */
+    public const CATEGORY_TIMEOUT = 'timeout';
+
+    /**
+     * The job, candidate or entry the request refers to does not exist anymore.
+     * @var string
+     */
+    public const CATEGORY_NOT_FOUND = 'not_found';
+
+    /**
+     * The generation was cancelled.
+     * @var string
+     */
+    public const CATEGORY_CANCELLED = 'cancelled';
+
+    /**
+     * Anything else.
+     * @var string
+     */
+    public const CATEGORY_UNKNOWN = 'unknown';
+
+    /**
+     * The category of each known error code.
+     * @var array
+     */
+    private const CODE_CATEGORIES = [
+        'auth_failed'                 => self::CATEGORY_AUTH,
+        'invalid_api_key'             => self::CATEGORY_AUTH,
+        'invalid_api_key_format'      => self::CATEGORY_AUTH,
+        'rate_limited'                => self::CATEGORY_RATE_LIMIT,
+        'usage_rate_limited'          => self::CATEGORY_RATE_LIMIT,
+        'quota_exceeded'              => self::CATEGORY_QUOTA,
+        'usage_limit_reached'         => self::CATEGORY_QUOTA,
+        'content_moderation'          => self::CATEGORY_MODERATION,
+        'content_filtered'            => self::CATEGORY_MODERATION,
+        'prompt_blocked'              => self::CATEGORY_MODERATION,
+        'invalid_input'               => self::CATEGORY_INVALID_INPUT,
+        'invalid_parameter'           => self::CATEGORY_INVALID_INPUT,
+        'invalid_prompt'              => self::CATEGORY_INVALID_INPUT,
+        'invalid_provider'            => self::CATEGORY_INVALID_INPUT,
+        'invalid_model'               => self::CATEGORY_INVALID_INPUT,
+        'model_not_set'               => self::CATEGORY_INVALID_INPUT,
+        'invalid_preset'              => self::CATEGORY_INVALID_INPUT,
+        'invalid_mask'                => self::CATEGORY_INVALID_INPUT,
+        'invalid_url'                 => self::CATEGORY_INVALID_INPUT,
+        'unsupported_type'            => self::CATEGORY_INVALID_INPUT,
+        'file_too_large'              => self::CATEGORY_INVALID_INPUT,
+        'too_many_references'         => self::CATEGORY_INVALID_INPUT,
+        'description_unsupported'     => self::CATEGORY_INVALID_INPUT,
+        'moderation_unsupported'      => self::CATEGORY_INVALID_INPUT,
+        'rest_invalid_param'          => self::CATEGORY_INVALID_INPUT,
+        'rest_missing_callback_param' => self::CATEGORY_INVALID_INPUT,
+        'provider_unavailable'        => self::CATEGORY_PROVIDER_UNAVAILABLE,
+        'http_request_failed'         => self::CATEGORY_PROVIDER_UNAVAILABLE,
+        'max_retries_exceeded'        => self::CATEGORY_PROVIDER_UNAVAILABLE,
+        'generation_timeout'          => self::CATEGORY_TIMEOUT,
+        'job_not_found'               => self::CATEGORY_NOT_FOUND,
+        'candidate_not_found'         => self::CATEGORY_NOT_FOUND,
+        'history_entry_not_found'     => self::CATEGORY_NOT_FOUND,
+        'generation_cancelled'        => self::CATEGORY_CANCELLED,
+    ];
+
+    /**
+     * The HTTP status returned to the editor for each category.
+     * Provider authentication failures are not the editor's fault, so they are reported as a bad gateway.
+     * @var array
+     */
+    private const CATEGORY_STATUSES = [
+        self::CATEGORY_AUTH                 => 502,
+        self::CATEGORY_RATE_LIMIT           => 429,
+        self::CATEGORY_QUOTA                => 429,
+        self::CATEGORY_MODERATION           => 400,
+        self::CATEGORY_INVALID_INPUT        => 400,
+        self::CATEGORY_PROVIDER_UNAVAILABLE => 503,
+        self::CATEGORY_TIMEOUT              => 504,
+        self::CATEGORY_NOT_FOUND            => 404,
+        self::CATEGORY_CANCELLED            => 409,
+        self::CATEGORY_UNKNOWN              => 500,
+    ];
+
+    /**
+     * Categories worth trying again without changing anything.
+     * @var array
+     */
+    private const RETRYABLE_CATEGORIES = [
+        self::CATEGORY_RATE_LIMIT,
+        self::CATEGORY_PROVIDER_UNAVAILABLE,
+        self::CATEGORY_TIMEOUT,
+        self::CATEGORY_UNKNOWN,
+    ];
+
+    /**
+     * Provider error codes that mean the account ran out of credit rather than sent too many requests.
+     * @var array
+     */
+    private const QUOTA_ERROR_CODES = ['insufficient_quota', 'billing_hard_limit_reached', 'billing_not_active'];
+
+    /**
+     * Provider error codes that mean the request was blocked by safety filters.
+     * @var array
+     */
+    private const MODERATION_ERROR_CODES = ['moderation_blocked', 'content_policy_violation'];
+
+    /**
+     * Errors are classified with static methods only.
+     */
+    private function __construct() {
+    }
+
+    /**
+     * Gets the category of an error.
+     * @param WP_Error $error The error.
+     * @return string One of the CATEGORY_* constants.
+     */
+    public static function get_category($error) {
+        $data = $error->get_error_data();
+        if (is_array($data) && isset($data['category'])) {
+            return $data['category'];
+        }
+
+        $code = $error->get_error_code();
+        // Timeouts of the HTTP API come back as generic request failures
+        if ($code === 'http_request_failed' && stripos($error->get_error_message(), 'timed out') !== false) {
+            return self::CATEGORY_TIMEOUT;
+        }
+
+        return self::CODE_CATEGORIES[$code] ?? self::CATEGORY_UNKNOWN;
+    }
+
+    /**
+     * Checks whether an error is worth trying again without changing the request.
+     * @param WP_Error $error The error.
+     * @return bool Whether the request can be retried.
+     */
+    public static function is_retryable($error) {
+        return in_array(self::get_category($error), self::RETRYABLE_CATEGORIES, true);
+    }
+
+    /**
+     * Adds the category, HTTP status and retry information to the data of an error.
+     * The code and message are kept, an existing status is kept unless it is a server error for a known category.
+     * @param WP_Error $error The error.
+     * @return WP_Error The error with `status`, `category`, `retryable` and `retry_after` data.
+     */
+    public static function normalize($error) {
+        $data = $error->get_error_data();
+        $data = is_array($data) ? $data : [];
+        $category = self::get_category($error);
+
+        $status = self::CATEGORY_STATUSES[$category];
+        if (isset($data['status']) && ($category === self::CATEGORY_UNKNOWN || intval($data['status']) < 500)) {
+            $status = intval($data['status']);
+        }
+
+        $data = array_merge($data, [
+            'status'      => $status,
+            'category'    => $category,
+            'retryable'   => in_array($category, self::RETRYABLE_CATEGORIES, true),
+            'retry_after' => isset($data['retry_after']) ? intval($data['retry_after']) : null,
+        ]);
+
+        return new WP_Error($error->get_error_code(), $error->get_error_message(), $data);
+    }
+
+    /**
+     * Creates the error for a failed provider HTTP response, based on its status code.
+     * @param array $response The response from the HTTP API.
+     * @param string $message The error message from the provider.
+     * @param string $provider_code The provider's own error code, if it sent one.
+     * @return WP_Error The error.
+     */
+    public static function from_http_response($response, $message, $provider_code = '') {
+        $status = intval(wp_remote_retrieve_response_code($response));
+        $retry_after = self::parse_retry_after(wp_remote_retrieve_header($response, 'retry-after'));
+
+        if (in_array($provider_code, self::QUOTA_ERROR_CODES, true) || $status === 402) {
+            $code = 'quota_exceeded';
+        } else if (in_array($provider_code, self::MODERATION_ERROR_CODES, true)) {
+            $code = 'content_moderation';
+        } else if ($status === 429) {
+            $code = 'rate_limited';
+        } else if ($status === 401 || $status === 403) {
+            $code = 'auth_failed';
+        } else if ($status === 408 || $status === 504) {
+            $code = 'generation_timeout';
+        } else if ($status >= 500) {
+            $code = 'provider_unavailable';
+        } else {
+            $code = 'invalid_input';
+        }
+
+        $data = ['provider_status' => $status, 'provider_code' => $provider_code];
+        if ($retry_after !== null) {
+            $data['retry_after'] = $retry_after;
+        }
+
+        return new WP_Error($code, $message, $data);
+    }
+
+    /**
+     * Adds the category and retry information to errors returned by the plugin's REST routes.
+     * This is the callback of the rest_request_after_callbacks filter.
+     * @param WP_REST_Response|WP_Error $response The response.
+     * @param array $handler The route handler.
+     * @param WP_REST_Request $request The request.
+     * @return WP_REST_Response|WP_Error The response.
+     */
+    public static function filter_rest_response($response, $handler, $request) {
+        if (!is_wp_error($response) || strpos($request->get_route(), '/wp-ai-image-gen/v1/') !== 0) {
+            return $response;
+        }
+
+        $error = self::normalize($response);
+        wp_ai_image_gen_debug_log("REST error {$error->get_error_code()} (" . self::get_category($error) . "): {$error->get_error_message()}");
+        return $error;
+    }
+
+    /**
+     * Reads a Retry-After header, which holds either a number of seconds or a date.
+     * @param string|array $header The header value.
+     * @return int|null The number of seconds to wait, or null if there is no valid header.
+     */
+    private static function parse_retry_after($header) {
+        $header = is_array($header) ? reset($header) : $header;
+        if ($header === '' || $header === false || $header === null) {
+            return null;
+        }
+        if (is_numeric($header)) {
+            return max(0, (int) ceil((float) $header));
+        }
+
+        $timestamp = strtotime($header);
+        return $timestamp ? max(0, $timestamp - time()) : null;
+    }
+}
+
+add_filter('rest_request_after_callbacks', ['WP_AI_Image_Gen_Errors', 'filter_rest_response'], 10, 3);
@@ -5,6 +5,16 @@
  * @package WP_AI_Image_Gen
  */
 class WP_AI_Image_Handler {
+    /**
+     * Attachment meta key holding how an image was generated.
+     */
+    const GENERATION_META_KEY = '_wp_ai_image_gen_generation';
+
+    /**
+     * Image types the editor may upload after cropping, resizing or converting an image.
+     */
+    const PROCESSED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif'];
+
     /**
      * Downloads an image from a given URL.
      *
@@ -34,9 +44,10 @@ class WP_AI_Image_Handler {
      *
      * @param string $image_data The raw image data or URL.
      * @param string $prompt The prompt used to generate the image (for alt text).
+     * @param array $metadata Optional. How the image was generated, see save_generation_metadata().
      * @return array|WP_Error Array containing the uploaded image URL and ID, or WP_Error on failure.
      */
-    public static function upload_to_media_library($image_data, $prompt) {
+    public static function upload_to_media_library($image_data, $prompt, $metadata = []) {
         // Download the image if a URL is provided
         if (filter_var($image_data, FILTER_VALIDATE_URL)) {
             wp_ai_image_gen_debug_log("Downloading image from URL for media library: " . $image_data);
@@ -50,8 +61,8 @@ class WP_AI_Image_Handler {
         $prompt_slug = sanitize_title($prompt);
         $prompt_slug = substr($prompt_slug, 0, 50); // Limit length
         
-        // Generate a filename with prompt and unique ID
-        $filename = 'ai-' . $prompt_slug . '-' . uniqid() . '.webp';
+        // Generate a filename with prompt and unique ID, the extension decides the attachment type
+        $filename = 'ai-' . $prompt_slug . '-' . uniqid() . self::get_image_extension($image_data);
         
         wp_ai_image_gen_debug_log("Uploading image to media library with filename: " . $filename);
         $upload = wp_upload_bits($filename, null, $image_data);
@@ -84,19 +95,432 @@ class WP_AI_Image_Handler {
             return $attach_id;
         }
 
-        update_post_meta($attach_id, '_wp_attachment_image_alt', wp_strip_all_tags($prompt));
+        if (!empty($metadata)) {
+            self::save_generation_metadata($attach_id, $metadata);
+        }
 
         require_once(ABSPATH . 'wp-admin/includes/image.php');
         $attach_data = wp_generate_attachment_metadata($attach_id, $upload['file']);
         wp_update_attachment_metadata($attach_id, $attach_data);
 
+        /**
+         * Filters the alt text and caption of a generated image, the prompt and no caption by default.
+         * Runs once the image and its sizes are saved, so it can be looked at.
+         *
+         * @param array $text Array with `alt` and `caption`.
+         * @param int $attach_id The attachment ID.
+         * @param string $prompt The prompt the image was generated with.
+         */
+        $text = apply_filters('wp_ai_image_gen_image_text', [
+            'alt'     => wp_strip_all_tags($prompt),
+            'caption' => '',
+        ], $attach_id, $prompt);
+
+        update_post_meta($attach_id, '_wp_attachment_image_alt', $text['alt']);
+        if ($text['caption'] !== '') {
+            wp_update_post(['ID' => $attach_id, 'post_excerpt' => $text['caption']]);
+        }
+
         return [
             'url' => wp_get_attachment_url($attach_id),
             'id' => $attach_id,
+            'alt' => $text['alt'],
+            'caption' => $text['caption'],
             'status' => 'completed'
         ];
     }
 
+    /**
+     * Saves how an image was generated on its attachment.
+     * The metadata can be changed or stripped with the `wp_ai_image_gen_generation_metadata` filter,
+     * nothing is saved if the filter returns an empty value.
+     *
+     * @param int $attachment_id The attachment ID.
+     * @param array $metadata The prompt, provider, model, parameters, source and reference images and generation time.
+     * @return bool True if the metadata was saved.
+     */
+    public static function save_generation_metadata($attachment_id, $metadata) {
+        /**
+         * Filters the generation metadata saved on a generated attachment.
+         *
+         * @param array $metadata      The generation metadata.
+         * @param int   $attachment_id The attachment ID.
+         */
+        $metadata = apply_filters('wp_ai_image_gen_generation_metadata', $metadata, $attachment_id);
+        if (empty($metadata) || !is_array($metadata)) {
+            return false;
+        }
+
+        return (bool) update_post_meta($attachment_id, self::GENERATION_META_KEY, $metadata);
+    }
+
+    /**
+     * Gets how an image was generated.
+     *
+     * @param int $attachment_id The attachment ID.
+     * @return array The generation metadata, empty if the image was not generated or the metadata was stripped.
+     */
+    public static function get_generation_metadata($attachment_id) {
+        $metadata = get_post_meta($attachment_id, self::GENERATION_META_KEY, true);
+        return is_array($metadata) ? $metadata : [];
+    }
+
+    /**
+     * Registers the generation metadata so the editor can read it through the REST API.
+     * It is only exposed in the edit context, prompts are not meant for visitors.
+     *
+     * @return void
+     */
+    public static function register_generation_meta() {
+        register_post_meta('attachment', self::GENERATION_META_KEY, [
+            'type'          => 'object',
+            'single'        => true,
+            'auth_callback' => function($allowed, $meta_key, $post_id) {
+                return current_user_can('edit_post', $post_id);
+            },
+            'show_in_rest'  => [
+                'schema' => [
+                    'type'       => 'object',
+                    'context'    => ['edit'],
+                    'properties' => [
+                        'prompt'               => ['type' => 'string'],
+                        'provider'             => ['type' => 'string'],
+                        'model'                => ['type' => 'string'],
+                        'parameters'           => [
+                            'type'                 => 'object',
+                            'additionalProperties' => true,
+                        ],
+                        'source_image_url'     => ['type' => 'string'],
+                        'reference_image_urls' => [
+                            'type'  => 'array',
+                            'items' => ['type' => 'string'],
+                        ],
+                        'masked'               => ['type' => 'boolean'],
+                        'generated_at'         => ['type' => 'string'],
+                    ],
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Shows the generation metadata in the media library attachment details.
+     *
+     * @param array $form_fields The attachment form fields.
+     * @param WP_Post $post The attachment.
+     * @return array The form fields.
+     */
+    public static function add_generation_attachment_field($form_fields, $post) {
+        $metadata = self::get_generation_metadata($post->ID);
+        if (empty($metadata)) {
+            return $form_fields;
+        }
+
+        $rows = [
+            'Prompt'    => $metadata['prompt'] ?? '',
+            'Provider'  => $metadata['provider'] ?? '',
+            'Model'     => $metadata['model'] ?? '',
+            'Generated' => $metadata['generated_at'] ?? '',
+        ];
+        if (!empty($metadata['parameters'])) {
+            $rows['Parameters'] = wp_json_encode($metadata['parameters']);
+        }
+        if (!empty($metadata['source_image_url'])) {
+            $rows['Source image'] = $metadata['source_image_url'];
+        }
+        if (!empty($metadata['reference_image_urls'])) {
+            $rows['Reference images'] = implode(', ', $metadata['reference_image_urls']);
+        }
+
+        $html = '<dl class="wp-ai-image-gen-generation">';
+        foreach (array_filter($rows) as $label => $value) {
+            $html .= '<dt><strong>' . esc_html($label) . '</strong></dt><dd style="margin-left:0;word-break:break-word">' . esc_html($value) . '</dd>';
+        }
+        $html .= '</dl>';
+
+        $form_fields['wp_ai_image_gen_generation'] = [
+            'label' => 'AI generation',
+            'input' => 'html',
+            'html'  => $html,
+        ];
+
+        return $form_fields;
+    }
+
+    /**
+     * Name of the uploads subdirectory used for unsaved generation candidates.
+     */
+    const CANDIDATES_DIR = 'wp-ai-image-gen-candidates';
+
+    /**
+     * How long an unsaved candidate is kept before it is cleaned up, in seconds.
+     */
+    const CANDIDATE_LIFETIME = DAY_IN_SECONDS;
+
+    /**
+     * Prefix of the transients holding the generation metadata of unsaved candidates.
+     */
+    const CANDIDATE_METADATA_PREFIX = 'wp_ai_image_gen_candidate_';
+
+    /**
+     * Prefix of the transients holding the ID of the user each unsaved candidate was generated for.
+     */
+    const CANDIDATE_OWNER_PREFIX = 'wp_ai_image_gen_candidate_owner_';
+
+    /**
+     * Saves a generated image as a temporary candidate instead of a media library attachment.
+     * Candidates live in their own uploads subdirectory until one is chosen or they expire.
+     *
+     * @param string $image_data The raw image data or URL.
+     * @param array $metadata Optional. How the image was generated, saved with the attachment if the candidate is chosen.
+     * @return array|WP_Error Array containing the candidate token and URL, or WP_Error on failure.
+     */
+    public static function save_candidate($image_data, $metadata = []) {
+        // Download the image if a URL is provided
+        if (filter_var($image_data, FILTER_VALIDATE_URL)) {
+            wp_ai_image_gen_debug_log("Downloading image from URL for candidate: " . $image_data);
+            $image_data = self::download_image($image_data);
+            if (is_wp_error($image_data)) {
+                return $image_data;
+            }
+        }
+
+        // Remove stale candidates before adding new ones
+        self::cleanup_candidates();
+
+        $dir = self::get_candidates_dir();
+        if (!wp_mkdir_p($dir['path'])) {
+            return new WP_Error('save_failed', 'Failed to create the candidates directory.');
+        }
+
+        $token = wp_generate_password(24, false);
+        $filename = $token . self::get_image_extension($image_data);
+        $file_path = trailingslashit($dir['path']) . $filename;
+
+        if (file_put_contents($file_path, $image_data) === false) {
+            return new WP_Error('save_failed', 'Failed to save the candidate image.');
+        }
+
+        if (!empty($metadata)) {
+            set_transient(self::CANDIDATE_METADATA_PREFIX . $token, $metadata, self::CANDIDATE_LIFETIME);
+        }
+        // Jobs run as the user who asked for the image, only they may save or discard it
+        set_transient(self::CANDIDATE_OWNER_PREFIX . $token, get_current_user_id(), self::CANDIDATE_LIFETIME);
+
+        wp_ai_image_gen_debug_log("Saved generation candidate: " . $filename);
+
+        return [
+            'token' => $token,
+            'url'   => trailingslashit($dir['url']) . $filename,
+        ];
+    }
+
+    /**
+     * Moves a candidate into the media library and removes the temporary file.
+     *
+     * @param string $token The candidate token.
+     * @param string $prompt The prompt used to generate the image.
+     * @return array|WP_Error Array containing the uploaded image URL and ID, or WP_Error on failure.
+     */
+    public static function save_candidate_to_media_library($token, $prompt) {
+        $file_path = self::get_candidate_path($token);
+        if (!$file_path) {
+            return new WP_Error('candidate_not_found', 'The selected image is no longer available. Please generate it again.', ['status' => 404]);
+        }
+
+        $image_data = file_get_contents($file_path);
+        if (empty($image_data)) {
+            return new WP_Error('empty_image', 'Candidate image data is empty');
+        }
+
+        $metadata = get_transient(self::CANDIDATE_METADATA_PREFIX . $token);
+        $result = self::upload_to_media_library($image_data, $prompt, is_array($metadata) ? $metadata : []);
+        if (!is_wp_error($result)) {
+            wp_delete_file($file_path);
+            delete_transient(self::CANDIDATE_METADATA_PREFIX . $token);
+            delete_transient(self::CANDIDATE_OWNER_PREFIX . $token);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Saves an image that was cropped, resized or converted in the editor to the media library.
+     * An image processed from a candidate keeps the candidate's generation metadata, and the candidate is removed.
+     *
+     * @param string $image_data The raw image data.
+     * @param string $prompt The prompt used to generate the image.
+     * @param string $token Optional. The token of the candidate the image was processed from.
+     * @return array|WP_Error Array containing the uploaded image URL and ID, or WP_Error on failure.
+     */
+    public static function save_processed_image($image_data, $prompt, $token = '') {
+        $image_info = @getimagesizefromstring($image_data);
+        if (!$image_info || !in_array($image_info['mime'], self::PROCESSED_MIME_TYPES, true)) {
+            return new WP_Error('unsupported_type', 'The image must be a JPEG, PNG, WebP or AVIF image.', ['status' => 400]);
+        }
+
+        $metadata = [];
+        if ($token !== '') {
+            if (!self::get_candidate_path($token)) {
+                return new WP_Error('candidate_not_found', 'The selected image is no longer available. Please generate it again.', ['status' => 404]);
+            }
+            $metadata = get_transient(self::CANDIDATE_METADATA_PREFIX . $token);
+        }
+
+        $result = self::upload_to_media_library($image_data, $prompt, is_array($metadata) ? $metadata : []);
+        if (!is_wp_error($result) && $token !== '') {
+            self::discard_candidates([$token]);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Gets the image types the editor can upload after processing, those the server can make sizes of.
+     *
+     * @return array List of MIME types.
+     */
+    public static function get_processed_mime_types() {
+        return array_values(array_filter(self::PROCESSED_MIME_TYPES, function($mime_type) {
+            return wp_image_editor_supports(['mime_type' => $mime_type]);
+        }));
+    }
+
+    /**
+     * Deletes candidates that were not chosen.
+     *
+     * @param array $tokens The candidate tokens to delete.
+     * @return int The number of deleted candidates.
+     */
+    public static function discard_candidates($tokens) {
+        $deleted = 0;
+        foreach ((array) $tokens as $token) {
+            $file_path = self::get_candidate_path($token);
+            if ($file_path) {
+                wp_delete_file($file_path);
+                delete_transient(self::CANDIDATE_METADATA_PREFIX . $token);
+                delete_transient(self::CANDIDATE_OWNER_PREFIX . $token);
+                $deleted++;
+            }
+        }
+        return $deleted;
+    }
+
+    /**
+     * Saves an inpainting mask until the edit request that uses it completes.
+     * Masks share the temporary storage of candidates, so stale ones are cleaned up the same way.
+     *
+     * @param string $mask_data The raw PNG mask data.
+     * @return array|WP_Error Array containing the mask token and URL, or WP_Error on failure.
+     */
+    public static function save_mask($mask_data) {
+        $image_info = @getimagesizefromstring($mask_data);
+        if (!$image_info || $image_info['mime'] !== 'image/png') {
+            return new WP_Error('invalid_mask', 'The mask must be a PNG image.', ['status' => 400]);
+        }
+
+        return self::save_candidate($mask_data);
+    }
+
+    /**
+     * Gets the URL of a temporary file saved as a candidate or mask.
+     *
+     * @param string $token The token of the temporary file.
+     * @return string|false The URL, or false if the token is invalid or the file is missing.
+     */
+    public static function get_candidate_url($token) {
+        $file_path = self::get_candidate_path($token);
+        if (!$file_path) {
+            return false;
+        }
+
+        $dir = self::get_candidates_dir();
+        return trailingslashit($dir['url']) . basename($file_path);
+    }
+
+    /**
+     * Checks whether a candidate or mask was generated for a user.
+     *
+     * @param string $token The token of the temporary file.
+     * @param int|null $user_id Optional. The user ID, the current user by default.
+     * @return bool True if the user may save or discard it.
+     */
+    public static function is_candidate_owner($token, $user_id = null) {
+        $user_id = $user_id ?? get_current_user_id();
+        $owner = is_string($token) ? get_transient(self::CANDIDATE_OWNER_PREFIX . $token) : false;
+        return $owner !== false && (int) $user_id > 0 && (int) $owner === (int) $user_id;
+    }
+
+    /**
+     * Deletes candidates older than the candidate lifetime.
+     *
+     * @return void
+     */
+    public static function cleanup_candidates() {
+        $dir = self::get_candidates_dir();
+        $files = glob(trailingslashit($dir['path']) . '*');
+        if (empty($files)) {
+            return;
+        }
+
+        foreach ($files as $file) {
+            if (is_file($file) && filemtime($file) < time() - self::CANDIDATE_LIFETIME) {
+                wp_delete_file($file);
+            }
+        }
+    }
+
+    /**
+     * Gets the path and URL of the candidates directory.
+     *
+     * @return array Array with 'path' and 'url' keys.
+     */
+    private static function get_candidates_dir() {
+        $upload_dir = wp_upload_dir();
+        return [
+            'path' => trailingslashit($upload_dir['basedir']) . self::CANDIDATES_DIR,
+            'url'  => trailingslashit($upload_dir['baseurl']) . self::CANDIDATES_DIR,
+        ];
+    }
+
+    /**
+     * Resolves a candidate token to its file path.
+     *
+     * @param string $token The candidate token.
+     * @return string|false The file path, or false if the token is invalid or the file is missing.
+     */
+    private static function get_candidate_path($token) {
+        // Tokens are alphanumeric, anything else could escape the candidates directory
+        if (!is_string($token) || !preg_match('/^[A-Za-z0-9]+$/', $token)) {
+            return false;
+        }
+
+        $dir = self::get_candidates_dir();
+        $files = glob(trailingslashit($dir['path']) . $token . '.*');
+
+        return empty($files) ? false : $files[0];
+    }
+
+    /**
+     * Gets a file extension matching the image data.
+     *
+     * @param string $image_data The raw image data.
+     * @return string The file extension including the leading dot.
+     */
+    private static function get_image_extension($image_data) {
+        $image_info = @getimagesizefromstring($image_data);
+        $mime_type = $image_info ? $image_info['mime'] : '';
+
+        $extensions = [
+            'image/jpeg' => '.jpg',
+            'image/webp' => '.webp',
+            'image/avif' => '.avif',
+            'image/gif'  => '.gif',
+        ];
+
+        return $extensions[$mime_type] ?? '.png';
+    }
+
     /**
      * Converts a data URI to an image file and saves it.
      *
@@ -137,4 +561,8 @@ class WP_AI_Image_Handler {
 
         return $file_url;
     }
-} 
\ No newline at end of file
+} 
+
+// Register the generation metadata and show it in the media library
+add_action('init', ['WP_AI_Image_Handler', 'register_generation_meta']);
+add_filter('attachment_fields_to_edit', ['WP_AI_Image_Handler', 'add_generation_attachment_field'], 10, 2);
@@ -52,14 +52,155 @@ abstract class WP_AI_Image_Provider implements WP_AI_Image_Provider_Interface {
         return false;
     }
     
+    /**
+     * Gets what a model of this provider can do.
+     * By default, models only support text-to-image. Override in child classes to declare more.
+     *
+     * @param string $model The model identifier.
+     * @return array The model capabilities.
+     */
+    public function get_capabilities($model) {
+        return [
+            'text_to_image'       => true,
+            'image_to_image'      => false,
+            'masking'             => false,
+            'multiple_references' => false,
+            'max_references'      => 0,
+            'sizes'               => $this->get_supported_sizes($model),
+        ];
+    }
+
+    /**
+     * Estimates what a generation costs with the provider, in US dollars.
+     * Providers without a price list report no cost. Override in child classes with the provider's prices.
+     *
+     * @param string $model The model identifier.
+     * @param array $params The generation parameters.
+     * @return float The estimated cost.
+     */
+    public function estimate_cost($model, $params) {
+        return 0.0;
+    }
+
+    /**
+     * Checks whether the provider can describe images, see describe_image().
+     * Override in child classes that implement describe_image().
+     *
+     * @return bool True if images can be described.
+     */
+    public function supports_image_description() {
+        return false;
+    }
+
+    /**
+     * Gets the model describe_image() uses, recorded in the usage.
+     *
+     * @return string The model identifier.
+     */
+    public function get_description_model() {
+        return $this->get_current_model();
+    }
+
+    /**
+     * Writes alt text and a caption for an image with a vision model of the provider.
+     *
+     * @param string $image_url The image URL, or a data URI for images the provider cannot download.
+     * @param string $context Optional. What the image is about, e.g. the prompt it was generated with.
+     * @return array|WP_Error Array with `alt` and `caption`, or error.
+     */
+    public function describe_image($image_url, $context = '') {
+        return new WP_Error('description_unsupported', "{$this->get_name()} cannot describe images.");
+    }
+
+    /**
+     * Checks whether the provider can moderate prompts, see moderate_prompt().
+     * Override in child classes that implement moderate_prompt().
+     *
+     * @return bool True if prompts can be moderated.
+     */
+    public function supports_prompt_moderation() {
+        return false;
+    }
+
+    /**
+     * Checks a prompt with the provider's moderation API before generating.
+     *
+     * @param string $prompt The prompt.
+     * @return array|WP_Error Array with `flagged` and the list of flagged `categories`, or error.
+     */
+    public function moderate_prompt($prompt) {
+        return new WP_Error('moderation_unsupported', "{$this->get_name()} cannot moderate prompts.");
+    }
+
     /**
      * Checks if this provider supports image-to-image generation with the current model.
-     * By default, providers don't support image-to-image. Override in child classes if supported.
      *
      * @return bool True if image-to-image is supported, false otherwise.
      */
     public function supports_image_to_image() {
-        return false;
+        $capabilities = $this->get_capabilities($this->get_current_model());
+        return !empty($capabilities['image_to_image']);
+    }
+
+    /**
+     * Gets the aspect ratios a model supports, as declared by its parameter schema.
+     *
+     * @param string $model The model identifier.
+     * @return array List of aspect ratios.
+     */
+    protected function get_supported_sizes($model) {
+        $schema = $this->get_model_parameter_schema($model);
+        return isset($schema['aspect_ratio']['enum']) ? $schema['aspect_ratio']['enum'] : ['1:1'];
+    }
+
+    /**
+     * Gets the schema of the generation parameters the provider accepts.
+     * Providers without configurable parameters return an empty schema.
+     *
+     * @return array The parameter schema.
+     */
+    public function get_parameter_schema() {
+        return [];
+    }
+
+    /**
+     * Gets the parameter schema entries available for a specific model.
+     *
+     * @param string $model The model identifier.
+     * @return array The parameter schema without entries restricted to other models.
+     */
+    public function get_model_parameter_schema($model) {
+        return array_filter($this->get_parameter_schema(), function($definition) use ($model) {
+            return empty($definition['models']) || in_array($model, $definition['models'], true);
+        });
+    }
+
+    /**
+     * Validates and sanitizes user supplied parameters against the model's parameter schema.
+     * Parameters the model does not declare are dropped.
+     *
+     * @param array $parameters The parameters to sanitize.
+     * @param string $model The model identifier.
+     * @return array|WP_Error The sanitized parameters, or WP_Error if a value is invalid.
+     */
+    public function sanitize_parameters($parameters, $model) {
+        $schema = $this->get_model_parameter_schema($model);
+        $sanitized = [];
+
+        foreach ((array) $parameters as $name => $value) {
+            if (!isset($schema[$name]) || $value === '' || $value === null) {
+                continue;
+            }
+
+            $valid = rest_validate_value_from_schema($value, $schema[$name], $name);
+            if (is_wp_error($valid)) {
+                return new WP_Error('invalid_parameter', $valid->get_error_message(), ['status' => 400]);
+            }
+
+            $sanitized[$name] = rest_sanitize_value_from_schema($value, $schema[$name], $name);
+        }
+
+        return $sanitized;
     }
 
     /**
@@ -117,6 +258,10 @@ abstract class WP_AI_Image_Provider implements WP_AI_Image_Provider_Interface {
             return $validation;
         }
 
+        // Candidates are kept out of the media library until the user picks one
+        $save_to_library = $additional_params['save_to_library'] ?? true;
+        unset($additional_params['save_to_library']);
+
         try {
             // Make the API request
             $response = $this->make_api_request($prompt, $additional_params);
@@ -130,33 +275,171 @@ abstract class WP_AI_Image_Provider implements WP_AI_Image_Provider_Interface {
                 return $result;
             }
 
-            // Handle different response formats
-            if (is_array($result) && isset($result['url']) && isset($result['id']) && $result['id'] > 0) {
-                // This is already a fully processed result with proper WP media ID
-                wp_ai_image_gen_debug_log("Using pre-processed result with media ID: " . $result['id']);
-                return $result;
-            } else if (is_array($result) && isset($result['url'])) {
-                // This has a URL but no valid ID, so upload to media library
-                wp_ai_image_gen_debug_log("Uploading array result URL to media library");
-                return WP_AI_Image_Handler::upload_to_media_library($result['url'], $prompt);
-            } else if (is_string($result) && filter_var($result, FILTER_VALIDATE_URL)) {
-                // This is a URL string, upload to media library
-                wp_ai_image_gen_debug_log("Uploading URL to media library: " . $result);
-                return WP_AI_Image_Handler::upload_to_media_library($result, $prompt);
-            } else if (is_string($result) && strlen($result) > 100) {
-                // This is likely raw image data, upload to media library
-                wp_ai_image_gen_debug_log("Uploading raw image data to media library");
-                return WP_AI_Image_Handler::upload_to_media_library($result, $prompt);
+            // Record how the image was generated with whatever ends up in the media library
+            $metadata = $this->get_generation_metadata($prompt, $additional_params);
+
+            // Multiple images are always returned as candidates
+            if (is_array($result) && isset($result[0])) {
+                return $this->store_candidates($result, $metadata);
             }
-            
-            // Fallback for unexpected result format
-            wp_ai_image_gen_debug_log("Invalid result format: " . wp_json_encode($result));
-            return new WP_Error('invalid_result', 'Invalid result format from provider');
+
+            if (!$save_to_library) {
+                return $this->store_candidates([$result], $metadata);
+            }
+
+            return $this->store_result($result, $prompt, $metadata);
         } catch (Exception $e) {
             return new WP_Error('generation_failed', $e->getMessage());
         }
     }
 
+    /**
+     * Starts a generation without waiting for slow providers to finish.
+     * Providers that answer in a single request generate the image right away. Providers with
+     * asynchronous predictions return a 'replicate_pending' or 'processing' WP_Error whose data
+     * holds the `prediction_id` to pass to check_generation.
+     *
+     * @param string $prompt The text prompt for image generation.
+     * @param array $additional_params Additional parameters for image generation.
+     * @return array|WP_Error The generated image data, a pending WP_Error, or error.
+     */
+    public function start_generation($prompt, $additional_params = []) {
+        return $this->generate_image($prompt, $additional_params);
+    }
+
+    /**
+     * Checks a prediction started by start_generation and stores the image once it is ready.
+     * Providers returning a prediction ID read it back from the `prediction_id` parameter in make_api_request.
+     *
+     * @param string $prediction_id The provider's prediction ID.
+     * @param string $prompt The text prompt the prediction was started with.
+     * @param array $additional_params The parameters the prediction was started with.
+     * @return array|WP_Error The generated image data, a pending WP_Error while it runs, or error.
+     */
+    public function check_generation($prediction_id, $prompt, $additional_params = []) {
+        return $this->generate_image($prompt, array_merge($additional_params, ['prediction_id' => $prediction_id]));
+    }
+
+    /**
+     * Cancels a prediction started by start_generation.
+     * Providers without asynchronous predictions have nothing to cancel.
+     *
+     * @param string $prediction_id The provider's prediction ID.
+     * @return true|WP_Error True if the prediction was cancelled, or error.
+     */
+    public function cancel_generation($prediction_id) {
+        return true;
+    }
+
+    /**
+     * Builds the metadata describing how an image was generated, saved on its attachment.
+     *
+     * @param string $prompt The text prompt used for generation.
+     * @param array $additional_params The parameters the image was generated with.
+     * @return array The generation metadata.
+     */
+    protected function get_generation_metadata($prompt, $additional_params) {
+        // Images and request plumbing are recorded separately or not at all
+        $parameters = array_diff_key($additional_params, array_flip([
+            'source_image_url',
+            'additional_image_urls',
+            'mask_url',
+            'prediction_id',
+            'num_outputs',
+            'wait',
+        ]));
+
+        $source_image_url = $additional_params['source_image_url'] ?? '';
+
+        return [
+            'prompt'               => $prompt,
+            'provider'             => $this->get_id(),
+            // The model that ran, get_current_model() can fall back to a default
+            'model'                => $this->model,
+            'parameters'           => $parameters,
+            'source_image_url'     => is_array($source_image_url) ? (string) reset($source_image_url) : (string) $source_image_url,
+            'reference_image_urls' => array_values($additional_params['additional_image_urls'] ?? []),
+            'masked'               => !empty($additional_params['mask_url']),
+            'generated_at'         => gmdate('c'),
+        ];
+    }
+
+    /**
+     * Uploads a single processed result to the media library.
+     *
+     * @param mixed $result The processed result (URL, raw data or pre-processed array).
+     * @param string $prompt The text prompt used for generation.
+     * @param array $metadata Optional. How the image was generated.
+     * @return array|WP_Error The uploaded image data or error.
+     */
+    protected function store_result($result, $prompt, $metadata = []) {
+        // Handle different response formats
+        if (is_array($result) && isset($result['url']) && isset($result['id']) && $result['id'] > 0) {
+            // This is already a fully processed result with proper WP media ID
+            wp_ai_image_gen_debug_log("Using pre-processed result with media ID: " . $result['id']);
+            return $result;
+        } else if (is_array($result) && isset($result['url'])) {
+            // This has a URL but no valid ID, so upload to media library
+            wp_ai_image_gen_debug_log("Uploading array result URL to media library");
+            return WP_AI_Image_Handler::upload_to_media_library($result['url'], $prompt, $metadata);
+        } else if ($this->is_image_result($result)) {
+            // This is a URL string or raw image data, upload to media library
+            wp_ai_image_gen_debug_log("Uploading image result to media library");
+            return WP_AI_Image_Handler::upload_to_media_library($result, $prompt, $metadata);
+        }
+
+        // Fallback for unexpected result format
+        wp_ai_image_gen_debug_log("Invalid result format: " . wp_json_encode($result));
+        return new WP_Error('invalid_result', 'Invalid result format from provider');
+    }
+
+    /**
+     * Stores processed results as temporary candidates for the user to choose from.
+     *
+     * @param array $results List of processed results (URLs or raw data).
+     * @param array $metadata Optional. How the images were generated.
+     * @return array|WP_Error Array with the candidates list, or error if none could be stored.
+     */
+    protected function store_candidates($results, $metadata = []) {
+        $candidates = [];
+        foreach ($results as $result) {
+            if (is_array($result) && isset($result['url'])) {
+                $result = $result['url'];
+            }
+
+            if (!$this->is_image_result($result)) {
+                wp_ai_image_gen_debug_log("Skipping invalid candidate format: " . wp_json_encode($result));
+                continue;
+            }
+
+            $candidate = WP_AI_Image_Handler::save_candidate($result, $metadata);
+            if (is_wp_error($candidate)) {
+                wp_ai_image_gen_debug_log("Failed to save candidate: " . $candidate->get_error_message());
+                continue;
+            }
+            $candidates[] = $candidate;
+        }
+
+        if (empty($candidates)) {
+            return new WP_Error('invalid_result', 'Invalid result format from provider');
+        }
+
+        return [
+            'candidates' => $candidates,
+            'status'     => 'completed',
+        ];
+    }
+
+    /**
+     * Checks whether a processed result is an image URL or raw image data.
+     *
+     * @param mixed $result The processed result.
+     * @return bool True if the result can be stored as an image.
+     */
+    protected function is_image_result($result) {
+        return is_string($result) && (filter_var($result, FILTER_VALIDATE_URL) || strlen($result) > 100);
+    }
+
     /**
      * Makes the API request to generate an image.
      * This method must be implemented by each provider.
@@ -172,7 +455,7 @@ abstract class WP_AI_Image_Provider implements WP_AI_Image_Provider_Interface {
      * This method must be implemented by each provider.
      *
      * @param mixed $response The API response to process.
-     * @return string|WP_Error The image URL/data or error.
+     * @return string|array|WP_Error The image URL/data, a list of them when several images were returned, or error.
      */
     abstract public function process_api_response($response);
 }
@@ -0,0 +1,564 @@
+<?php
+/**
+ * Class that runs image generations as background jobs the editor can poll and cancel.
+ *
+ * @package WP_AI_Image_Gen
+ */
+class WP_AI_Image_Gen_Job_Manager {
+    /**
+     * Holds the singleton instance of this class.
+     * @var WP_AI_Image_Gen_Job_Manager
+     */
+    private static $instance = null;
+
+    /**
+     * The cron hook that runs a queued job.
+     * @var string
+     */
+    public const RUN_JOB_HOOK = 'wp_ai_image_gen_run_job';
+
+    /**
+     * The prefix of the transients jobs are stored in.
+     * @var string
+     */
+    private const TRANSIENT_PREFIX = 'wp_ai_image_gen_job_';
+
+    /**
+     * The prefix of the options locking a job while it is claimed.
+     * @var string
+     */
+    private const LOCK_PREFIX = 'wp_ai_image_gen_job_lock_';
+
+    /**
+     * How long a job is kept, in seconds.
+     * @var int
+     */
+    private const JOB_LIFETIME = DAY_IN_SECONDS;
+
+    /**
+     * How long a job may wait for cron before a status request runs it, in seconds.
+     * @var int
+     */
+    private const CRON_GRACE_PERIOD = 5;
+
+    /**
+     * The minimum time between two checks of a provider prediction, in seconds.
+     * @var int
+     */
+    private const CHECK_INTERVAL = 2;
+
+    /**
+     * How many times a job is attempted before it fails.
+     * @var int
+     */
+    private const MAX_ATTEMPTS = 3;
+
+    /**
+     * How long a job may run before it is reported as timed out, in seconds.
+     * @var int
+     */
+    private const JOB_TIMEOUT = 10 * MINUTE_IN_SECONDS;
+
+    /**
+     * Private constructor to prevent direct instantiation.
+     */
+    private function __construct() {
+        add_action(self::RUN_JOB_HOOK, [$this, 'run_job']);
+    }
+
+    /**
+     * Gets the singleton instance of the job manager.
+     * @return WP_AI_Image_Gen_Job_Manager The singleton instance.
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Creates a job and schedules it to run in the background.
+     * @param string $provider_id The provider ID.
+     * @param string $model The model to use.
+     * @param string $prompt The generation prompt.
+     * @param array $params Additional parameters for the provider.
+     * @param array $temporary_tokens Temporary files, such as masks, removed once the job is finished.
+     * @param string $job_id Optional. The job ID, e.g. one the usage was already reserved with.
+     * @return array The job.
+     */
+    public function create_job($provider_id, $model, $prompt, $params, $temporary_tokens = [], $job_id = '') {
+        $now = time();
+        $job = [
+            'id'               => $job_id !== '' ? $job_id : wp_generate_uuid4(),
+            'user_id'          => get_current_user_id(),
+            'status'           => 'queued',
+            'provider'         => $provider_id,
+            'model'            => $model,
+            'prompt'           => $prompt,
+            'params'           => $params,
+            'temporary_tokens' => array_values($temporary_tokens),
+            'prediction_id'    => null,
+            'attempts'         => 0,
+            'created_at'       => $now,
+            'run_after'        => $now,
+            'started_at'       => null,
+            'checked_at'       => null,
+            'finished_at'      => null,
+            'result'           => null,
+            'error'            => null,
+            'candidates'       => [],
+        ];
+        $this->save_job($job);
+
+        wp_schedule_single_event($now, self::RUN_JOB_HOOK, [$job['id']]);
+        spawn_cron();
+
+        wp_ai_image_gen_debug_log("Queued job {$job['id']} for provider {$provider_id}");
+
+        return $job;
+    }
+
+    /**
+     * Gets a stored job.
+     * @param string $job_id The job ID.
+     * @return array|null The job, or null if it does not exist or expired.
+     */
+    public function get_job($job_id) {
+        $job = get_transient(self::TRANSIENT_PREFIX . $job_id);
+        return is_array($job) ? $job : null;
+    }
+
+    /**
+     * Gets a job and moves it forward if it is waiting on something.
+     * Queued jobs cron did not pick up are run here, and running predictions are checked with the provider.
+     * @param string $job_id The job ID.
+     * @return array|null The job, or null if it does not exist or expired.
+     */
+    public function refresh_job($job_id) {
+        $job = $this->get_job($job_id);
+        if (!$job) {
+            return null;
+        }
+
+        $now = time();
+
+        // Cron may be disabled or slow, so do not leave the editor waiting on it
+        if ($job['status'] === 'queued' && $now >= $job['run_after'] + self::CRON_GRACE_PERIOD) {
+            wp_ai_image_gen_debug_log("Job {$job_id} was not picked up by cron, running it now");
+            wp_clear_scheduled_hook(self::RUN_JOB_HOOK, [$job_id]);
+            $this->run_job($job_id);
+            return $this->get_job($job_id);
+        }
+
+        if ($job['status'] !== 'processing') {
+            return $job;
+        }
+
+        if ($now - $job['started_at'] > self::JOB_TIMEOUT) {
+            $job = $this->fail_job($job, new WP_Error(
+                'generation_timeout',
+                'Image generation took too long and was stopped.',
+                ['status' => 504]
+            ), false);
+            $this->save_job($job);
+            return $job;
+        }
+
+        // Predictions are checked one request at a time, a synchronous request reports when it is done
+        if (!empty($job['prediction_id']) && $now - (int) $job['checked_at'] >= self::CHECK_INTERVAL) {
+            $job['checked_at'] = $now;
+            $this->save_job($job);
+
+            $provider = $this->get_provider_instance($job['provider'], $job['model']);
+            $result = is_wp_error($provider)
+                ? $provider
+                : $provider->check_generation($job['prediction_id'], $job['prompt'], $this->get_round_params($job));
+
+            $job = $this->apply_result($job_id, $result);
+        }
+
+        return $job;
+    }
+
+    /**
+     * Runs a queued job. This is the callback of the cron hook.
+     * @param string $job_id The job ID.
+     */
+    public function run_job($job_id) {
+        $job = $this->get_job($job_id);
+        if (!$job || $job['status'] !== 'queued') {
+            return;
+        }
+
+        // Cron and a status request can both pick up a queued job, only the one getting the lock runs it
+        $attempts = $job['attempts'];
+        $lock = self::LOCK_PREFIX . $job_id . '_' . $attempts;
+        if (!$this->acquire_lock($lock)) {
+            wp_ai_image_gen_debug_log("Job {$job_id} is already being claimed");
+            return;
+        }
+
+        // Another request may have claimed and finished this attempt since the job was read
+        $job = $this->get_job($job_id);
+        if (!$job || $job['status'] !== 'queued' || $job['attempts'] !== $attempts) {
+            delete_option($lock);
+            return;
+        }
+
+        // Claim the job before the slow provider request so it only runs once
+        $job['status'] = 'processing';
+        $job['attempts']++;
+        $job['started_at'] = time();
+        $this->save_job($job);
+
+        // The job is no longer queued, so the lock is not needed to keep others out
+        delete_option($lock);
+
+        // Attachments are created on behalf of the user who asked for the image
+        if ($job['user_id'] && get_current_user_id() !== (int) $job['user_id']) {
+            wp_set_current_user($job['user_id']);
+        }
+
+        wp_ai_image_gen_debug_log("Running job {$job_id}, attempt {$job['attempts']}");
+
+        $provider = $this->get_provider_instance($job['provider'], $job['model']);
+        $result = is_wp_error($provider) ? $provider : $provider->start_generation($job['prompt'], $this->get_round_params($job));
+
+        $this->apply_result($job_id, $result);
+    }
+
+    /**
+     * Cancels a job, including the provider prediction if one is running.
+     * @param string $job_id The job ID.
+     * @return array|null The job, or null if it does not exist or expired.
+     */
+    public function cancel_job($job_id) {
+        $job = $this->get_job($job_id);
+        if (!$job || !in_array($job['status'], ['queued', 'processing'], true)) {
+            return $job;
+        }
+
+        wp_clear_scheduled_hook(self::RUN_JOB_HOOK, [$job_id]);
+
+        if (!empty($job['prediction_id'])) {
+            $provider = $this->get_provider_instance($job['provider'], $job['model']);
+            $cancelled = is_wp_error($provider) ? $provider : $provider->cancel_generation($job['prediction_id']);
+            if (is_wp_error($cancelled)) {
+                // The job is cancelled either way, a late result is discarded when it arrives
+                wp_ai_image_gen_debug_log("Failed to cancel prediction for job {$job_id}: " . $cancelled->get_error_message());
+            }
+        }
+
+        if (!empty($job['candidates'])) {
+            $this->discard_result(['candidates' => $job['candidates']]);
+        }
+
+        $job['status'] = 'cancelled';
+        $job['finished_at'] = time();
+        $this->finish_job($job);
+        $this->save_job($job);
+
+        wp_ai_image_gen_debug_log("Cancelled job {$job_id}");
+
+        return $job;
+    }
+
+    /**
+     * Prepares a job for a REST response, leaving out the prompt, parameters and owner.
+     * @param array $job The job.
+     * @return array The public job data.
+     */
+    public function prepare_job_for_response($job) {
+        $end = $job['finished_at'] ?: time();
+
+        $data = [
+            'id'            => $job['id'],
+            'status'        => $job['status'],
+            'provider'      => $job['provider'],
+            'model'         => $job['model'],
+            'prediction_id' => $job['prediction_id'],
+            'attempts'      => $job['attempts'],
+            'generated'     => count($job['candidates'] ?? []),
+            'elapsed'       => max(0, $end - $job['created_at']),
+        ];
+
+        if ($job['status'] === 'succeeded') {
+            $data['result'] = $job['result'];
+        }
+        if ($job['status'] === 'failed') {
+            $data['error'] = $job['error'];
+        }
+
+        return $data;
+    }
+
+    /**
+     * Applies a provider result to the job, unless the job was cancelled in the meantime.
+     * @param string $job_id The job ID.
+     * @param array|WP_Error $result The provider result.
+     * @return array|null The updated job.
+     */
+    private function apply_result($job_id, $result) {
+        // The provider request can be slow, so read the job again to see if it was cancelled
+        $job = $this->get_job($job_id);
+        if (!$job || $job['status'] !== 'processing') {
+            $this->discard_result($result);
+            return $job;
+        }
+
+        if (is_wp_error($result)) {
+            // Slow providers answer with a prediction to check later
+            if (in_array($result->get_error_code(), ['replicate_pending', 'processing'], true)) {
+                $error_data = $result->get_error_data();
+                if (!empty($error_data['prediction_id'])) {
+                    $job['prediction_id'] = $error_data['prediction_id'];
+                    $job['checked_at'] = time();
+                }
+                $this->save_job($job);
+                return $job;
+            }
+
+            $job = $this->fail_job($job, $result);
+            $this->save_job($job);
+            return $job;
+        }
+
+        // Handle failed status with content filtering error
+        if (isset($result['status']) && $result['status'] === 'failed') {
+            $error_message = isset($result['error']) ? $result['error'] : 'Unknown error occurred';
+            $error = strpos($error_message, 'flagged by safety filters') !== false
+                ? new WP_Error(
+                    'content_filtered',
+                    'The image was flagged by the provider\'s safety filters. Please modify your prompt and try again.',
+                    ['status' => 400]
+                )
+                : new WP_Error('generation_failed', 'Generation failed: ' . $error_message);
+
+            $job = $this->fail_job($job, $error);
+            $this->save_job($job);
+            return $job;
+        }
+
+        if (!empty($result['candidates'])) {
+            wp_ai_image_gen_debug_log("Job {$job_id} generated " . count($result['candidates']) . " candidate(s)");
+            $candidates = array_merge($job['candidates'] ?? [], $result['candidates']);
+            $job = count($candidates) < $this->get_requested_outputs($job)
+                ? $this->queue_next_round($job, $candidates)
+                : $this->succeed_job($job, ['candidates' => $candidates]);
+        } else if (isset($result['url'])) {
+            wp_ai_image_gen_debug_log("Job {$job_id} generated image: " . wp_json_encode($result));
+            $image = ['url' => $result['url']];
+            // Only pass on a valid WordPress attachment ID
+            if (isset($result['id']) && is_numeric($result['id']) && $result['id'] > 0) {
+                $image['id'] = intval($result['id']);
+            }
+            // Alt text and caption written for the image, see the wp_ai_image_gen_image_text filter
+            foreach (['alt', 'caption'] as $field) {
+                if (isset($result[$field])) {
+                    $image[$field] = $result[$field];
+                }
+            }
+            $job = $this->succeed_job($job, $image);
+        } else if (isset($result['status']) && in_array($result['status'], ['processing', 'starting'], true)) {
+            // Still running, check again on the next status request
+            $job['checked_at'] = time();
+        } else {
+            $job = $this->fail_job($job, new WP_Error('invalid_result', 'Invalid response format or incomplete generation'));
+        }
+
+        $this->save_job($job);
+        return $job;
+    }
+
+    /**
+     * Queues the job again to generate the candidates the model did not return.
+     * Not every model supports multiple outputs, the rest are generated in the same job so they count as one request.
+     * @param array $job The job.
+     * @param array $candidates The candidates generated so far.
+     * @return array The updated job.
+     */
+    private function queue_next_round($job, $candidates) {
+        $job['status'] = 'queued';
+        $job['candidates'] = $candidates;
+        $job['prediction_id'] = null;
+        // Each round gets its own attempts
+        $job['attempts'] = 0;
+        $job['run_after'] = time();
+        wp_schedule_single_event($job['run_after'], self::RUN_JOB_HOOK, [$job['id']]);
+        return $job;
+    }
+
+    /**
+     * Gets how many images a job was asked for.
+     * @param array $job The job.
+     * @return int The number of images.
+     */
+    private function get_requested_outputs($job) {
+        return max(1, intval($job['params']['num_outputs'] ?? 1));
+    }
+
+    /**
+     * Gets the parameters for the next provider request of a job, asking only for the candidates still missing.
+     * @param array $job The job.
+     * @return array The provider parameters.
+     */
+    private function get_round_params($job) {
+        $params = $job['params'];
+        if (!empty($job['candidates'])) {
+            $params['num_outputs'] = max(1, $this->get_requested_outputs($job) - count($job['candidates']));
+        }
+        return $params;
+    }
+
+    /**
+     * Marks a job as succeeded.
+     * @param array $job The job.
+     * @param array $result The image or candidates to return to the editor.
+     * @return array The updated job.
+     */
+    private function succeed_job($job, $result) {
+        $job['status'] = 'succeeded';
+        $job['result'] = $result;
+        $job['finished_at'] = time();
+        $this->finish_job($job);
+        return $job;
+    }
+
+    /**
+     * Marks a job as failed, or queues it again if the error is worth another attempt.
+     * @param array $job The job.
+     * @param WP_Error $error The error.
+     * @param bool $allow_retry Whether the job may be attempted again.
+     * @return array The updated job.
+     */
+    private function fail_job($job, $error, $allow_retry = true) {
+        $error = WP_AI_Image_Gen_Errors::normalize($error);
+        $error_data = $error->get_error_data();
+        wp_ai_image_gen_debug_log("Job {$job['id']} attempt {$job['attempts']} failed ({$error_data['category']}): " . $error->get_error_message());
+
+        // Errors such as a rejected API key or prompt would fail the same way again
+        $can_retry = $allow_retry
+            && $job['attempts'] < self::MAX_ATTEMPTS
+            && $error_data['retryable'];
+        if ($can_retry) {
+            // Back off a little more after each attempt, or as long as the provider asked
+            $job['status'] = 'queued';
+            $job['prediction_id'] = null;
+            $job['run_after'] = time() + max(5 * $job['attempts'], (int) $error_data['retry_after']);
+            wp_schedule_single_event($job['run_after'], self::RUN_JOB_HOOK, [$job['id']]);
+            return $job;
+        }
+
+        // A failed round leaves fewer candidates to pick from, the ones generated before are still shown
+        if (!empty($job['candidates'])) {
+            return $this->succeed_job($job, ['candidates' => $job['candidates']]);
+        }
+
+        $job['status'] = 'failed';
+        $job['error'] = [
+            'code'        => $error->get_error_code(),
+            'message'     => $error->get_error_message(),
+            'status'      => $error_data['status'],
+            'category'    => $error_data['category'],
+            'retryable'   => $error_data['retryable'],
+            'retry_after' => $error_data['retry_after'],
+        ];
+        $job['finished_at'] = time();
+        $this->finish_job($job);
+        return $job;
+    }
+
+    /**
+     * Removes the temporary files a finished job no longer needs, and lets others know it is finished.
+     * @param array $job The job.
+     */
+    private function finish_job($job) {
+        // The tokens came from the editor, so only files of the job's user are removed
+        $temporary_tokens = array_filter($job['temporary_tokens'], function($token) use ($job) {
+            return WP_AI_Image_Handler::is_candidate_owner($token, $job['user_id']);
+        });
+        if (!empty($temporary_tokens)) {
+            WP_AI_Image_Handler::discard_candidates($temporary_tokens);
+        }
+
+        /**
+         * Fires when a job succeeded, failed or was cancelled.
+         * @param array $job The finished job.
+         */
+        do_action('wp_ai_image_gen_job_finished', $job);
+    }
+
+    /**
+     * Removes the images of a result nobody is waiting for anymore.
+     * @param array|WP_Error $result The provider result.
+     */
+    private function discard_result($result) {
+        if (!is_array($result)) {
+            return;
+        }
+
+        if (!empty($result['candidates'])) {
+            WP_AI_Image_Handler::discard_candidates(wp_list_pluck($result['candidates'], 'token'));
+        } else if (isset($result['id']) && is_numeric($result['id']) && $result['id'] > 0) {
+            wp_delete_attachment(intval($result['id']), true);
+        }
+    }
+
+    /**
+     * Creates a provider instance with the stored API key and the given model.
+     * @param string $provider_id The provider ID.
+     * @param string $model The model to use.
+     * @return WP_AI_Image_Provider|WP_Error The provider, or error if it does not exist.
+     */
+    private function get_provider_instance($provider_id, $model) {
+        $provider = wp_ai_image_gen_provider_manager()->get_provider($provider_id);
+        if (!$provider) {
+            return new WP_Error('invalid_provider', "Invalid provider: {$provider_id}");
+        }
+
+        // Get API keys from options
+        $api_keys = get_option('wp_ai_image_gen_provider_api_keys', []);
+        $api_key = isset($api_keys[$provider_id]) ? $api_keys[$provider_id] : '';
+
+        return new $provider($api_key, $model);
+    }
+
+    /**
+     * Stores a job.
+     * @param array $job The job.
+     */
+    private function save_job($job) {
+        set_transient(self::TRANSIENT_PREFIX . $job['id'], $job, self::JOB_LIFETIME);
+    }
+
+    /**
+     * Acquires a lock, an option only one request can add. Release it with delete_option().
+     * add_option() updates an existing option instead of failing, so the row is inserted directly.
+     * @param string $lock The option name of the lock.
+     * @return bool True if the lock was acquired, false if another request holds it.
+     */
+    private function acquire_lock($lock) {
+        global $wpdb;
+
+        $inserted = $wpdb->query($wpdb->prepare(
+            "INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+            $lock,
+            time()
+        ));
+        return (bool) $inserted;
+    }
+}
+
+/**
+ * Gets the singleton instance of the job manager.
+ * @return WP_AI_Image_Gen_Job_Manager The job manager instance.
+ */
+function wp_ai_image_gen_job_manager() {
+    return WP_AI_Image_Gen_Job_Manager::get_instance();
+}
+
+// Initialize the job manager so the cron hook is registered
+add_action('init', function() {
+    wp_ai_image_gen_job_manager();
+}, 10);
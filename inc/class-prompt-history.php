@@ -0,0 +1,210 @@
+<?php
+/**
+ * Class that keeps each user's history of generation prompts.
+ *
+ * @package WP_AI_Image_Gen
+ */
+class WP_AI_Image_Gen_Prompt_History {
+    /**
+     * Holds the singleton instance of this class.
+     * @var WP_AI_Image_Gen_Prompt_History
+     */
+    private static $instance = null;
+
+    /**
+     * The user meta key storing the history.
+     * @var string
+     */
+    public const META_KEY = 'wp_ai_image_gen_prompt_history';
+
+    /**
+     * How many entries are kept per user, favorites not included.
+     * @var int
+     */
+    private const MAX_ENTRIES = 100;
+
+    /**
+     * History is only read and written through the singleton.
+     */
+    private function __construct() {
+    }
+
+    /**
+     * Gets the singleton instance of the prompt history.
+     * @return WP_AI_Image_Gen_Prompt_History The singleton instance.
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Gets the history of a user, most recent first.
+     * @param int $user_id The user ID.
+     * @return array The entries.
+     */
+    public function get_entries($user_id) {
+        $entries = get_user_meta($user_id, self::META_KEY, true);
+        return is_array($entries) ? array_values($entries) : [];
+    }
+
+    /**
+     * Adds a generation to the history of a user.
+     * Running the same prompt with the same settings again moves the existing entry to the top instead.
+     * @param int $user_id The user ID.
+     * @param array $data The entry with `prompt`, `provider`, `model`, `parameters`, `preset`, `image_id` and `image_url`.
+     * @return array The added entry.
+     */
+    public function add_entry($user_id, $data) {
+        $entry = [
+            'id'         => wp_generate_uuid4(),
+            'prompt'     => sanitize_textarea_field($data['prompt'] ?? ''),
+            'provider'   => sanitize_key($data['provider'] ?? ''),
+            'model'      => sanitize_text_field($data['model'] ?? ''),
+            'parameters' => $this->sanitize_parameters($data['parameters'] ?? []),
+            'preset'     => sanitize_key($data['preset'] ?? ''),
+            'image_id'   => absint($data['image_id'] ?? 0),
+            'image_url'  => esc_url_raw($data['image_url'] ?? ''),
+            'favorite'   => false,
+            'created_at' => time(),
+        ];
+
+        $entries = [];
+        foreach ($this->get_entries($user_id) as $existing) {
+            if ($this->is_same_request($existing, $entry)) {
+                $entry['id'] = $existing['id'];
+                $entry['favorite'] = !empty($existing['favorite']);
+                continue;
+            }
+            $entries[] = $existing;
+        }
+        array_unshift($entries, $entry);
+
+        $this->save_entries($user_id, $entries);
+        return $entry;
+    }
+
+    /**
+     * Stars or unstars an entry.
+     * @param int $user_id The user ID.
+     * @param string $entry_id The entry ID.
+     * @param bool $favorite Whether the entry is a favorite.
+     * @return array|null The updated entry, or null if it does not exist.
+     */
+    public function set_favorite($user_id, $entry_id, $favorite) {
+        $entries = $this->get_entries($user_id);
+        foreach ($entries as $index => $entry) {
+            if ($entry['id'] === $entry_id) {
+                $entries[$index]['favorite'] = (bool) $favorite;
+                $this->save_entries($user_id, $entries);
+                return $entries[$index];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Deletes an entry.
+     * @param int $user_id The user ID.
+     * @param string $entry_id The entry ID.
+     * @return bool Whether the entry existed.
+     */
+    public function delete_entry($user_id, $entry_id) {
+        $entries = $this->get_entries($user_id);
+        $remaining = array_values(array_filter($entries, function($entry) use ($entry_id) {
+            return $entry['id'] !== $entry_id;
+        }));
+        if (count($remaining) === count($entries)) {
+            return false;
+        }
+
+        $this->save_entries($user_id, $remaining);
+        return true;
+    }
+
+    /**
+     * Prepares an entry for the editor, with a thumbnail of the generated image.
+     * @param array $entry The entry.
+     * @return array The entry for the REST response.
+     */
+    public function prepare_entry_for_response($entry) {
+        $thumbnail_url = '';
+        if (!empty($entry['image_id'])) {
+            // The image may have been deleted from the media library since
+            $thumbnail_url = wp_get_attachment_image_url($entry['image_id'], 'thumbnail') ?: '';
+        } else if (!empty($entry['image_url'])) {
+            $thumbnail_url = $entry['image_url'];
+        }
+
+        return [
+            'id'            => $entry['id'],
+            'prompt'        => $entry['prompt'],
+            'provider'      => $entry['provider'],
+            'model'         => $entry['model'],
+            'parameters'    => (object) $entry['parameters'],
+            'preset'        => $entry['preset'],
+            'thumbnail_url' => $thumbnail_url,
+            'favorite'      => !empty($entry['favorite']),
+            'created_at'    => $entry['created_at'],
+        ];
+    }
+
+    /**
+     * Stores the history of a user, dropping the oldest entries that are not favorites.
+     * @param int $user_id The user ID.
+     * @param array $entries The entries, most recent first.
+     */
+    private function save_entries($user_id, $entries) {
+        $kept = 0;
+        $entries = array_values(array_filter($entries, function($entry) use (&$kept) {
+            return !empty($entry['favorite']) || ++$kept <= self::MAX_ENTRIES;
+        }));
+        update_user_meta($user_id, self::META_KEY, $entries);
+    }
+
+    /**
+     * Checks whether two entries were generated with the same prompt and settings.
+     * @param array $a The first entry.
+     * @param array $b The second entry.
+     * @return bool Whether the requests match.
+     */
+    private function is_same_request($a, $b) {
+        foreach (['prompt', 'provider', 'model', 'preset'] as $field) {
+            if (($a[$field] ?? '') !== ($b[$field] ?? '')) {
+                return false;
+            }
+        }
+        $a_parameters = (array) ($a['parameters'] ?? []);
+        $b_parameters = (array) ($b['parameters'] ?? []);
+        ksort($a_parameters);
+        ksort($b_parameters);
+        return $a_parameters === $b_parameters;
+    }
+
+    /**
+     * Sanitizes the provider parameters of an entry, keeping scalar values only.
+     * @param mixed $parameters The parameters.
+     * @return array The sanitized parameters.
+     */
+    private function sanitize_parameters($parameters) {
+        $sanitized = [];
+        foreach ((array) $parameters as $name => $value) {
+            $name = sanitize_key($name);
+            if ($name === '' || !is_scalar($value)) {
+                continue;
+            }
+            $sanitized[$name] = is_string($value) ? sanitize_text_field($value) : $value;
+        }
+        return $sanitized;
+    }
+}
+
+/**
+ * Gets the singleton instance of the prompt history.
+ * @return WP_AI_Image_Gen_Prompt_History The prompt history instance.
+ */
+function wp_ai_image_gen_prompt_history() {
+    return WP_AI_Image_Gen_Prompt_History::get_instance();
+}
@@ -0,0 +1,366 @@
+<?php
+/**
+ * Class that checks prompts against the site's blocklist and the providers' moderation before generating.
+ *
+ * @package WP_AI_Image_Gen
+ */
+class WP_AI_Image_Gen_Prompt_Safety {
+    /**
+     * Holds the singleton instance of this class.
+     * @var WP_AI_Image_Gen_Prompt_Safety
+     */
+    private static $instance = null;
+
+    /**
+     * The option holding the blocklist, a list of terms and `/regex/` patterns.
+     * @var string
+     */
+    public const BLOCKLIST_OPTION = 'wp_ai_image_gen_prompt_blocklist';
+
+    /**
+     * The option holding what happens to flagged prompts, one of POLICIES.
+     * @var string
+     */
+    public const POLICY_OPTION = 'wp_ai_image_gen_prompt_policy';
+
+    /**
+     * The option holding whether prompts are also sent to a provider's moderation API.
+     * @var string
+     */
+    public const MODERATION_OPTION = 'wp_ai_image_gen_prompt_moderation';
+
+    /**
+     * Flagged prompts are refused, shown as warnings in the editor, or only logged.
+     * @var array
+     */
+    public const POLICIES = ['block', 'warn', 'log'];
+
+    /**
+     * The prefix of the transients caching moderation results, so checking a prompt while typing
+     * and then generating with it sends it to the moderation API once.
+     * @var string
+     */
+    private const MODERATION_CACHE_PREFIX = 'wp_ai_image_gen_moderation_';
+
+    /**
+     * How long moderation results are cached, in seconds.
+     * @var int
+     */
+    private const MODERATION_CACHE_LIFETIME = 10 * MINUTE_IN_SECONDS;
+
+    /**
+     * Private constructor to prevent direct instantiation.
+     */
+    private function __construct() {
+    }
+
+    /**
+     * Gets the singleton instance of the prompt checker.
+     * @return WP_AI_Image_Gen_Prompt_Safety The singleton instance.
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Gets what happens to flagged prompts.
+     * @return string One of POLICIES.
+     */
+    public function get_policy() {
+        $policy = get_option(self::POLICY_OPTION, 'block');
+        return in_array($policy, self::POLICIES, true) ? $policy : 'block';
+    }
+
+    /**
+     * Gets the blocklist.
+     * @return array The terms and `/regex/` patterns.
+     */
+    public function get_blocklist() {
+        return array_values(array_filter((array) get_option(self::BLOCKLIST_OPTION, []), 'is_string'));
+    }
+
+    /**
+     * Checks whether prompts are sent to a moderation API.
+     * @return bool True if moderation is enabled.
+     */
+    public function is_moderation_enabled() {
+        return (bool) get_option(self::MODERATION_OPTION, false);
+    }
+
+    /**
+     * Checks whether prompts are checked at all, so the editor can skip the requests.
+     * @return bool True if there is a blocklist or moderation is enabled.
+     */
+    public function is_enabled() {
+        return !empty($this->get_blocklist()) || $this->is_moderation_enabled();
+    }
+
+    /**
+     * Checks a prompt against the blocklist and, optionally, a moderation API.
+     * @param string $prompt The prompt.
+     * @param string $provider_id Optional. The provider the prompt is for, preferred for moderation.
+     * @param bool $moderate Whether to use the moderation API when it is enabled.
+     * @return array The `policy`, whether the prompt is `flagged`, the blocklist `matches` with the matched `text`
+     *               and its `start` and `length` in characters, and the `categories` flagged by moderation.
+     */
+    public function check_prompt($prompt, $provider_id = '', $moderate = true) {
+        $matches = $this->find_blocklist_matches($prompt);
+
+        $categories = [];
+        if ($moderate && $this->is_moderation_enabled() && trim($prompt) !== '') {
+            $moderation = $this->moderate($prompt, $provider_id);
+            if (is_wp_error($moderation)) {
+                // A moderation API that cannot be reached should not stop everyone from generating
+                wp_ai_image_gen_debug_log("Prompt moderation failed: " . $moderation->get_error_message());
+            } else if (!empty($moderation['flagged'])) {
+                $categories = $moderation['categories'];
+                // Flagged without a category still has to count as flagged
+                if (empty($categories)) {
+                    $categories = ['flagged'];
+                }
+            }
+        }
+
+        return [
+            'policy'     => $this->get_policy(),
+            'flagged'    => !empty($matches) || !empty($categories),
+            'matches'    => $matches,
+            'categories' => $categories,
+        ];
+    }
+
+    /**
+     * Checks a prompt before it is generated. Flagged prompts are logged, and refused under the block policy.
+     * @param string $prompt The prompt.
+     * @param string $provider_id The provider the prompt is for.
+     * @return true|WP_Error True if the prompt may be generated, or error if it is refused.
+     */
+    public function enforce($prompt, $provider_id) {
+        if (!$this->is_enabled()) {
+            return true;
+        }
+
+        $result = $this->check_prompt($prompt, $provider_id);
+        if (!$result['flagged']) {
+            return true;
+        }
+
+        wp_ai_image_gen_debug_log("Prompt flagged ({$result['policy']}): " . wp_json_encode([
+            'terms'      => wp_list_pluck($result['matches'], 'text'),
+            'categories' => $result['categories'],
+        ]));
+
+        /**
+         * Fires when a prompt is flagged by the blocklist or moderation before generating.
+         *
+         * @param array $result The check result, see check_prompt().
+         * @param string $prompt The prompt.
+         * @param int $user_id The user generating.
+         */
+        do_action('wp_ai_image_gen_prompt_flagged', $result, $prompt, get_current_user_id());
+
+        if ($result['policy'] !== 'block') {
+            return true;
+        }
+
+        $terms = array_unique(wp_list_pluck($result['matches'], 'text'));
+        if (!empty($terms)) {
+            $message = 'The prompt contains words that are not allowed on this site: ' . implode(', ', $terms) . '. Change them and try again.';
+        } else {
+            $message = 'The prompt was flagged by the moderation check (' . implode(', ', $result['categories']) . '). Change it and try again.';
+        }
+
+        return new WP_Error('prompt_blocked', $message, [
+            'status'     => 400,
+            'matches'    => $result['matches'],
+            'categories' => $result['categories'],
+        ]);
+    }
+
+    /**
+     * Sanitizes the policy submitted on the settings page.
+     * @param string $input The submitted value.
+     * @return string One of POLICIES.
+     */
+    public function sanitize_policy($input) {
+        return in_array($input, self::POLICIES, true) ? $input : 'block';
+    }
+
+    /**
+     * Sanitizes the blocklist submitted on the settings page, one term or `/regex/` pattern per line.
+     * Invalid patterns are dropped with a settings error.
+     * @param string|array $input The submitted blocklist.
+     * @return array The terms and patterns.
+     */
+    public function sanitize_blocklist($input) {
+        $lines = is_array($input) ? $input : preg_split('/\r\n|\r|\n/', (string) $input);
+
+        $blocklist = [];
+        foreach ($lines as $line) {
+            $line = trim((string) $line);
+            if ($line === '') {
+                continue;
+            }
+            if ($this->is_pattern($line) && !$this->is_valid_regex($this->to_regex($line))) {
+                add_settings_error(
+                    self::BLOCKLIST_OPTION,
+                    'invalid_pattern',
+                    sprintf('The blocklist pattern %s is not a valid regular expression and was removed.', $line)
+                );
+                continue;
+            }
+            $blocklist[] = $line;
+        }
+
+        return array_values(array_unique($blocklist));
+    }
+
+    /**
+     * Sanitizes the moderation setting submitted on the settings page.
+     * @param mixed $input The submitted value.
+     * @return bool Whether moderation is enabled.
+     */
+    public function sanitize_moderation($input) {
+        return !empty($input);
+    }
+
+    /**
+     * Finds the parts of a prompt matching the blocklist.
+     * @param string $prompt The prompt.
+     * @return array The matches with `text`, `start` and `length`, in characters, ordered by position.
+     */
+    private function find_blocklist_matches($prompt) {
+        $matches = [];
+        foreach ($this->get_blocklist() as $entry) {
+            // Patterns are validated when the blocklist is saved, matching can still fail e.g. on the backtrack limit
+            $count = preg_match_all($this->to_regex($entry), $prompt, $found, PREG_OFFSET_CAPTURE);
+            if ($count === false) {
+                wp_ai_image_gen_debug_log("Failed to match the blocklist entry {$entry}, PCRE error " . preg_last_error());
+                continue;
+            }
+            if ($count === 0) {
+                continue;
+            }
+            foreach ($found[0] as $match) {
+                if ($match[0] === '') {
+                    continue;
+                }
+                // The editor counts characters, the offsets of preg_match_all are in bytes
+                $matches[] = [
+                    'text'   => $match[0],
+                    'start'  => mb_strlen(substr($prompt, 0, $match[1]), 'UTF-8'),
+                    'length' => mb_strlen($match[0], 'UTF-8'),
+                ];
+            }
+        }
+
+        usort($matches, function($a, $b) {
+            return $a['start'] - $b['start'];
+        });
+
+        return $matches;
+    }
+
+    /**
+     * Checks whether a blocklist entry is a `/regex/` pattern rather than a term.
+     * @param string $entry The blocklist entry.
+     * @return bool True if the entry is a pattern.
+     */
+    private function is_pattern($entry) {
+        return (bool) preg_match('#^/.+/[imsxu]*$#s', $entry);
+    }
+
+    /**
+     * Checks whether a regular expression compiles, without the warning preg_match() raises when it does not.
+     * @param string $regex The regular expression.
+     * @return bool True if the regular expression is valid.
+     */
+    private function is_valid_regex($regex) {
+        set_error_handler(function() {
+            return true;
+        });
+        $is_valid = preg_match($regex, '') !== false;
+        restore_error_handler();
+
+        return $is_valid;
+    }
+
+    /**
+     * Turns a blocklist entry into a regular expression.
+     * Terms match whole words in any case, patterns are used as they are, always in UTF-8 mode.
+     * @param string $entry The blocklist entry.
+     * @return string The regular expression.
+     */
+    private function to_regex($entry) {
+        if ($this->is_pattern($entry)) {
+            $flags = substr($entry, strrpos($entry, '/') + 1);
+            return strpos($flags, 'u') === false ? $entry . 'u' : $entry;
+        }
+        return '/(?<![\p{L}\p{N}])' . preg_quote($entry, '/') . '(?![\p{L}\p{N}])/iu';
+    }
+
+    /**
+     * Sends a prompt to a moderation API, caching the result.
+     * @param string $prompt The prompt.
+     * @param string $provider_id The provider the prompt is for, used when it can moderate.
+     * @return array|WP_Error Array with `flagged` and the flagged `categories`, or error.
+     */
+    private function moderate($prompt, $provider_id) {
+        $provider = $this->get_moderation_provider($provider_id);
+        if (is_wp_error($provider)) {
+            return $provider;
+        }
+
+        $cache_key = self::MODERATION_CACHE_PREFIX . md5($provider->get_id() . '|' . $prompt);
+        $cached = get_transient($cache_key);
+        if (is_array($cached)) {
+            return $cached;
+        }
+
+        $result = $provider->moderate_prompt($prompt);
+        if (!is_wp_error($result)) {
+            set_transient($cache_key, $result, self::MODERATION_CACHE_LIFETIME);
+        }
+        return $result;
+    }
+
+    /**
+     * Gets the provider moderating prompts, the one generating if it can, or else the first configured one that can.
+     * @param string $provider_id The provider the prompt is for.
+     * @return WP_AI_Image_Provider|WP_Error The provider, or error if none can moderate prompts.
+     */
+    private function get_moderation_provider($provider_id) {
+        $api_keys = get_option('wp_ai_image_gen_provider_api_keys', []);
+        $providers = wp_ai_image_gen_provider_manager()->get_providers();
+
+        if (isset($providers[$provider_id])) {
+            $providers = [$provider_id => $providers[$provider_id]] + $providers;
+        }
+
+        foreach ($providers as $id => $registered_provider) {
+            if (empty($api_keys[$id]) || !method_exists($registered_provider, 'supports_prompt_moderation')) {
+                continue;
+            }
+            $provider = new $registered_provider($api_keys[$id], '');
+            if ($provider->supports_prompt_moderation()) {
+                return $provider;
+            }
+        }
+
+        return new WP_Error(
+            'moderation_unsupported',
+            'None of the configured providers can moderate prompts. Add an OpenAI API key in Settings > AI Image Gen.'
+        );
+    }
+}
+
+/**
+ * Gets the singleton instance of the prompt checker.
+ * @return WP_AI_Image_Gen_Prompt_Safety The prompt checker instance.
+ */
+function wp_ai_image_gen_prompt_safety() {
+    return WP_AI_Image_Gen_Prompt_Safety::get_instance();
+}
@@ -25,10 +25,10 @@ class WP_AI_Image_Provider_Manager {
      * Private constructor to prevent direct instantiation.
      */
     private function __construct() {
-        // Only load providers if they haven't been loaded yet
+        // Only load providers if they haven't been loaded yet, marked first since other plugins register theirs meanwhile
         if (!self::$providers_loaded) {
-            $this->load_providers();
             self::$providers_loaded = true;
+            $this->load_providers();
         }
     }
 
@@ -55,7 +55,7 @@ class WP_AI_Image_Provider_Manager {
         
         if (empty($provider_files)) {
             wp_ai_image_gen_debug_log("No provider files found in directory");
-            return;
+            $provider_files = [];
         }
 
         foreach ($provider_files as $provider_file) {
@@ -65,6 +65,11 @@ class WP_AI_Image_Provider_Manager {
             // Convert filename like 'class-image-provider-replicate.php' to 'WP_AI_Image_Provider_Replicate'
             $class_name = str_replace(['class-', '-'], ['WP_AI_', '_'], basename($provider_file, '.php'));
             
+            // Providers can be limited to some sites, like the local mock provider to development sites
+            if (class_exists($class_name) && is_callable([$class_name, 'is_enabled']) && !$class_name::is_enabled()) {
+                continue;
+            }
+
             if (class_exists($class_name)) {
                 // Create a new instance with default empty values
                 $provider_instance = new $class_name('', '');
@@ -73,6 +78,28 @@ class WP_AI_Image_Provider_Manager {
                 }
             }
         }
+
+        /**
+         * Fires once the built-in providers are loaded, so other plugins can add theirs with register_provider().
+         * Their editor controls are added with wpAiImageGen.registerProviderControls() in JavaScript.
+         *
+         * @param WP_AI_Image_Provider_Manager $manager The provider manager.
+         */
+        do_action('wp_ai_image_gen_register_providers', $this);
+    }
+
+    /**
+     * Registers a provider, usually on the wp_ai_image_gen_register_providers action.
+     * A provider with the ID of a registered one replaces it.
+     * @param WP_AI_Image_Provider_Interface $provider The provider instance, created with an empty API key and model.
+     * @return bool True if the provider was registered, false if it does not implement the provider interface.
+     */
+    public function register_provider($provider) {
+        if (!$provider instanceof WP_AI_Image_Provider_Interface) {
+            return false;
+        }
+        self::$providers[$provider->get_id()] = $provider;
+        return true;
     }
 
     /**
@@ -105,44 +132,128 @@ class WP_AI_Image_Provider_Manager {
     }
     
     /**
-     * Checks if a provider supports image-to-image generation with its current model.
+     * Gets the model a provider generates with, the requested one or else the provider's default.
+     * @param string $provider_id The provider ID.
+     * @param string $requested_model Optional model requested for this generation.
+     * @return string|WP_Error The model or error.
+     */
+    public function get_provider_model($provider_id, $requested_model = '') {
+        // Use the requested model if the provider offers it
+        if (!empty($requested_model)) {
+            $provider = $this->get_provider($provider_id);
+            if (!$provider || !array_key_exists($requested_model, $provider->get_available_models())) {
+                return new WP_Error('invalid_model', "Model {$requested_model} is not available for provider: {$provider_id}", ['status' => 400]);
+            }
+            return $requested_model;
+        }
+
+        // For Replicate, get the model based on quality setting
+        if ($provider_id === 'replicate') {
+            $quality_settings = get_option('wp_ai_image_gen_quality_settings', []);
+            $quality = isset($quality_settings['quality']) ? $quality_settings['quality'] : 'medium';
+            
+            $provider = $this->get_provider($provider_id);
+            if ($provider) {
+                $model = $provider->get_model_from_quality_setting($quality);
+                wp_ai_image_gen_debug_log("Selected Replicate model based on quality {$quality}: {$model}");
+                return $model;
+            }
+        }
+
+        // For other providers, use the stored model or default
+        $provider_models = get_option('wp_ai_image_gen_provider_models', []);
+        $default_models = [
+            'openai' => 'gpt-image-1',
+        ];
+
+        if (!empty($provider_models[$provider_id])) {
+            return $provider_models[$provider_id];
+        }
+
+        if (!empty($default_models[$provider_id])) {
+            $model = $default_models[$provider_id];
+            $provider_models[$provider_id] = $model;
+            update_option('wp_ai_image_gen_provider_models', $provider_models);
+            wp_ai_image_gen_debug_log("Assigned default model for {$provider_id}: {$model}");
+            return $model;
+        }
+
+        // Providers without a stored model use their first one
+        $provider = $this->get_provider($provider_id);
+        $available_models = $provider ? array_keys($provider->get_available_models()) : [];
+        if (!empty($available_models)) {
+            return $available_models[0];
+        }
+
+        return new WP_Error('model_not_set', "No model set for provider: {$provider_id}", ['status' => 400]);
+    }
+
+    /**
+     * Checks if a provider supports image-to-image generation.
      * @param string $provider_id The ID of the provider to check.
+     * @param string|null $model The model to check, or null to check the provider's current model.
      * @return bool True if the provider supports image-to-image, false otherwise.
      */
-    public function provider_supports_image_to_image($provider_id) {
+    public function provider_supports_image_to_image($provider_id, $model = null) {
         $provider = $this->get_provider($provider_id);
         if (!$provider) {
             return false;
         }
         
-        // Get provider's current model
-        $provider_models = get_option('wp_ai_image_gen_provider_models', []);
         $api_keys = get_option('wp_ai_image_gen_provider_api_keys', []);
         
-        // Check if we have a valid API key and model set
+        // Check if we have a valid API key set
         if (!isset($api_keys[$provider_id]) || empty($api_keys[$provider_id])) {
             return false;
         }
-        
-        $model = isset($provider_models[$provider_id]) ? $provider_models[$provider_id] : '';
-        
-        // Create a new instance with the current API key and model
-        $provider_class = get_class($provider);
-        $provider_instance = new $provider_class($api_keys[$provider_id], $model);
-        
-        return $provider_instance->supports_image_to_image();
+
+        // Without a model, check the one a generation would use
+        if (null === $model) {
+            $model = $this->get_provider_model($provider_id);
+            if (is_wp_error($model)) {
+                return false;
+            }
+        }
+
+        $capabilities = $provider->get_capabilities($model);
+        return !empty($capabilities['image_to_image']);
     }
     
     /**
-     * Gets a list of all providers that support image-to-image generation.
+     * Gets the capabilities of every model of the providers that have an API key set.
+     * @return array Capabilities keyed by provider ID, then by model ID.
+     */
+    public function get_capability_map() {
+        $api_keys = get_option('wp_ai_image_gen_provider_api_keys', []);
+        $capability_map = [];
+
+        foreach (self::$providers as $provider_id => $provider) {
+            if (empty($api_keys[$provider_id])) {
+                continue;
+            }
+
+            $capability_map[$provider_id] = [];
+            foreach (array_keys($provider->get_available_models()) as $model) {
+                $capability_map[$provider_id][$model] = $provider->get_capabilities($model);
+            }
+        }
+
+        return $capability_map;
+    }
+
+    /**
+     * Gets a list of all providers with a model that supports image-to-image generation, like the capability map.
      * @return array Array of provider IDs that support image-to-image.
      */
     public function get_image_to_image_providers() {
         $image_to_image_providers = [];
         
         foreach (self::$providers as $provider_id => $provider) {
-            if ($this->provider_supports_image_to_image($provider_id)) {
-                $image_to_image_providers[] = $provider_id;
+            foreach (array_keys($provider->get_available_models()) as $model) {
+                if ($this->provider_supports_image_to_image($provider_id, $model)) {
+                    $image_to_image_providers[] = $provider_id;
+                    break;
+                }
             }
         }
         
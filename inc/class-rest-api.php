@@ -21,6 +21,18 @@ final class WP_AI_Image_Gen_REST_Controller {
      */
     private const API_NAMESPACE = 'wp-ai-image-gen/v1';
 
+    /**
+     * The maximum number of variations that can be requested at once.
+     * @var int
+     */
+    private const MAX_VARIATIONS = 4;
+
+    /**
+     * The user meta key storing the provider and model the user last generated with.
+     * @var string
+     */
+    private const LAST_SELECTION_META_KEY = 'wp_ai_image_gen_last_selection';
+
     /**
      * Initialize the REST API functionality.
      */
@@ -57,6 +69,48 @@ final class WP_AI_Image_Gen_REST_Controller {
             'permission_callback' => [$this, 'check_permission'],
         ]);
 
+        // Register the endpoint that saves a chosen candidate to the media library
+        register_rest_route(self::API_NAMESPACE, '/save-candidate', [
+            'methods'             => 'POST',
+            'callback'            => [$this, 'handle_save_candidate_request'],
+            'permission_callback' => [$this, 'check_upload_permission'],
+        ]);
+
+        // Register the endpoint that saves an image processed in the editor to the media library
+        register_rest_route(self::API_NAMESPACE, '/upload-image', [
+            'methods'             => 'POST',
+            'callback'            => [$this, 'handle_processed_upload_request'],
+            'permission_callback' => [$this, 'check_upload_permission'],
+        ]);
+
+        // Register the endpoint that discards candidates which were not chosen
+        register_rest_route(self::API_NAMESPACE, '/discard-candidates', [
+            'methods'             => 'POST',
+            'callback'            => [$this, 'handle_discard_candidates_request'],
+            'permission_callback' => [$this, 'check_permission'],
+        ]);
+
+        // Register the endpoint that stores an inpainting mask for the next edit request
+        register_rest_route(self::API_NAMESPACE, '/masks', [
+            'methods'             => 'POST',
+            'callback'            => [$this, 'handle_mask_upload_request'],
+            'permission_callback' => [$this, 'check_permission'],
+        ]);
+
+        // Register the endpoint reporting and cancelling generation jobs
+        register_rest_route(self::API_NAMESPACE, '/jobs/(?P<id>[a-f0-9-]{36})', [
+            [
+                'methods'             => 'GET',
+                'callback'            => [$this, 'handle_job_status_request'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+            [
+                'methods'             => 'DELETE',
+                'callback'            => [$this, 'handle_job_cancel_request'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+        ]);
+
         // Register the providers endpoint
         register_rest_route(self::API_NAMESPACE, '/providers', [
             'methods'             => 'GET',
@@ -64,6 +118,111 @@ final class WP_AI_Image_Gen_REST_Controller {
             'permission_callback' => [$this, 'check_permission'],
         ]);
         
+        // Register the endpoint describing the parameters a provider model accepts
+        register_rest_route(self::API_NAMESPACE, '/parameters', [
+            'methods'             => 'GET',
+            'callback'            => [$this, 'get_parameter_schema'],
+            'permission_callback' => [$this, 'check_permission'],
+            'args'                => [
+                'provider' => [
+                    'type'     => 'string',
+                    'required' => true,
+                ],
+                'model' => [
+                    'type' => 'string',
+                ],
+            ],
+        ]);
+        
+        // Register the endpoint listing the style presets and the default one for a post type
+        register_rest_route(self::API_NAMESPACE, '/presets', [
+            'methods'             => 'GET',
+            'callback'            => [$this, 'get_style_presets'],
+            'permission_callback' => [$this, 'check_permission'],
+            'args'                => [
+                'post_type' => [
+                    'type' => 'string',
+                ],
+            ],
+        ]);
+
+        // Register the endpoints listing and adding to the user's prompt history
+        register_rest_route(self::API_NAMESPACE, '/prompt-history', [
+            [
+                'methods'             => 'GET',
+                'callback'            => [$this, 'get_prompt_history'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+            [
+                'methods'             => 'POST',
+                'callback'            => [$this, 'add_prompt_history_entry'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'prompt' => [
+                        'type'     => 'string',
+                        'required' => true,
+                    ],
+                    'parameters' => [
+                        'type' => 'object',
+                    ],
+                    'image_id' => [
+                        'type' => 'integer',
+                    ],
+                ],
+            ],
+        ]);
+
+        // Register the endpoints starring and deleting a prompt history entry
+        register_rest_route(self::API_NAMESPACE, '/prompt-history/(?P<id>[a-f0-9-]{36})', [
+            [
+                'methods'             => 'POST',
+                'callback'            => [$this, 'update_prompt_history_entry'],
+                'permission_callback' => [$this, 'check_permission'],
+                'args'                => [
+                    'favorite' => [
+                        'type'     => 'boolean',
+                        'required' => true,
+                    ],
+                ],
+            ],
+            [
+                'methods'             => 'DELETE',
+                'callback'            => [$this, 'delete_prompt_history_entry'],
+                'permission_callback' => [$this, 'check_permission'],
+            ],
+        ]);
+
+        // Register the endpoint checking a prompt against the blocklist while it is typed, moderation only when asked for
+        register_rest_route(self::API_NAMESPACE, '/check-prompt', [
+            'methods'             => 'POST',
+            'callback'            => [$this, 'check_prompt'],
+            'permission_callback' => [$this, 'check_permission'],
+            'args'                => [
+                'prompt'   => ['type' => 'string', 'required' => true],
+                'provider' => ['type' => 'string', 'default' => ''],
+                'moderate' => ['type' => 'boolean', 'default' => false],
+            ],
+        ]);
+
+        // Register the endpoint reporting the user's remaining quota
+        register_rest_route(self::API_NAMESPACE, '/usage', [
+            'methods'             => 'GET',
+            'callback'            => [$this, 'get_usage'],
+            'permission_callback' => [$this, 'check_permission'],
+        ]);
+
+        // Register the endpoint writing alt text and a caption for an image
+        register_rest_route(self::API_NAMESPACE, '/describe-image', [
+            'methods'             => 'POST',
+            'callback'            => [$this, 'describe_image'],
+            'permission_callback' => [$this, 'check_permission'],
+            'args'                => [
+                'id'      => ['type' => 'integer', 'default' => 0],
+                'url'     => ['type' => 'string', 'default' => ''],
+                'context' => ['type' => 'string', 'default' => ''],
+            ],
+        ]);
+
         // Register the image-to-image providers endpoint
         register_rest_route(self::API_NAMESPACE, '/image-to-image-providers', [
             'methods'             => 'GET',
@@ -80,78 +239,314 @@ final class WP_AI_Image_Gen_REST_Controller {
         return current_user_can('edit_posts');
     }
 
+    /**
+     * Checks if the current user has permission to add images to the media library.
+     * @return bool Whether the user has permission.
+     */
+    public function check_upload_permission() {
+        return current_user_can('edit_posts') && current_user_can('upload_files');
+    }
+
     /**
      * Handles the request to generate an image.
+     * The image is generated in the background, the response is the queued job to poll at /jobs/{id}.
      * @param WP_REST_Request $request The request object.
-     * @return WP_REST_Response|WP_Error The response or error.
+     * @return WP_REST_Response|WP_Error The queued job or error.
      */
     public function handle_generate_request($request) {
         // Get request parameters
         $prompt = $request->get_param('prompt');
         $provider_id = $request->get_param('provider');
+
+        // Reject unknown providers before a job is queued for them
+        if (!wp_ai_image_gen_provider_manager()->get_provider($provider_id)) {
+            return new WP_Error('invalid_provider', "Invalid provider: {$provider_id}", ['status' => 400]);
+        }
         
-        // Get provider model
-        $model = $this->get_provider_model($provider_id);
+        // Check the prompt as it was typed before anything is queued, presets are the site's own words
+        $safety_check = wp_ai_image_gen_prompt_safety()->enforce((string) $prompt, $provider_id);
+        if (is_wp_error($safety_check)) {
+            return $safety_check;
+        }
+
+        // Get provider model, honoring the model picked in the editor if there is one
+        $model = wp_ai_image_gen_provider_manager()->get_provider_model($provider_id, $request->get_param('model'));
         if (is_wp_error($model)) {
             return $model;
         }
 
         // Get additional parameters with defaults
-        $additional_params = $this->get_additional_params($request);
+        $additional_params = $this->get_additional_params($request, $model);
+
+        // Apply the provider specific parameters chosen in the editor
+        $parameters = $this->get_provider_parameters($request, $provider_id, $model);
+        if (is_wp_error($parameters)) {
+            return $parameters;
+        }
+        $additional_params = array_merge($additional_params, $parameters);
+
+        // Apply the style preset picked in the editor
+        $preset_id = $request->get_param('preset');
+        if (!empty($preset_id)) {
+            $preset = wp_ai_image_gen_style_presets()->get_preset($preset_id);
+            if (!$preset) {
+                return new WP_Error('invalid_preset', "Invalid style preset: {$preset_id}", ['status' => 400]);
+            }
+            list($prompt, $additional_params) = wp_ai_image_gen_style_presets()->apply_preset(
+                $preset,
+                $prompt,
+                $additional_params,
+                $parameters,
+                wp_ai_image_gen_provider_manager()->get_provider($provider_id),
+                $model
+            );
+        }
+
+        // Make sure the model accepts as many input images as were sent
+        $reference_check = $this->check_reference_limit($provider_id, $model, $additional_params);
+        if (is_wp_error($reference_check)) {
+            return $reference_check;
+        }
+
+        // Masks are removed with the job, so only the user who drew one may use it
+        $mask_token = $request->get_param('mask_token');
+        if (!empty($mask_token) && !WP_AI_Image_Handler::is_candidate_owner($mask_token)) {
+            return $this->get_candidate_not_found_error();
+        }
+
+        // Record the request for the usage report and enforce the quotas and rate limits of the user's role,
+        // variations count as several images
+        $job_id = wp_generate_uuid4();
+        $image_count = max(1, intval($additional_params['num_outputs'] ?? 1));
+        $provider = wp_ai_image_gen_provider_manager()->get_provider($provider_id);
+        $usage_check = wp_ai_image_gen_usage()->reserve_request(
+            get_current_user_id(),
+            $job_id,
+            $provider_id,
+            $model,
+            $additional_params,
+            $image_count,
+            $provider->estimate_cost($model, $additional_params)
+        );
+        if (is_wp_error($usage_check)) {
+            return $usage_check;
+        }
 
         // Log request details
         $this->log_request_details($prompt, $provider_id, $model, $additional_params);
 
-        // Handle retries for image generation
-        return $this->handle_generation_with_retries($provider_id, $prompt, $model, $additional_params);
+        // Generate in the background, masks are only needed until the job is finished
+        $job = wp_ai_image_gen_job_manager()->create_job(
+            $provider_id,
+            $model,
+            $prompt,
+            $additional_params,
+            !empty($mask_token) ? [$mask_token] : [],
+            $job_id
+        );
+
+        // Remember the choice so the editor can preselect it next time, refused requests leave it alone
+        $this->save_last_selection($provider_id, $model);
+
+        return new WP_REST_Response(wp_ai_image_gen_job_manager()->prepare_job_for_response($job), 202);
     }
 
     /**
-     * Gets the model for a specific provider.
-     * @param string $provider_id The provider ID.
-     * @return string|WP_Error The model or error.
-     */
-    private function get_provider_model($provider_id) {
-        // For Replicate, get the model based on quality setting
-        if ($provider_id === 'replicate') {
-            $quality_settings = get_option('wp_ai_image_gen_quality_settings', []);
-            $quality = isset($quality_settings['quality']) ? $quality_settings['quality'] : 'medium';
-            
-            $provider = wp_ai_image_gen_provider_manager()->get_provider($provider_id);
-            if ($provider) {
-                $model = $provider->get_model_from_quality_setting($quality);
-                wp_ai_image_gen_debug_log("Selected Replicate model based on quality {$quality}: {$model}");
-                return $model;
-            }
+     * Handles the request for the status of a generation job.
+     * Polling also moves the job forward, see WP_AI_Image_Gen_Job_Manager::refresh_job().
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response|WP_Error The job status or error.
+     */
+    public function handle_job_status_request($request) {
+        $job = $this->get_own_job($request['id']);
+        if (is_wp_error($job)) {
+            return $job;
         }
 
-        // For other providers, use the stored model or default
-        $provider_models = get_option('wp_ai_image_gen_provider_models', []);
-        $default_models = [
-            'openai' => 'dall-e-3',
-        ];
+        $job = wp_ai_image_gen_job_manager()->refresh_job($job['id']);
+        return new WP_REST_Response(wp_ai_image_gen_job_manager()->prepare_job_for_response($job), 200);
+    }
 
-        if (!empty($provider_models[$provider_id])) {
-            return $provider_models[$provider_id];
+    /**
+     * Handles the request to cancel a generation job.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response|WP_Error The cancelled job or error.
+     */
+    public function handle_job_cancel_request($request) {
+        $job = $this->get_own_job($request['id']);
+        if (is_wp_error($job)) {
+            return $job;
         }
 
-        if (!empty($default_models[$provider_id])) {
-            $model = $default_models[$provider_id];
-            $provider_models[$provider_id] = $model;
-            update_option('wp_ai_image_gen_provider_models', $provider_models);
-            wp_ai_image_gen_debug_log("Assigned default model for {$provider_id}: {$model}");
-            return $model;
+        $job = wp_ai_image_gen_job_manager()->cancel_job($job['id']);
+        return new WP_REST_Response(wp_ai_image_gen_job_manager()->prepare_job_for_response($job), 200);
+    }
+
+    /**
+     * Gets a job started by the current user.
+     * @param string $job_id The job ID.
+     * @return array|WP_Error The job, or error if it does not exist or belongs to someone else.
+     */
+    private function get_own_job($job_id) {
+        $job = wp_ai_image_gen_job_manager()->get_job($job_id);
+        if (!$job || (int) $job['user_id'] !== get_current_user_id()) {
+            return new WP_Error('job_not_found', 'Generation job not found', ['status' => 404]);
+        }
+        return $job;
+    }
+
+    /**
+     * Handles the upload of an inpainting mask painted in the editor.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response|WP_Error The response containing the mask token or error.
+     */
+    public function handle_mask_upload_request($request) {
+        $files = $request->get_file_params();
+        if (empty($files['mask']['tmp_name']) || !is_uploaded_file($files['mask']['tmp_name'])) {
+            return new WP_Error('invalid_mask', 'No mask was uploaded.', ['status' => 400]);
+        }
+
+        $result = WP_AI_Image_Handler::save_mask(file_get_contents($files['mask']['tmp_name']));
+        if (is_wp_error($result)) {
+            return $result;
         }
 
-        return new WP_Error('model_not_set', "No model set for provider: {$provider_id}", ['status' => 400]);
+        return new WP_REST_Response($result, 200);
+    }
+
+    /**
+     * Handles the upload of an image cropped, resized or converted in the editor.
+     * @param WP_REST_Request $request The request object, with the `image` file, `prompt` and optional candidate `token`.
+     * @return WP_REST_Response|WP_Error The response or error.
+     */
+    public function handle_processed_upload_request($request) {
+        $token = sanitize_text_field((string) $request->get_param('token'));
+        if ($token !== '' && !WP_AI_Image_Handler::is_candidate_owner($token)) {
+            return $this->get_candidate_not_found_error();
+        }
+
+        $files = $request->get_file_params();
+        if (empty($files['image']['tmp_name']) || !is_uploaded_file($files['image']['tmp_name'])) {
+            return new WP_Error('invalid_input', 'No image was uploaded.', ['status' => 400]);
+        }
+        if (filesize($files['image']['tmp_name']) > wp_max_upload_size()) {
+            return new WP_Error('file_too_large', 'The image is larger than the maximum upload size.', ['status' => 400]);
+        }
+
+        $result = WP_AI_Image_Handler::save_processed_image(
+            file_get_contents($files['image']['tmp_name']),
+            sanitize_textarea_field((string) $request->get_param('prompt')),
+            $token
+        );
+        if (is_wp_error($result)) {
+            return $result;
+        }
+
+        return new WP_REST_Response([
+            'url'     => $result['url'],
+            'id'      => intval($result['id']),
+            'alt'     => $result['alt'],
+            'caption' => $result['caption'],
+            'status'  => 'completed'
+        ], 200);
+    }
+
+    /**
+     * Handles the request to save a chosen candidate to the media library.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response|WP_Error The response or error.
+     */
+    public function handle_save_candidate_request($request) {
+        $token = sanitize_text_field((string) $request->get_param('token'));
+        $prompt = sanitize_textarea_field((string) $request->get_param('prompt'));
+        if (!WP_AI_Image_Handler::is_candidate_owner($token)) {
+            return $this->get_candidate_not_found_error();
+        }
+
+        $result = WP_AI_Image_Handler::save_candidate_to_media_library($token, $prompt);
+        if (is_wp_error($result)) {
+            return $result;
+        }
+
+        // Remove the candidates that were not chosen
+        $discard = $request->get_param('discard');
+        if (!empty($discard) && is_array($discard)) {
+            WP_AI_Image_Handler::discard_candidates(array_filter($discard, [WP_AI_Image_Handler::class, 'is_candidate_owner']));
+        }
+
+        return new WP_REST_Response([
+            'url'     => $result['url'],
+            'id'      => intval($result['id']),
+            'alt'     => $result['alt'],
+            'caption' => $result['caption'],
+            'status'  => 'completed'
+        ], 200);
+    }
+
+    /**
+     * Handles the request to discard candidates that were not chosen.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response The response.
+     */
+    public function handle_discard_candidates_request($request) {
+        $tokens = $request->get_param('tokens');
+        // Candidates of other users are left alone
+        $deleted = is_array($tokens)
+            ? WP_AI_Image_Handler::discard_candidates(array_filter($tokens, [WP_AI_Image_Handler::class, 'is_candidate_owner']))
+            : 0;
+
+        return new WP_REST_Response(['deleted' => $deleted], 200);
+    }
+
+    /**
+     * Gets the error for a candidate that does not exist anymore or belongs to another user.
+     * Both look the same, so tokens of other users cannot be probed.
+     * @return WP_Error The error.
+     */
+    private function get_candidate_not_found_error() {
+        return new WP_Error('candidate_not_found', 'The selected image is no longer available. Please generate it again.', ['status' => 404]);
+    }
+
+    /**
+     * Gets the provider specific parameters from the request, validated against the model's schema.
+     * @param WP_REST_Request $request The request object.
+     * @param string $provider_id The provider ID.
+     * @param string $model The model used for generation.
+     * @return array|WP_Error The sanitized parameters or error.
+     */
+    private function get_provider_parameters($request, $provider_id, $model) {
+        $parameters = $request->get_param('parameters');
+        if (empty($parameters) || !is_array($parameters)) {
+            return [];
+        }
+
+        $provider = wp_ai_image_gen_provider_manager()->get_provider($provider_id);
+        if (!$provider) {
+            return new WP_Error('invalid_provider', "Invalid provider: {$provider_id}", ['status' => 400]);
+        }
+
+        return $provider->sanitize_parameters($parameters, $model);
+    }
+
+    /**
+     * Saves the provider and model the current user last generated with.
+     * @param string $provider_id The provider ID.
+     * @param string $model The model.
+     */
+    private function save_last_selection($provider_id, $model) {
+        update_user_meta(get_current_user_id(), self::LAST_SELECTION_META_KEY, [
+            'provider' => $provider_id,
+            'model'    => $model,
+        ]);
     }
 
     /**
      * Gets additional parameters with defaults from the request.
      * @param WP_REST_Request $request The request object.
+     * @param string $model The model used for generation.
      * @return array The parameters.
      */
-    private function get_additional_params($request) {
+    private function get_additional_params($request, $model) {
         // Get saved quality settings
         $quality_settings = get_option('wp_ai_image_gen_quality_settings', []);
         $quality_value = isset($quality_settings['quality']) && $quality_settings['quality'] === 'hd' ? 100 : 80;
@@ -163,11 +558,15 @@ final class WP_AI_Image_Gen_REST_Controller {
             'output_format'  => 'webp',
             'output_quality' => $quality_value
         ];
-        
-        // Get the provider and model
-        $provider_id = $request->get_param('provider');
-        $provider_models = get_option('wp_ai_image_gen_provider_models', []);
-        $model = $provider_models[$provider_id] ?? '';
+
+        // Use the model's own default aspect ratio if it declares one
+        $provider = wp_ai_image_gen_provider_manager()->get_provider($request->get_param('provider'));
+        if ($provider) {
+            $schema = $provider->get_model_parameter_schema($model);
+            if (isset($schema['aspect_ratio']['default'])) {
+                $defaults['aspect_ratio'] = $schema['aspect_ratio']['default'];
+            }
+        }
         
         // Only include style for non-GPT Image-1 models
         if ($model !== 'gpt-image-1') {
@@ -193,6 +592,15 @@ final class WP_AI_Image_Gen_REST_Controller {
             $params[$key] = $request->get_param($key) ?? $default;
         }
 
+        // Multiple variations are returned as candidates, so only the chosen one reaches the media library
+        $variations = max(1, min(self::MAX_VARIATIONS, intval($request->get_param('variations') ?? 1)));
+        if ($variations > 1) {
+            $params['num_outputs'] = $variations;
+        }
+        if ($variations > 1 || $request->get_param('preview')) {
+            $params['save_to_library'] = false;
+        }
+
         // Add source image URL if provided (single or array)
         $source_image_url = $request->get_param('source_image_url');
         if (!empty($source_image_url)) {
@@ -202,7 +610,10 @@ final class WP_AI_Image_Gen_REST_Controller {
         // Add additional image URLs if provided (for multiple source images)
         $additional_image_urls = $request->get_param('additional_image_urls');
         if (!empty($additional_image_urls) && is_array($additional_image_urls)) {
-            $params['additional_image_urls'] = $additional_image_urls;
+            $additional_image_urls = array_values(array_filter(array_map('esc_url_raw', array_filter($additional_image_urls, 'is_string'))));
+            if (!empty($additional_image_urls)) {
+                $params['additional_image_urls'] = $additional_image_urls;
+            }
         }
         
         // Add mask URL if provided (for inpainting)
@@ -211,155 +622,223 @@ final class WP_AI_Image_Gen_REST_Controller {
             $params['mask_url'] = $mask_url;
         }
 
+        // Resolve a mask uploaded through the masks endpoint
+        $mask_token = $request->get_param('mask_token');
+        if (!empty($mask_token) && WP_AI_Image_Handler::is_candidate_owner($mask_token)) {
+            $mask_url = WP_AI_Image_Handler::get_candidate_url($mask_token);
+            if ($mask_url) {
+                $params['mask_url'] = $mask_url;
+            }
+        }
+
         return $params;
     }
 
     /**
-     * Handles image generation with retries and longer timeouts for slow providers.
-     * @param string $provider_id The provider ID.
-     * @param string $prompt The generation prompt.
-     * @param string $model The model to use.
-     * @param array $additional_params Additional parameters.
-     * @return WP_REST_Response|WP_Error The response or error.
+     * Gets the list of providers with API keys, their models and the current user's last selection.
+     * @return WP_REST_Response The response containing providers.
      */
-    private function handle_generation_with_retries($provider_id, $prompt, $model, $additional_params) {
-        $max_retries = 15;
-        $retry_count = 0;
-        $delay = 3;
-        $max_delay = 20;
-
-        while ($retry_count < $max_retries) {
-            try {
-                wp_ai_image_gen_debug_log("Attempt " . ($retry_count + 1) . " - Making API request");
-                
-                $result = $this->make_provider_request($provider_id, $prompt, $model, $additional_params);
-                
-                if (!is_wp_error($result)) {
-                    // Handle failed status with content filtering error
-                    if (isset($result['status']) && $result['status'] === 'failed') {
-                        if (isset($result['error']) && strpos($result['error'], 'flagged by safety filters') !== false) {
-                            wp_ai_image_gen_debug_log("Content filtered by provider safety system: " . $result['error']);
-                            return new WP_Error(
-                                'content_filtered',
-                                'The image was flagged by the provider\'s safety filters. Please modify your prompt and try again.',
-                                ['status' => 400]
-                            );
-                        }
-                        
-                        // Handle other failure cases
-                        $error_message = isset($result['error']) ? $result['error'] : 'Unknown error occurred';
-                        throw new Exception("Generation failed: " . $error_message);
-                    }
-
-                    // Check if we have a WordPress attachment ID
-                    if (isset($result['url']) && isset($result['id']) && is_numeric($result['id']) && $result['id'] > 0) {
-                        wp_ai_image_gen_debug_log("Image generated and added to media library: " . wp_json_encode($result));
-                        // Format response for WordPress media
-                        $response_data = [
-                            'url' => $result['url'],
-                            'id' => intval($result['id']),
-                            'status' => 'completed'
-                        ];
-                        return new WP_REST_Response($response_data, 200);
-                    }
-                    
-                    // Handle direct URL response without WordPress attachment
-                    if (isset($result['url'])) {
-                        wp_ai_image_gen_debug_log("Image generated with URL: " . wp_json_encode($result));
-                        // Return the result without an ID
-                        $response_data = [
-                            'url' => $result['url'],
-                            'status' => 'completed'
-                        ];
-                        return new WP_REST_Response($response_data, 200);
-                    }
-                    
-                    // Handle processing status
-                    if (isset($result['status']) && ($result['status'] === 'processing' || $result['status'] === 'starting')) {
-                        wp_ai_image_gen_debug_log("Image still processing with status: " . $result['status']);
-                        throw new Exception('Image still processing');
-                    }
-                    
-                    throw new Exception('Invalid response format or incomplete generation');
-                }
-
-                // Handle content moderation errors (400) - return immediately without retrying
-                if ($result->get_error_code() === 'content_moderation') {
-                    wp_ai_image_gen_debug_log("Content moderation error - not retrying: " . $result->get_error_message());
-                    return $result;
-                }
-
-                // Handle pending status
-                if ($result->get_error_code() === 'replicate_pending' || 
-                    $result->get_error_code() === 'processing') {
-                    $error_data = $result->get_error_data();
-                    if (!empty($error_data['prediction_id'])) {
-                        $additional_params['prediction_id'] = $error_data['prediction_id'];
-                    }
-                    sleep((int)$delay);
-                    $delay = min($delay * 1.5, $max_delay);
+    public function get_providers_with_keys() {
+        try {
+            $provider_manager = wp_ai_image_gen_provider_manager();
+            $providers = [];
+            foreach (wp_ai_image_gen_admin()->get_active_providers() as $provider_id) {
+                $provider = $provider_manager->get_provider($provider_id);
+                if (!$provider) {
                     continue;
                 }
 
-                throw new Exception($result->get_error_message());
-
-            } catch (Exception $e) {
-                $retry_count++;
-                wp_ai_image_gen_debug_log("Attempt {$retry_count} failed: " . $e->getMessage());
-                
-                if ($retry_count >= $max_retries) {
-                    return new WP_Error(
-                        'api_error',
-                        'Failed after ' . $max_retries . ' attempts: ' . $e->getMessage(),
-                        ['status' => 500]
-                    );
+                $models = [];
+                foreach ($provider->get_available_models() as $model_id => $model_name) {
+                    $models[] = [
+                        'id'           => $model_id,
+                        'name'         => $model_name,
+                        'capabilities' => $provider->get_capabilities($model_id),
+                    ];
                 }
-                
-                $delay = min($delay * 1.5, $max_delay);
-                sleep((int)$delay);
+
+                $default_model = wp_ai_image_gen_provider_manager()->get_provider_model($provider_id);
+                $providers[] = [
+                    'id'            => $provider_id,
+                    'name'          => $provider->get_name(),
+                    'models'        => $models,
+                    'default_model' => is_wp_error($default_model) ? '' : $default_model,
+                ];
             }
+
+            $last_selection = get_user_meta(get_current_user_id(), self::LAST_SELECTION_META_KEY, true);
+
+            return new WP_REST_Response([
+                'providers'      => $providers,
+                'main_provider'  => get_option('wp_ai_image_gen_main_provider', ''),
+                'last_selection' => is_array($last_selection) ? $last_selection : null,
+            ], 200);
+        } catch (Exception $e) {
+            return new WP_REST_Response(
+                ['error' => 'Error fetching providers: ' . $e->getMessage()],
+                500
+            );
         }
     }
-
+    
     /**
-     * Makes the request to the provider.
-     * @param string $provider_id The provider ID.
-     * @param string $prompt The generation prompt.
-     * @param string $model The model to use.
-     * @param array $additional_params Additional parameters.
-     * @return array|WP_Error The result or error.
+     * Gets the parameter schema for a provider model, for rendering the advanced options form.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response|WP_Error The response containing the parameter list or error.
      */
-    private function make_provider_request($provider_id, $prompt, $model, $additional_params) {
+    public function get_parameter_schema($request) {
+        $provider_id = $request->get_param('provider');
         $provider = wp_ai_image_gen_provider_manager()->get_provider($provider_id);
         if (!$provider) {
-            return new WP_Error('invalid_provider', "Invalid provider: {$provider_id}");
+            return new WP_Error('invalid_provider', "Invalid provider: {$provider_id}", ['status' => 400]);
         }
 
-        // Get API keys from options
-        $api_keys = get_option('wp_ai_image_gen_provider_api_keys', []);
-        $api_key = isset($api_keys[$provider_id]) ? $api_keys[$provider_id] : '';
-        
-        $provider = new $provider($api_key, $model);
-        
-        return $provider->generate_image($prompt, $additional_params);
+        $model = wp_ai_image_gen_provider_manager()->get_provider_model($provider_id, $request->get_param('model'));
+        if (is_wp_error($model)) {
+            return $model;
+        }
+
+        // Return a list so the editor keeps the order the provider declared
+        $parameters = [];
+        foreach ($provider->get_model_parameter_schema($model) as $name => $definition) {
+            unset($definition['models']);
+            $parameters[] = array_merge(['name' => $name], $definition);
+        }
+
+        return new WP_REST_Response([
+            'provider'   => $provider_id,
+            'model'      => $model,
+            'parameters' => $parameters,
+        ], 200);
     }
 
     /**
-     * Gets the list of providers with API keys.
-     * @return WP_REST_Response The response containing providers.
+     * Gets the style presets defined by the site admins, and the default preset for a post type.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response The response containing the presets.
      */
-    public function get_providers_with_keys() {
-        try {
-            $providers = wp_ai_image_gen_admin()->get_active_providers();
-            return new WP_REST_Response($providers, 200);
-        } catch (Exception $e) {
-            return new WP_REST_Response(
-                ['error' => 'Error fetching providers: ' . $e->getMessage()],
-                500
-            );
+    public function get_style_presets($request) {
+        $presets = wp_ai_image_gen_style_presets();
+        $post_type = sanitize_key((string) $request->get_param('post_type'));
+
+        return new WP_REST_Response([
+            'presets' => array_map([$presets, 'prepare_preset_for_response'], $presets->get_presets()),
+            'default' => $post_type !== '' ? $presets->get_default_preset_id($post_type) : '',
+        ], 200);
+    }
+
+    /**
+     * Gets the current user's prompt history.
+     * @return WP_REST_Response The response containing the entries, most recent first.
+     */
+    public function get_prompt_history() {
+        $history = wp_ai_image_gen_prompt_history();
+        return new WP_REST_Response([
+            'entries' => array_map([$history, 'prepare_entry_for_response'], $history->get_entries(get_current_user_id())),
+        ], 200);
+    }
+
+    /**
+     * Adds a generation to the current user's prompt history.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response|WP_Error The added entry or error.
+     */
+    public function add_prompt_history_entry($request) {
+        if (trim((string) $request->get_param('prompt')) === '') {
+            return new WP_Error('invalid_prompt', 'The prompt cannot be empty.', ['status' => 400]);
         }
+
+        $history = wp_ai_image_gen_prompt_history();
+        $entry = $history->add_entry(get_current_user_id(), [
+            'prompt'     => $request->get_param('prompt'),
+            'provider'   => (string) $request->get_param('provider'),
+            'model'      => (string) $request->get_param('model'),
+            'parameters' => $request->get_param('parameters') ?: [],
+            'preset'     => (string) $request->get_param('preset'),
+            'image_id'   => $request->get_param('image_id'),
+            'image_url'  => (string) $request->get_param('image_url'),
+        ]);
+
+        return new WP_REST_Response($history->prepare_entry_for_response($entry), 200);
     }
-    
+
+    /**
+     * Stars or unstars an entry of the current user's prompt history.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response|WP_Error The updated entry or error.
+     */
+    public function update_prompt_history_entry($request) {
+        $history = wp_ai_image_gen_prompt_history();
+        $entry = $history->set_favorite(get_current_user_id(), $request['id'], $request->get_param('favorite'));
+        if (!$entry) {
+            return new WP_Error('history_entry_not_found', 'Prompt history entry not found', ['status' => 404]);
+        }
+
+        return new WP_REST_Response($history->prepare_entry_for_response($entry), 200);
+    }
+
+    /**
+     * Deletes an entry of the current user's prompt history.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response|WP_Error The response or error.
+     */
+    public function delete_prompt_history_entry($request) {
+        if (!wp_ai_image_gen_prompt_history()->delete_entry(get_current_user_id(), $request['id'])) {
+            return new WP_Error('history_entry_not_found', 'Prompt history entry not found', ['status' => 404]);
+        }
+
+        return new WP_REST_Response(['deleted' => true], 200);
+    }
+
+    /**
+     * Checks a prompt against the blocklist, and moderation when asked for, so the editor can point out what to change.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response The response with the `policy`, `flagged`, `matches` and `categories`.
+     */
+    public function check_prompt($request) {
+        $result = wp_ai_image_gen_prompt_safety()->check_prompt(
+            (string) $request->get_param('prompt'),
+            (string) $request->get_param('provider'),
+            (bool) $request->get_param('moderate')
+        );
+
+        return new WP_REST_Response($result, 200);
+    }
+
+    /**
+     * Gets how much of their quotas the current user has used.
+     * @return WP_REST_Response The response containing the usage of each period.
+     */
+    public function get_usage() {
+        return new WP_REST_Response(wp_ai_image_gen_usage()->get_user_status(get_current_user_id()), 200);
+    }
+
+    /**
+     * Writes alt text and a caption for a media library image, or any image by URL.
+     * @param WP_REST_Request $request The request object.
+     * @return WP_REST_Response|WP_Error The response with `alt` and `caption`, or error.
+     */
+    public function describe_image($request) {
+        $attachment_id = absint($request->get_param('id'));
+        $image_url = esc_url_raw((string) $request->get_param('url'));
+
+        // Images inserted by URL may still be in the media library
+        if (!$attachment_id && $image_url) {
+            $attachment_id = attachment_url_to_postid($image_url);
+        }
+        if ($attachment_id && !current_user_can('edit_post', $attachment_id)) {
+            return new WP_Error('rest_forbidden', 'You cannot describe this image.', ['status' => 403]);
+        }
+
+        $context = sanitize_textarea_field((string) $request->get_param('context'));
+        $description = wp_ai_image_gen_alt_text()->describe($attachment_id, $image_url, $context, true);
+        if (is_wp_error($description)) {
+            return $description;
+        }
+
+        return new WP_REST_Response($description, 200);
+    }
+
     /**
      * Gets the list of providers that support image-to-image generation.
      * @return WP_REST_Response The response containing providers that support image-to-image.
@@ -376,6 +855,39 @@ final class WP_AI_Image_Gen_REST_Controller {
         }
     }
 
+    /**
+     * Checks the number of input images against the model's reference limit.
+     * The source image of an edit counts towards the limit, like the reference images sent with it.
+     * @param string $provider_id The provider ID.
+     * @param string $model The model being used.
+     * @param array $additional_params Additional parameters.
+     * @return true|WP_Error True if the images are accepted, or an error.
+     */
+    private function check_reference_limit($provider_id, $model, $additional_params) {
+        $reference_count = count($additional_params['additional_image_urls'] ?? []);
+        if ($reference_count === 0) {
+            return true;
+        }
+
+        $provider = wp_ai_image_gen_provider_manager()->get_provider($provider_id);
+        if (!$provider) {
+            return new WP_Error('invalid_provider', "Invalid provider: {$provider_id}", ['status' => 400]);
+        }
+
+        $image_count = $reference_count + count((array) ($additional_params['source_image_url'] ?? []));
+        $capabilities = $provider->get_capabilities($model);
+        $max_references = intval($capabilities['max_references'] ?? 0);
+        if ($image_count > $max_references) {
+            return new WP_Error(
+                'too_many_references',
+                "Model {$model} accepts up to {$max_references} input images, {$image_count} were sent.",
+                ['status' => 400]
+            );
+        }
+
+        return true;
+    }
+
     /**
      * Logs request details for debugging.
      * @param string $prompt The generation prompt.
@@ -392,6 +904,12 @@ final class WP_AI_Image_Gen_REST_Controller {
         if (isset($log_params['source_image_url'])) {
             $log_params['source_image_url'] = '(source image URL provided)';
         }
+        if (isset($log_params['mask_url'])) {
+            $log_params['mask_url'] = '(mask URL provided)';
+        }
+        if (isset($log_params['additional_image_urls'])) {
+            $log_params['additional_image_urls'] = '(' . count($log_params['additional_image_urls']) . ' reference image URLs provided)';
+        }
         
         wp_ai_image_gen_debug_log("Additional params: " . wp_json_encode($log_params));
     }
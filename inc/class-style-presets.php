@@ -0,0 +1,248 @@
+<?php
+/**
+ * Class that manages the site-wide prompt style presets.
+ *
+ * @package WP_AI_Image_Gen
+ */
+class WP_AI_Image_Gen_Style_Presets {
+    /**
+     * Holds the singleton instance of this class.
+     * @var WP_AI_Image_Gen_Style_Presets
+     */
+    private static $instance = null;
+
+    /**
+     * The option holding the list of presets.
+     * @var string
+     */
+    public const PRESETS_OPTION = 'wp_ai_image_gen_style_presets';
+
+    /**
+     * The option holding the default preset ID keyed by post type.
+     * @var string
+     */
+    public const DEFAULTS_OPTION = 'wp_ai_image_gen_default_presets';
+
+    /**
+     * The text fields of a preset.
+     * @var array
+     */
+    private const TEXT_FIELDS = ['name', 'prompt_prefix', 'prompt_suffix', 'negative_prompt', 'aspect_ratio', 'quality'];
+
+    /**
+     * The maximum number of brand reference images per preset.
+     * @var int
+     */
+    private const MAX_REFERENCE_IMAGES = 4;
+
+    /**
+     * Presets are only read and written through the singleton.
+     */
+    private function __construct() {
+    }
+
+    /**
+     * Gets the singleton instance of the style presets.
+     * @return WP_AI_Image_Gen_Style_Presets The singleton instance.
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Gets all presets.
+     * @return array The presets with `id`, the text fields and `reference_image_ids`.
+     */
+    public function get_presets() {
+        $presets = get_option(self::PRESETS_OPTION, []);
+        return is_array($presets) ? array_values($presets) : [];
+    }
+
+    /**
+     * Gets a preset by ID.
+     * @param string $preset_id The preset ID.
+     * @return array|null The preset or null if it does not exist.
+     */
+    public function get_preset($preset_id) {
+        foreach ($this->get_presets() as $preset) {
+            if ($preset['id'] === $preset_id) {
+                return $preset;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the ID of the preset used by default for a post type.
+     * @param string $post_type The post type.
+     * @return string The preset ID, empty if there is no default.
+     */
+    public function get_default_preset_id($post_type) {
+        $defaults = get_option(self::DEFAULTS_OPTION, []);
+        $preset_id = is_array($defaults) && isset($defaults[$post_type]) ? $defaults[$post_type] : '';
+        return $preset_id && $this->get_preset($preset_id) ? $preset_id : '';
+    }
+
+    /**
+     * Prepares a preset for the editor, with the URLs of its reference images.
+     * @param array $preset The preset.
+     * @return array The preset for the REST response.
+     */
+    public function prepare_preset_for_response($preset) {
+        $response = ['id' => $preset['id']];
+        foreach (self::TEXT_FIELDS as $field) {
+            $response[$field] = $preset[$field] ?? '';
+        }
+
+        $response['reference_images'] = [];
+        foreach ($this->get_reference_image_urls($preset) as $id => $url) {
+            $response['reference_images'][] = ['id' => $id, 'url' => $url];
+        }
+
+        return $response;
+    }
+
+    /**
+     * Applies a preset to a generation request.
+     * The prefix and suffix wrap the prompt. The negative prompt, aspect ratio and quality replace the defaults
+     * when the model accepts them, but never the parameters the user picked. A negative prompt the model does not
+     * accept is added to the prompt instead. Brand reference images fill the input image slots that are left.
+     * @param array $preset The preset.
+     * @param string $prompt The prompt.
+     * @param array $additional_params The generation parameters.
+     * @param array $user_parameters The parameters the user picked in the editor.
+     * @param WP_AI_Image_Provider $provider The provider.
+     * @param string $model The model.
+     * @return array The prompt and the generation parameters.
+     */
+    public function apply_preset($preset, $prompt, $additional_params, $user_parameters, $provider, $model) {
+        $prompt = trim(implode(' ', array_filter([
+            $preset['prompt_prefix'] ?? '',
+            $prompt,
+            $preset['prompt_suffix'] ?? '',
+        ])));
+
+        $schema = $provider->get_model_parameter_schema($model);
+        foreach (['negative_prompt', 'aspect_ratio', 'quality'] as $name) {
+            $value = $preset[$name] ?? '';
+            if ($value === '' || array_key_exists($name, $user_parameters) || !isset($schema[$name])) {
+                continue;
+            }
+            if (isset($schema[$name]['enum']) && !in_array($value, $schema[$name]['enum'], true)) {
+                continue;
+            }
+            $additional_params[$name] = $value;
+        }
+
+        if (!empty($preset['negative_prompt']) && !isset($schema['negative_prompt'])) {
+            $prompt .= ' Avoid: ' . $preset['negative_prompt'];
+        }
+
+        // Brand references go after the images picked by the user, as far as the model accepts them
+        $reference_urls = array_values($this->get_reference_image_urls($preset));
+        if (!empty($reference_urls)) {
+            $capabilities = $provider->get_capabilities($model);
+            $used = count($additional_params['additional_image_urls'] ?? []) + count((array) ($additional_params['source_image_url'] ?? []));
+            $free = intval($capabilities['max_references'] ?? 0) - $used;
+            if ($free > 0) {
+                $additional_params['additional_image_urls'] = array_merge(
+                    $additional_params['additional_image_urls'] ?? [],
+                    array_slice($reference_urls, 0, $free)
+                );
+            }
+        }
+
+        return [$prompt, $additional_params];
+    }
+
+    /**
+     * Sanitizes the presets submitted on the settings page.
+     * Presets without a name are removed, new presets get an ID from their name.
+     * @param array $input The submitted presets.
+     * @return array The sanitized presets.
+     */
+    public function sanitize_presets($input) {
+        $presets = [];
+        $ids = [];
+        foreach ((array) $input as $preset) {
+            if (!is_array($preset) || !empty($preset['delete'])) {
+                continue;
+            }
+
+            $sanitized = [];
+            foreach (self::TEXT_FIELDS as $field) {
+                $sanitized[$field] = sanitize_text_field($preset[$field] ?? '');
+            }
+            if ($sanitized['name'] === '') {
+                continue;
+            }
+
+            // Keep the ID of existing presets so post type defaults still point at them
+            $id = sanitize_key($preset['id'] ?? '');
+            if ($id === '') {
+                $id = sanitize_key(sanitize_title($sanitized['name'])) ?: 'preset';
+            }
+            $unique_id = $id;
+            for ($suffix = 2; in_array($unique_id, $ids, true); $suffix++) {
+                $unique_id = "{$id}-{$suffix}";
+            }
+            $ids[] = $unique_id;
+
+            $reference_ids = is_array($preset['reference_image_ids'] ?? null)
+                ? $preset['reference_image_ids']
+                : explode(',', (string) ($preset['reference_image_ids'] ?? ''));
+            $reference_ids = array_values(array_unique(array_filter(array_map('absint', $reference_ids), function($attachment_id) {
+                return wp_attachment_is_image($attachment_id);
+            })));
+
+            $presets[] = array_merge(['id' => $unique_id], $sanitized, [
+                'reference_image_ids' => array_slice($reference_ids, 0, self::MAX_REFERENCE_IMAGES),
+            ]);
+        }
+        return $presets;
+    }
+
+    /**
+     * Sanitizes the default preset of each post type.
+     * @param array $input The submitted preset IDs keyed by post type.
+     * @return array The sanitized preset IDs.
+     */
+    public function sanitize_defaults($input) {
+        $defaults = [];
+        foreach ((array) $input as $post_type => $preset_id) {
+            $post_type = sanitize_key($post_type);
+            $preset_id = sanitize_key($preset_id);
+            if ($post_type !== '' && $preset_id !== '') {
+                $defaults[$post_type] = $preset_id;
+            }
+        }
+        return $defaults;
+    }
+
+    /**
+     * Gets the URLs of the reference images of a preset, skipping deleted attachments.
+     * @param array $preset The preset.
+     * @return array The image URLs keyed by attachment ID.
+     */
+    private function get_reference_image_urls($preset) {
+        $urls = [];
+        foreach ($preset['reference_image_ids'] ?? [] as $attachment_id) {
+            $url = wp_get_attachment_url($attachment_id);
+            if ($url) {
+                $urls[$attachment_id] = $url;
+            }
+        }
+        return $urls;
+    }
+}
+
+/**
+ * Gets the singleton instance of the style presets.
+ * @return WP_AI_Image_Gen_Style_Presets The style presets instance.
+ */
+function wp_ai_image_gen_style_presets() {
+    return WP_AI_Image_Gen_Style_Presets::get_instance();
+}
@@ -0,0 +1,430 @@
+<?php
+/**
+ * Class that records every generation and enforces the per-role quotas and rate limits.
+ *
+ * @package WP_AI_Image_Gen
+ */
+class WP_AI_Image_Gen_Usage {
+    /**
+     * Holds the singleton instance of this class.
+     * @var WP_AI_Image_Gen_Usage
+     */
+    private static $instance = null;
+
+    /**
+     * The option holding the limits of each role.
+     * @var string
+     */
+    public const LIMITS_OPTION = 'wp_ai_image_gen_usage_limits';
+
+    /**
+     * The limits of a role: images per day and per month, and generation requests per minute. Zero means no limit.
+     * @var array
+     */
+    public const LIMIT_PERIODS = ['day', 'month', 'minute'];
+
+    /**
+     * The usage table name, without the database prefix.
+     * @var string
+     */
+    private const TABLE = 'ai_image_gen_usage';
+
+    /**
+     * The version of the usage table schema.
+     * @var string
+     */
+    private const DB_VERSION = '1';
+
+    /**
+     * The option holding the version of the installed usage table schema.
+     * @var string
+     */
+    private const DB_VERSION_OPTION = 'wp_ai_image_gen_usage_db_version';
+
+    /**
+     * Job statuses that do not count towards the quotas.
+     * @var array
+     */
+    private const UNCOUNTED_STATUSES = ['failed', 'cancelled'];
+
+    /**
+     * Private constructor to prevent direct instantiation.
+     */
+    private function __construct() {
+        $this->maybe_create_table();
+        add_action('wp_ai_image_gen_job_finished', [$this, 'record_job_result']);
+    }
+
+    /**
+     * Gets the singleton instance of the usage tracker.
+     * @return WP_AI_Image_Gen_Usage The singleton instance.
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Records a request before it is sent, and takes it back if it puts the user over a limit.
+     * The request is counted before the limits are checked, so parallel requests cannot all pass the check.
+     * @param int $user_id The user ID.
+     * @param string $job_id The ID of the job the request queues, empty for requests answered right away.
+     * @param string $provider_id The provider ID.
+     * @param string $model The model.
+     * @param array $params The request parameters.
+     * @param int $image_count How many images the request generates, zero for requests that only read images.
+     * @param float $estimated_cost The estimated cost in US dollars.
+     * @return int|WP_Error The ID of the recorded request, or error with `period`, `limit` and `retry_after` data.
+     */
+    public function reserve_request($user_id, $job_id, $provider_id, $model, $params, $image_count, $estimated_cost) {
+        global $wpdb;
+
+        $inserted = $wpdb->insert($this->get_table_name(), [
+            'job_id'         => $job_id,
+            'user_id'        => $user_id,
+            'provider'       => $provider_id,
+            'model'          => $model,
+            'size'           => (string) ($params['aspect_ratio'] ?? ''),
+            'quality'        => (string) ($params['quality'] ?? ''),
+            'images'         => $image_count,
+            'estimated_cost' => $estimated_cost,
+            'status'         => 'queued',
+            'created_at'     => gmdate('Y-m-d H:i:s'),
+        ]);
+
+        // The usage table should not stop everyone from generating, the limits are still checked
+        if (!$inserted) {
+            wp_ai_image_gen_debug_log("Failed to record usage: " . $wpdb->last_error);
+            $limits_check = $this->check_limits($user_id, $image_count);
+            return is_wp_error($limits_check) ? $limits_check : 0;
+        }
+
+        $request_id = (int) $wpdb->insert_id;
+        $limits_check = $this->check_limits($user_id, $image_count, true);
+        if (is_wp_error($limits_check)) {
+            $wpdb->delete($this->get_table_name(), ['id' => $request_id]);
+            return $limits_check;
+        }
+
+        return $request_id;
+    }
+
+    /**
+     * Records the outcome of a request answered right away, see reserve_request().
+     * @param int $request_id The ID of the recorded request.
+     * @param string $status The outcome, 'succeeded' or 'failed'.
+     */
+    public function record_request_result($request_id, $status) {
+        global $wpdb;
+
+        if ($request_id) {
+            $wpdb->update($this->get_table_name(), ['status' => $status], ['id' => $request_id]);
+        }
+    }
+
+    /**
+     * Records the outcome of a finished job.
+     * Succeeded jobs record the images the provider returned, models that ignore `num_outputs` return fewer than were reserved.
+     * This is the callback of the wp_ai_image_gen_job_finished action.
+     * @param array $job The finished job.
+     */
+    public function record_job_result($job) {
+        global $wpdb;
+
+        $data = ['status' => $job['status']];
+        if ($job['status'] === 'succeeded') {
+            $image_count = !empty($job['result']['candidates']) ? count($job['result']['candidates']) : 1;
+            $data['images'] = $image_count;
+
+            $provider = wp_ai_image_gen_provider_manager()->get_provider($job['provider']);
+            if ($provider) {
+                $params = array_merge($job['params'], ['num_outputs' => $image_count]);
+                $data['estimated_cost'] = $provider->estimate_cost($job['model'], $params);
+            }
+        }
+
+        $wpdb->update($this->get_table_name(), $data, ['job_id' => $job['id']]);
+    }
+
+    /**
+     * Gets the limits that apply to a user.
+     * Users with several roles get the most generous limit of each period.
+     * @param int $user_id The user ID.
+     * @return array The limits keyed by period, zero for no limit.
+     */
+    public function get_user_limits($user_id) {
+        $user = get_userdata($user_id);
+        $role_limits = get_option(self::LIMITS_OPTION, []);
+        $limits = array_fill_keys(self::LIMIT_PERIODS, 0);
+        if (!$user || empty($user->roles)) {
+            return $limits;
+        }
+
+        foreach (self::LIMIT_PERIODS as $period) {
+            $values = [];
+            foreach ($user->roles as $role) {
+                $values[] = intval($role_limits[$role][$period] ?? 0);
+            }
+            // A role without a limit lifts the limit altogether
+            $limits[$period] = in_array(0, $values, true) ? 0 : max($values);
+        }
+
+        return $limits;
+    }
+
+    /**
+     * Gets how much of each limit a user has used, and when it resets.
+     * @param int $user_id The user ID.
+     * @return array Keyed by period, each with `limit`, `used`, `remaining` (null without limit) and `resets_in` in seconds.
+     */
+    public function get_user_status($user_id) {
+        $limits = $this->get_user_limits($user_id);
+        $status = [];
+        foreach (self::LIMIT_PERIODS as $period) {
+            list($start, $end) = $this->get_period_bounds($period);
+            $used = $period === 'minute'
+                ? $this->count_requests($user_id, $start)
+                : $this->count_images($user_id, $start);
+            $status[$period] = [
+                'limit'     => $limits[$period],
+                'used'      => $used,
+                'remaining' => $limits[$period] > 0 ? max(0, $limits[$period] - $used) : null,
+                'resets_in' => max(1, $end - time()),
+            ];
+        }
+        return $status;
+    }
+
+    /**
+     * Checks whether a user may generate more images now.
+     * @param int $user_id The user ID.
+     * @param int $image_count How many images the request generates.
+     * @param bool $is_recorded Whether the request is already counted in the usage, see reserve_request().
+     * @return true|WP_Error True if the request is allowed, or error with `period`, `limit` and `retry_after` data.
+     */
+    public function check_limits($user_id, $image_count, $is_recorded = false) {
+        $status = $this->get_user_status($user_id);
+
+        // Leave the request out of what was used before it
+        if ($is_recorded) {
+            $status['minute']['used']--;
+            foreach (['day', 'month'] as $period) {
+                $status[$period]['used'] -= $image_count;
+                if ($status[$period]['remaining'] !== null) {
+                    $status[$period]['remaining'] = max(0, $status[$period]['limit'] - $status[$period]['used']);
+                }
+            }
+        }
+
+        $minute = $status['minute'];
+        if ($minute['limit'] > 0 && $minute['used'] >= $minute['limit']) {
+            return new WP_Error(
+                'usage_rate_limited',
+                "You can start up to {$minute['limit']} generations per minute.",
+                ['period' => 'minute', 'limit' => $minute['limit'], 'retry_after' => $this->get_rate_limit_wait($user_id)]
+            );
+        }
+
+        foreach (['day', 'month'] as $period) {
+            $usage = $status[$period];
+            if ($usage['limit'] > 0 && $usage['used'] + $image_count > $usage['limit']) {
+                return new WP_Error(
+                    'usage_limit_reached',
+                    "You have used {$usage['used']} of your {$usage['limit']} images for this {$period}.",
+                    [
+                        'period'      => $period,
+                        'limit'       => $usage['limit'],
+                        'remaining'   => $usage['remaining'],
+                        'retry_after' => $usage['resets_in'],
+                    ]
+                );
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Gets the usage totals between two dates, per user and per provider and model.
+     * @param int|null $start The start timestamp, null for all time.
+     * @param int|null $end The end timestamp, null for now.
+     * @return array `users` and `providers`, each row with `requests`, `images`, `failed` and `estimated_cost`.
+     */
+    public function get_report($start = null, $end = null) {
+        global $wpdb;
+
+        $table = $this->get_table_name();
+        $where = '1=1';
+        $args = [];
+        if ($start !== null) {
+            $where .= ' AND created_at >= %s';
+            $args[] = gmdate('Y-m-d H:i:s', $start);
+        }
+        if ($end !== null) {
+            $where .= ' AND created_at < %s';
+            $args[] = gmdate('Y-m-d H:i:s', $end);
+        }
+
+        // Failed and cancelled generations are listed but not counted as images
+        $totals = "COUNT(*) AS requests,
+            SUM(CASE WHEN status IN ('failed', 'cancelled') THEN 0 ELSE images END) AS images,
+            SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+            SUM(CASE WHEN status IN ('failed', 'cancelled') THEN 0 ELSE estimated_cost END) AS estimated_cost";
+
+        $users_query = "SELECT user_id, {$totals} FROM {$table} WHERE {$where} GROUP BY user_id ORDER BY estimated_cost DESC, images DESC";
+        $providers_query = "SELECT provider, model, {$totals} FROM {$table} WHERE {$where} GROUP BY provider, model ORDER BY estimated_cost DESC, images DESC";
+
+        return [
+            'users'     => $wpdb->get_results($args ? $wpdb->prepare($users_query, $args) : $users_query, ARRAY_A),
+            'providers' => $wpdb->get_results($args ? $wpdb->prepare($providers_query, $args) : $providers_query, ARRAY_A),
+        ];
+    }
+
+    /**
+     * Sanitizes the limits submitted on the settings page.
+     * @param array $input The submitted limits keyed by role and period.
+     * @return array The sanitized limits.
+     */
+    public function sanitize_limits($input) {
+        $limits = [];
+        foreach ((array) $input as $role => $role_limits) {
+            $role = sanitize_key($role);
+            if ($role === '' || !is_array($role_limits)) {
+                continue;
+            }
+            foreach (self::LIMIT_PERIODS as $period) {
+                $limits[$role][$period] = absint($role_limits[$period] ?? 0);
+            }
+        }
+        return $limits;
+    }
+
+    /**
+     * Gets the start and end timestamps of the current day, month or minute in the site's timezone.
+     * @param string $period One of LIMIT_PERIODS.
+     * @return array The start and end timestamps.
+     */
+    public function get_period_bounds($period) {
+        if ($period === 'minute') {
+            return [time() - MINUTE_IN_SECONDS, time() + MINUTE_IN_SECONDS];
+        }
+
+        $now = current_datetime();
+        $start = $period === 'month'
+            ? $now->modify('first day of this month')->setTime(0, 0)
+            : $now->setTime(0, 0);
+        $end = $start->modify($period === 'month' ? '+1 month' : '+1 day');
+
+        return [$start->getTimestamp(), $end->getTimestamp()];
+    }
+
+    /**
+     * Counts the images a user generated since a time, leaving out failed and cancelled generations.
+     * @param int $user_id The user ID.
+     * @param int $since The start timestamp.
+     * @return int The number of images.
+     */
+    private function count_images($user_id, $since) {
+        global $wpdb;
+
+        $table = $this->get_table_name();
+        $uncounted = "'" . implode("', '", self::UNCOUNTED_STATUSES) . "'";
+        return intval($wpdb->get_var($wpdb->prepare(
+            "SELECT SUM(images) FROM {$table} WHERE user_id = %d AND created_at >= %s AND status NOT IN ({$uncounted})",
+            $user_id,
+            gmdate('Y-m-d H:i:s', $since)
+        )));
+    }
+
+    /**
+     * Counts the generation requests a user made since a time.
+     * @param int $user_id The user ID.
+     * @param int $since The start timestamp.
+     * @return int The number of requests.
+     */
+    private function count_requests($user_id, $since) {
+        global $wpdb;
+
+        $table = $this->get_table_name();
+        return intval($wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$table} WHERE user_id = %d AND created_at >= %s",
+            $user_id,
+            gmdate('Y-m-d H:i:s', $since)
+        )));
+    }
+
+    /**
+     * Gets how long a rate limited user has to wait, until their oldest request of the last minute is a minute old.
+     * @param int $user_id The user ID.
+     * @return int The number of seconds.
+     */
+    private function get_rate_limit_wait($user_id) {
+        global $wpdb;
+
+        $table = $this->get_table_name();
+        $oldest = $wpdb->get_var($wpdb->prepare(
+            "SELECT MIN(created_at) FROM {$table} WHERE user_id = %d AND created_at >= %s",
+            $user_id,
+            gmdate('Y-m-d H:i:s', time() - MINUTE_IN_SECONDS)
+        ));
+
+        return $oldest ? max(1, strtotime($oldest . ' UTC') + MINUTE_IN_SECONDS - time()) : 1;
+    }
+
+    /**
+     * Gets the usage table name.
+     * @return string The table name with the database prefix.
+     */
+    private function get_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . self::TABLE;
+    }
+
+    /**
+     * Creates or updates the usage table when the schema changed.
+     */
+    private function maybe_create_table() {
+        if (get_option(self::DB_VERSION_OPTION) === self::DB_VERSION) {
+            return;
+        }
+
+        global $wpdb;
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $table = $this->get_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+        dbDelta("CREATE TABLE {$table} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            job_id varchar(36) NOT NULL,
+            user_id bigint(20) unsigned NOT NULL,
+            provider varchar(64) NOT NULL,
+            model varchar(191) NOT NULL,
+            size varchar(32) NOT NULL DEFAULT '',
+            quality varchar(32) NOT NULL DEFAULT '',
+            images smallint(5) unsigned NOT NULL DEFAULT 1,
+            estimated_cost decimal(10,4) NOT NULL DEFAULT 0,
+            status varchar(20) NOT NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY job_id (job_id),
+            KEY user_created (user_id, created_at)
+        ) {$charset_collate};");
+
+        update_option(self::DB_VERSION_OPTION, self::DB_VERSION);
+    }
+}
+
+/**
+ * Gets the singleton instance of the usage tracker.
+ * @return WP_AI_Image_Gen_Usage The usage tracker instance.
+ */
+function wp_ai_image_gen_usage() {
+    return WP_AI_Image_Gen_Usage::get_instance();
+}
+
+// Initialize the usage tracker so finished jobs are recorded
+add_action('init', function() {
+    wp_ai_image_gen_usage();
+}, 10);
@@ -36,7 +36,7 @@ interface WP_AI_Image_Provider_Interface {
      * This method should be implemented by each provider to handle their specific response format.
      *
      * @param mixed $response The API response to process.
-     * @return string|WP_Error The image URL/data or error.
+     * @return string|array|WP_Error The image URL/data, a list of them when several images were returned, or error.
      */
     public function process_api_response($response);
 
@@ -79,10 +79,58 @@ interface WP_AI_Image_Provider_Interface {
      */
     public function set_model($model);
     
+    /**
+     * Gets the schema of the generation parameters the provider accepts.
+     * Keys are parameter names and values follow the REST API schema format (type, enum,
+     * default, minimum, maximum) plus a `label` and an optional `models` list restricting
+     * the parameter to specific models.
+     *
+     * @return array The parameter schema.
+     */
+    public function get_parameter_schema();
+
+    /**
+     * Gets what a model of this provider can do.
+     * Returns an array with the keys text_to_image, image_to_image, masking (bool),
+     * multiple_references (bool), max_references (int) and sizes (list of aspect ratios).
+     * max_references is the total number of input images, the source image of an edit included.
+     *
+     * @param string $model The model identifier.
+     * @return array The model capabilities.
+     */
+    public function get_capabilities($model);
+
     /**
      * Checks if this provider supports image-to-image generation with the current model.
      *
      * @return bool True if image-to-image is supported, false otherwise.
      */
     public function supports_image_to_image();
+
+    /**
+     * Starts a generation without waiting for slow providers to finish.
+     *
+     * @param string $prompt The text prompt for image generation.
+     * @param array $additional_params Additional parameters for image generation.
+     * @return array|WP_Error The generated image data, a pending WP_Error with a prediction ID, or error.
+     */
+    public function start_generation($prompt, $additional_params = []);
+
+    /**
+     * Checks a prediction started by start_generation.
+     *
+     * @param string $prediction_id The provider's prediction ID.
+     * @param string $prompt The text prompt the prediction was started with.
+     * @param array $additional_params The parameters the prediction was started with.
+     * @return array|WP_Error The generated image data, a pending WP_Error while it runs, or error.
+     */
+    public function check_generation($prediction_id, $prompt, $additional_params = []);
+
+    /**
+     * Cancels a prediction started by start_generation.
+     *
+     * @param string $prediction_id The provider's prediction ID.
+     * @return true|WP_Error True if the prediction was cancelled, or error.
+     */
+    public function cancel_generation($prediction_id);
 }
@@ -0,0 +1,403 @@
+<?php
+/**
+ * Local mock provider for WP AI Image Gen, for development, demos and end-to-end tests.
+ *
+ * @package WP_AI_Image_Gen
+ */
+
+/**
+ * This class draws placeholder images on the server instead of calling an API.
+ * The same prompt, size and seed always give the same image, and failures can be asked for on demand,
+ * either with the parameters in "Advanced options" or with directives in the prompt such as `[mock:moderation]`.
+ */
+class WP_AI_Image_Provider_Local_Mock extends WP_AI_Image_Provider {
+    /**
+     * The prefix of the transients holding the predictions that are still pending.
+     */
+    private const PREDICTION_PREFIX = 'wp_ai_image_gen_mock_prediction_';
+
+    /**
+     * The longest simulated latency, in seconds.
+     */
+    private const MAX_DELAY = 10;
+
+    /**
+     * The width and height of the image for each aspect ratio.
+     */
+    private const SIZES = [
+        '1:1'  => [512, 512],
+        '16:9' => [768, 432],
+        '9:16' => [432, 768],
+        '4:3'  => [640, 480],
+        '3:4'  => [480, 640],
+    ];
+
+    /**
+     * The outcomes a generation can be made to end with, and the error each one fails with.
+     */
+    private const OUTCOMES = [
+        'success'     => null,
+        'moderation'  => ['content_moderation', 'Your prompt contains content that violates AI safety guidelines. Please try rephrasing it.'],
+        'auth'        => ['auth_failed', 'The local mock provider rejected the API key on purpose.'],
+        'rate_limit'  => ['rate_limited', 'The local mock provider is rate limited on purpose.'],
+        'unavailable' => ['provider_unavailable', 'The local mock provider is unavailable on purpose.'],
+    ];
+
+    /**
+     * Checks whether the provider is offered on this site, see WP_AI_Image_Provider_Manager::load_providers().
+     * It is only offered on local and development sites.
+     *
+     * @return bool True if the provider is enabled.
+     */
+    public static function is_enabled() {
+        /**
+         * Filters whether the local mock provider is offered, by default on local and development sites only.
+         *
+         * @param bool $enabled Whether the provider is enabled.
+         */
+        return (bool) apply_filters(
+            'wp_ai_image_gen_enable_mock_provider',
+            in_array(wp_get_environment_type(), ['local', 'development'], true)
+        );
+    }
+
+    /**
+     * Gets the unique identifier for this provider.
+     *
+     * @return string The unique identifier for this provider.
+     */
+    public function get_id() {
+        return 'local-mock';
+    }
+
+    /**
+     * Gets the display name for this provider.
+     *
+     * @return string The display name for this provider.
+     */
+    public function get_name() {
+        return 'Local mock';
+    }
+
+    /**
+     * Simulates the API request. Applies the latency, keeps predictions pending for the asked number of checks,
+     * then fails with the asked outcome or draws the images.
+     *
+     * @param string $prompt The text prompt for image generation.
+     * @param array $additional_params Additional parameters for image generation.
+     * @return array|WP_Error The simulated response or error.
+     */
+    public function make_api_request($prompt, $additional_params = []) {
+        $options = $this->get_options($prompt, $additional_params);
+
+        if ($options['delay'] > 0) {
+            sleep($options['delay']);
+        }
+
+        // Polling mode, the prediction stays pending until it was checked as often as asked
+        if (!empty($additional_params['prediction_id'])) {
+            $prediction_id = $additional_params['prediction_id'];
+            $remaining = get_transient(self::PREDICTION_PREFIX . $prediction_id);
+            if ($remaining === false) {
+                return new WP_Error('generation_cancelled', 'Image generation was cancelled');
+            }
+            if ($remaining > 0) {
+                set_transient(self::PREDICTION_PREFIX . $prediction_id, $remaining - 1, HOUR_IN_SECONDS);
+                return ['status' => 'processing', 'id' => $prediction_id];
+            }
+            delete_transient(self::PREDICTION_PREFIX . $prediction_id);
+        } else if ($options['pending_checks'] > 0) {
+            $prediction_id = 'mock-' . wp_generate_password(12, false);
+            set_transient(self::PREDICTION_PREFIX . $prediction_id, $options['pending_checks'], HOUR_IN_SECONDS);
+            return ['status' => 'processing', 'id' => $prediction_id];
+        }
+
+        $error = self::OUTCOMES[$options['outcome']];
+        if ($error) {
+            $data = $options['outcome'] === 'rate_limit' ? ['retry_after' => 30] : [];
+            return new WP_Error($error[0], $error[1], $data);
+        }
+
+        $images = [];
+        $count = max(1, intval($additional_params['num_outputs'] ?? 1));
+        for ($index = 0; $index < $count; $index++) {
+            $image = $this->draw_image($options['text'], $options['aspect_ratio'], $options['seed'] + $index, $additional_params);
+            if (is_wp_error($image)) {
+                return $image;
+            }
+            $images[] = $image;
+        }
+
+        return ['status' => 'succeeded', 'output' => $images];
+    }
+
+    /**
+     * Processes the simulated response.
+     *
+     * @param mixed $response The simulated response.
+     * @return string|array|WP_Error The raw image data, a list of them for multiple images, or error.
+     */
+    public function process_api_response($response) {
+        if (!is_array($response) || empty($response['status'])) {
+            return new WP_Error('invalid_result', 'Invalid response from the local mock provider');
+        }
+
+        // Return pending error with prediction ID for polling
+        if ($response['status'] === 'processing') {
+            return new WP_Error(
+                'processing',
+                'Image generation is still processing',
+                ['prediction_id' => $response['id']]
+            );
+        }
+
+        return count($response['output']) > 1 ? $response['output'] : $response['output'][0];
+    }
+
+    /**
+     * Cancels a pending prediction.
+     *
+     * @param string $prediction_id The prediction ID.
+     * @return true True, the prediction is forgotten.
+     */
+    public function cancel_generation($prediction_id) {
+        delete_transient(self::PREDICTION_PREFIX . $prediction_id);
+        return true;
+    }
+
+    /**
+     * Validates the API key. The provider needs no key, but like the others it is only active once one is set,
+     * so any value will do.
+     *
+     * @return bool True if an API key is set.
+     */
+    public function validate_api_key() {
+        return !empty($this->api_key);
+    }
+
+    /**
+     * Gets the available models for the local mock provider.
+     *
+     * @return array List of available models with their display names.
+     */
+    public function get_available_models() {
+        return [
+            'placeholder' => 'Placeholder images',
+        ];
+    }
+
+    /**
+     * Gets what the mock model can do. Input images and masks are accepted and noted on the image.
+     *
+     * @param string $model The model identifier.
+     * @return array The model capabilities.
+     */
+    public function get_capabilities($model) {
+        return array_merge(parent::get_capabilities($model), [
+            'image_to_image'      => true,
+            'masking'             => true,
+            'multiple_references' => true,
+            'max_references'      => 4,
+        ]);
+    }
+
+    /**
+     * Checks whether the provider can describe images, which it does from the context alone.
+     *
+     * @return bool True, images can be described.
+     */
+    public function supports_image_description() {
+        return true;
+    }
+
+    /**
+     * Writes placeholder alt text and a caption without looking at the image.
+     *
+     * @param string $image_url The image URL or data URI.
+     * @param string $context Optional. What the image is about, e.g. the prompt it was generated with.
+     * @return array Array with `alt` and `caption`.
+     */
+    public function describe_image($image_url, $context = '') {
+        $subject = $context !== '' ? wp_trim_words($this->strip_directives($context), 12, '...') : 'an image';
+        return [
+            'alt'     => "Placeholder image of {$subject}",
+            'caption' => 'Drawn by the local mock provider',
+        ];
+    }
+
+    /**
+     * Checks whether the provider can moderate prompts, which it does from the directives alone.
+     *
+     * @return bool True, prompts can be moderated.
+     */
+    public function supports_prompt_moderation() {
+        return true;
+    }
+
+    /**
+     * Flags prompts asking for a moderation rejection with `[mock:moderation]`, so the pre-check can be tried offline.
+     *
+     * @param string $prompt The prompt.
+     * @return array Array with `flagged` and the list of flagged `categories`.
+     */
+    public function moderate_prompt($prompt) {
+        $flagged = $this->get_options($prompt, [])['outcome'] === 'moderation';
+        return [
+            'flagged'    => $flagged,
+            'categories' => $flagged ? ['mock'] : [],
+        ];
+    }
+
+    /**
+     * Gets the schema of the parameters controlling the simulation.
+     *
+     * @return array The parameter schema.
+     */
+    public function get_parameter_schema() {
+        return [
+            'aspect_ratio' => [
+                'type'    => 'string',
+                'label'   => 'Aspect ratio',
+                'enum'    => array_keys(self::SIZES),
+                'default' => '1:1',
+            ],
+            'seed' => [
+                'type'        => 'integer',
+                'label'       => 'Seed',
+                'description' => 'Changes the colors of the image. Leave empty to derive it from the prompt.',
+                'minimum'     => 0,
+                'maximum'     => 2147483647,
+            ],
+            'outcome' => [
+                'type'        => 'string',
+                'label'       => 'Outcome',
+                'description' => 'How the generation ends, to try the error messages.',
+                'enum'        => array_keys(self::OUTCOMES),
+                'default'     => 'success',
+            ],
+            'delay' => [
+                'type'        => 'integer',
+                'label'       => 'Latency (seconds)',
+                'description' => 'How long each request to the provider takes.',
+                'minimum'     => 0,
+                'maximum'     => self::MAX_DELAY,
+                'default'     => 0,
+            ],
+            'pending_checks' => [
+                'type'        => 'integer',
+                'label'       => 'Pending checks',
+                'description' => 'How many status checks report the generation as still processing.',
+                'minimum'     => 0,
+                'maximum'     => 10,
+                'default'     => 0,
+            ],
+        ];
+    }
+
+    /**
+     * Gets the simulation options from the parameters, overridden by the directives in the prompt.
+     * `[mock:moderation]`, `[mock:auth]`, `[mock:rate_limit]` and `[mock:unavailable]` pick the outcome,
+     * `[mock:delay=3]`, `[mock:pending=2]` and `[mock:seed=7]` set the other options.
+     *
+     * @param string $prompt The text prompt for image generation.
+     * @param array $additional_params Additional parameters for image generation.
+     * @return array The `outcome`, `delay`, `pending_checks`, `seed`, `aspect_ratio` and the prompt `text` to draw.
+     */
+    private function get_options($prompt, $additional_params) {
+        $options = [
+            'outcome'        => $additional_params['outcome'] ?? 'success',
+            'delay'          => intval($additional_params['delay'] ?? 0),
+            'pending_checks' => intval($additional_params['pending_checks'] ?? 0),
+            'seed'           => isset($additional_params['seed']) ? intval($additional_params['seed']) : null,
+            'aspect_ratio'   => $additional_params['aspect_ratio'] ?? '1:1',
+        ];
+
+        preg_match_all('/\[mock:([a-z_]+)(?:=(\d+))?\]/i', $prompt, $directives, PREG_SET_ORDER);
+        foreach ($directives as $directive) {
+            $name = strtolower($directive[1]);
+            $value = isset($directive[2]) ? intval($directive[2]) : 0;
+            if (array_key_exists($name, self::OUTCOMES)) {
+                $options['outcome'] = $name;
+            } else if ($name === 'delay') {
+                $options['delay'] = $value;
+            } else if ($name === 'pending') {
+                $options['pending_checks'] = $value;
+            } else if ($name === 'seed') {
+                $options['seed'] = $value;
+            }
+        }
+
+        $options['text'] = $this->strip_directives($prompt);
+        $options['outcome'] = array_key_exists($options['outcome'], self::OUTCOMES) ? $options['outcome'] : 'success';
+        $options['delay'] = max(0, min(self::MAX_DELAY, $options['delay']));
+        $options['pending_checks'] = max(0, $options['pending_checks']);
+        // The same prompt always gives the same image unless a seed is picked
+        $options['seed'] = $options['seed'] ?? abs(crc32($options['text'])) % 100000;
+        $options['aspect_ratio'] = isset(self::SIZES[$options['aspect_ratio']]) ? $options['aspect_ratio'] : '1:1';
+
+        return $options;
+    }
+
+    /**
+     * Removes the simulation directives from a prompt.
+     *
+     * @param string $prompt The prompt.
+     * @return string The prompt without directives.
+     */
+    private function strip_directives($prompt) {
+        return trim(preg_replace('/\s*\[mock:[^\]]*\]/i', '', $prompt));
+    }
+
+    /**
+     * Draws a placeholder image with the prompt, size and seed written on it.
+     *
+     * @param string $text The prompt to write on the image.
+     * @param string $aspect_ratio The aspect ratio of the image.
+     * @param int $seed The seed picking the colors.
+     * @param array $additional_params Additional parameters, input images and masks are noted on the image.
+     * @return string|WP_Error The PNG image data, or error if GD is not available.
+     */
+    private function draw_image($text, $aspect_ratio, $seed, $additional_params) {
+        if (!function_exists('imagecreatetruecolor')) {
+            return new WP_Error('provider_unavailable', 'The local mock provider needs the GD extension of PHP.');
+        }
+
+        list($width, $height) = self::SIZES[$aspect_ratio];
+        $image = imagecreatetruecolor($width, $height);
+
+        // A dark background picked by the seed, so the white text always reads
+        mt_srand($seed);
+        $background = imagecolorallocate($image, mt_rand(20, 110), mt_rand(20, 110), mt_rand(20, 110));
+        $accent = imagecolorallocate($image, mt_rand(120, 255), mt_rand(120, 255), mt_rand(120, 255));
+        mt_srand();
+        $white = imagecolorallocate($image, 255, 255, 255);
+
+        imagefilledrectangle($image, 0, 0, $width - 1, $height - 1, $background);
+        imagerectangle($image, 8, 8, $width - 9, $height - 9, $accent);
+
+        $lines = explode("\n", wordwrap($text !== '' ? $text : '(no prompt)', intval(($width - 48) / imagefontwidth(5)), "\n", true));
+        $lines = array_slice($lines, 0, 12);
+        $y = 24;
+        foreach ($lines as $line) {
+            imagestring($image, 5, 24, $y, $line, $white);
+            $y += imagefontheight(5) + 4;
+        }
+
+        $details = ["{$width}x{$height}", "seed {$seed}"];
+        if (!empty($additional_params['source_image_url'])) {
+            $details[] = !empty($additional_params['mask_url']) ? 'masked edit' : 'edit';
+        }
+        if (!empty($additional_params['additional_image_urls'])) {
+            $details[] = count($additional_params['additional_image_urls']) . ' reference(s)';
+        }
+        imagestring($image, 3, 24, $height - 44, implode(' | ', $details), $accent);
+        imagestring($image, 2, 24, $height - 26, 'Local mock provider', $white);
+
+        ob_start();
+        imagepng($image);
+        $data = ob_get_clean();
+        imagedestroy($image);
+
+        return $data;
+    }
+}
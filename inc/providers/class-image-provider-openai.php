@@ -16,6 +16,36 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
      */
     private const IMAGE_EDIT_API_BASE_URL = 'https://api.openai.com/v1/images/edits';
 
+    /**
+     * Chat completions endpoint, used to describe images.
+     */
+    private const CHAT_API_BASE_URL = 'https://api.openai.com/v1/chat/completions';
+
+    /**
+     * Vision model writing alt text and captions.
+     */
+    private const DESCRIPTION_MODEL = 'gpt-4o-mini';
+
+    /**
+     * Moderations endpoint, used to check prompts before generating.
+     */
+    private const MODERATION_API_BASE_URL = 'https://api.openai.com/v1/moderations';
+
+    /**
+     * Model checking prompts against OpenAI's usage policies.
+     */
+    private const MODERATION_MODEL = 'omni-moderation-latest';
+
+    /**
+     * Maximum number of images requested at once through the `n` parameter.
+     */
+    private const MAX_OUTPUTS = 4;
+
+    /**
+     * Maximum number of input images the edits endpoint accepts in one request.
+     */
+    private const MAX_INPUT_IMAGES = 16;
+
     /**
      * Gets the unique identifier for this provider.
      *
@@ -42,7 +72,11 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
      * @return array|WP_Error The API response or error.
      */
     public function make_api_request($prompt, $additional_params = []) {
-        $source_image_url = $additional_params['source_image_url'] ?? null;
+        // The source image is edited first, reference images are sent after it
+        $input_image_urls = array_slice(array_merge(
+            (array) ($additional_params['source_image_url'] ?? []),
+            $additional_params['additional_image_urls'] ?? []
+        ), 0, self::MAX_INPUT_IMAGES);
         $max_retries = 3; // Reduce max retries to fail faster
         $timeout = 60; // Set request timeout to 60 seconds
         $retry_delay = 2; // Seconds to wait between retries
@@ -75,14 +109,13 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
         $endpoint = self::API_BASE_URL;
 
         // Log if we're using image-to-image
-        if ( ! empty( $source_image_url ) ) {
+        if ( ! empty( $input_image_urls ) ) {
             $endpoint = self::IMAGE_EDIT_API_BASE_URL;
-            wp_ai_image_gen_debug_log("Using image-to-image with GPT Image-1: {$source_image_url}");
+            wp_ai_image_gen_debug_log("Using image-to-image with GPT Image-1 and " . count($input_image_urls) . " input image(s)");
         }
         
-        // Get quality setting from admin options
-        $quality_settings = get_option('wp_ai_image_gen_quality_settings', []);
-        $quality = isset($quality_settings['quality']) ? $quality_settings['quality'] : 'medium';
+        // Get quality from the request, falling back to the admin setting
+        $quality = $additional_params['quality'] ?? $this->get_default_quality();
         
         // Map quality settings to supported values
         $quality_map = [
@@ -95,9 +128,29 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
         
         // Ensure we're using a supported quality value
         $quality = isset($quality_map[$quality]) ? $quality_map[$quality] : 'medium';
+
+        // Number of images to return in a single request
+        $num_outputs = max(1, min(self::MAX_OUTPUTS, intval($additional_params['num_outputs'] ?? 1)));
+
+        // Collect the optional parameters both endpoints accept
+        $optional_fields = [
+            'quality' => $quality,
+        ];
+        if (isset($additional_params['aspect_ratio'])) {
+            list($width, $height) = $this->map_aspect_ratio_to_dimensions($additional_params['aspect_ratio']);
+            $optional_fields['size'] = "{$width}x{$height}";
+        }
+        if ($num_outputs > 1) {
+            $optional_fields['n'] = $num_outputs;
+        }
+        foreach (['background', 'output_format'] as $field) {
+            if (!empty($additional_params[$field])) {
+                $optional_fields[$field] = $additional_params[$field];
+            }
+        }
         
         // Prepare the request based on the type of request
-        if ( ! empty( $source_image_url ) ) {
+        if ( ! empty( $input_image_urls ) ) {
             // For image edit requests, we need to use multipart/form-data
             $boundary = wp_generate_password(24, false);
             $headers = array_merge(
@@ -111,54 +164,63 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
             // Add model parameter
             $body .= "--{$boundary}\r\n";
             $body .= 'Content-Disposition: form-data; name="model"' . "\r\n\r\n";
-            $body .= "gpt-image-1\r\n";
+            $body .= $this->get_api_model() . "\r\n";
             
             // Add prompt parameter
             $body .= "--{$boundary}\r\n";
             $body .= 'Content-Disposition: form-data; name="prompt"' . "\r\n\r\n";
             $body .= $prompt . "\r\n";
+
+            // Add optional parameters such as size, quality and number of images
+            foreach ($optional_fields as $field => $value) {
+                $body .= "--{$boundary}\r\n";
+                $body .= 'Content-Disposition: form-data; name="' . $field . '"' . "\r\n\r\n";
+                $body .= $value . "\r\n";
+            }
             
-            // Add image files
-            if (is_array($source_image_url)) {
-                foreach ($source_image_url as $index => $image_url) {
-                    $image_data = $this->get_image_data($image_url);
-                    if (is_wp_error($image_data)) {
-                        return $image_data;
-                    }
-                    
-                    $body .= "--{$boundary}\r\n";
-                    $body .= 'Content-Disposition: form-data; name="image[]"; filename="' . basename($image_url) . '"' . "\r\n";
-                    $body .= 'Content-Type: ' . $this->get_image_mime_type($image_url) . "\r\n\r\n";
-                    $body .= $image_data . "\r\n";
-                }
-            } else {
-                $image_data = $this->get_image_data($source_image_url);
+            // Add image files, several images are sent as an array
+            $image_field = count($input_image_urls) > 1 ? 'image[]' : 'image';
+            foreach ($input_image_urls as $image_url) {
+                $image_data = $this->get_image_data($image_url);
                 if (is_wp_error($image_data)) {
                     return $image_data;
                 }
                 
                 $body .= "--{$boundary}\r\n";
-                $body .= 'Content-Disposition: form-data; name="image"; filename="' . basename($source_image_url) . '"' . "\r\n";
-                $body .= 'Content-Type: ' . $this->get_image_mime_type($source_image_url) . "\r\n\r\n";
+                $body .= 'Content-Disposition: form-data; name="' . $image_field . '"; filename="' . basename($image_url) . '"' . "\r\n";
+                $body .= 'Content-Type: ' . $this->get_image_mime_type($image_url) . "\r\n\r\n";
                 $body .= $image_data . "\r\n";
             }
             
+            // Add the mask for inpainting, transparent areas mark the region to edit
+            $mask_url = $additional_params['mask_url'] ?? null;
+            if (!empty($mask_url)) {
+                $mask_data = $this->get_image_data($mask_url);
+                if (is_wp_error($mask_data)) {
+                    return $mask_data;
+                }
+
+                $body .= "--{$boundary}\r\n";
+                $body .= 'Content-Disposition: form-data; name="mask"; filename="mask.png"' . "\r\n";
+                $body .= "Content-Type: image/png\r\n\r\n";
+                $body .= $mask_data . "\r\n";
+                wp_ai_image_gen_debug_log("Using inpainting mask for image edit");
+            }
+            
             // Close the multipart body
             $body .= "--{$boundary}--\r\n";
             
         } else {
             // For regular image generation requests, use JSON
             $headers = $this->get_request_headers();
-            $body = [
-                'model'   => 'gpt-image-1',
+            $body = array_merge([
+                'model'   => $this->get_api_model(),
                 'prompt'  => $prompt,
-                'quality' => $quality,
-            ];
-            
-            // Add size parameter if aspect ratio is specified
-            if (isset($additional_params['aspect_ratio'])) {
-                list($width, $height) = $this->map_aspect_ratio_to_dimensions($additional_params['aspect_ratio'] ?? '1:1');
-                $body['size'] = "{$width}x{$height}";
+            ], $optional_fields);
+
+            // Moderation level is only accepted by the generations endpoint
+            if (!empty($additional_params['moderation'])) {
+                $body['moderation'] = $additional_params['moderation'];
             }
             
             $body = wp_json_encode($body);
@@ -218,7 +280,7 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
                     $error_message = $error_data['error']['message'] ?? 'Unknown error';
                     
                     // If there's an error with the image URL in the prompt, try again with just the text prompt
-                    if (!empty($source_image_url) && 
+                    if (!empty($input_image_urls) && 
                        (strpos($error_message, 'URL') !== false || 
                         strpos($error_message, 'prompt') !== false)) {
                         
@@ -245,10 +307,10 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
                         }
                     }
                     
-                    return new WP_Error('openai_error', $error_message);
+                    return WP_AI_Image_Gen_Errors::from_http_response($response, $error_message, $error_data['error']['code'] ?? '');
                 }
                 
-                return new WP_Error('api_error', "API Error (HTTP $response_code): $response_body");
+                return WP_AI_Image_Gen_Errors::from_http_response($response, "API Error (HTTP $response_code): $response_body");
             }
             
             // Success! Return the response
@@ -267,7 +329,7 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
      * Processes the API response to extract the image URL.
      *
      * @param mixed $response The API response to process.
-     * @return string|WP_Error The image URL or error.
+     * @return string|array|WP_Error The image URL/data, a list of them for multiple images, or error.
      */
     public function process_api_response($response) {
         // Log the raw response for debugging
@@ -285,40 +347,177 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
             return new WP_Error('openai_error', 'Invalid response format from OpenAI');
         }
 
-        // Check for either URL or b64_json in the first data item
-        if (empty($response['data'][0]['url']) && empty($response['data'][0]['b64_json'])) {
-            wp_ai_image_gen_debug_log("Missing URL or b64_json in OpenAI response: " . wp_json_encode($response['data'][0]));
+        // Extract every returned image, several are returned when `n` is greater than 1
+        $images = [];
+        foreach ($response['data'] as $item) {
+            $image = $this->extract_image_from_item($item);
+            if (is_wp_error($image)) {
+                return $image;
+            }
+            $images[] = $image;
+        }
+
+        // Return the URL or raw image data - the parent class will handle uploading to media library
+        wp_ai_image_gen_debug_log("Successfully extracted " . count($images) . " image(s) from OpenAI response");
+        return count($images) === 1 ? $images[0] : $images;
+    }
+
+    /**
+     * Extracts the image URL or raw image data from a single response data item.
+     *
+     * @param array $item A single entry of the response data array.
+     * @return string|WP_Error The image URL/data or error.
+     */
+    private function extract_image_from_item($item) {
+        // Check for either URL or b64_json in the data item
+        if (empty($item['url']) && empty($item['b64_json'])) {
+            wp_ai_image_gen_debug_log("Missing URL or b64_json in OpenAI response: " . wp_json_encode($item));
             return new WP_Error('openai_error', 'Missing image data in OpenAI response');
         }
 
         // Get the image URL (prefer URL over b64_json)
-        $image_url = '';
-        if (!empty($response['data'][0]['url'])) {
-            $image_url = $response['data'][0]['url'];
-            
+        if (!empty($item['url'])) {
             // Validate URL format
-            if (!filter_var($image_url, FILTER_VALIDATE_URL)) {
-                wp_ai_image_gen_debug_log("Invalid URL in OpenAI response: " . $image_url);
+            if (!filter_var($item['url'], FILTER_VALIDATE_URL)) {
+                wp_ai_image_gen_debug_log("Invalid URL in OpenAI response: " . $item['url']);
                 return new WP_Error('openai_error', 'Invalid image URL in response');
             }
-        } else if (!empty($response['data'][0]['b64_json'])) {
-            // Handle base64 encoded images
-            $b64_json = $response['data'][0]['b64_json'];
-            $image_data = base64_decode($b64_json);
-            
-            if (!$image_data) {
-                wp_ai_image_gen_debug_log("Invalid base64 data in OpenAI response");
-                return new WP_Error('openai_error', 'Invalid base64 image data in response');
-            }
-            
-            // Return the raw image data - the parent class will handle uploading to media library
-            wp_ai_image_gen_debug_log("Successfully extracted base64 image data from OpenAI response");
-            return $image_data;
+            return $item['url'];
+        }
+
+        // Handle base64 encoded images
+        $image_data = base64_decode($item['b64_json']);
+        if (!$image_data) {
+            wp_ai_image_gen_debug_log("Invalid base64 data in OpenAI response");
+            return new WP_Error('openai_error', 'Invalid base64 image data in response');
+        }
+
+        return $image_data;
+    }
+
+    /**
+     * Checks whether the provider can describe images.
+     *
+     * @return bool True, images are described with a vision model.
+     */
+    public function supports_image_description() {
+        return true;
+    }
+
+    /**
+     * Gets the vision model images are described with.
+     *
+     * @return string The model identifier.
+     */
+    public function get_description_model() {
+        return self::DESCRIPTION_MODEL;
+    }
+
+    /**
+     * Writes alt text and a caption for an image with a vision model.
+     *
+     * @param string $image_url The image URL, or a data URI for images OpenAI cannot download.
+     * @param string $context Optional. What the image is about, e.g. the prompt it was generated with.
+     * @return array|WP_Error Array with `alt` and `caption`, or error.
+     */
+    public function describe_image($image_url, $context = '') {
+        $instructions = 'Describe the image for a website. Reply with a JSON object with two fields: '
+            . '"alt", alt text for screen reader users of at most 125 characters that says what the image shows, '
+            . 'without starting with "Image of" or mentioning that it is AI generated or describing the art style unless it matters; '
+            . 'and "caption", one short sentence suitable as a visible caption.';
+        if ($context !== '') {
+            $instructions .= ' The image was created for this description, use it only to name what you can see: ' . $context;
+        }
+
+        $body = [
+            'model'           => self::DESCRIPTION_MODEL,
+            'response_format' => ['type' => 'json_object'],
+            'max_tokens'      => 300,
+            'messages'        => [
+                [
+                    'role'    => 'user',
+                    'content' => [
+                        ['type' => 'text', 'text' => $instructions],
+                        ['type' => 'image_url', 'image_url' => ['url' => $image_url, 'detail' => 'low']],
+                    ],
+                ],
+            ],
+        ];
+
+        $response = wp_remote_post(self::CHAT_API_BASE_URL, [
+            'headers' => $this->get_request_headers(),
+            'body'    => wp_json_encode($body),
+            'timeout' => 30,
+        ]);
+        if (is_wp_error($response)) {
+            return $response;
+        }
+
+        $data = json_decode(wp_remote_retrieve_body($response), true);
+        if (wp_remote_retrieve_response_code($response) >= 400) {
+            return WP_AI_Image_Gen_Errors::from_http_response(
+                $response,
+                $data['error']['message'] ?? 'The image could not be described.',
+                $data['error']['code'] ?? ''
+            );
+        }
+
+        $description = json_decode($data['choices'][0]['message']['content'] ?? '', true);
+        if (!is_array($description) || empty($description['alt'])) {
+            wp_ai_image_gen_debug_log("Invalid OpenAI description response: " . wp_json_encode($data));
+            return new WP_Error('invalid_result', 'Invalid description response from OpenAI');
         }
 
-        // Just return the URL - the parent class will handle uploading to media library
-        wp_ai_image_gen_debug_log("Successfully extracted image URL from OpenAI response: " . $image_url);
-        return $image_url;
+        return [
+            'alt'     => sanitize_text_field($description['alt']),
+            'caption' => sanitize_text_field($description['caption'] ?? ''),
+        ];
+    }
+
+    /**
+     * Checks whether the provider can moderate prompts.
+     *
+     * @return bool True, prompts are moderated with the moderations endpoint.
+     */
+    public function supports_prompt_moderation() {
+        return true;
+    }
+
+    /**
+     * Checks a prompt with the moderations endpoint, which is free to use.
+     *
+     * @param string $prompt The prompt.
+     * @return array|WP_Error Array with `flagged` and the list of flagged `categories`, or error.
+     */
+    public function moderate_prompt($prompt) {
+        $response = wp_remote_post(self::MODERATION_API_BASE_URL, [
+            'headers' => $this->get_request_headers(),
+            'body'    => wp_json_encode(['model' => self::MODERATION_MODEL, 'input' => $prompt]),
+            'timeout' => 15,
+        ]);
+        if (is_wp_error($response)) {
+            return $response;
+        }
+
+        $data = json_decode(wp_remote_retrieve_body($response), true);
+        if (wp_remote_retrieve_response_code($response) >= 400) {
+            return WP_AI_Image_Gen_Errors::from_http_response(
+                $response,
+                $data['error']['message'] ?? 'The prompt could not be moderated.',
+                $data['error']['code'] ?? ''
+            );
+        }
+
+        $result = $data['results'][0] ?? null;
+        if (!is_array($result)) {
+            wp_ai_image_gen_debug_log("Invalid OpenAI moderation response: " . wp_json_encode($data));
+            return new WP_Error('invalid_result', 'Invalid moderation response from OpenAI');
+        }
+
+        return [
+            'flagged'    => !empty($result['flagged']),
+            'categories' => array_keys(array_filter($result['categories'] ?? [])),
+        ];
     }
 
     /**
@@ -356,13 +555,104 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
     }
     
     /**
-     * Checks if this provider supports image-to-image generation with the current model.
+     * Gets the schema of the generation parameters GPT Image-1 accepts.
      *
-     * @return bool True if image-to-image is supported, false otherwise.
+     * @return array The parameter schema.
      */
-    public function supports_image_to_image() {
-        // GPT Image-1 supports image-to-image generation by including references in the prompt
-        return true;
+    public function get_parameter_schema() {
+        return [
+            'aspect_ratio' => [
+                'type'    => 'string',
+                'label'   => 'Aspect ratio',
+                'enum'    => ['1:1', '3:2', '2:3'],
+                'default' => '1:1',
+            ],
+            'quality' => [
+                'type'    => 'string',
+                'label'   => 'Quality',
+                'enum'    => ['auto', 'low', 'medium', 'high'],
+                'default' => $this->get_default_quality(),
+            ],
+            'background' => [
+                'type'        => 'string',
+                'label'       => 'Background',
+                'description' => 'Transparent backgrounds require PNG or WebP output.',
+                'enum'        => ['auto', 'transparent', 'opaque'],
+                'default'     => 'auto',
+                'models'      => ['gpt-image-1'],
+            ],
+            'output_format' => [
+                'type'    => 'string',
+                'label'   => 'Output format',
+                'enum'    => ['webp', 'png', 'jpeg'],
+                'default' => 'webp',
+            ],
+            'moderation' => [
+                'type'        => 'string',
+                'label'       => 'Moderation',
+                'description' => 'Low applies less restrictive filtering. Not used when editing an image.',
+                'enum'        => ['auto', 'low'],
+                'default'     => 'auto',
+                'models'      => ['gpt-image-1'],
+            ],
+        ];
+    }
+
+    /**
+     * Gets the default quality from the admin quality setting.
+     *
+     * @return string The quality value.
+     */
+    private function get_default_quality() {
+        $quality_settings = get_option('wp_ai_image_gen_quality_settings', []);
+        return isset($quality_settings['quality']) ? $quality_settings['quality'] : 'medium';
+    }
+
+    /**
+     * Gets the model sent to the API, falling back to GPT Image-1 for unknown or legacy models.
+     *
+     * @return string The model identifier.
+     */
+    private function get_api_model() {
+        return array_key_exists($this->model, $this->get_available_models()) ? $this->model : 'gpt-image-1';
+    }
+
+    /**
+     * Gets what a GPT Image model can do.
+     *
+     * @param string $model The model identifier.
+     * @return array The model capabilities.
+     */
+    public function get_capabilities($model) {
+        // GPT Image-1 supports image-to-image generation through the edits endpoint, with several input images
+        return array_merge(parent::get_capabilities($model), [
+            'image_to_image'      => true,
+            'masking'             => true,
+            'multiple_references' => true,
+            'max_references'      => self::MAX_INPUT_IMAGES,
+        ]);
+    }
+
+    /**
+     * Estimates what a GPT Image-1 generation costs, from the published price per image of each quality.
+     * Landscape and portrait images cost more than square ones.
+     *
+     * @param string $model The model identifier.
+     * @param array $params The generation parameters.
+     * @return float The estimated cost in US dollars.
+     */
+    public function estimate_cost($model, $params) {
+        $prices = [
+            'low'    => [0.011, 0.016],
+            'medium' => [0.042, 0.063],
+            'high'   => [0.167, 0.25],
+        ];
+        $quality = $params['quality'] ?? $this->get_default_quality();
+        $price = $prices[$quality] ?? ($quality === 'hd' ? $prices['high'] : $prices['medium']);
+        $is_square = ($params['aspect_ratio'] ?? '1:1') === '1:1';
+        $num_outputs = max(1, min(self::MAX_OUTPUTS, intval($params['num_outputs'] ?? 1)));
+
+        return $price[$is_square ? 0 : 1] * $num_outputs;
     }
 
     /**
@@ -390,12 +680,16 @@ class WP_AI_Image_Provider_OpenAI extends WP_AI_Image_Provider {
      * @return array Array containing width and height as integers.
      */
     private function map_aspect_ratio_to_dimensions($aspect_ratio) {
+        // GPT Image-1 only supports square, landscape (3:2) and portrait (2:3) sizes,
+        // so wider and taller ratios use the closest supported size
         $dimensions = [
             '1:1'  => [1024, 1024],
-            '16:9' => [1792, 1024],
-            '9:16' => [1024, 1792],
-            '4:3'  => [1344, 1024],
-            '3:4'  => [1024, 1344],
+            '3:2'  => [1536, 1024],
+            '2:3'  => [1024, 1536],
+            '16:9' => [1536, 1024],
+            '9:16' => [1024, 1536],
+            '4:3'  => [1536, 1024],
+            '3:4'  => [1024, 1536],
         ];
 
         return $dimensions[$aspect_ratio] ?? [1024, 1024];
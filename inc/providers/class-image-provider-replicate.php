@@ -14,6 +14,26 @@ class WP_AI_Image_Provider_Replicate extends WP_AI_Image_Provider {
      */
     private const API_BASE_URL = 'https://api.replicate.com/v1/models/';
 
+    /**
+     * The published price per image of each model, in US dollars.
+     */
+    private const PRICES_PER_IMAGE = [
+        'black-forest-labs/flux-schnell'     => 0.003,
+        'black-forest-labs/flux-1.1-pro'     => 0.04,
+        'recraft-ai/recraft-v3'              => 0.04,
+        'google/imagen-3'                    => 0.05,
+        'black-forest-labs/flux-kontext-pro' => 0.04,
+        'black-forest-labs/flux-kontext-max' => 0.08,
+    ];
+
+    /**
+     * Models that accept an input image for image-to-image generation.
+     */
+    private const IMAGE_TO_IMAGE_MODELS = [
+        'black-forest-labs/flux-kontext-pro',
+        'black-forest-labs/flux-kontext-max',
+    ];
+
     /**
      * Gets the unique identifier for this provider.
      *
@@ -47,10 +67,14 @@ class WP_AI_Image_Provider_Replicate extends WP_AI_Image_Provider {
     }
 
     /**
-     * Overrides the parent method to get the current model from the quality setting.
+     * Overrides the parent method to fall back to the model of the quality setting when no model is set.
      * @return string The current model.
      */
     public function get_current_model() {
+        if (!empty($this->model) && array_key_exists($this->model, $this->get_available_models())) {
+            return $this->model;
+        }
+
         // Get all quality-related options to debug
         $quality_settings = get_option('wp_ai_image_gen_quality_settings');
         $quality_setting = get_option('wp_ai_image_gen_quality_setting');
@@ -83,12 +107,15 @@ class WP_AI_Image_Provider_Replicate extends WP_AI_Image_Provider {
             return $this->check_prediction_status($additional_params['prediction_id']);
         }
 
+        // Jobs create the prediction without holding the request open and poll it instead
         $headers = $this->get_request_headers();
+        if (isset($additional_params['wait']) && !$additional_params['wait']) {
+            unset($headers['Prefer']);
+        }
+        unset($additional_params['wait']);
+
         $body = [
-            'input' => array_merge(
-                ['prompt' => $prompt],
-                $additional_params
-            )
+            'input' => $this->build_input($prompt, $additional_params)
         ];
 
         wp_ai_image_gen_debug_log("Sending sync request to Replicate API: " . wp_json_encode($body));
@@ -112,6 +139,10 @@ class WP_AI_Image_Provider_Replicate extends WP_AI_Image_Provider {
         $body = json_decode(wp_remote_retrieve_body($response), true);
         wp_ai_image_gen_debug_log("Replicate API response: " . wp_json_encode($body));
 
+        if (wp_remote_retrieve_response_code($response) >= 400) {
+            return $this->get_http_error($response, $body);
+        }
+
         // If we got a completed prediction with output, return it immediately
         if (isset($body['status']) && $body['status'] === 'succeeded' && 
             isset($body['output']) && !empty($body['output'])) {
@@ -126,6 +157,74 @@ class WP_AI_Image_Provider_Replicate extends WP_AI_Image_Provider {
         return $body;
     }
 
+    /**
+     * Starts a prediction and returns right away with its ID, unless it finishes immediately.
+     * @param string $prompt The text prompt for image generation.
+     * @param array $additional_params Additional parameters for image generation.
+     * @return array|WP_Error The generated image data, a pending WP_Error with the prediction ID, or error.
+     */
+    public function start_generation($prompt, $additional_params = []) {
+        return $this->generate_image($prompt, array_merge($additional_params, ['wait' => false]));
+    }
+
+    /**
+     * Cancels a running prediction.
+     * @param string $prediction_id The ID of the prediction to cancel.
+     * @return true|WP_Error True if the prediction was cancelled, or error.
+     */
+    public function cancel_generation($prediction_id) {
+        $api_url = "https://api.replicate.com/v1/predictions/{$prediction_id}/cancel";
+
+        wp_ai_image_gen_debug_log("Cancelling prediction: " . $api_url);
+
+        $response = wp_remote_post(
+            $api_url,
+            [
+                'headers' => $this->get_request_headers(),
+                'timeout' => 8
+            ]
+        );
+
+        if (is_wp_error($response)) {
+            return $response;
+        }
+
+        $response_code = wp_remote_retrieve_response_code($response);
+        if ($response_code >= 400) {
+            return new WP_Error('replicate_error', "Failed to cancel prediction {$prediction_id} (HTTP {$response_code})");
+        }
+
+        return true;
+    }
+
+    /**
+     * Builds the prediction input from the prompt and additional parameters.
+     * Source images are passed as the model's input image when it supports image-to-image.
+     * @param string $prompt The text prompt for image generation.
+     * @param array $additional_params Additional parameters for image generation.
+     * @return array The prediction input.
+     */
+    private function build_input($prompt, $additional_params) {
+        // Without an image to edit, a single reference image is used as the input image
+        $source_image_url = $additional_params['source_image_url'] ?? ($additional_params['additional_image_urls'][0] ?? null);
+
+        // Image URLs are mapped below rather than passed through as-is
+        unset($additional_params['source_image_url'], $additional_params['additional_image_urls'], $additional_params['mask_url']);
+
+        $input = array_merge(['prompt' => $prompt], $additional_params);
+
+        $capabilities = $this->get_capabilities($this->model);
+        if (!empty($source_image_url) && $capabilities['image_to_image']) {
+            $input['input_image'] = is_array($source_image_url) ? reset($source_image_url) : $source_image_url;
+            wp_ai_image_gen_debug_log("Using image-to-image with {$this->model}");
+        } else if (isset($input['aspect_ratio']) && $input['aspect_ratio'] === 'match_input_image') {
+            // There is no input image to match, so fall back to a square image
+            $input['aspect_ratio'] = '1:1';
+        }
+
+        return $input;
+    }
+
     /**
      * Checks the status of a prediction.
      * @param string $prediction_id The ID of the prediction to check.
@@ -152,14 +251,36 @@ class WP_AI_Image_Provider_Replicate extends WP_AI_Image_Provider {
         $body = json_decode(wp_remote_retrieve_body($response), true);
         wp_ai_image_gen_debug_log("Replicate API status response: " . wp_json_encode($body));
 
+        if (wp_remote_retrieve_response_code($response) >= 400) {
+            return $this->get_http_error($response, $body);
+        }
+
         // Return the full response to let the process_api_response handle it
         return $body;
     }
 
+    /**
+     * Creates the error for a failed request, with the message Replicate sent.
+     * @param array $response The response from the HTTP API.
+     * @param mixed $body The decoded response body.
+     * @return WP_Error The error.
+     */
+    private function get_http_error($response, $body) {
+        $message = is_array($body) ? ($body['detail'] ?? $body['title'] ?? '') : '';
+        // Validation errors list every invalid input field
+        if (is_array($message)) {
+            $message = wp_json_encode($message);
+        }
+        if ($message === '') {
+            $message = 'Replicate API error (HTTP ' . wp_remote_retrieve_response_code($response) . ')';
+        }
+        return WP_AI_Image_Gen_Errors::from_http_response($response, $message);
+    }
+
     /**
      * Processes the API response to extract the image URL or data.
      * @param mixed $response The API response to process.
-     * @return string|WP_Error The image URL/data or error.
+     * @return string|array|WP_Error The image URL/data, a list of URLs for multiple images, or error.
      */
     public function process_api_response($response) {
         wp_ai_image_gen_debug_log("Raw Replicate response: " . wp_json_encode($response));
@@ -210,8 +331,19 @@ class WP_AI_Image_Provider_Replicate extends WP_AI_Image_Provider {
             return new WP_Error('generation_failed', $error_message);
         }
 
+        // A cancelled prediction will never produce an image
+        if ($status === 'canceled') {
+            return new WP_Error('generation_cancelled', 'Image generation was cancelled');
+        }
+
         // Handle succeeded status with direct output URL
         if ($status === 'succeeded' && !empty($response['output'])) {
+            // Models that honor num_outputs return one URL per image
+            if (is_array($response['output']) && count($response['output']) > 1) {
+                wp_ai_image_gen_debug_log('Extracted ' . count($response['output']) . ' image URLs from Replicate');
+                return array_values($response['output']);
+            }
+
             $image_url = is_array($response['output']) ? $response['output'][0] : $response['output'];
             wp_ai_image_gen_debug_log('Extracted image URL from Replicate: ' . $image_url);
             return $image_url;
@@ -250,6 +382,136 @@ class WP_AI_Image_Provider_Replicate extends WP_AI_Image_Provider {
             'black-forest-labs/flux-1.1-pro' => 'Flux 1.1 Pro by Black Forest Labs (high quality)',
             'recraft-ai/recraft-v3'          => 'Recraft V3 by Recraft AI (high quality)',
             'google/imagen-3'                => 'Imagen 3 by Google (highest quality)',
+            'black-forest-labs/flux-kontext-pro' => 'Flux Kontext Pro by Black Forest Labs (image editing)',
+            'black-forest-labs/flux-kontext-max' => 'Flux Kontext Max by Black Forest Labs (image editing, highest quality)',
+        ];
+    }
+
+    /**
+     * Gets what a Replicate model can do.
+     * Flux Kontext models accept an input image to edit.
+     *
+     * @param string $model The model identifier.
+     * @return array The model capabilities.
+     */
+    public function get_capabilities($model) {
+        $capabilities = parent::get_capabilities($model);
+
+        if (in_array($model, self::IMAGE_TO_IMAGE_MODELS, true)) {
+            $capabilities['image_to_image'] = true;
+            $capabilities['max_references'] = 1;
+        }
+
+        // Matching the input image is not a size the editor can offer up front
+        $capabilities['sizes'] = array_values(array_diff($capabilities['sizes'], ['match_input_image']));
+
+        return $capabilities;
+    }
+
+    /**
+     * Estimates what a generation costs, from the price per image of the model.
+     *
+     * @param string $model The model identifier.
+     * @param array $params The generation parameters.
+     * @return float The estimated cost in US dollars.
+     */
+    public function estimate_cost($model, $params) {
+        return (self::PRICES_PER_IMAGE[$model] ?? 0.0) * max(1, intval($params['num_outputs'] ?? 1));
+    }
+
+    /**
+     * Gets the parameter schema entries available for a specific model.
+     * Flux Kontext models default to keeping the aspect ratio of the input image.
+     *
+     * @param string $model The model identifier.
+     * @return array The parameter schema without entries restricted to other models.
+     */
+    public function get_model_parameter_schema($model) {
+        $schema = parent::get_model_parameter_schema($model);
+
+        if (in_array($model, self::IMAGE_TO_IMAGE_MODELS, true) && isset($schema['aspect_ratio'])) {
+            array_unshift($schema['aspect_ratio']['enum'], 'match_input_image');
+            $schema['aspect_ratio']['default'] = 'match_input_image';
+        }
+
+        return $schema;
+    }
+
+    /**
+     * Gets the schema of the generation parameters the Replicate models accept.
+     * Parameters are passed straight through as prediction input.
+     *
+     * @return array The parameter schema.
+     */
+    public function get_parameter_schema() {
+        $flux_models = ['black-forest-labs/flux-schnell', 'black-forest-labs/flux-1.1-pro'];
+        $seed_models = array_merge($flux_models, self::IMAGE_TO_IMAGE_MODELS);
+
+        return [
+            'aspect_ratio' => [
+                'type'    => 'string',
+                'label'   => 'Aspect ratio',
+                'enum'    => ['1:1', '16:9', '9:16', '4:3', '3:4'],
+                'default' => '1:1',
+            ],
+            'seed' => [
+                'type'        => 'integer',
+                'label'       => 'Seed',
+                'description' => 'Use the same seed to reproduce an image. Leave empty for a random seed.',
+                'minimum'     => 0,
+                'maximum'     => 2147483647,
+                'models'      => $seed_models,
+            ],
+            'negative_prompt' => [
+                'type'        => 'string',
+                'label'       => 'Negative prompt',
+                'description' => 'Things you do not want to see in the image.',
+                'models'      => ['google/imagen-3'],
+            ],
+            'safety_filter_level' => [
+                'type'    => 'string',
+                'label'   => 'Safety filter level',
+                'enum'    => ['block_low_and_above', 'block_medium_and_above', 'block_only_high'],
+                'default' => 'block_only_high',
+                'models'  => ['google/imagen-3'],
+            ],
+            'style' => [
+                'type'    => 'string',
+                'label'   => 'Style',
+                'enum'    => ['any', 'realistic_image', 'digital_illustration', 'vector_illustration', 'icon'],
+                'default' => 'realistic_image',
+                'models'  => ['recraft-ai/recraft-v3'],
+            ],
+            'num_inference_steps' => [
+                'type'    => 'integer',
+                'label'   => 'Inference steps',
+                'minimum' => 1,
+                'maximum' => 4,
+                'default' => 4,
+                'models'  => ['black-forest-labs/flux-schnell'],
+            ],
+            'prompt_upsampling' => [
+                'type'        => 'boolean',
+                'label'       => 'Prompt upsampling',
+                'description' => 'Let the model expand the prompt for more creative results.',
+                'default'     => false,
+                'models'      => ['black-forest-labs/flux-1.1-pro'],
+            ],
+            'output_format' => [
+                'type'    => 'string',
+                'label'   => 'Output format',
+                'enum'    => ['webp', 'jpg', 'png'],
+                'default' => 'webp',
+                'models'  => $flux_models,
+            ],
+            'output_quality' => [
+                'type'    => 'integer',
+                'label'   => 'Output quality',
+                'minimum' => 0,
+                'maximum' => 100,
+                'default' => 80,
+                'models'  => $flux_models,
+            ],
         ];
     }
 
@@ -1,110 +1,726 @@
 // This file provides API functions for generating AI images.
 
+import { applyFilters, doAction } from '@wordpress/hooks';
+import { createGenerationError, getErrorMessage } from './errors';
+
+/**
+ * Gets the settings the server publishes for the plugin scripts, in the block editor settings or, on screens
+ * without the block editor such as the Media Library, in the data of the media script.
+ *
+ * @returns {Object} The `main_provider`, `capabilities` and `upload_formats` settings.
+ */
+export const getPluginSettings = () => (
+    wp.data.select('core/editor')?.getEditorSettings()?.wp_ai_image_gen_settings || window.wpAiImageGenMedia?.settings || {}
+);
+
+/**
+ * Gets the main provider from the plugin settings.
+ *
+ * @returns {string|undefined} The main provider ID.
+ */
+const getMainProvider = () => getPluginSettings().main_provider;
+
+/**
+ * Gets the capability map published by the server in the plugin settings.
+ *
+ * @returns {Object} Capabilities keyed by provider ID, then by model ID.
+ */
+export const getCapabilityMap = () => getPluginSettings().capabilities || {};
+
+/**
+ * Checks whether a capability is supported, either by a specific model or by any active provider model.
+ *
+ * @param {string} capability - The capability name, e.g. 'text_to_image' or 'image_to_image'.
+ * @param {string} [provider] - Limit the check to this provider.
+ * @param {string} [model] - Limit the check to this model of the provider.
+ * @returns {boolean} True if the capability is supported.
+ */
+export const isCapabilitySupported = (capability, provider, model) => {
+    const capabilityMap = getCapabilityMap();
+    const providerIds = provider ? [provider] : Object.keys(capabilityMap);
+
+    return providerIds.some((providerId) => {
+        const models = capabilityMap[providerId] || {};
+        const modelIds = model ? [model] : Object.keys(models);
+        return modelIds.some((modelId) => !!models[modelId]?.[capability]);
+    });
+};
+
+/**
+ * Gets the capabilities of a provider model.
+ *
+ * @param {string} provider - The provider ID.
+ * @param {string} model - The model ID.
+ * @returns {Object} The model capabilities, empty if the model is unknown.
+ */
+export const getModelCapabilities = (provider, model) => getCapabilityMap()[provider]?.[model] || {};
+
+// Cached request for the providers list, shared by every modal in the editor.
+let providersRequest = null;
+
+/**
+ * Fetches the active providers with their models and the current user's last selection.
+ * The result is cached for the lifetime of the editor.
+ *
+ * @returns {Promise<Object>} Resolves to `{ providers, main_provider, last_selection }`.
+ */
+export const getProviders = () => {
+    if (!providersRequest) {
+        providersRequest = wp.apiFetch({ path: '/wp-ai-image-gen/v1/providers' }).catch((error) => {
+            // Allow a later call to retry the request
+            providersRequest = null;
+            throw error;
+        });
+    }
+    return providersRequest;
+};
+
+// Cached parameter schema requests keyed by provider and model.
+const parameterSchemaRequests = {};
+
+/**
+ * Fetches the parameters a provider model accepts, used to render the advanced options form.
+ * The result is cached for the lifetime of the editor.
+ *
+ * @param {string} provider - The provider ID.
+ * @param {string} [model] - The model ID, the provider's default model is used if omitted.
+ * @returns {Promise<Object[]>} Resolves to the list of parameter definitions.
+ */
+export const getParameterSchema = (provider, model = '') => {
+    const key = provider + '|' + model;
+    if (!parameterSchemaRequests[key]) {
+        parameterSchemaRequests[key] = wp.apiFetch({
+            path: wp.url.addQueryArgs('/wp-ai-image-gen/v1/parameters', { provider, model }),
+        })
+            .then((response) => response.parameters || [])
+            .catch((error) => {
+                // Allow a later call to retry the request
+                delete parameterSchemaRequests[key];
+                throw error;
+            });
+    }
+    return parameterSchemaRequests[key];
+};
+
+// Cached style preset requests keyed by post type.
+const stylePresetRequests = {};
+
+/**
+ * Fetches the style presets defined by the site admins and the default preset for a post type.
+ * The result is cached for the lifetime of the editor.
+ *
+ * @param {string} [postType] - The post type being edited.
+ * @returns {Promise<Object>} Resolves to `{ presets, default }`.
+ */
+export const getStylePresets = (postType = '') => {
+    if (!stylePresetRequests[postType]) {
+        stylePresetRequests[postType] = wp.apiFetch({
+            path: wp.url.addQueryArgs('/wp-ai-image-gen/v1/presets', { post_type: postType }),
+        }).catch((error) => {
+            // Allow a later call to retry the request
+            delete stylePresetRequests[postType];
+            throw error;
+        });
+    }
+    return stylePresetRequests[postType];
+};
+
+/**
+ * Builds the request body for the generate-image endpoint.
+ *
+ * @param {string} prompt - The text prompt for image generation.
+ * @param {Object} options - Optional parameters for image generation, see generateImage.
+ * @returns {Object} The request body.
+ */
+const buildRequestData = (prompt, options) => {
+    /**
+     * Filters the options of a generation before the request is sent, e.g. to pick another model or add parameters.
+     *
+     * @param {Object} options - The options, see generateImage.
+     * @param {string} prompt - The prompt.
+     */
+    options = applyFilters('wpAiImageGen.generationOptions', options, prompt);
+
+    /**
+     * Filters the prompt of a generation before the request is sent, after the style preset was picked but before
+     * the server wraps the prompt in it.
+     *
+     * @param {string} prompt - The prompt.
+     * @param {Object} options - The options, see generateImage.
+     */
+    prompt = applyFilters('wpAiImageGen.prompt', prompt, options);
+
+    // Use the provider picked for this generation, falling back to the main provider setting
+    const provider = options.provider || getMainProvider();
+    if (!provider) {
+        throw new Error('No main provider configured. Please check your plugin settings.');
+    }
+
+    const data = { 
+        prompt,
+        provider
+    };
+
+    // Add the model picked for this generation, the server uses its default otherwise
+    if (options.provider && options.model) {
+        data.model = options.model;
+    }
+    
+    // Add source image URL if provided
+    if (options.sourceImageUrl) {
+        data.source_image_url = options.sourceImageUrl;
+    }
+    
+    // Add array of additional image URLs if provided
+    if (options.additionalImageUrls && Array.isArray(options.additionalImageUrls)) {
+        data.additional_image_urls = options.additionalImageUrls;
+    }
+    
+    // Add mask URL if provided for inpainting
+    if (options.maskUrl) {
+        data.mask_url = options.maskUrl;
+    }
+
+    // Add a mask uploaded with uploadMask, the server removes it once the request completes
+    if (options.maskToken) {
+        data.mask_token = options.maskToken;
+    }
+    
+    // Add provider specific parameters, validated on the server against the provider's schema
+    if (options.parameters && Object.keys(options.parameters).length > 0) {
+        data.parameters = options.parameters;
+    }
+
+    // Add the style preset, the server composes the final prompt and parameters from it
+    if (options.preset) {
+        data.preset = options.preset;
+    }
+
+    return data;
+};
+
+/**
+ * Sends a request to the plugin REST API and turns WP_Error responses into thrown errors.
+ *
+ * @param {string} path - The route path relative to the plugin namespace.
+ * @param {Object} data - The request body.
+ * @returns {Promise<Object>} The response body.
+ */
+const postRequest = async (path, data) => {
+    const response = await wp.apiFetch({
+        path: '/wp-ai-image-gen/v1' + path,
+        method: 'POST',
+        data: data,
+    });
+
+    // Handle WP_Error responses which come back as objects with 'code' and 'message' properties
+    if (response.code && response.message) {
+        throw createGenerationError(response);
+    }
+
+    return response;
+};
+
+// Delay between job status requests, growing up to the maximum for slow generations.
+const JOB_POLL_INTERVAL = 1500;
+const JOB_POLL_MAX_INTERVAL = 5000;
+
+/**
+ * Creates the error thrown when the user cancels a generation.
+ *
+ * @returns {Error} The error, flagged with `cancelled`.
+ */
+const createCancelledError = () => {
+    const error = new Error('Image generation was cancelled.');
+    error.cancelled = true;
+    return error;
+};
+
+/**
+ * Waits before the next status request, returning early when the generation is cancelled.
+ *
+ * @param {number} delay - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Signal that cancels the generation.
+ * @returns {Promise<void>} A promise that resolves after the delay.
+ */
+const waitForNextPoll = (delay, signal) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, delay);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+    }, { once: true });
+});
+
+/**
+ * Describes the progress of a generation job for display next to the spinner.
+ *
+ * @param {Object} job - The job returned by the jobs endpoint.
+ * @returns {string} The progress text.
+ */
+export const getJobProgressText = (job) => {
+    const elapsed = job.elapsed > 0 ? ` (${job.elapsed}s)` : '';
+    switch (job.status) {
+        case 'queued':
+            // Jobs generating the candidates a model did not return at once are queued between rounds
+            if (job.generated > 0) {
+                return 'Generating...' + elapsed;
+            }
+            return (job.attempts > 0 ? 'Retrying...' : 'Waiting to start...') + elapsed;
+        case 'processing':
+            return 'Generating...' + elapsed;
+        case 'succeeded':
+            return 'Done';
+        case 'cancelled':
+            return 'Cancelled';
+        default:
+            return 'Failed';
+    }
+};
+
+/**
+ * Cancels a generation job on the server.
+ *
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<Object>} Resolves to the cancelled job.
+ */
+export const cancelJob = (jobId) => wp.apiFetch({
+    path: '/wp-ai-image-gen/v1/jobs/' + jobId,
+    method: 'DELETE',
+});
+
+/**
+ * Polls a generation job until it is finished.
+ *
+ * @param {Object} job - The job returned when it was queued.
+ * @param {Object} [options] - Polling options.
+ * @param {function} [options.onProgress] - Receives the progress text and the job after every status request.
+ * @param {AbortSignal} [options.signal] - Signal that cancels the job.
+ * @returns {Promise<Object>} Resolves to the job result, `{ url, id }` or `{ candidates }`.
+ */
+const waitForJob = async (job, { onProgress, signal } = {}) => {
+    let delay = JOB_POLL_INTERVAL;
+
+    while (job.status === 'queued' || job.status === 'processing') {
+        onProgress?.(getJobProgressText(job), job);
+        await waitForNextPoll(delay, signal);
+
+        if (signal?.aborted) {
+            // A job that could not be cancelled finishes on its own and its result is never picked up
+            await cancelJob(job.id).catch(() => {});
+            throw createCancelledError();
+        }
+
+        job = await wp.apiFetch({ path: '/wp-ai-image-gen/v1/jobs/' + job.id });
+        delay = Math.min(delay * 1.5, JOB_POLL_MAX_INTERVAL);
+    }
+
+    onProgress?.(getJobProgressText(job), job);
+
+    if (job.status === 'cancelled') {
+        throw createCancelledError();
+    }
+    if (job.status !== 'succeeded') {
+        throw createGenerationError(job.error || { message: 'Image generation failed' });
+    }
+
+    return job.result;
+};
+
+/**
+ * Queues a generation job and waits for its result.
+ *
+ * @param {Object} data - The request body for the generate-image endpoint.
+ * @param {Object} [options] - Polling options, see waitForJob.
+ * @returns {Promise<Object>} Resolves to the job result.
+ */
+const runGenerationJob = async (data, options = {}) => {
+    if (options.signal?.aborted) {
+        throw createCancelledError();
+    }
+
+    const job = await postRequest('/generate-image', data);
+    options.onQueued?.(job);
+    return waitForJob(job, options);
+};
+
+/**
+ * Logs a failed request and passes the error back to the callback.
+ * The callback receives the message to show, and the category and retry information of the error.
+ *
+ * @param {Object|Error} error - The error that occurred.
+ * @param {function} callback - The callback function to notify.
+ * @returns {void}
+ */
+const handleError = (error, callback) => {
+    const generationError = createGenerationError(error);
+
+    // Cancelling is not a failure worth logging
+    if (generationError.cancelled) {
+        callback({ error: generationError.message, cancelled: true });
+        return;
+    }
+
+    console.error('Image generation failed:', error);
+
+    // Pass the error back to the callback
+    callback({
+        error: getErrorMessage(generationError),
+        code: generationError.code,
+        category: generationError.category,
+        retryable: generationError.retryable,
+        retryAfter: generationError.retryAfter,
+    });
+};
+
+/**
+ * Passes the result of a generation to its callback, after announcing it with the generationSucceeded or
+ * generationFailed action. Cancelled generations are not announced.
+ *
+ * @param {Object} result - The image data, `{ candidates }`, or the failure, see generateImage.
+ * @param {function} callback - The callback function to notify.
+ * @param {string} prompt - The prompt of the generation.
+ * @param {Object} options - The options of the generation.
+ * @returns {void}
+ */
+const finishGeneration = (result, callback, prompt, options) => {
+    if (!result.error) {
+        /**
+         * Fires when an image, or the candidates to choose from, were generated.
+         *
+         * @param {Object} result - The image data with `url`, `id`, `alt` and `caption`, or `{ candidates }`.
+         * @param {string} prompt - The prompt.
+         * @param {Object} options - The options, see generateImage.
+         */
+        doAction('wpAiImageGen.generationSucceeded', result, prompt, options);
+    } else if (!result.cancelled) {
+        /**
+         * Fires when a generation failed.
+         *
+         * @param {Object} result - The failure with `error`, `code`, `category`, `retryable` and `retryAfter`.
+         * @param {string} prompt - The prompt.
+         * @param {Object} options - The options, see generateImage.
+         */
+        doAction('wpAiImageGen.generationFailed', result, prompt, options);
+    }
+    callback(result);
+};
+
+/**
+ * Converts a response with an image URL and optional media ID into the image data passed to callbacks.
+ *
+ * @param {Object} response - The response containing url and id, and the alt text and caption written for the image.
+ * @param {string} prompt - The prompt used for generation, the alt text when none was written.
+ * @returns {Object} The image data.
+ */
+const toImageData = (response, prompt) => {
+    // The server describes generated images when the site enables it
+    const alt = response.alt || prompt;
+    const caption = response.caption || '';
+
+    // Check if we have a valid WordPress media ID (a number greater than 0)
+    if (response.id && typeof response.id === 'number' && response.id > 0) {
+        // This is a WordPress media library attachment with a valid ID
+        return {
+            url: response.url,
+            alt,
+            id: response.id, // Use the actual WordPress media ID
+            caption,
+            type: 'image', // Cover and media-text blocks read the media type of the picked media.
+        };
+    }
+
+    // This is just a URL with no valid WordPress media ID
+    // Create an object without an ID to prevent 404 errors
+    return {
+        url: response.url,
+        alt,
+        caption,
+        type: 'image',
+        // Omit the id property completely
+    };
+};
+
 /**
  * Generates an AI image based on the given prompt and optional parameters.
+ * A failure passes `{ error, code, category, retryable, retryAfter }` to the callback, where `error` is the message to show.
  *
  * @param {string} prompt - The text prompt for image generation.
  * @param {function} callback - The callback function to handle the generated image data.
  * @param {Object} [options] - Optional parameters for image generation.
+ * @param {string} [options.provider] - Provider ID to use instead of the main provider.
+ * @param {string} [options.model] - Model ID to use with options.provider.
  * @param {string} [options.sourceImageUrl] - URL of the source image for image-to-image generation.
  * @param {string[]} [options.additionalImageUrls] - Array of additional source image URLs (for GPT Image-1 only).
  * @param {string} [options.maskUrl] - URL of mask image for inpainting (for GPT Image-1 only).
- * @param {string} [options.moderation] - Moderation level: 'auto' or 'low' (for GPT Image-1 only).
- * @param {string} [options.style] - Style parameter: 'natural' or 'vivid' (for GPT Image-1 only).
+ * @param {string} [options.maskToken] - Token of a mask uploaded with uploadMask, used instead of maskUrl.
+ * @param {Object} [options.parameters] - Provider specific parameters as declared by the provider's parameter schema.
+ * @param {string} [options.preset] - ID of the style preset wrapping the prompt and providing default parameters.
+ * @param {function} [options.onProgress] - Receives the progress text and the job while the image is generated.
+ * @param {AbortSignal} [options.signal] - Signal that cancels the generation, the callback then receives `{ error, cancelled: true }`.
+ * @param {function} [options.onQueued] - Receives the job once the server queued it, its ID can be passed to resumeGeneration.
  * @returns {Promise<void>} A promise that resolves when the image generation is complete.
  */
 export const generateImage = async (prompt, callback, options = {}) => {
+    const done = (result) => finishGeneration(result, callback, prompt, options);
     try {
-        // Get the main provider setting from editor settings
-        const mainProvider = wp.data.select('core/editor')?.getEditorSettings()?.wp_ai_image_gen_main_provider;
-        if (!mainProvider) {
-            throw new Error('No main provider configured. Please check your plugin settings.');
-        }
-        
-        const data = { 
-            prompt,
-            provider: mainProvider // Use the main provider setting
-        };
-        
-        // Add source image URL if provided
-        if (options.sourceImageUrl) {
-            data.source_image_url = options.sourceImageUrl;
+        const response = await runGenerationJob(buildRequestData(prompt, options), options);
+
+        // Handle successful response with URL
+        if (response && response.url) {
+            done(toImageData(response, prompt));
+        } else {
+            // Handle invalid response format
+            throw new Error('Invalid response from server: ' + JSON.stringify(response));
         }
-        
-        // Add array of additional image URLs if provided
-        if (options.additionalImageUrls && Array.isArray(options.additionalImageUrls)) {
-            data.additional_image_urls = options.additionalImageUrls;
+    } catch (error) {
+        handleError(error, done);
+    }
+};
+
+/**
+ * Resumes waiting for a generation job queued earlier, for example before the editor was reloaded.
+ * Jobs generating candidates pass `{ candidates }` to the callback instead of the image data.
+ *
+ * @param {string} jobId - The job ID.
+ * @param {string} prompt - The prompt the job was queued with, used as alt text.
+ * @param {function} callback - The callback function to handle the generated image data.
+ * @param {Object} [options] - The `onProgress` and `signal` options, see generateImage.
+ * @returns {Promise<void>} A promise that resolves when the image generation is complete.
+ */
+export const resumeGeneration = async (jobId, prompt, callback, options = {}) => {
+    const done = (result) => finishGeneration(result, callback, prompt, options);
+    try {
+        const response = await waitForJob({ id: jobId, status: 'queued' }, options);
+
+        if (response && response.url) {
+            done(toImageData(response, prompt));
+        } else if (response && Array.isArray(response.candidates)) {
+            // Jobs generating candidates pass them on, see generateImageCandidates
+            done({ candidates: response.candidates });
+        } else {
+            throw new Error('Invalid response from server: ' + JSON.stringify(response));
         }
-        
-        // Add mask URL if provided for inpainting
-        if (options.maskUrl) {
-            data.mask_url = options.maskUrl;
+    } catch (error) {
+        // The job expired or was never finished on the server
+        if (error.code === 'job_not_found') {
+            error.message = 'The image generation could not be found anymore.';
         }
-        
-        // Add moderation level if provided
-        if (options.moderation && ['auto', 'low'].includes(options.moderation)) {
-            data.moderation = options.moderation;
+        handleError(error, done);
+    }
+};
+
+/**
+ * Generates several candidate images without adding them to the media library.
+ * The server generates the candidates a model does not return at once in the same job.
+ *
+ * @param {string} prompt - The text prompt for image generation.
+ * @param {number} count - The number of candidates to generate (1-4).
+ * @param {function} callback - Receives `{ candidates }` where each candidate has `token` and `url`, or `{ error }`.
+ * @param {Object} [options] - Optional parameters for image generation, see generateImage.
+ * @returns {Promise<void>} A promise that resolves when all candidates are generated.
+ */
+export const generateImageCandidates = async (prompt, count, callback, options = {}) => {
+    const done = (result) => finishGeneration(result, callback, prompt, options);
+    try {
+        const data = buildRequestData(prompt, options);
+        const response = await runGenerationJob({ ...data, variations: count, preview: true }, options);
+
+        if (!response || !Array.isArray(response.candidates)) {
+            throw new Error('Invalid response from server: ' + JSON.stringify(response));
         }
-        
-        // Add style if provided
-        if (options.style && ['natural', 'vivid'].includes(options.style)) {
-            data.style = options.style;
+
+        done({ candidates: response.candidates });
+    } catch (error) {
+        handleError(error, done);
+    }
+};
+
+/**
+ * Saves a chosen candidate to the media library and discards the others.
+ *
+ * @param {Object} candidate - The chosen candidate with `token` and `url`.
+ * @param {string} prompt - The prompt used to generate the candidate.
+ * @param {Object[]} discarded - The candidates that were not chosen.
+ * @param {function} callback - The callback function to handle the saved image data.
+ * @returns {Promise<void>} A promise that resolves when the candidate is saved.
+ */
+export const saveImageCandidate = async (candidate, prompt, discarded, callback) => {
+    try {
+        const response = await postRequest('/save-candidate', {
+            token: candidate.token,
+            prompt,
+            discard: discarded.map((item) => item.token),
+        });
+
+        if (response && response.url) {
+            callback(toImageData(response, prompt));
+        } else {
+            throw new Error('Invalid response from server: ' + JSON.stringify(response));
         }
-        
+    } catch (error) {
+        handleError(error, callback);
+    }
+};
+
+/**
+ * Saves an image cropped, resized or converted in the browser to the media library.
+ * The candidate it was processed from is removed, its generation details are kept with the new image.
+ *
+ * @param {Blob} file - The processed image.
+ * @param {Object} candidate - The candidate the image was processed from, with `token`.
+ * @param {string} prompt - The prompt used to generate the image.
+ * @param {function} callback - Receives the image data, or `{ error }`.
+ * @returns {Promise<void>} A promise that resolves when the image is saved.
+ */
+export const saveProcessedImage = async (file, candidate, prompt, callback) => {
+    try {
+        const body = new window.FormData();
+        body.append('image', file, 'image.' + (file.type.split('/')[1] || 'png'));
+        body.append('prompt', prompt);
+        body.append('token', candidate.token);
+
         const response = await wp.apiFetch({
-            path: '/wp-ai-image-gen/v1/generate-image',
+            path: '/wp-ai-image-gen/v1/upload-image',
             method: 'POST',
-            data: data,
+            body,
         });
 
-        // Handle WP_Error responses which come back as objects with 'code' and 'message' properties
-        if (response.code && response.message) {
-            // Special handling for content moderation errors
-            if (response.code === 'content_moderation') {
-                throw new Error(response.message);
-            }
-            // Handle other specific error codes as needed
-            if (response.code === 'replicate_error') {
-                throw new Error('Image generation failed: ' + response.message);
-            }
-            // Generic error handling for other WP_Error responses
-            throw new Error(response.message);
-        }
-
-        // Handle successful response with URL
         if (response && response.url) {
-            // Check if we have a valid WordPress media ID (a number greater than 0)
-            if (response.id && typeof response.id === 'number' && response.id > 0) {
-                // This is a WordPress media library attachment with a valid ID
-                callback({
-                    url: response.url,
-                    alt: prompt,
-                    id: response.id, // Use the actual WordPress media ID
-                    caption: '',
-                });
-            } else {
-                // This is just a URL with no valid WordPress media ID
-                // Create an object without an ID to prevent 404 errors
-                callback({
-                    url: response.url,
-                    alt: prompt,
-                    caption: '',
-                    // Omit the id property completely
-                });
-            }
+            callback(toImageData(response, prompt));
         } else {
-            // Handle invalid response format
             throw new Error('Invalid response from server: ' + JSON.stringify(response));
         }
     } catch (error) {
-        // Log detailed error information
-        console.error('Image generation failed:', error);
-        if (error.message) console.error('Error message:', error.message);
-        if (error.stack) console.error('Error stack:', error.stack);
-        
-        // Pass the error back to the callback
-        callback({ 
-            error: error.message || 'An unknown error occurred while generating the image'
+        handleError(error, callback);
+    }
+};
+
+/**
+ * Discards candidates that will not be used so their temporary files are removed.
+ *
+ * @param {Object[]} candidates - The candidates to discard.
+ * @returns {Promise<void>} A promise that resolves when the request is complete.
+ */
+export const discardImageCandidates = async (candidates) => {
+    if (!candidates.length) {
+        return;
+    }
+
+    try {
+        await postRequest('/discard-candidates', {
+            tokens: candidates.map((candidate) => candidate.token),
         });
+    } catch (error) {
+        // Leftover candidates expire on their own, so this is not worth surfacing to the user
     }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Uploads an inpainting mask so it can be sent with the next edit request.
+ *
+ * @param {Blob} maskBlob - The PNG mask, transparent where the image should change.
+ * @returns {Promise<Object>} Resolves to the uploaded mask with `token` and `url`.
+ */
+export const uploadMask = async (maskBlob) => {
+    const body = new window.FormData();
+    body.append('mask', maskBlob, 'mask.png');
+
+    return wp.apiFetch({
+        path: '/wp-ai-image-gen/v1/masks',
+        method: 'POST',
+        body,
+    });
+};
+
+/**
+ * Fetches the current user's prompt history, most recent first.
+ *
+ * @returns {Promise<Object[]>} Resolves to the history entries.
+ */
+export const getPromptHistory = async () => {
+    const response = await wp.apiFetch({ path: '/wp-ai-image-gen/v1/prompt-history' });
+    return response.entries || [];
+};
+
+/**
+ * Adds a finished generation to the current user's prompt history.
+ * Generations without a prompt, such as regenerations without instructions, are not recorded.
+ *
+ * @param {string} prompt - The prompt as the user wrote it, before any style preset.
+ * @param {Object} options - The generation options, see generateImage.
+ * @param {Object} [image] - The generated image with `url` and `id`.
+ * @returns {Promise<void>} A promise that resolves when the entry is stored.
+ */
+export const recordPromptHistory = async (prompt, options, image) => {
+    if (!prompt || !prompt.trim()) {
+        return;
+    }
+
+    try {
+        await postRequest('/prompt-history', {
+            prompt: prompt.trim(),
+            provider: options.provider || getMainProvider() || '',
+            model: options.model || '',
+            parameters: options.parameters || {},
+            preset: options.preset || '',
+            image_id: image?.id || 0,
+            image_url: image?.url || '',
+        });
+    } catch (error) {
+        // The image was generated anyway, a missing history entry is not worth surfacing to the user
+    }
+};
+
+/**
+ * Stars or unstars a prompt history entry.
+ *
+ * @param {string} entryId - The entry ID.
+ * @param {boolean} favorite - Whether the entry is a favorite.
+ * @returns {Promise<Object>} Resolves to the updated entry.
+ */
+export const setPromptHistoryFavorite = (entryId, favorite) => postRequest('/prompt-history/' + entryId, { favorite });
+
+/**
+ * Deletes a prompt history entry.
+ *
+ * @param {string} entryId - The entry ID.
+ * @returns {Promise<Object>} Resolves once the entry is deleted.
+ */
+export const deletePromptHistoryEntry = (entryId) => wp.apiFetch({
+    path: '/wp-ai-image-gen/v1/prompt-history/' + entryId,
+    method: 'DELETE',
+});
+
+/**
+ * Checks a prompt against the site's blocklist and, when asked for and enabled, a moderation API.
+ *
+ * @param {string} prompt - The prompt.
+ * @param {string} [provider] - The provider the prompt is for, preferred for moderation.
+ * @param {boolean} [moderate] - Whether to also send the prompt to the moderation API, generating moderates it anyway.
+ * @returns {Promise<Object>} Resolves to the check with `policy`, `flagged`, the blocklist `matches`
+ *                            with `text`, `start` and `length` in characters, and the moderation `categories`.
+ */
+export const checkPrompt = (prompt, provider = '', moderate = false) => postRequest('/check-prompt', { prompt, provider, moderate });
+
+/**
+ * Fetches how many images the current user may still generate.
+ *
+ * @returns {Promise<Object>} Resolves to the usage per period (`day`, `month`, `minute`),
+ *                            each with `limit`, `used`, `remaining` (null without limit) and `resets_in`.
+ */
+export const getUsage = () => wp.apiFetch({ path: '/wp-ai-image-gen/v1/usage' });
+
+/**
+ * Writes alt text and a caption for an image with a provider's vision model.
+ *
+ * @param {Object} image - The image.
+ * @param {number} [image.id] - The attachment ID of a media library image.
+ * @param {string} [image.url] - The image URL, used when there is no attachment.
+ * @param {string} [context] - What the image is about, e.g. the prompt it was generated with.
+ * @returns {Promise<Object>} Resolves to the description with `alt` and `caption`.
+ */
+export const describeImage = ({ id, url }, context = '') => postRequest('/describe-image', {
+    id: id || 0,
+    url: url || '',
+    context,
+});
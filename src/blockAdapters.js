@@ -0,0 +1,127 @@
+// This file maps generated images onto the attributes of the blocks that support AI generation.
+
+import { applyFilters } from '@wordpress/hooks';
+import { getBlockSupport } from '@wordpress/blocks';
+
+// Block support flag letting any block opt in to AI generation.
+// `true` uses the `url`, `id` and `alt` attributes, an object maps them to other attribute names,
+// e.g. `supports: { wpAiImageGen: { url: 'imageUrl', id: 'imageId', alt: 'imageAlt' } }`.
+export const BLOCK_SUPPORT_NAME = 'wpAiImageGen';
+
+/**
+ * Creates an adapter for a block storing its image in plain attributes.
+ *
+ * @param {Object} [names] - The attribute names.
+ * @param {string} [names.url] - The image URL attribute.
+ * @param {string} [names.id] - The attachment ID attribute.
+ * @param {string} [names.alt] - The alt text attribute.
+ * @returns {Object} The adapter.
+ */
+const createAttributeAdapter = ({ url = 'url', id = 'id', alt = 'alt' } = {}) => ({
+    getImage: (attributes) => ({ url: attributes[url], id: attributes[id] }),
+    getAttributes: (media) => ({
+        [url]: media.url,
+        [id]: media.id,
+        ...(media.alt !== undefined && alt ? { [alt]: media.alt } : {}),
+    }),
+});
+
+// Adapters of the core blocks, keyed by block name.
+const CORE_ADAPTERS = {
+    'core/image': createAttributeAdapter(),
+    'core/cover': {
+        // Covers with a video or the featured image have no image of their own to regenerate.
+        getImage: (attributes) => (attributes.backgroundType === 'video' || attributes.useFeaturedImage
+            ? null
+            : { url: attributes.url, id: attributes.id }),
+        getAttributes: (media, attributes = {}) => ({
+            url: media.url,
+            id: media.id,
+            ...(media.alt !== undefined ? { alt: media.alt } : {}),
+            backgroundType: 'image',
+            // A new image has a different subject, so start from the center again.
+            focalPoint: undefined,
+            // Same as the cover block does when an image is picked, a full overlay would hide it.
+            dimRatio: attributes.dimRatio === 100 ? 50 : attributes.dimRatio,
+        }),
+    },
+    'core/media-text': {
+        getImage: (attributes) => (attributes.mediaType === 'video'
+            ? null
+            : { url: attributes.mediaUrl, id: attributes.mediaId }),
+        getAttributes: (media) => ({
+            mediaUrl: media.url,
+            mediaId: media.id,
+            mediaType: 'image',
+            ...(media.alt !== undefined ? { mediaAlt: media.alt } : {}),
+        }),
+    },
+    // Galleries only add new images, their inner image blocks are regenerated on their own.
+    'core/gallery': {
+        multiple: true,
+        getImage: () => null,
+        getAttributes: () => ({}),
+    },
+};
+
+/**
+ * Gets the adapter mapping generated images onto a block.
+ * Adapters have `getImage( attributes )` returning the current `{ url, id }` or null,
+ * `getAttributes( media, attributes )` returning the attributes for a new image, and
+ * `multiple` when the block takes several images at once.
+ *
+ * @param {string} blockName - The block name.
+ * @returns {Object|null} The adapter, or null if the block does not support AI generation.
+ */
+export const getBlockAdapter = (blockName) => {
+    let adapter = CORE_ADAPTERS[blockName] || null;
+
+    const support = blockName ? getBlockSupport(blockName, BLOCK_SUPPORT_NAME) : null;
+    if (!adapter && support) {
+        adapter = createAttributeAdapter(typeof support === 'object' ? support : {});
+    }
+
+    /**
+     * Filters the adapter mapping generated images onto a block, return an adapter to add support
+     * for a block or null to remove it.
+     *
+     * @param {Object|null} adapter - The adapter.
+     * @param {string} blockName - The block name.
+     */
+    return applyFilters('wpAiImageGen.blockAdapter', adapter, blockName);
+};
+
+/**
+ * Gets the attributes that show a generated image in a block.
+ *
+ * @param {string} blockName - The block name.
+ * @param {Object} media - The image with `url`, optional `id` and `alt`, see generateImage.
+ * @param {Object} [attributes] - The current attributes of the block.
+ * @returns {Object} The attributes to set.
+ */
+export const getImageAttributes = (blockName, media, attributes = {}) => {
+    const adapter = getBlockAdapter(blockName);
+    const imageAttributes = adapter ? adapter.getAttributes(media, attributes) : {};
+
+    /**
+     * Filters the attributes set on a block from a generated image, when it is regenerated, generated from text
+     * or picked from the generation modal of an empty block.
+     *
+     * @param {Object} imageAttributes - The attributes to set.
+     * @param {Object} media - The image with `url`, optional `id` and `alt`.
+     * @param {string} blockName - The block name.
+     * @param {Object} attributes - The current attributes of the block.
+     */
+    return applyFilters('wpAiImageGen.blockAttributes', imageAttributes, media, blockName, attributes);
+};
+
+/**
+ * Gets the image of a block.
+ *
+ * @param {Object} block - The block.
+ * @returns {Object|null} The image with `url` and `id`, or null if the block has none.
+ */
+export const getBlockImage = (block) => {
+    const image = block ? getBlockAdapter(block.name)?.getImage(block.attributes) : null;
+    return image && image.url ? image : null;
+};
@@ -1,19 +1,50 @@
 // This file contains the AIImageToolbar component used in block toolbars for AI image actions.
 
-import { useState } from '@wordpress/element';
-import { Spinner, ToolbarButton, ToolbarGroup, Modal, TextareaControl, Button } from '@wordpress/components';
+import { useState, useRef, useEffect } from '@wordpress/element';
+import { Spinner, ToolbarButton, ToolbarGroup, Modal, TextareaControl, Button, ToggleControl, Dropdown, RadioControl, CheckboxControl } from '@wordpress/components';
+import ProviderSelector, { useProviderSelection } from './ProviderSelector';
+import AdvancedOptions, { useAdvancedOptions } from './AdvancedOptions';
+import PresetSelector, { usePresetSelection } from './PresetSelector';
+import PromptHistory from './PromptHistory';
+import UsageNotice from './UsageNotice';
+import { ReviewToggle, useReviewPreference } from './ImageReview';
+import PromptSafetyNotice, { usePromptSafety } from './PromptSafety';
+import MaskEditor from './MaskEditor';
+import ReferenceImages from './ReferenceImages';
+import VersionHistory from './VersionHistory';
+import { isCapabilitySupported, getModelCapabilities } from '../api';
+import { PLACEMENTS } from '../store';
+
+// Placement choices for images generated from a text selection.
+const PLACEMENT_OPTIONS = [
+    { label: 'Above the text', value: PLACEMENTS.ABOVE },
+    { label: 'Below the text', value: PLACEMENTS.BELOW },
+    { label: 'Media & text, next to the text', value: PLACEMENTS.MEDIA_TEXT },
+    { label: 'Cover, with the text on top', value: PLACEMENTS.COVER },
+];
+
+// The placement options picked during this editor session.
+let sessionPlacement = { placement: PLACEMENTS.ABOVE, useCaption: false };
 
 /**
  * AIImageToolbar component for adding AI image generation or regeneration buttons.
  *
  * @param {Object} props - Component properties.
  * @param {boolean} props.isGenerating - Indicates if an image is currently being generated.
- * @param {Function} props.onGenerateImage - Callback to handle image generation.
+ * @param {Function} props.onGenerateImage - Callback to handle image generation, receives the `placement` and `useCaption` options.
  * @param {boolean} [props.isRegenerating] - Indicates if an image is being regenerated.
- * @param {Function} [props.onRegenerateImage] - Callback to handle image regeneration.
+ * @param {Function} [props.onRegenerateImage] - Callback to handle image regeneration, receives the prompt and the picked provider, model, parameters, `review` and optional `maskBlob`.
  * @param {boolean} [props.isImageBlock] - Determines if the current block is an image block.
  * @param {boolean} [props.isTextSelected] - Determines if text is selected to trigger generation.
  * @param {boolean} [props.supportsImageToImage] - Indicates if the current provider supports image-to-image generation.
+ * @param {string} [props.imageUrl] - URL of the current image, painted over to edit a region.
+ * @param {string} [props.progress] - Progress text shown while an image is being generated.
+ * @param {Function} [props.onCancel] - Callback to cancel the generation in progress.
+ * @param {Object[]} [props.versions] - The version history of the image block.
+ * @param {number} [props.currentVersionIndex] - Index of the version the image block shows.
+ * @param {Function} [props.onRestoreVersion] - Callback receiving the version to restore.
+ * @param {boolean} [props.isModalRequested] - Whether a command asked the regeneration modal to open, see requestModal().
+ * @param {Function} [props.onModalRequestHandled] - Callback once the modal opened for the request.
  * @returns {JSX.Element|null} Returns the toolbar with the appropriate button or null if conditions are unmet.
  */
 const AIImageToolbar = ({
@@ -24,18 +55,121 @@ const AIImageToolbar = ({
     isImageBlock,
     isTextSelected,
     supportsImageToImage,
+    imageUrl,
+    progress,
+    onCancel,
+    versions = [],
+    currentVersionIndex = -1,
+    onRestoreVersion,
+    isModalRequested = false,
+    onModalRequestHandled,
 }) => {
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [prompt, setPrompt] = useState('');
     const [error, setError] = useState(null);
+    const [isEditingRegion, setIsEditingRegion] = useState(false); // Whether only a painted region should change.
+    const maskEditorRef = useRef(null);
+    const [referenceImages, setReferenceImages] = useState([]); // Extra input images sent after the current image.
+    const [placementOptions, setPlacementOptions] = useState(sessionPlacement); // Where an image generated from text goes.
+    // Regenerating edits the current image, so only offer models that accept one.
+    const { providers, selection, setSelection } = useProviderSelection(isImageBlock ? 'image_to_image' : 'text_to_image');
+    const advancedOptions = useAdvancedOptions(selection);
+    const { presets, preset, setPreset } = usePresetSelection();
+    const [review, setReview] = useReviewPreference(); // Whether the new image is cropped, resized and converted before saving.
+    const promptSafety = usePromptSafety(prompt, selection?.provider);
+    // Region editing needs a model that accepts a mask and an image to paint on.
+    const supportsMasking = !!imageUrl && !!selection && isCapabilitySupported('masking', selection.provider, selection.model);
+    // The current image is the first input image, so it takes one of the model's reference slots.
+    const referenceLimit = selection ? Math.max(0, (getModelCapabilities(selection.provider, selection.model).max_references || 0) - 1) : 0;
+
+    // Open the regeneration modal when a command or keyboard shortcut asks for it.
+    useEffect(() => {
+        if (isModalRequested && isImageBlock) {
+            if (!isRegenerating) {
+                setIsModalOpen(true);
+            }
+            onModalRequestHandled?.();
+        }
+    }, [isModalRequested, isImageBlock, isRegenerating, onModalRequestHandled]);
 
-    const handleRegenerate = () => {
-        onRegenerateImage(prompt.trim());
+    const closeModal = () => {
         setIsModalOpen(false);
         setPrompt('');
         setError(null);
+        setIsEditingRegion(false);
+        setReferenceImages([]);
+    };
+
+    const handleRegenerate = async () => {
+        const options = selection ? {
+            provider: selection.provider,
+            model: selection.model,
+            parameters: advancedOptions.parameters,
+        } : {};
+        if (preset) {
+            options.preset = preset;
+        }
+        if (review) {
+            options.review = true;
+        }
+
+        if (referenceLimit > 0 && referenceImages.length > 0) {
+            options.additionalImageUrls = referenceImages.slice(0, referenceLimit).map((image) => image.url);
+        }
+
+        // The mask has to be exported before the modal, and its canvas, goes away.
+        if (supportsMasking && isEditingRegion && maskEditorRef.current) {
+            const maskBlob = await maskEditorRef.current.exportMask();
+            if (!maskBlob) {
+                setError('Paint the region of the image you want to change, or turn off region editing.');
+                return;
+            }
+            options.maskBlob = maskBlob;
+        }
+
+        onRegenerateImage(prompt.trim(), options);
+        closeModal();
+    };
+
+    /**
+     * Regenerates the image with a prompt history entry and the settings it was recorded with.
+     *
+     * @param {Object} entry - The prompt history entry.
+     * @returns {void}
+     */
+    const handleRegenerateFromHistory = (entry) => {
+        const options = { provider: entry.provider, model: entry.model, parameters: entry.parameters };
+        if (entry.preset) {
+            options.preset = entry.preset;
+        }
+        if (review) {
+            options.review = true;
+        }
+        onRegenerateImage(entry.prompt, options);
+        closeModal();
     };
 
+    /**
+     * Updates the placement options and remembers them for the next generation.
+     *
+     * @param {Object} changes - The changed options.
+     * @returns {void}
+     */
+    const updatePlacementOptions = (changes) => {
+        sessionPlacement = { ...placementOptions, ...changes };
+        setPlacementOptions(sessionPlacement);
+    };
+
+    // A caption only makes sense for an image block of its own.
+    const canUseCaption = placementOptions.placement === PLACEMENTS.ABOVE || placementOptions.placement === PLACEMENTS.BELOW;
+
+    // Offer to cancel the generation in progress.
+    const cancelButton = onCancel && (isGenerating || isRegenerating) && (
+        <ToolbarButton onClick={onCancel}>
+            Cancel
+        </ToolbarButton>
+    );
+
     // Render a regenerate button if the current block is an image block.
     if (isImageBlock) {
         return (
@@ -44,23 +178,30 @@ const AIImageToolbar = ({
                     <ToolbarButton
                         icon={isRegenerating ? <Spinner /> : "update"}
                         label={isRegenerating 
-                            ? "Regenerating AI Image..." 
+                            ? progress || "Regenerating AI Image..." 
                             : supportsImageToImage 
                                 ? "Regenerate AI Image (using source image)" 
                                 : "Regenerate AI Image"}
+                        showTooltip
                         onClick={() => setIsModalOpen(true)}
                         disabled={isRegenerating}
+                    >
+                        {isRegenerating && progress}
+                    </ToolbarButton>
+                    {cancelButton}
+                    <VersionHistory
+                        versions={versions}
+                        currentIndex={currentVersionIndex}
+                        currentUrl={imageUrl}
+                        onRestore={onRestoreVersion}
+                        disabled={isRegenerating}
                     />
                 </ToolbarGroup>
 
                 {isModalOpen && (
                     <Modal
                         title="Modify AI Image"
-                        onRequestClose={() => {
-                            setIsModalOpen(false);
-                            setPrompt('');
-                            setError(null);
-                        }}
+                        onRequestClose={closeModal}
                     >
                         {error && <p style={{ color: 'red' }}>{error}</p>}
                         
@@ -70,11 +211,72 @@ const AIImageToolbar = ({
                             onChange={setPrompt}
                             rows={4}
                         />
+                        <PromptSafetyNotice safety={promptSafety} />
+
+                        <PromptHistory
+                            onUse={(entry) => setPrompt(entry.prompt)}
+                            onRun={handleRegenerateFromHistory}
+                            runLabel="Regenerate with this"
+                            disabled={isRegenerating}
+                        />
+
+                        <ProviderSelector
+                            providers={providers}
+                            selection={selection}
+                            onChange={setSelection}
+                            disabled={isRegenerating}
+                        />
+
+                        <PresetSelector
+                            presets={presets}
+                            preset={preset}
+                            onChange={setPreset}
+                            disabled={isRegenerating}
+                        />
+
+                        <AdvancedOptions
+                            schema={advancedOptions.schema}
+                            values={advancedOptions.values}
+                            onChange={advancedOptions.setValue}
+                            selection={selection}
+                            disabled={isRegenerating}
+                        />
+
+                        <ReferenceImages
+                            images={referenceImages}
+                            onChange={setReferenceImages}
+                            limit={referenceLimit}
+                            firstNumber={2}
+                            excludeUrl={imageUrl}
+                            disabled={isRegenerating}
+                        />
+
+                        {supportsMasking && (
+                            <ToggleControl
+                                label="Edit region"
+                                help={isEditingRegion ? 'Only the painted region will change.' : 'Paint a region to change only that part of the image.'}
+                                checked={isEditingRegion}
+                                onChange={setIsEditingRegion}
+                                disabled={isRegenerating}
+                            />
+                        )}
+
+                        {supportsMasking && isEditingRegion && (
+                            <MaskEditor
+                                ref={maskEditorRef}
+                                imageUrl={imageUrl}
+                                disabled={isRegenerating}
+                            />
+                        )}
+
+                        <ReviewToggle checked={review} onChange={setReview} disabled={isRegenerating} />
+
+                        <UsageNotice refreshKey={isRegenerating} />
                         
                         <Button
                             variant="primary"
                             onClick={handleRegenerate}
-                            disabled={isRegenerating}
+                            disabled={isRegenerating || promptSafety.isBlocked}
                         >
                             {isRegenerating ? (
                                 <>
@@ -90,16 +292,54 @@ const AIImageToolbar = ({
             </>
         );
     }
-    // Render a generate button if text is selected.
-    else if (isTextSelected) {
+    // Render a generate button if text is selected, and keep showing the progress while generating.
+    else if (isTextSelected || isGenerating) {
         return (
             <ToolbarGroup>
-                <ToolbarButton
-                    icon={isGenerating ? <Spinner /> : "format-image"}
-                    label={isGenerating ? "Generating AI Image..." : "Generate AI Image"}
-                    onClick={onGenerateImage}
-                    disabled={isGenerating}
+                <Dropdown
+                    popoverProps={{ placement: 'bottom-start' }}
+                    renderToggle={({ isOpen, onToggle }) => (
+                        <ToolbarButton
+                            icon={isGenerating ? <Spinner /> : "format-image"}
+                            label={isGenerating ? progress || "Generating AI Image..." : "Generate AI Image"}
+                            showTooltip
+                            onClick={onToggle}
+                            aria-expanded={isOpen}
+                            disabled={isGenerating}
+                        >
+                            {isGenerating && progress}
+                        </ToolbarButton>
+                    )}
+                    renderContent={({ onClose }) => (
+                        <div style={{ width: '260px', padding: '8px' }}>
+                            <RadioControl
+                                label="Place the image"
+                                selected={placementOptions.placement}
+                                options={PLACEMENT_OPTIONS}
+                                onChange={(placement) => updatePlacementOptions({ placement })}
+                            />
+                            <CheckboxControl
+                                label="Use the selected text as caption"
+                                checked={canUseCaption && placementOptions.useCaption}
+                                onChange={(useCaption) => updatePlacementOptions({ useCaption })}
+                                disabled={!canUseCaption}
+                            />
+                            <Button
+                                variant="primary"
+                                onClick={() => {
+                                    onGenerateImage({
+                                        placement: placementOptions.placement,
+                                        useCaption: canUseCaption && placementOptions.useCaption,
+                                    });
+                                    onClose();
+                                }}
+                            >
+                                Generate Image
+                            </Button>
+                        </div>
+                    )}
                 />
+                {cancelButton}
             </ToolbarGroup>
         );
     }
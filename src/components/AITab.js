@@ -1,8 +1,19 @@
 // This file contains the AITab React component used to generate AI images through a modal.
 
-import { useState } from '@wordpress/element'; // Import WordPress hooks.
-import { Button, TextareaControl, Modal, Spinner } from '@wordpress/components'; // Import necessary UI components.
-import { generateImage } from '../api'; // Import API functions.
+import { useState, useRef, useEffect, useCallback } from '@wordpress/element'; // Import WordPress hooks.
+import { Button, TextareaControl, Modal, Spinner, SelectControl } from '@wordpress/components'; // Import necessary UI components.
+import { generateImage, generateImageCandidates, saveImageCandidate, saveProcessedImage, discardImageCandidates, getModelCapabilities, recordPromptHistory } from '../api'; // Import API functions.
+import ProviderSelector, { useProviderSelection } from './ProviderSelector'; // Import the provider and model picker.
+import AdvancedOptions, { useAdvancedOptions } from './AdvancedOptions'; // Import the provider parameters form.
+import ReferenceImages from './ReferenceImages'; // Import the reference images picker.
+import PresetSelector, { usePresetSelection } from './PresetSelector'; // Import the style preset picker.
+import PromptHistory from './PromptHistory'; // Import the prompt history list.
+import UsageNotice from './UsageNotice'; // Import the remaining quota notice.
+import ImageReview, { ReviewToggle, useReviewPreference } from './ImageReview'; // Import the crop, resize and convert step.
+import PromptSafetyNotice, { usePromptSafety } from './PromptSafety'; // Import the prompt blocklist and moderation check.
+
+// Options for the number of variations to generate at once.
+const VARIATION_OPTIONS = [1, 2, 3, 4].map((count) => ({ label: String(count), value: String(count) }));
 
 /**
  * AITab component for generating AI images.
@@ -10,57 +21,437 @@ import { generateImage } from '../api'; // Import API functions.
  * @param {Object} props - The properties object.
  * @param {function} props.onSelect - The callback function to handle the selected image.
  * @param {boolean} props.shouldDisplay - Flag indicating whether to render the AITab.
+ * @param {boolean} [props.multiple] - Whether several images can be added at once, `onSelect` then receives a list.
+ * @param {string} [props.initialPrompt] - Prompt filled in when the modal opens with an empty prompt.
+ * @param {Object} [props.preferredValues] - Parameter values to start from, see useAdvancedOptions().
+ * @param {string} [props.buttonLabel] - Label of the button opening the modal.
+ * @param {boolean} [props.isOpenRequested] - Whether a command asked the modal to open, see requestModal().
+ * @param {Function} [props.onOpenRequestHandled] - Callback once the modal opened for the request.
+ * @param {boolean} [props.inline] - Whether to show the form in place, without the button and the modal.
  * @returns {JSX.Element|null} The rendered AITab component or null if not displayed.
  */
-const AITab = ({ onSelect, shouldDisplay }) => { // This is the AITab functional component.
+const AITab = ({ onSelect, shouldDisplay, multiple = false, initialPrompt = '', preferredValues, buttonLabel = 'Generate AI Image', isOpenRequested = false, onOpenRequestHandled, inline = false }) => { // This is the AITab functional component.
     // State for modal visibility, prompt text, loading indicator, and error message.
     const [isModalOpen, setIsModalOpen] = useState(false); // Indicates if the modal is open.
     const [prompt, setPrompt] = useState(''); // Stores the image prompt.
     const [isLoading, setIsLoading] = useState(false); // Indicates if image generation is in progress.
     const [error, setError] = useState(null); // Holds any error messages.
+    const [progress, setProgress] = useState(''); // Progress text of the running generation.
+    const abortControllerRef = useRef(null); // Cancels the running generation.
+    const [variations, setVariations] = useState(1); // Number of images to generate at once.
+    const [candidates, setCandidates] = useState([]); // Generated images waiting for the user to pick one.
+    const [selectedCandidates, setSelectedCandidates] = useState([]); // The candidates the user picked, only one unless multiple.
+    const [candidatePrompt, setCandidatePrompt] = useState(''); // The prompt the candidates were generated from.
+    const [candidateOptions, setCandidateOptions] = useState({}); // The settings the candidates were generated with.
+    const [review, setReview] = useReviewPreference(); // Whether images are cropped, resized and converted before saving.
+    const [isReviewing, setIsReviewing] = useState(false); // Whether the chosen candidates are being reviewed.
+    const { providers, selection, setSelection } = useProviderSelection(); // Provider and model for this generation.
+    const advancedOptions = useAdvancedOptions(selection, preferredValues); // Provider specific parameters for this generation.
+    const promptSafety = usePromptSafety(prompt, selection?.provider); // Blocklist and moderation check of the prompt.
+    const { presets, preset, setPreset } = usePresetSelection(); // Site-wide style preset for this generation.
+    const [referenceImages, setReferenceImages] = useState([]); // Images the generation should draw from.
+    // How many reference images the picked model accepts.
+    const referenceLimit = selection ? getModelCapabilities(selection.provider, selection.model).max_references || 0 : 0;
+
+    /**
+     * Opens the modal, with the initial prompt unless a prompt was entered before.
+     *
+     * @returns {void}
+     */
+    const openModal = useCallback(() => {
+        setPrompt((current) => (!current.trim() && initialPrompt ? initialPrompt : current));
+        setIsModalOpen(true);
+    }, [initialPrompt]);
+
+    // Open the modal when a command, keyboard shortcut or the "AI Image" block asks for it.
+    useEffect(() => {
+        if (isOpenRequested && shouldDisplay) {
+            openModal();
+            onOpenRequestHandled?.();
+        }
+    }, [isOpenRequested, shouldDisplay, openModal, onOpenRequestHandled]);
+
+    /**
+     * Removes the current candidates and discards their temporary files.
+     *
+     * @returns {void}
+     */
+    const clearCandidates = () => {
+        discardImageCandidates(candidates);
+        setCandidates([]);
+        setSelectedCandidates([]);
+        setIsReviewing(false);
+    };
+
+    /**
+     * Closes the modal and discards any unused candidates.
+     *
+     * @returns {void}
+     */
+    const closeModal = () => {
+        abortControllerRef.current?.abort();
+        clearCandidates();
+        setReferenceImages([]);
+        setIsModalOpen(false);
+    };
 
     /**
      * Handles the image generation process when the Generate button is clicked.
+     * A prompt history entry is generated again with the provider, model, parameters and preset it was recorded with.
      *
+     * @param {Object} [entry] - The prompt history entry to run again, the form is used otherwise.
      * @returns {void}
      */
-    const handleGenerate = () => { // This function handles the generation of an AI image.
+    const handleGenerate = (entry = null) => { // This function handles the generation of an AI image.
+        const finalPrompt = (entry ? entry.prompt : prompt).trim();
         // Check if the prompt is empty or consists solely of whitespace.
-        if (!prompt.trim()) {
+        if (!finalPrompt) {
             setError('Please enter a prompt for image generation.');
             return;
         }
+        if (entry) {
+            setPrompt(entry.prompt); // Show the prompt being generated.
+        }
         setIsLoading(true); // Start loading state.
         setError(null); // Clear any previous errors.
+        setProgress('');
+        clearCandidates(); // Generating again replaces the previous candidates.
+
+        // Use the provider, model and parameters picked in the modal, or the ones of the history entry.
+        let options = {};
+        if (entry) {
+            options = { provider: entry.provider, model: entry.model, parameters: entry.parameters };
+        } else if (selection) {
+            options = { provider: selection.provider, model: selection.model, parameters: advancedOptions.parameters };
+        }
+        const finalPreset = entry ? entry.preset : preset;
+        if (finalPreset) {
+            options.preset = finalPreset;
+        }
+        // Only the options sent to the server are kept in the prompt history.
+        const historyOptions = { ...options };
+
+        // Report progress and allow the generation to be cancelled.
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+        options.signal = abortController.signal;
+        options.onProgress = setProgress;
+        if (!entry && referenceLimit > 0 && referenceImages.length > 0) {
+            options.additionalImageUrls = referenceImages.slice(0, referenceLimit).map((image) => image.url);
+        }
+
+        // Several variations are shown as candidates so the user can choose one, reviewed images are candidates until saved.
+        if (variations > 1 || review) {
+            generateImageCandidates(finalPrompt, variations, (result) => {
+                abortControllerRef.current = null;
+                if (result.error) {
+                    // A cancelled generation is not an error worth showing.
+                    setError(result.cancelled ? null : result.error);
+                } else {
+                    setCandidates(result.candidates);
+                    // Galleries take every generated image unless the user deselects some.
+                    setSelectedCandidates(multiple ? result.candidates : result.candidates.slice(0, 1));
+                    setCandidatePrompt(finalPrompt);
+                    setCandidateOptions(historyOptions);
+                    // There is nothing to choose from a single image, so it goes straight to the review.
+                    setIsReviewing(review && result.candidates.length === 1);
+                }
+                setIsLoading(false); // End loading state.
+            }, options);
+            return;
+        }
 
         // Call generateImage API function with the prompt
-        generateImage(prompt.trim(), (media) => {
-            if (media.error) {
+        generateImage(finalPrompt, (media) => {
+            abortControllerRef.current = null;
+            if (media.cancelled) {
+                setIsLoading(false); // End loading state.
+            } else if (media.error) {
                 setError(media.error); // Set error if generation fails.
                 setIsLoading(false); // End loading state.
             } else {
-                onSelect(media); // Pass image media back to the parent.
+                recordPromptHistory(finalPrompt, historyOptions, media);
+                onSelect(multiple ? [media] : media); // Pass image media back to the parent.
                 setIsLoading(false); // End loading state.
                 setIsModalOpen(false); // Close the modal.
+                setReferenceImages([]); // References are picked per generation.
             }
-        });
+        }, options);
     };
 
+    /**
+     * Checks whether a candidate is picked.
+     *
+     * @param {Object} candidate - The candidate.
+     * @returns {boolean} True if the candidate is picked.
+     */
+    const isCandidateSelected = (candidate) => selectedCandidates.some((selected) => selected.token === candidate.token);
+
+    /**
+     * Picks a candidate, or toggles it when several images can be added.
+     *
+     * @param {Object} candidate - The candidate.
+     * @returns {void}
+     */
+    const toggleCandidate = (candidate) => {
+        if (!multiple) {
+            setSelectedCandidates([candidate]);
+        } else if (isCandidateSelected(candidate)) {
+            setSelectedCandidates(selectedCandidates.filter((selected) => selected.token !== candidate.token));
+        } else {
+            setSelectedCandidates([...selectedCandidates, candidate]);
+        }
+    };
+
+    /**
+     * Saves the chosen candidates to the media library and passes them to the block.
+     * They are saved one at a time, the last request also discards the candidates that were not chosen.
+     *
+     * @param {Blob[]} [files] - The chosen candidates as processed in the review, in the same order.
+     * @returns {Promise<void>}
+     */
+    const handleUseSelected = async (files = null) => {
+        if (!selectedCandidates.length) {
+            return;
+        }
+        setIsLoading(true);
+        setError(null);
+
+        const discarded = candidates.filter((candidate) => !isCandidateSelected(candidate));
+        const saved = [];
+        for (const [index, candidate] of selectedCandidates.entries()) {
+            const isLast = index === selectedCandidates.length - 1;
+            const media = await new Promise((resolve) => {
+                if (files) {
+                    saveProcessedImage(files[index], candidate, candidatePrompt, resolve);
+                } else {
+                    saveImageCandidate(candidate, candidatePrompt, isLast ? discarded : [], resolve);
+                }
+            });
+            if (media.error) {
+                setIsLoading(false);
+                setError(media.error);
+                // Keep only the candidates that are still waiting to be saved.
+                const isSaved = (item) => saved.some((done) => done.token === item.token);
+                setCandidates(candidates.filter((item) => !isSaved(item)));
+                setSelectedCandidates(selectedCandidates.filter((item) => !isSaved(item)));
+                if (saved.length) {
+                    onSelect(saved.map((item) => item.media));
+                }
+                return;
+            }
+            saved.push({ token: candidate.token, media });
+        }
+
+        if (files) {
+            discardImageCandidates(discarded);
+        }
+        setIsLoading(false);
+        setIsReviewing(false);
+        recordPromptHistory(candidatePrompt, candidateOptions, saved[0].media);
+        // The chosen candidates were saved and the rest were discarded on the server.
+        setCandidates([]);
+        setSelectedCandidates([]);
+        onSelect(multiple ? saved.map((item) => item.media) : saved[0].media);
+        setReferenceImages([]);
+        setIsModalOpen(false);
+    };
+
+    // Galleries can take several of the variations.
+    const variationsHelp = multiple
+        ? 'Only the images you choose are added to the media library.'
+        : 'Only the image you choose is added to the media library.';
+    const useSelectedLabel = multiple
+        ? `Add ${selectedCandidates.length} Generated Image${selectedCandidates.length === 1 ? '' : 's'}`
+        : 'Use Selected Image';
+
+    // Once there are candidates the generate button produces a fresh set.
+    const generateLabel = candidates.length > 0 ? 'Generate Again' : 'Generate Image';
+
     // Do not render the component if shouldDisplay is false.
     if (!shouldDisplay) {
         return null;
     }
 
+    // The form, shown in the modal or, in the media library, in place.
+    const content = (
+        <>
+            {/* Display error message if present. */}
+            {error && <p style={{ color: 'red' }}>{error}</p>}
+
+            {/* Crop, resize and convert the chosen images before they are saved. */}
+            {isReviewing ? (
+                <ImageReview
+                    imageUrls={selectedCandidates.map((candidate) => candidate.url)}
+                    onSave={handleUseSelected}
+                    onBack={() => setIsReviewing(false)}
+                    backLabel={candidates.length > 1 ? 'Back to Variations' : 'Back'}
+                    isSaving={isLoading}
+                />
+            ) : (
+                <>
+                {/* Textarea to enter the image prompt. */}
+                <TextareaControl
+                    label="Enter your image prompt"
+                    value={prompt}
+                    onChange={setPrompt} // Updates the prompt state.
+                    rows={4}
+                />
+                <PromptSafetyNotice safety={promptSafety} />
+
+                {/* Prompts the user generated with before. */}
+                <PromptHistory
+                    onUse={(entry) => setPrompt(entry.prompt)}
+                    onRun={handleGenerate}
+                    disabled={isLoading}
+                />
+
+                {/* Select the provider and model to generate with. */}
+                <ProviderSelector
+                    providers={providers}
+                    selection={selection}
+                    onChange={setSelection}
+                    disabled={isLoading}
+                />
+
+                {/* Site-wide style preset. */}
+                <PresetSelector
+                    presets={presets}
+                    preset={preset}
+                    onChange={setPreset}
+                    disabled={isLoading}
+                />
+
+                {/* Provider specific parameters. */}
+                <AdvancedOptions
+                    schema={advancedOptions.schema}
+                    values={advancedOptions.values}
+                    onChange={advancedOptions.setValue}
+                    selection={selection}
+                    disabled={isLoading}
+                />
+
+                {/* Images the generation should draw from. */}
+                <ReferenceImages
+                    images={referenceImages}
+                    onChange={setReferenceImages}
+                    limit={referenceLimit}
+                    disabled={isLoading}
+                />
+
+                {/* Select how many variations to generate. */}
+                <SelectControl
+                    label="Number of variations"
+                    value={String(variations)}
+                    options={VARIATION_OPTIONS}
+                    onChange={(value) => setVariations(parseInt(value, 10))}
+                    help={variations > 1 ? variationsHelp : undefined}
+                />
+
+                {/* Whether to crop, resize and convert the image before saving it. */}
+                <ReviewToggle checked={review} onChange={setReview} disabled={isLoading} />
+
+                {/* Grid of candidates to choose from. */}
+                {candidates.length > 0 && (
+                    <div
+                        role="listbox"
+                        aria-label="Generated images"
+                        aria-multiselectable={multiple}
+                        style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', margin: '16px 0' }}
+                    >
+                        {candidates.map((candidate, index) => {
+                            const isSelected = isCandidateSelected(candidate);
+                            return (
+                                <Button
+                                    key={candidate.token}
+                                    role="option"
+                                    aria-selected={isSelected}
+                                    aria-label={`Variation ${index + 1}`}
+                                    onClick={() => toggleCandidate(candidate)}
+                                    disabled={isLoading}
+                                    style={{
+                                        height: 'auto',
+                                        padding: 0,
+                                        outline: isSelected ? '3px solid var(--wp-admin-theme-color, #007cba)' : 'none',
+                                        outlineOffset: '2px',
+                                    }}
+                                >
+                                    <img
+                                        src={candidate.url}
+                                        alt={`Variation ${index + 1}`}
+                                        style={{ display: 'block', width: '100%', height: 'auto' }}
+                                    />
+                                </Button>
+                            );
+                        })}
+                    </div>
+                )}
+
+                {/* Images left under the user's limits. */}
+                <UsageNotice refreshKey={isLoading} />
+
+                {/* Button to trigger image generation. */}
+                <Button
+                    variant={candidates.length > 0 ? 'secondary' : 'primary'} // Uses primary styling until there are candidates.
+                    onClick={() => handleGenerate()} // Initiates image generation.
+                    disabled={isLoading || !prompt.trim() || promptSafety.isBlocked} // Disables button if conditions are not met.
+                >
+                    {isLoading && candidates.length === 0 ? (
+                        <>
+                            <Spinner /> {/* Display spinner during loading. */}
+                            {progress || 'Generating...'}
+                        </>
+                    ) : generateLabel}
+                </Button>
+
+                {/* Button to cancel the generation in progress. */}
+                {isLoading && candidates.length === 0 && (
+                    <Button
+                        variant="tertiary"
+                        onClick={() => abortControllerRef.current?.abort()}
+                        style={{ marginLeft: '8px' }}
+                    >
+                        Cancel
+                    </Button>
+                )}
+
+                {/* Button to use the chosen candidate. */}
+                {candidates.length > 0 && (
+                    <Button
+                        variant="primary"
+                        onClick={review ? () => setIsReviewing(true) : () => handleUseSelected()}
+                        disabled={isLoading || !selectedCandidates.length}
+                        style={{ marginLeft: '8px' }}
+                    >
+                        {isLoading ? (
+                            <>
+                                <Spinner />
+                                Saving...
+                            </>
+                        ) : (
+                            useSelectedLabel
+                        )}
+                    </Button>
+                )}
+                </>
+            )}
+        </>
+    );
+
+    if (inline) {
+        return <div className="wp-ai-image-gen-inline">{content}</div>;
+    }
+
     return (
         <>
             {/* Button to open the AI image generation modal */}
             <div className="block-editor-media-placeholder__url-input-container">
                 <Button
                     variant="secondary"
-                    onClick={() => setIsModalOpen(true)}
+                    onClick={openModal}
                     className="components-button is-next-40px-default-size is-secondary"
                 >
-                    Generate AI Image
+                    {buttonLabel}
                 </Button>
             </div>
 
@@ -68,38 +459,13 @@ const AITab = ({ onSelect, shouldDisplay }) => { // This is the AITab functional
             {isModalOpen && (
                 <Modal
                     title="WP AI Image Gen" // Modal title.
-                    onRequestClose={() => setIsModalOpen(false)} // Closes the modal.
+                    onRequestClose={closeModal} // Closes the modal.
                 >
-                    {/* Display error message if present. */}
-                    {error && <p style={{ color: 'red' }}>{error}</p>}
-                    
-                    {/* Textarea to enter the image prompt. */}
-                    <TextareaControl
-                        label="Enter your image prompt"
-                        value={prompt}
-                        onChange={setPrompt} // Updates the prompt state.
-                        rows={4}
-                    />
-                    
-                    {/* Button to trigger image generation. */}
-                    <Button
-                        variant="primary" // Uses primary styling.
-                        onClick={handleGenerate} // Initiates image generation.
-                        disabled={isLoading || !prompt.trim()} // Disables button if conditions are not met.
-                    >
-                        {isLoading ? (
-                            <>
-                                <Spinner /> {/* Display spinner during loading. */}
-                                Generating...
-                            </>
-                        ) : (
-                            'Generate Image'
-                        )}
-                    </Button>
+                    {content}
                 </Modal>
             )}
         </>
     );
 };
 
-export default AITab; // Export the AITab component. 
\ No newline at end of file
+export default AITab; // Export the AITab component.
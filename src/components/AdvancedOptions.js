@@ -0,0 +1,225 @@
+// This file contains the "Advanced options" panel rendered from a provider's parameter schema.
+
+import { useState, useEffect, useRef } from '@wordpress/element';
+import { PanelBody, SelectControl, TextControl, TextareaControl, ToggleControl, RangeControl } from '@wordpress/components';
+import { getParameterSchema } from '../api';
+import { getProviderControls } from '../providerControls';
+
+/**
+ * Picks the first preferred value of each parameter that the schema allows.
+ *
+ * @param {Object[]} schema - The parameter schema.
+ * @param {Object} preferredValues - Lists of preferred values keyed by parameter name, best first.
+ * @returns {Object} The picked values keyed by parameter name.
+ */
+const pickPreferredValues = (schema, preferredValues) => {
+    const values = {};
+    schema.forEach((definition) => {
+        const preferred = preferredValues[definition.name];
+        if (!preferred) {
+            return;
+        }
+        const allowed = Array.isArray(definition.enum) ? definition.enum : null;
+        const value = [].concat(preferred).find((option) => !allowed || allowed.includes(option));
+        if (value !== undefined) {
+            values[definition.name] = value;
+        }
+    });
+    return values;
+};
+
+/**
+ * Hook that loads the parameter schema for the selected provider and model and tracks the chosen values.
+ * Values are reset whenever the provider or model changes, since each model declares its own parameters.
+ *
+ * @param {Object|null} selection - The selected provider and model.
+ * @param {Object} [preferredValues] - Values to start from instead of the defaults, as lists of candidates keyed by
+ * parameter name since models accept different values, e.g. `{ aspect_ratio: [ '16:9', '3:2' ] }`.
+ * @returns {Object} `{ schema, values, setValue, parameters }` where `parameters` only contains values that differ from the defaults.
+ */
+export const useAdvancedOptions = (selection, preferredValues) => {
+    const [schema, setSchema] = useState([]);
+    const [values, setValues] = useState({});
+    const provider = selection?.provider;
+    const model = selection?.model;
+    // The preferred values only apply when a schema loads, changing them later does not reset the user's choices.
+    const preferredValuesRef = useRef(preferredValues);
+    preferredValuesRef.current = preferredValues;
+
+    useEffect(() => {
+        setSchema([]);
+        setValues({});
+        if (!provider) {
+            return;
+        }
+
+        let isMounted = true;
+        getParameterSchema(provider, model)
+            .then((parameters) => {
+                if (isMounted) {
+                    setSchema(parameters);
+                    if (preferredValuesRef.current) {
+                        setValues(pickPreferredValues(parameters, preferredValuesRef.current));
+                    }
+                }
+            })
+            .catch(() => {
+                // Without a schema there are no options to show, generations use the provider's defaults
+            });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [provider, model]);
+
+    /**
+     * Sets the value of a single parameter.
+     *
+     * @param {string} name - The parameter name.
+     * @param {*} value - The new value.
+     * @returns {void}
+     */
+    const setValue = (name, value) => {
+        setValues((current) => ({ ...current, [name]: value }));
+    };
+
+    // Only send the values the user changed, the server applies its own defaults otherwise.
+    const parameters = {};
+    schema.forEach((definition) => {
+        const value = values[definition.name];
+        if (value !== undefined && value !== '' && value !== definition.default) {
+            parameters[definition.name] = value;
+        }
+    });
+
+    return { schema, values, setValue, parameters };
+};
+
+/**
+ * Renders the control matching a single parameter definition.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object} props.definition - The parameter definition from the schema.
+ * @param {*} props.value - The current value, undefined if unchanged.
+ * @param {Function} props.onChange - Callback receiving the new value.
+ * @param {boolean} [props.disabled] - Whether the control is disabled.
+ * @returns {JSX.Element} The control.
+ */
+const ParameterControl = ({ definition, value, onChange, disabled }) => {
+    const currentValue = value !== undefined ? value : definition.default;
+    const commonProps = {
+        label: definition.label || definition.name,
+        help: definition.description,
+        disabled,
+    };
+
+    if (Array.isArray(definition.enum)) {
+        return (
+            <SelectControl
+                {...commonProps}
+                value={currentValue}
+                options={definition.enum.map((option) => ({ label: String(option), value: option }))}
+                onChange={onChange}
+            />
+        );
+    }
+
+    if (definition.type === 'boolean') {
+        return (
+            <ToggleControl
+                {...commonProps}
+                checked={!!currentValue}
+                onChange={onChange}
+            />
+        );
+    }
+
+    if (definition.type === 'integer' || definition.type === 'number') {
+        // Small bounded ranges are easier to pick with a slider.
+        const hasSmallRange = definition.minimum !== undefined && definition.maximum !== undefined
+            && definition.maximum - definition.minimum <= 100;
+        if (hasSmallRange) {
+            return (
+                <RangeControl
+                    {...commonProps}
+                    value={currentValue}
+                    min={definition.minimum}
+                    max={definition.maximum}
+                    step={definition.type === 'integer' ? 1 : 0.1}
+                    onChange={onChange}
+                />
+            );
+        }
+
+        return (
+            <TextControl
+                {...commonProps}
+                type="number"
+                value={currentValue ?? ''}
+                min={definition.minimum}
+                max={definition.maximum}
+                onChange={onChange}
+            />
+        );
+    }
+
+    // Free text parameters such as negative prompts can be long.
+    return (
+        <TextareaControl
+            {...commonProps}
+            value={currentValue ?? ''}
+            onChange={onChange}
+            rows={2}
+        />
+    );
+};
+
+/**
+ * AdvancedOptions component rendering a collapsible form for a provider's parameter schema,
+ * along with the controls the provider registered, see registerProviderControls().
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object[]} props.schema - The parameter definitions.
+ * @param {Object} props.values - The values the user changed.
+ * @param {Function} props.onChange - Callback receiving the parameter name and new value.
+ * @param {Object|null} [props.selection] - The selected provider and model.
+ * @param {boolean} [props.disabled] - Whether the controls are disabled.
+ * @returns {JSX.Element|null} The panel, or null if the model has no parameters.
+ */
+const AdvancedOptions = ({ schema, values, onChange, selection = null, disabled }) => {
+    const controls = getProviderControls(selection?.provider, selection?.model);
+    // Parameters handled by the provider's own controls are left out of the form.
+    const handledParameters = controls.flatMap((control) => control.parameters);
+    const definitions = schema.filter((definition) => !handledParameters.includes(definition.name));
+
+    if (!definitions.length && !controls.length) {
+        return null;
+    }
+
+    return (
+        <PanelBody title="Advanced options" initialOpen={false}>
+            {controls.map(({ render: Controls }, index) => (
+                <Controls
+                    key={index}
+                    provider={selection.provider}
+                    model={selection.model}
+                    schema={schema}
+                    values={values}
+                    setValue={onChange}
+                    disabled={disabled}
+                />
+            ))}
+            {definitions.map((definition) => (
+                <ParameterControl
+                    key={definition.name}
+                    definition={definition}
+                    value={values[definition.name]}
+                    onChange={(value) => onChange(definition.name, value)}
+                    disabled={disabled}
+                />
+            ))}
+        </PanelBody>
+    );
+};
+
+export default AdvancedOptions;
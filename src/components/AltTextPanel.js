@@ -0,0 +1,112 @@
+// This file contains the AltTextPanel component writing alt text and a caption for an image block's image.
+
+import { useState } from '@wordpress/element';
+import { useSelect } from '@wordpress/data';
+import { PanelBody, Button, TextareaControl, CheckboxControl, Spinner } from '@wordpress/components';
+import { describeImage } from '../api';
+import { getErrorMessage } from '../errors';
+import { GENERATION_META_KEY } from './GenerationDetailsPanel';
+
+/**
+ * AltTextPanel component for the core/image inspector.
+ * Asks a vision model to describe the image, and lets the user edit the suggested alt text and
+ * caption before applying them to the block. Works on any image, generated or not.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object} props.image - The block image with `url` and optional `id`.
+ * @param {Function} props.onApply - Callback receiving the attributes to set, `alt` and optionally `caption`.
+ * @returns {JSX.Element} The panel.
+ */
+const AltTextPanel = ({ image, onApply }) => {
+    const [suggestion, setSuggestion] = useState(null); // The description being edited, null until one is written.
+    const [replaceCaption, setReplaceCaption] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // The prompt of a generated image tells the model what it is looking at.
+    const prompt = useSelect(
+        (select) => (image.id ? select('core').getMedia(image.id, { context: 'edit' })?.meta?.[GENERATION_META_KEY]?.prompt : ''),
+        [image.id]
+    );
+
+    /**
+     * Asks for a description of the image.
+     *
+     * @returns {Promise<void>}
+     */
+    const handleGenerate = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const description = await describeImage(image, prompt || '');
+            setSuggestion({ alt: description.alt || '', caption: description.caption || '' });
+        } catch (err) {
+            setError(getErrorMessage(err));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    /**
+     * Applies the edited description to the block.
+     *
+     * @returns {void}
+     */
+    const handleApply = () => {
+        onApply({
+            alt: suggestion.alt.trim(),
+            ...(replaceCaption ? { caption: suggestion.caption.trim() } : {}),
+        });
+        setSuggestion(null);
+    };
+
+    return (
+        <PanelBody title="AI alt text" initialOpen={false}>
+            {error && <p style={{ color: 'red' }}>{error}</p>}
+            {suggestion ? (
+                <>
+                    <TextareaControl
+                        label="Alt text"
+                        help="Describe what the image shows for people who cannot see it."
+                        value={suggestion.alt}
+                        onChange={(alt) => setSuggestion({ ...suggestion, alt })}
+                        rows={3}
+                    />
+                    <TextareaControl
+                        label="Caption"
+                        value={suggestion.caption}
+                        onChange={(caption) => setSuggestion({ ...suggestion, caption })}
+                        rows={2}
+                    />
+                    <CheckboxControl
+                        label="Replace the caption"
+                        checked={replaceCaption}
+                        onChange={setReplaceCaption}
+                    />
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                        <Button variant="primary" onClick={handleApply} disabled={!suggestion.alt.trim()}>
+                            Apply
+                        </Button>
+                        <Button variant="secondary" onClick={handleGenerate} disabled={isLoading}>
+                            {isLoading ? <Spinner /> : 'Try again'}
+                        </Button>
+                        <Button variant="tertiary" onClick={() => setSuggestion(null)}>
+                            Discard
+                        </Button>
+                    </div>
+                </>
+            ) : (
+                <Button variant="secondary" onClick={handleGenerate} disabled={isLoading}>
+                    {isLoading ? (
+                        <>
+                            <Spinner />
+                            Describing image...
+                        </>
+                    ) : 'Generate alt text'}
+                </Button>
+            )}
+        </PanelBody>
+    );
+};
+
+export default AltTextPanel;
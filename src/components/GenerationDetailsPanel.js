@@ -0,0 +1,118 @@
+// This file contains the GenerationDetailsPanel component showing how an image block's image was generated.
+
+import { useSelect, useDispatch } from '@wordpress/data';
+import { useCopyToClipboard } from '@wordpress/compose';
+import { PanelBody, Button } from '@wordpress/components';
+import { STORE_NAME } from '../store';
+
+// Attachment meta key holding the generation metadata, see WP_AI_Image_Handler::GENERATION_META_KEY.
+export const GENERATION_META_KEY = '_wp_ai_image_gen_generation';
+
+/**
+ * Formats a parameter value for display.
+ *
+ * @param {*} value - The parameter value.
+ * @returns {string} The formatted value.
+ */
+const formatParameterValue = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+/**
+ * GenerationDetailsPanel component for the core/image inspector.
+ * Shows the prompt, provider, model and parameters saved with the attachment, and lets the user
+ * regenerate the image with the same settings or copy the prompt.
+ *
+ * @param {Object} props - Component properties.
+ * @param {number} props.attachmentId - The ID of the image attachment.
+ * @param {string} props.clientId - The image block client ID.
+ * @param {boolean} props.isRegenerating - Whether the block is being regenerated.
+ * @returns {JSX.Element|null} The panel, or null if the image was not generated.
+ */
+const GenerationDetailsPanel = ({ attachmentId, clientId, isRegenerating }) => {
+    const metadata = useSelect(
+        (select) => select('core').getMedia(attachmentId, { context: 'edit' })?.meta?.[GENERATION_META_KEY],
+        [attachmentId]
+    );
+    const { startGeneration } = useDispatch(STORE_NAME);
+    const { createSuccessNotice } = useDispatch('core/notices');
+    const copyRef = useCopyToClipboard(metadata?.prompt || '', () => {
+        createSuccessNotice('Prompt copied to clipboard.', { type: 'snackbar' });
+    });
+
+    if (!metadata?.prompt) {
+        return null;
+    }
+
+    const parameters = Object.entries(metadata.parameters || {});
+
+    /**
+     * Regenerates the image with the saved prompt, provider, model, parameters and input images.
+     * Starts from the original source image, not the generated one, to reproduce the same edit.
+     *
+     * @returns {void}
+     */
+    const handleRegenerate = () => {
+        const options = {
+            provider: metadata.provider,
+            model: metadata.model,
+            parameters: metadata.parameters || {},
+        };
+        if (metadata.source_image_url) {
+            options.sourceImageUrl = metadata.source_image_url;
+        }
+        if (metadata.reference_image_urls?.length) {
+            options.additionalImageUrls = metadata.reference_image_urls;
+        }
+
+        startGeneration({
+            kind: 'regenerate',
+            clientId,
+            prompt: metadata.prompt,
+            options,
+        });
+    };
+
+    return (
+        <PanelBody title="AI generation" initialOpen={false}>
+            <p style={{ whiteSpace: 'pre-wrap' }}>{metadata.prompt}</p>
+            <dl style={{ margin: '0 0 16px' }}>
+                <dt><strong>Provider</strong></dt>
+                <dd style={{ margin: 0 }}>{metadata.provider}</dd>
+                <dt><strong>Model</strong></dt>
+                <dd style={{ margin: 0, wordBreak: 'break-word' }}>{metadata.model}</dd>
+                {parameters.map(([name, value]) => (
+                    <div key={name}>
+                        <dt><strong>{name}</strong></dt>
+                        <dd style={{ margin: 0, wordBreak: 'break-word' }}>{formatParameterValue(value)}</dd>
+                    </div>
+                ))}
+                {metadata.source_image_url && (
+                    <>
+                        <dt><strong>Source image</strong></dt>
+                        <dd style={{ margin: 0 }}>
+                            <img src={metadata.source_image_url} alt="Source" style={{ display: 'block', maxWidth: '72px' }} />
+                        </dd>
+                    </>
+                )}
+                {metadata.masked && (
+                    <dd style={{ margin: 0 }}>Only a painted region was edited.</dd>
+                )}
+                {metadata.generated_at && (
+                    <>
+                        <dt><strong>Generated</strong></dt>
+                        <dd style={{ margin: 0 }}>{new Date(metadata.generated_at).toLocaleString()}</dd>
+                    </>
+                )}
+            </dl>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                <Button variant="secondary" onClick={handleRegenerate} disabled={isRegenerating}>
+                    Regenerate with same settings
+                </Button>
+                <Button variant="tertiary" ref={copyRef}>
+                    Copy prompt
+                </Button>
+            </div>
+        </PanelBody>
+    );
+};
+
+export default GenerationDetailsPanel;
@@ -0,0 +1,233 @@
+// This file contains the IllustratePost component generating an image for each section of the post at once.
+
+import { useState } from '@wordpress/element';
+import { useSelect, useDispatch } from '@wordpress/data';
+import { create } from '@wordpress/rich-text';
+import { PanelBody, Button, CheckboxControl, TextareaControl, Notice } from '@wordpress/components';
+import ProviderSelector, { useProviderSelection } from './ProviderSelector';
+import { STORE_NAME, PLACEMENTS } from '../store';
+
+// How much of a section's text goes into its proposed prompt, in characters.
+const MAX_SECTION_TEXT_LENGTH = 300;
+
+/**
+ * Gets the plain text of a block, empty for blocks without rich-text content.
+ *
+ * @param {Object} block - The block.
+ * @returns {string} The text.
+ */
+const getBlockText = (block) => {
+    const content = block.attributes.content ?? block.attributes.value;
+    return content ? create({ html: String(content) }).text.trim() : '';
+};
+
+/**
+ * Flattens blocks in document order, nested blocks included.
+ *
+ * @param {Object[]} blocks - The blocks.
+ * @returns {Object[]} The flattened blocks.
+ */
+const flattenBlocks = (blocks) => blocks.flatMap((block) => [block, ...flattenBlocks(block.innerBlocks || [])]);
+
+/**
+ * Splits the post into sections at its headings and proposes a prompt for each one,
+ * made of the heading and the beginning of the text up to the next heading.
+ *
+ * @param {Object[]} blocks - The post blocks.
+ * @returns {Object[]} The sections with `clientId`, `heading`, `prompt`, `checked`, `status` and `error`.
+ */
+const getSections = (blocks) => {
+    const sections = [];
+    flattenBlocks(blocks).forEach((block) => {
+        if (block.name === 'core/heading') {
+            sections.push({ clientId: block.clientId, heading: getBlockText(block), texts: [] });
+        } else if (sections.length && block.innerBlocks.length === 0) {
+            sections[sections.length - 1].texts.push(getBlockText(block));
+        }
+    });
+
+    return sections
+        .filter((section) => section.heading)
+        .map(({ clientId, heading, texts }) => {
+            let text = texts.filter(Boolean).join(' ');
+            if (text.length > MAX_SECTION_TEXT_LENGTH) {
+                text = text.slice(0, MAX_SECTION_TEXT_LENGTH).replace(/\s+\S*$/, '') + '...';
+            }
+            return {
+                clientId,
+                heading,
+                prompt: text ? `An illustration for "${heading}": ${text}` : `An illustration for "${heading}"`,
+                checked: true,
+                status: 'idle',
+                error: null,
+            };
+        });
+};
+
+/**
+ * Shows the status of a section being illustrated.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object} props.item - The section.
+ * @returns {JSX.Element|null} The status, or null for sections not generated yet.
+ */
+const ItemStatus = ({ item }) => {
+    // The generation placing an image below the heading, while it runs.
+    const generation = useSelect(
+        (select) => select(STORE_NAME).getSourceBlockGeneration(item.clientId),
+        [item.clientId]
+    );
+    const { cancelGeneration } = useDispatch(STORE_NAME);
+
+    if (item.status === 'running') {
+        return (
+            <p>
+                {generation?.progress || 'Waiting to start...'}
+                {generation && (
+                    <Button variant="link" onClick={() => cancelGeneration(generation.id)} style={{ marginLeft: '8px' }}>
+                        Cancel
+                    </Button>
+                )}
+            </p>
+        );
+    }
+    if (item.status === 'succeeded') {
+        return <p>Image added below the heading.</p>;
+    }
+    if (item.status === 'failed') {
+        return <Notice status="error" isDismissible={false}>{item.error}</Notice>;
+    }
+    return null;
+};
+
+/**
+ * IllustratePost component for the "Illustrate this post" sidebar.
+ * Lists the sections of the post with an editable prompt each, and generates the ticked ones through
+ * the generations store, which limits how many run at once. Failed sections can be retried on their own.
+ *
+ * @returns {JSX.Element} The sidebar content.
+ */
+const IllustratePost = () => {
+    const blocks = useSelect((select) => select('core/block-editor').getBlocks(), []);
+    const { startGeneration } = useDispatch(STORE_NAME);
+    const { providers, selection, setSelection } = useProviderSelection('text_to_image');
+    // Propose prompts when the sidebar opens, later scans are up to the user so edited prompts are kept.
+    const [items, setItems] = useState(() => getSections(blocks));
+    const [batch, setBatch] = useState([]); // Client IDs of the sections in the current run, for the progress bar.
+
+    /**
+     * Updates a section.
+     *
+     * @param {string} clientId - The heading client ID.
+     * @param {Object} changes - The changed properties.
+     * @returns {void}
+     */
+    const updateItem = (clientId, changes) => {
+        setItems((current) => current.map((item) => (item.clientId === clientId ? { ...item, ...changes } : item)));
+    };
+
+    /**
+     * Generates the image of a section and places it below its heading.
+     *
+     * @param {Object} item - The section.
+     * @returns {Promise<void>}
+     */
+    const generateItem = async (item) => {
+        updateItem(item.clientId, { status: 'running', error: null });
+        const result = await startGeneration({
+            kind: 'insert',
+            sourceClientId: item.clientId,
+            sourceText: item.heading,
+            prompt: item.prompt.trim(),
+            placement: PLACEMENTS.BELOW,
+            options: selection ? { provider: selection.provider, model: selection.model } : {},
+        });
+        if (result?.cancelled) {
+            updateItem(item.clientId, { status: 'idle' });
+        } else if (result?.error) {
+            updateItem(item.clientId, { status: 'failed', error: result.error });
+        } else {
+            updateItem(item.clientId, { status: 'succeeded' });
+        }
+    };
+
+    const runnable = items.filter((item) => item.checked && item.prompt.trim() && item.status !== 'running' && item.status !== 'succeeded');
+    const batchItems = items.filter((item) => batch.includes(item.clientId));
+    const finished = batchItems.filter((item) => item.status === 'succeeded' || item.status === 'failed').length;
+    const isRunning = items.some((item) => item.status === 'running');
+
+    /**
+     * Generates all ticked sections that have no image yet.
+     *
+     * @returns {void}
+     */
+    const handleGenerateAll = () => {
+        setBatch(runnable.map((item) => item.clientId));
+        runnable.forEach(generateItem);
+    };
+
+    return (
+        <>
+            <PanelBody>
+                <p>Generate an image for each section of the post. Images are added below the section headings.</p>
+                <ProviderSelector
+                    providers={providers}
+                    selection={selection}
+                    onChange={setSelection}
+                    disabled={isRunning}
+                />
+                <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                    <Button variant="primary" onClick={handleGenerateAll} disabled={!runnable.length}>
+                        {`Generate ${runnable.length} image${runnable.length === 1 ? '' : 's'}`}
+                    </Button>
+                    <Button variant="secondary" onClick={() => setItems(getSections(blocks))} disabled={isRunning}>
+                        Scan post again
+                    </Button>
+                </div>
+                {batchItems.length > 0 && (
+                    <div style={{ marginTop: '16px' }}>
+                        <progress
+                            max={batchItems.length}
+                            value={finished}
+                            style={{ width: '100%' }}
+                            aria-label="Illustration progress"
+                        />
+                        <p>{`${finished} of ${batchItems.length} done`}</p>
+                    </div>
+                )}
+            </PanelBody>
+
+            {items.length === 0 && (
+                <PanelBody>
+                    <p>Add headings to the post to split it into sections.</p>
+                </PanelBody>
+            )}
+
+            {items.map((item) => (
+                <PanelBody key={item.clientId} title={item.heading} initialOpen>
+                    <CheckboxControl
+                        label="Generate an image for this section"
+                        checked={item.checked}
+                        onChange={(checked) => updateItem(item.clientId, { checked })}
+                        disabled={item.status === 'running'}
+                    />
+                    <TextareaControl
+                        label="Prompt"
+                        value={item.prompt}
+                        onChange={(prompt) => updateItem(item.clientId, { prompt })}
+                        disabled={item.status === 'running'}
+                        rows={4}
+                    />
+                    <ItemStatus item={item} />
+                    {item.status === 'failed' && (
+                        <Button variant="secondary" onClick={() => generateItem(item)} disabled={!item.prompt.trim()}>
+                            Retry
+                        </Button>
+                    )}
+                </PanelBody>
+            ))}
+        </>
+    );
+};
+
+export default IllustratePost;
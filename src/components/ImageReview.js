@@ -0,0 +1,233 @@
+// This file contains the ImageReview component for cropping, resizing and converting generated images before they are saved.
+
+import { useState, useEffect } from '@wordpress/element';
+import { SelectControl, RangeControl, ToggleControl, Button, Spinner } from '@wordpress/components';
+import { CROP_ASPECT_RATIOS, DEFAULT_PROCESSING, getAvailableFormats, loadImage, processImage, formatFileSize } from '../imageProcessing';
+
+// Widths larger images can be scaled down to.
+const MAX_WIDTH_OPTIONS = [
+    { label: 'Original size', value: '0' },
+    ...[2560, 1920, 1600, 1280, 1024, 800].map((width) => ({ label: `${width}px`, value: String(width) })),
+];
+
+// Crop choices, the whole image by default.
+const ASPECT_RATIO_OPTIONS = [
+    { label: 'No crop', value: '' },
+    ...CROP_ASPECT_RATIOS.map((ratio) => ({ label: ratio, value: ratio })),
+];
+
+// How long the settings have to stay the same before the preview is processed again.
+const PREVIEW_DELAY = 300;
+
+// Whether generated images are reviewed, and the processing settings picked, during this editor session.
+let sessionReview = false;
+let sessionProcessing = DEFAULT_PROCESSING;
+
+/**
+ * Hook sharing whether generated images are reviewed before saving between the generation modals of this editor session.
+ *
+ * @returns {Array} The `[ review, setReview ]` pair.
+ */
+export const useReviewPreference = () => {
+    const [review, setReview] = useState(sessionReview);
+
+    /**
+     * Turns the review step on or off and remembers it for the next generation.
+     *
+     * @param {boolean} value - Whether to review generated images.
+     * @returns {void}
+     */
+    const updateReview = (value) => {
+        sessionReview = value;
+        setReview(value);
+    };
+
+    return [review, updateReview];
+};
+
+/**
+ * ReviewToggle component turning the review step on or off in the generation modals.
+ *
+ * @param {Object} props - Component properties.
+ * @param {boolean} props.checked - Whether generated images are reviewed.
+ * @param {Function} props.onChange - Callback receiving the new value.
+ * @param {boolean} [props.disabled] - Whether the toggle is disabled.
+ * @returns {JSX.Element} The toggle.
+ */
+export const ReviewToggle = ({ checked, onChange, disabled }) => (
+    <ToggleControl
+        label="Review and optimize before saving"
+        help="Crop, resize and convert the image in your browser before it is added to the media library."
+        checked={checked}
+        onChange={onChange}
+        disabled={disabled}
+    />
+);
+
+/**
+ * ImageReview component showing a generated image with the crop, size and format it will be saved with.
+ * The images are processed in the browser and handed over as files, several images get the same settings.
+ *
+ * @param {Object} props - Component properties.
+ * @param {string[]} props.imageUrls - URLs of the images to process, the first one is previewed.
+ * @param {Function} props.onSave - Callback receiving the processed files, in the order of `imageUrls`.
+ * @param {Function} props.onBack - Callback leaving the review without saving.
+ * @param {string} [props.backLabel] - Label of the button leaving the review.
+ * @param {boolean} [props.isSaving] - Whether the processed images are being saved.
+ * @returns {JSX.Element} The review step.
+ */
+const ImageReview = ({ imageUrls, onSave, onBack, backLabel = 'Back', isSaving }) => {
+    const [settings, setSettings] = useState(sessionProcessing);
+    const [original, setOriginal] = useState(null); // The decoded first image and its file size.
+    const [preview, setPreview] = useState(null); // The processed first image with its object URL.
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [error, setError] = useState(null);
+    const formats = getAvailableFormats();
+    const format = formats.some((item) => item.value === settings.format) ? settings.format : formats[0]?.value;
+
+    // Load the first image once, it is processed again whenever the settings change.
+    const previewUrl = imageUrls[0];
+    useEffect(() => {
+        let isMounted = true;
+        setOriginal(null);
+        loadImage(previewUrl)
+            .then((loaded) => isMounted && setOriginal(loaded))
+            .catch((err) => {
+                if (isMounted) {
+                    setError(err.message);
+                }
+            });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [previewUrl]);
+
+    useEffect(() => {
+        if (!original || !format) {
+            return undefined;
+        }
+
+        let isMounted = true;
+        setIsProcessing(true);
+        const timeout = setTimeout(() => {
+            processImage(original.bitmap, { ...settings, format })
+                .then((result) => {
+                    if (isMounted) {
+                        setPreview({ ...result, url: URL.createObjectURL(result.blob) });
+                        setError(null);
+                    }
+                })
+                .catch((err) => isMounted && setError(err.message))
+                .finally(() => isMounted && setIsProcessing(false));
+        }, PREVIEW_DELAY);
+
+        return () => {
+            isMounted = false;
+            clearTimeout(timeout);
+        };
+    }, [original, settings, format]);
+
+    // The previous preview is kept on screen until the next one is ready, then its file is released.
+    useEffect(() => () => preview && URL.revokeObjectURL(preview.url), [preview]);
+
+    /**
+     * Updates the settings and remembers them for the next review.
+     *
+     * @param {Object} changes - The changed settings.
+     * @returns {void}
+     */
+    const updateSettings = (changes) => {
+        sessionProcessing = { ...settings, ...changes };
+        setSettings(sessionProcessing);
+    };
+
+    /**
+     * Processes every image with the chosen settings and hands the files over.
+     *
+     * @returns {Promise<void>}
+     */
+    const handleSave = async () => {
+        setError(null);
+        try {
+            const files = await Promise.all(imageUrls.map(async (url, index) => {
+                const image = index === 0 ? original : await loadImage(url);
+                return (await processImage(image.bitmap, { ...settings, format })).blob;
+            }));
+            onSave(files);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const formatLabel = formats.find((item) => item.value === format)?.label;
+
+    return (
+        <div className="wp-ai-image-gen-review">
+            {error && <p style={{ color: 'red' }}>{error}</p>}
+            <div style={{ position: 'relative', minHeight: '120px', marginBottom: '8px', background: '#f0f0f0' }}>
+                {preview ? (
+                    <img
+                        src={preview.url}
+                        alt="Preview of the result"
+                        style={{ display: 'block', maxWidth: '100%', maxHeight: '360px', margin: '0 auto', opacity: isProcessing ? 0.6 : 1 }}
+                    />
+                ) : (
+                    !error && <Spinner />
+                )}
+            </div>
+            {preview && original && (
+                <p style={{ marginTop: 0 }}>
+                    {`${preview.width} × ${preview.height} · ${formatLabel} · ${formatFileSize(preview.blob.size)} (was ${formatFileSize(original.size)})`}
+                </p>
+            )}
+            {imageUrls.length > 1 && (
+                <p>{`The same settings apply to all ${imageUrls.length} images.`}</p>
+            )}
+
+            <SelectControl
+                label="Crop"
+                value={settings.aspectRatio}
+                options={ASPECT_RATIO_OPTIONS}
+                onChange={(aspectRatio) => updateSettings({ aspectRatio })}
+                disabled={isSaving}
+            />
+            <SelectControl
+                label="Maximum width"
+                value={String(settings.maxWidth)}
+                options={MAX_WIDTH_OPTIONS}
+                onChange={(value) => updateSettings({ maxWidth: parseInt(value, 10) })}
+                disabled={isSaving}
+            />
+            <SelectControl
+                label="Format"
+                value={format}
+                options={formats}
+                onChange={(value) => updateSettings({ format: value })}
+                disabled={isSaving}
+            />
+            <RangeControl
+                label="Quality"
+                value={settings.quality}
+                onChange={(quality) => updateSettings({ quality: quality || DEFAULT_PROCESSING.quality })}
+                min={10}
+                max={100}
+                disabled={isSaving}
+            />
+
+            <Button variant="primary" onClick={handleSave} disabled={isSaving || !preview || !format}>
+                {isSaving ? (
+                    <>
+                        <Spinner />
+                        Saving...
+                    </>
+                ) : 'Save to Media Library'}
+            </Button>
+            <Button variant="tertiary" onClick={onBack} disabled={isSaving} style={{ marginLeft: '8px' }}>
+                {backLabel}
+            </Button>
+        </div>
+    );
+};
+
+export default ImageReview;
@@ -0,0 +1,237 @@
+// This file contains the MaskEditor component used to paint the region of an image to change.
+
+import { useState, useRef, forwardRef, useImperativeHandle } from '@wordpress/element';
+import { Button, ButtonGroup, RangeControl } from '@wordpress/components';
+
+// Maximum number of undo steps kept in memory, each one is a full canvas snapshot.
+const MAX_UNDO_STEPS = 20;
+
+/**
+ * MaskEditor component painting a mask over an image.
+ * The canvas uses the natural size of the image so the exported mask matches it pixel for pixel.
+ * Expose `exportMask()` through the ref, which resolves to a PNG Blob that is transparent where the
+ * user painted and opaque everywhere else, or null if nothing was painted.
+ *
+ * @param {Object} props - Component properties.
+ * @param {string} props.imageUrl - URL of the image to paint over.
+ * @param {boolean} [props.disabled] - Whether painting is disabled.
+ * @param {Object} ref - Ref receiving the `exportMask` handle.
+ * @returns {JSX.Element} The mask editor.
+ */
+const MaskEditor = forwardRef(({ imageUrl, disabled }, ref) => {
+    const canvasRef = useRef(null);
+    const lastPointRef = useRef(null); // Last painted point of the current stroke.
+    const [brushSize, setBrushSize] = useState(40); // Brush diameter in displayed pixels.
+    const [mode, setMode] = useState('brush'); // Either 'brush' or 'erase'.
+    const [history, setHistory] = useState([]); // Canvas snapshots for undo.
+
+    /**
+     * Sizes the canvas to the natural image size once the image has loaded.
+     *
+     * @param {Event} event - The image load event.
+     * @returns {void}
+     */
+    const handleImageLoad = (event) => {
+        const canvas = canvasRef.current;
+        canvas.width = event.target.naturalWidth;
+        canvas.height = event.target.naturalHeight;
+        setHistory([]);
+    };
+
+    /**
+     * Converts a pointer event to canvas coordinates and the scale between displayed and natural size.
+     *
+     * @param {PointerEvent} event - The pointer event.
+     * @returns {Object} `{ x, y, scale }`.
+     */
+    const getPoint = (event) => {
+        const canvas = canvasRef.current;
+        const rect = canvas.getBoundingClientRect();
+        const scale = canvas.width / rect.width;
+        return {
+            x: (event.clientX - rect.left) * scale,
+            y: (event.clientY - rect.top) * scale,
+            scale,
+        };
+    };
+
+    /**
+     * Paints a line segment from the last point to the given point.
+     *
+     * @param {Object} point - The point to paint to.
+     * @returns {void}
+     */
+    const paintTo = (point) => {
+        const context = canvasRef.current.getContext('2d');
+        const from = lastPointRef.current || point;
+
+        context.globalCompositeOperation = mode === 'erase' ? 'destination-out' : 'source-over';
+        context.strokeStyle = '#ff0080';
+        context.lineWidth = brushSize * point.scale;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.beginPath();
+        context.moveTo(from.x, from.y);
+        context.lineTo(point.x, point.y);
+        context.stroke();
+
+        lastPointRef.current = point;
+    };
+
+    const handlePointerDown = (event) => {
+        if (disabled) {
+            return;
+        }
+        const canvas = canvasRef.current;
+        canvas.setPointerCapture(event.pointerId);
+
+        // Snapshot the canvas so the stroke can be undone.
+        const snapshot = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        setHistory((current) => [...current, snapshot].slice(-MAX_UNDO_STEPS));
+
+        lastPointRef.current = null;
+        paintTo(getPoint(event));
+    };
+
+    const handlePointerMove = (event) => {
+        if (lastPointRef.current) {
+            paintTo(getPoint(event));
+        }
+    };
+
+    const handlePointerUp = () => {
+        lastPointRef.current = null;
+    };
+
+    /**
+     * Restores the canvas to the state before the last stroke.
+     *
+     * @returns {void}
+     */
+    const handleUndo = () => {
+        if (!history.length) {
+            return;
+        }
+        canvasRef.current.getContext('2d').putImageData(history[history.length - 1], 0, 0);
+        setHistory(history.slice(0, -1));
+    };
+
+    /**
+     * Clears the painted region, keeping a snapshot for undo.
+     *
+     * @returns {void}
+     */
+    const handleClear = () => {
+        const canvas = canvasRef.current;
+        const context = canvas.getContext('2d');
+        const snapshot = context.getImageData(0, 0, canvas.width, canvas.height);
+        setHistory((current) => [...current, snapshot].slice(-MAX_UNDO_STEPS));
+        context.clearRect(0, 0, canvas.width, canvas.height);
+    };
+
+    useImperativeHandle(ref, () => ({
+        /**
+         * Exports the painted region as a PNG alpha mask.
+         *
+         * @returns {Promise<Blob|null>} The mask, or null if nothing was painted.
+         */
+        exportMask: () => {
+            const canvas = canvasRef.current;
+            if (!canvas || !canvas.width) {
+                return Promise.resolve(null);
+            }
+
+            // Check whether anything is painted before building the mask.
+            const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+            let hasPaint = false;
+            for (let index = 3; index < pixels.length; index += 4) {
+                if (pixels[index] > 0) {
+                    hasPaint = true;
+                    break;
+                }
+            }
+            if (!hasPaint) {
+                return Promise.resolve(null);
+            }
+
+            // Start from a fully opaque mask and cut out the painted region.
+            const mask = document.createElement('canvas');
+            mask.width = canvas.width;
+            mask.height = canvas.height;
+            const context = mask.getContext('2d');
+            context.fillStyle = '#000000';
+            context.fillRect(0, 0, mask.width, mask.height);
+            context.globalCompositeOperation = 'destination-out';
+            context.drawImage(canvas, 0, 0);
+
+            return new Promise((resolve) => mask.toBlob(resolve, 'image/png'));
+        },
+    }));
+
+    return (
+        <div className="wp-ai-image-gen-mask-editor">
+            <div style={{ position: 'relative', display: 'inline-block', maxWidth: '100%', lineHeight: 0 }}>
+                <img
+                    src={imageUrl}
+                    alt="Being edited"
+                    onLoad={handleImageLoad}
+                    style={{ display: 'block', maxWidth: '100%', maxHeight: '50vh', userSelect: 'none' }}
+                    draggable={false}
+                />
+                <canvas
+                    ref={canvasRef}
+                    aria-label="Paint the region to change"
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={handlePointerUp}
+                    style={{
+                        position: 'absolute',
+                        inset: 0,
+                        width: '100%',
+                        height: '100%',
+                        opacity: 0.5,
+                        cursor: disabled ? 'default' : 'crosshair',
+                        touchAction: 'none',
+                    }}
+                />
+            </div>
+
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', margin: '8px 0' }}>
+                <ButtonGroup>
+                    <Button
+                        variant={mode === 'brush' ? 'primary' : 'secondary'}
+                        onClick={() => setMode('brush')}
+                        disabled={disabled}
+                    >
+                        Brush
+                    </Button>
+                    <Button
+                        variant={mode === 'erase' ? 'primary' : 'secondary'}
+                        onClick={() => setMode('erase')}
+                        disabled={disabled}
+                    >
+                        Erase
+                    </Button>
+                </ButtonGroup>
+                <Button variant="tertiary" onClick={handleUndo} disabled={disabled || !history.length}>
+                    Undo
+                </Button>
+                <Button variant="tertiary" onClick={handleClear} disabled={disabled}>
+                    Clear
+                </Button>
+            </div>
+
+            <RangeControl
+                label="Brush size"
+                value={brushSize}
+                onChange={(value) => setBrushSize(value || 1)}
+                min={5}
+                max={150}
+                disabled={disabled}
+            />
+        </div>
+    );
+});
+
+export default MaskEditor;
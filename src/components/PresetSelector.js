@@ -0,0 +1,98 @@
+// This file contains the style preset picker shown in the generation modals.
+
+import { useState, useEffect } from '@wordpress/element';
+import { useSelect } from '@wordpress/data';
+import { SelectControl } from '@wordpress/components';
+import { getStylePresets } from '../api';
+
+// The preset picked during this editor session, shared between modals. Null until the user picks one.
+let sessionPreset = null;
+
+/**
+ * Hook that loads the style presets and tracks the picked one.
+ * Starts from the preset picked earlier in this session, or the default preset of the post type.
+ *
+ * @returns {Object} `{ presets, preset, setPreset }` where `preset` is the picked preset ID, empty for none.
+ */
+export const usePresetSelection = () => {
+    const postType = useSelect((select) => select('core/editor')?.getCurrentPostType() || '', []);
+    const [presets, setPresets] = useState([]);
+    const [preset, setPresetState] = useState(sessionPreset ?? '');
+
+    useEffect(() => {
+        let isMounted = true;
+        getStylePresets(postType)
+            .then((response) => {
+                if (!isMounted) {
+                    return;
+                }
+                const available = response.presets || [];
+                setPresets(available);
+                setPresetState((current) => {
+                    const picked = sessionPreset ?? response.default ?? '';
+                    // Presets can be deleted while the editor is open
+                    if (!available.some((item) => item.id === picked)) {
+                        return available.some((item) => item.id === current) ? current : '';
+                    }
+                    return picked;
+                });
+            })
+            .catch(() => {
+                // Without presets the picker is not shown, generations use the prompt as typed
+            });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [postType]);
+
+    /**
+     * Picks a preset and remembers it for the other modals.
+     *
+     * @param {string} presetId - The preset ID, empty for none.
+     * @returns {void}
+     */
+    const setPreset = (presetId) => {
+        sessionPreset = presetId;
+        setPresetState(presetId);
+    };
+
+    return { presets, preset, setPreset };
+};
+
+/**
+ * PresetSelector component for picking a site-wide style preset.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object[]} props.presets - The presets.
+ * @param {string} props.preset - The picked preset ID, empty for none.
+ * @param {Function} props.onChange - Callback receiving the new preset ID.
+ * @param {boolean} [props.disabled] - Whether the control is disabled.
+ * @returns {JSX.Element|null} The select control, or null if the site has no presets.
+ */
+const PresetSelector = ({ presets, preset, onChange, disabled }) => {
+    if (!presets.length) {
+        return null;
+    }
+
+    const picked = presets.find((item) => item.id === preset);
+    const help = picked && (picked.prompt_prefix || picked.prompt_suffix)
+        ? `Your prompt becomes: ${[picked.prompt_prefix, '…', picked.prompt_suffix].filter(Boolean).join(' ')}`
+        : undefined;
+
+    return (
+        <SelectControl
+            label="Style preset"
+            value={preset}
+            options={[
+                { label: 'No preset', value: '' },
+                ...presets.map((item) => ({ label: item.name, value: item.id })),
+            ]}
+            onChange={onChange}
+            help={help}
+            disabled={disabled}
+        />
+    );
+};
+
+export default PresetSelector;
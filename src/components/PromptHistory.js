@@ -0,0 +1,166 @@
+// This file contains the PromptHistory component listing the user's earlier prompts in the generation modals.
+
+import { useState, useEffect } from '@wordpress/element';
+import { PanelBody, SearchControl, ToggleControl, Button, Spinner } from '@wordpress/components';
+import { getPromptHistory, setPromptHistoryFavorite, deletePromptHistoryEntry } from '../api';
+
+// How many matching entries are listed at once.
+const MAX_LISTED_ENTRIES = 20;
+
+/**
+ * Describes the settings of an entry, e.g. "openai · gpt-image-1 · aspect_ratio: 16:9".
+ *
+ * @param {Object} entry - The history entry.
+ * @returns {string} The description.
+ */
+const getEntrySettings = (entry) => [
+    entry.provider,
+    entry.model,
+    entry.preset && `preset: ${entry.preset}`,
+    ...Object.entries(entry.parameters || {}).map(([name, value]) => `${name}: ${value}`),
+].filter(Boolean).join(' · ');
+
+/**
+ * PromptHistory component for reusing the prompts the user generated with before.
+ * Entries can be searched, starred, used as the starting point of a new prompt, run again with
+ * the provider and parameters they were generated with, and deleted.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Function} props.onUse - Callback receiving the entry whose prompt goes into the prompt field.
+ * @param {Function} props.onRun - Callback receiving the entry to generate again.
+ * @param {string} [props.runLabel] - Label of the button generating an entry again.
+ * @param {boolean} [props.disabled] - Whether the actions are disabled, e.g. while generating.
+ * @returns {JSX.Element} The prompt history panel.
+ */
+const PromptHistory = ({ onUse, onRun, runLabel = 'Run again', disabled }) => {
+    const [entries, setEntries] = useState(null); // Null while the history loads.
+    const [search, setSearch] = useState('');
+    const [favoritesOnly, setFavoritesOnly] = useState(false);
+    const [error, setError] = useState(null);
+
+    // The history is loaded every time a modal opens, so it includes the latest generations.
+    useEffect(() => {
+        let isMounted = true;
+        getPromptHistory()
+            .then((history) => {
+                if (isMounted) {
+                    setEntries(history);
+                }
+            })
+            .catch(() => {
+                if (isMounted) {
+                    setEntries([]);
+                    setError('The prompt history could not be loaded.');
+                }
+            });
+
+        return () => {
+            isMounted = false;
+        };
+    }, []);
+
+    /**
+     * Stars or unstars an entry.
+     *
+     * @param {Object} entry - The entry.
+     * @returns {Promise<void>}
+     */
+    const toggleFavorite = async (entry) => {
+        setError(null);
+        try {
+            const updated = await setPromptHistoryFavorite(entry.id, !entry.favorite);
+            setEntries((current) => current.map((item) => (item.id === entry.id ? updated : item)));
+        } catch (err) {
+            setError(err.message || 'The entry could not be updated.');
+        }
+    };
+
+    /**
+     * Deletes an entry.
+     *
+     * @param {Object} entry - The entry.
+     * @returns {Promise<void>}
+     */
+    const deleteEntry = async (entry) => {
+        setError(null);
+        try {
+            await deletePromptHistoryEntry(entry.id);
+            setEntries((current) => current.filter((item) => item.id !== entry.id));
+        } catch (err) {
+            setError(err.message || 'The entry could not be deleted.');
+        }
+    };
+
+    const terms = search.trim().toLowerCase();
+    const matching = (entries || []).filter((entry) => (
+        (!favoritesOnly || entry.favorite)
+        && (!terms || `${entry.prompt} ${getEntrySettings(entry)}`.toLowerCase().includes(terms))
+    ));
+
+    return (
+        <PanelBody title="Prompt history" initialOpen={false}>
+            {error && <p style={{ color: 'red' }}>{error}</p>}
+            {entries === null && <Spinner />}
+            {entries !== null && (
+                <>
+                    <SearchControl
+                        label="Search prompts"
+                        value={search}
+                        onChange={setSearch}
+                    />
+                    <ToggleControl
+                        label="Favorites only"
+                        checked={favoritesOnly}
+                        onChange={setFavoritesOnly}
+                    />
+                    {matching.length === 0 && (
+                        <p>{entries.length ? 'No prompts match your search.' : 'Prompts you generate with are listed here.'}</p>
+                    )}
+                    <ul style={{ listStyle: 'none', margin: 0, padding: 0, maxHeight: '320px', overflowY: 'auto' }}>
+                        {matching.slice(0, MAX_LISTED_ENTRIES).map((entry) => (
+                            <li key={entry.id} style={{ display: 'flex', gap: '8px', alignItems: 'flex-start', marginBottom: '12px' }}>
+                                {entry.thumbnail_url ? (
+                                    <img
+                                        src={entry.thumbnail_url}
+                                        alt=""
+                                        style={{ display: 'block', flex: '0 0 48px', width: '48px', height: '48px', objectFit: 'cover' }}
+                                    />
+                                ) : (
+                                    <span style={{ flex: '0 0 48px' }} />
+                                )}
+                                <div style={{ flex: 1, minWidth: 0 }}>
+                                    <p style={{ margin: 0 }}>{entry.prompt}</p>
+                                    <small>{getEntrySettings(entry)}</small>
+                                    <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginTop: '4px' }}>
+                                        <Button variant="secondary" size="small" onClick={() => onUse(entry)} disabled={disabled}>
+                                            Use prompt
+                                        </Button>
+                                        <Button variant="secondary" size="small" onClick={() => onRun(entry)} disabled={disabled}>
+                                            {runLabel}
+                                        </Button>
+                                    </div>
+                                </div>
+                                <Button
+                                    icon={entry.favorite ? 'star-filled' : 'star-empty'}
+                                    size="small"
+                                    label={entry.favorite ? 'Remove from favorites' : 'Add to favorites'}
+                                    isPressed={entry.favorite}
+                                    onClick={() => toggleFavorite(entry)}
+                                />
+                                <Button
+                                    icon="trash"
+                                    size="small"
+                                    label="Delete from history"
+                                    isDestructive
+                                    onClick={() => deleteEntry(entry)}
+                                />
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </PanelBody>
+    );
+};
+
+export default PromptHistory;
@@ -0,0 +1,143 @@
+// This file contains the prompt safety check run while a prompt is typed, and the notice highlighting what to change.
+
+import { useState, useEffect } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import { checkPrompt, getPluginSettings } from '../api';
+
+// How long the prompt has to stay the same before it is checked.
+const CHECK_DELAY = 600;
+
+// The result of a prompt nothing was found in.
+const NOT_FLAGGED = { prompt: '', flagged: false, matches: [], categories: [] };
+
+/**
+ * Hook checking a prompt against the site's blocklist while it is typed, see WP_AI_Image_Gen_Prompt_Safety.
+ * Moderation runs once, when the prompt is generated, rather than for every pause in typing.
+ * Nothing is checked when the site has no blocklist, or only logs flagged prompts.
+ *
+ * @param {string} prompt - The prompt.
+ * @param {string} [provider] - The provider the prompt is for.
+ * @returns {Object} The check with the checked `prompt`, `flagged`, `matches` and `categories`, plus `policy`
+ *                   and `isBlocked`, true when the prompt would be refused.
+ */
+export const usePromptSafety = (prompt, provider = '') => {
+    const { enabled = false, policy = 'block' } = getPluginSettings().prompt_safety || {};
+    const isChecked = enabled && policy !== 'log';
+    const [result, setResult] = useState(NOT_FLAGGED);
+
+    useEffect(() => {
+        if (!isChecked || !prompt.trim()) {
+            setResult(NOT_FLAGGED);
+            return undefined;
+        }
+
+        let isCurrent = true;
+        const timer = setTimeout(() => {
+            checkPrompt(prompt, provider)
+                .then((response) => {
+                    // Only the latest prompt counts, answers may come back out of order.
+                    if (isCurrent) {
+                        setResult({ ...response, prompt });
+                    }
+                })
+                .catch(() => {
+                    // The generation route checks the prompt again, the notice is only a hint.
+                });
+        }, CHECK_DELAY);
+
+        return () => {
+            isCurrent = false;
+            clearTimeout(timer);
+        };
+    }, [isChecked, prompt, provider]);
+
+    return {
+        ...result,
+        policy,
+        isBlocked: policy === 'block' && !!result.flagged,
+    };
+};
+
+/**
+ * Splits a prompt into the parts matching the blocklist and the parts around them.
+ * Offsets count characters, so text with emoji is split where the server found the matches.
+ *
+ * @param {string} prompt - The prompt.
+ * @param {Object[]} matches - The matches with `start` and `length`, ordered by position.
+ * @returns {Object[]} The parts with `text` and `isMatch`.
+ */
+const splitPrompt = (prompt, matches) => {
+    const characters = Array.from(prompt);
+    const parts = [];
+    let position = 0;
+    matches.forEach(({ start, length }) => {
+        // Overlapping matches are highlighted once.
+        if (start < position) {
+            return;
+        }
+        if (start > position) {
+            parts.push({ text: characters.slice(position, start).join(''), isMatch: false });
+        }
+        parts.push({ text: characters.slice(start, start + length).join(''), isMatch: true });
+        position = start + length;
+    });
+    if (position < characters.length) {
+        parts.push({ text: characters.slice(position).join(''), isMatch: false });
+    }
+    return parts;
+};
+
+/**
+ * PromptSafetyNotice component showing the prompt with the words to change highlighted,
+ * and the categories the moderation check flagged.
+ *
+ * The prompt is shown as it was checked, so the highlights stay in place while the next check is pending.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object} props.safety - The check, see usePromptSafety().
+ * @returns {JSX.Element|null} The notice, or null if the prompt is not flagged.
+ */
+const PromptSafetyNotice = ({ safety }) => {
+    if (!safety.flagged) {
+        return null;
+    }
+
+    const color = safety.isBlocked ? '#cc1818' : '#996800';
+    const hasMatches = safety.matches.length > 0;
+    let message;
+    if (hasMatches) {
+        message = safety.isBlocked
+            ? __('The highlighted words are not allowed on this site. Change them to generate the image.', 'wp-ai-image-gen')
+            : __('The highlighted words may go against this site\'s content policy.', 'wp-ai-image-gen');
+    } else {
+        const categories = safety.categories.join(', ');
+        message = safety.isBlocked
+            ? sprintf(
+                /* translators: %s: the flagged moderation categories, e.g. "violence, harassment". */
+                __('The prompt was flagged by the moderation check (%s). Change it to generate the image.', 'wp-ai-image-gen'),
+                categories
+            )
+            : sprintf(
+                /* translators: %s: the flagged moderation categories, e.g. "violence, harassment". */
+                __('The prompt was flagged by the moderation check (%s) and may go against this site\'s content policy.', 'wp-ai-image-gen'),
+                categories
+            );
+    }
+
+    return (
+        <div className="wp-ai-image-gen-prompt-safety" role="status" style={{ margin: '-8px 0 16px', color }}>
+            <p style={{ margin: '0 0 4px' }}>{message}</p>
+            {hasMatches && (
+                <p style={{ margin: 0, padding: '6px 8px', background: '#f6f7f7', color: '#1e1e1e', whiteSpace: 'pre-wrap' }}>
+                    {splitPrompt(safety.prompt, safety.matches).map((part, index) => (
+                        part.isMatch
+                            ? <mark key={index} style={{ background: safety.isBlocked ? '#f4a2a2' : '#f5e6ab' }}>{part.text}</mark>
+                            : <span key={index}>{part.text}</span>
+                    ))}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default PromptSafetyNotice;
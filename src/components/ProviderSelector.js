@@ -0,0 +1,138 @@
+// This file contains the provider and model picker shown in the generation modals.
+
+import { useState, useEffect } from '@wordpress/element';
+import { SelectControl } from '@wordpress/components';
+import { getProviders } from '../api';
+
+// The selection made during this editor session, shared between modals.
+let sessionSelection = null;
+
+/**
+ * Resolves a stored selection against the available providers.
+ * Falls back to the main provider and its default model when the stored choice is no longer available.
+ *
+ * @param {Object[]} providers - The active providers with their models.
+ * @param {Object|null} selection - The stored selection with `provider` and `model`.
+ * @param {string} mainProvider - The main provider setting.
+ * @returns {Object|null} The resolved selection or null if there are no providers.
+ */
+const resolveSelection = (providers, selection, mainProvider) => {
+    const provider = providers.find((item) => item.id === selection?.provider)
+        || providers.find((item) => item.id === mainProvider)
+        || providers[0];
+    if (!provider) {
+        return null;
+    }
+
+    const modelIds = provider.models.map((model) => model.id);
+    let model = provider.default_model || modelIds[0] || '';
+    if (selection?.provider === provider.id && modelIds.includes(selection.model)) {
+        model = selection.model;
+    }
+
+    return { provider: provider.id, model };
+};
+
+/**
+ * Limits providers to the models that have a capability, dropping providers left without models.
+ *
+ * @param {Object[]} providers - The active providers with their models.
+ * @param {string} capability - The capability name, e.g. 'image_to_image'.
+ * @returns {Object[]} The providers with only the capable models.
+ */
+const filterByCapability = (providers, capability) => providers
+    .map((provider) => {
+        const models = provider.models.filter((model) => model.capabilities?.[capability]);
+        const hasDefault = models.some((model) => model.id === provider.default_model);
+        return {
+            ...provider,
+            models,
+            default_model: hasDefault ? provider.default_model : models[0]?.id,
+        };
+    })
+    .filter((provider) => provider.models.length > 0);
+
+/**
+ * Hook that loads the active providers and tracks the provider and model picked for the next generation.
+ * The initial value is the user's last choice, remembered on the server per user.
+ *
+ * @param {string} [capability] - Only offer models with this capability.
+ * @returns {Object} `{ providers, selection, setSelection }`.
+ */
+export const useProviderSelection = (capability = 'text_to_image') => {
+    const [providers, setProviders] = useState([]);
+    const [selection, setSelection] = useState(sessionSelection);
+
+    useEffect(() => {
+        let isMounted = true;
+
+        getProviders()
+            .then((response) => {
+                if (!isMounted) {
+                    return;
+                }
+                const list = filterByCapability(response.providers || [], capability);
+                setProviders(list);
+                setSelection(resolveSelection(list, sessionSelection || response.last_selection, response.main_provider));
+            })
+            .catch(() => {
+                // Without the list there is nothing to pick, generations use the main provider
+            });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [capability]);
+
+    /**
+     * Updates the selection for this component and the rest of the editor session.
+     *
+     * @param {Object} nextSelection - The new selection with `provider` and `model`.
+     * @returns {void}
+     */
+    const updateSelection = (nextSelection) => {
+        sessionSelection = nextSelection;
+        setSelection(nextSelection);
+    };
+
+    return { providers, selection, setSelection: updateSelection };
+};
+
+/**
+ * ProviderSelector component for picking the provider and model used for a generation.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object[]} props.providers - The active providers with their models.
+ * @param {Object|null} props.selection - The current selection with `provider` and `model`.
+ * @param {Function} props.onChange - Callback receiving the new selection.
+ * @param {boolean} [props.disabled] - Whether the controls are disabled.
+ * @returns {JSX.Element|null} The selector, or null while providers are loading.
+ */
+const ProviderSelector = ({ providers, selection, onChange, disabled }) => {
+    if (!providers.length || !selection) {
+        return null;
+    }
+
+    const currentProvider = providers.find((provider) => provider.id === selection.provider) || providers[0];
+
+    return (
+        <>
+            <SelectControl
+                label="Provider"
+                value={currentProvider.id}
+                options={providers.map((provider) => ({ label: provider.name, value: provider.id }))}
+                onChange={(providerId) => onChange(resolveSelection(providers, { provider: providerId }, providerId))}
+                disabled={disabled}
+            />
+            <SelectControl
+                label="Model"
+                value={selection.model}
+                options={currentProvider.models.map((model) => ({ label: model.name, value: model.id }))}
+                onChange={(model) => onChange({ provider: currentProvider.id, model })}
+                disabled={disabled || currentProvider.models.length < 2}
+            />
+        </>
+    );
+};
+
+export default ProviderSelector;
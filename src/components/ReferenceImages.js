@@ -0,0 +1,148 @@
+// This file contains the ReferenceImages component used to pick extra input images for a generation.
+
+import { useMemo } from '@wordpress/element';
+import { useSelect } from '@wordpress/data';
+import { MediaUpload } from '@wordpress/block-editor';
+import { BaseControl, Button, Dropdown } from '@wordpress/components';
+
+/**
+ * Collects the image blocks with an image, including nested ones.
+ *
+ * @param {Object[]} blocks - The blocks to search.
+ * @returns {Object[]} The image blocks.
+ */
+const collectImageBlocks = (blocks) => blocks.flatMap((block) => [
+    ...(block.name === 'core/image' && block.attributes.url ? [block] : []),
+    ...collectImageBlocks(block.innerBlocks || []),
+]);
+
+/**
+ * ReferenceImages component for picking reference images from the media library or the post.
+ * Images are numbered in the order they are sent, so prompts can refer to "image 2".
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object[]} props.images - The picked images with `url` and optional `id`.
+ * @param {Function} props.onChange - Callback receiving the new list of images.
+ * @param {number} props.limit - The maximum number of reference images.
+ * @param {number} [props.firstNumber] - The number of the first reference image, 2 when it follows the image being edited.
+ * @param {string} [props.excludeUrl] - Image URL not offered from the post, usually the image being edited.
+ * @param {boolean} [props.disabled] - Whether the controls are disabled.
+ * @returns {JSX.Element|null} The reference images control, or null if the model accepts none.
+ */
+const ReferenceImages = ({ images, onChange, limit, firstNumber = 1, excludeUrl, disabled }) => {
+    // There are no blocks to pick from in the classic media modal.
+    const blocks = useSelect((select) => select('core/block-editor')?.getBlocks() || [], []);
+
+    // Images already in the post that can be used as references.
+    const postImages = useMemo(() => {
+        const urls = collectImageBlocks(blocks)
+            .map((block) => ({ id: block.attributes.id, url: block.attributes.url }))
+            .filter((image) => image.url !== excludeUrl);
+        return urls.filter((image, index) => urls.findIndex((other) => other.url === image.url) === index);
+    }, [blocks, excludeUrl]);
+
+    if (limit < 1) {
+        return null;
+    }
+
+    const isFull = images.length >= limit;
+
+    /**
+     * Adds images to the list, skipping duplicates and anything over the limit.
+     *
+     * @param {Object[]} added - The images to add.
+     * @returns {void}
+     */
+    const addImages = (added) => {
+        const next = [...images];
+        added.forEach((image) => {
+            if (image.url && !next.some((existing) => existing.url === image.url)) {
+                next.push({ id: image.id, url: image.url });
+            }
+        });
+        onChange(next.slice(0, limit));
+    };
+
+    const availablePostImages = postImages.filter((image) => !images.some((existing) => existing.url === image.url));
+
+    return (
+        <BaseControl
+            id="wp-ai-image-gen-reference-images"
+            label={`Reference images (${images.length}/${limit})`}
+            help={`Refer to them in your prompt as image ${firstNumber}${limit > 1 ? `, image ${firstNumber + 1} and so on` : ''}.`}
+        >
+            {images.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '8px' }}>
+                    {images.map((image, index) => (
+                        <figure key={image.url} style={{ margin: 0, width: '72px', textAlign: 'center' }}>
+                            <img
+                                src={image.url}
+                                alt={`Reference ${firstNumber + index}`}
+                                style={{ display: 'block', width: '72px', height: '72px', objectFit: 'cover' }}
+                            />
+                            <figcaption style={{ fontSize: '11px' }}>Image {firstNumber + index}</figcaption>
+                            <Button
+                                icon="no-alt"
+                                size="small"
+                                label={`Remove image ${firstNumber + index}`}
+                                onClick={() => onChange(images.filter((other) => other.url !== image.url))}
+                                disabled={disabled}
+                            />
+                        </figure>
+                    ))}
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '8px' }}>
+                <MediaUpload
+                    multiple
+                    allowedTypes={['image']}
+                    onSelect={(media) => addImages(Array.isArray(media) ? media : [media])}
+                    render={({ open }) => (
+                        <Button variant="secondary" onClick={open} disabled={disabled || isFull}>
+                            Add from media library
+                        </Button>
+                    )}
+                />
+
+                {availablePostImages.length > 0 && (
+                    <Dropdown
+                        renderToggle={({ isOpen, onToggle }) => (
+                            <Button
+                                variant="secondary"
+                                onClick={onToggle}
+                                aria-expanded={isOpen}
+                                disabled={disabled || isFull}
+                            >
+                                Add from post
+                            </Button>
+                        )}
+                        renderContent={({ onClose }) => (
+                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 72px)', gap: '8px', padding: '8px' }}>
+                                {availablePostImages.map((image) => (
+                                    <Button
+                                        key={image.url}
+                                        label="Add as reference image"
+                                        onClick={() => {
+                                            addImages([image]);
+                                            onClose();
+                                        }}
+                                        style={{ height: 'auto', padding: 0 }}
+                                    >
+                                        <img
+                                            src={image.url}
+                                            alt=""
+                                            style={{ display: 'block', width: '72px', height: '72px', objectFit: 'cover' }}
+                                        />
+                                    </Button>
+                                ))}
+                            </div>
+                        )}
+                    />
+                )}
+            </div>
+        </BaseControl>
+    );
+};
+
+export default ReferenceImages;
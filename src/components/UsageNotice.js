@@ -0,0 +1,63 @@
+// This file contains the UsageNotice component telling users how many images they have left.
+
+import { useState, useEffect } from '@wordpress/element';
+import { __, sprintf, _n } from '@wordpress/i18n';
+import { getUsage } from '../api';
+
+/**
+ * UsageNotice component showing the images left under the user's daily and monthly limits.
+ * Nothing is shown when the user's roles have no such limits.
+ *
+ * @param {Object} props - Component properties.
+ * @param {*} [props.refreshKey] - The usage is loaded again whenever this changes, e.g. after a generation.
+ * @returns {JSX.Element|null} The notice, or null without limits.
+ */
+const UsageNotice = ({ refreshKey }) => {
+    const [usage, setUsage] = useState(null);
+
+    // The usage is loaded every time a modal opens, so it includes generations from other tabs.
+    useEffect(() => {
+        let isMounted = true;
+        getUsage()
+            .then((response) => {
+                if (isMounted) {
+                    setUsage(response);
+                }
+            })
+            .catch(() => {
+                // The server still enforces the limits, the notice is only informative.
+            });
+
+        return () => {
+            isMounted = false;
+        };
+    }, [refreshKey]);
+
+    const parts = [];
+    if (usage?.day?.remaining !== null && usage?.day?.remaining !== undefined) {
+        parts.push(sprintf(
+            /* translators: %d: number of images. */
+            _n('%d image left today', '%d images left today', usage.day.remaining, 'wp-ai-image-gen'),
+            usage.day.remaining
+        ));
+    }
+    if (usage?.month?.remaining !== null && usage?.month?.remaining !== undefined) {
+        parts.push(sprintf(
+            /* translators: %d: number of images. */
+            _n('%d image left this month', '%d images left this month', usage.month.remaining, 'wp-ai-image-gen'),
+            usage.month.remaining
+        ));
+    }
+
+    if (!parts.length) {
+        return null;
+    }
+
+    return (
+        <p className="wp-ai-image-gen-usage" style={{ margin: '8px 0', color: '#757575' }}>
+            {parts.join(__(' / ', 'wp-ai-image-gen'))}
+        </p>
+    );
+};
+
+export default UsageNotice;
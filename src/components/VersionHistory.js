@@ -0,0 +1,164 @@
+// This file contains the VersionHistory component listing the previous versions of a regenerated image.
+
+import { useState } from '@wordpress/element';
+import { Dropdown, ToolbarButton, Button, RangeControl } from '@wordpress/components';
+
+/**
+ * Describes where a version comes from.
+ *
+ * @param {Object} version - The version.
+ * @returns {string} The description.
+ */
+const getVersionOrigin = (version) => {
+    if (version.parent === null || version.parent === undefined) {
+        return 'Original image';
+    }
+    return `Edited from version ${version.parent + 1}`;
+};
+
+/**
+ * Before/after comparison of two images, the slider reveals the older image from the left.
+ *
+ * @param {Object} props - Component properties.
+ * @param {string} props.beforeUrl - URL of the older version.
+ * @param {string} props.afterUrl - URL of the current image.
+ * @returns {JSX.Element} The comparison.
+ */
+const CompareImages = ({ beforeUrl, afterUrl }) => {
+    const [position, setPosition] = useState(50);
+    const imageStyle = { display: 'block', width: '100%', height: 'auto' };
+
+    return (
+        <div>
+            <div style={{ position: 'relative', lineHeight: 0 }}>
+                <img src={afterUrl} alt="Current version" style={imageStyle} />
+                <img
+                    src={beforeUrl}
+                    alt="Selected version"
+                    style={{
+                        ...imageStyle,
+                        position: 'absolute',
+                        top: 0,
+                        left: 0,
+                        height: '100%',
+                        objectFit: 'cover',
+                        clipPath: `inset(0 ${100 - position}% 0 0)`,
+                    }}
+                />
+                <div
+                    aria-hidden="true"
+                    style={{
+                        position: 'absolute',
+                        top: 0,
+                        bottom: 0,
+                        left: `${position}%`,
+                        width: '2px',
+                        background: '#fff',
+                        boxShadow: '0 0 2px rgba(0, 0, 0, 0.6)',
+                    }}
+                />
+            </div>
+            <RangeControl
+                label="Before / after"
+                help="Left shows the selected version, right the current image."
+                value={position}
+                onChange={(value) => setPosition(value ?? 50)}
+                min={0}
+                max={100}
+                withInputField={false}
+            />
+        </div>
+    );
+};
+
+/**
+ * VersionHistory component for the image block toolbar.
+ * Lists every version of the image with the prompt that produced it, compares a version with the
+ * current image and restores it. Regenerating after a restore branches from the restored version.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object[]} props.versions - The versions, see getImageVersions().
+ * @param {number} props.currentIndex - Index of the version the block shows, -1 if none.
+ * @param {string} props.currentUrl - URL of the current image.
+ * @param {Function} props.onRestore - Callback receiving the version to restore.
+ * @param {boolean} [props.disabled] - Whether restoring is disabled, e.g. while regenerating.
+ * @returns {JSX.Element|null} The history dropdown, or null if there is nothing to go back to.
+ */
+const VersionHistory = ({ versions, currentIndex, currentUrl, onRestore, disabled }) => {
+    const [selectedIndex, setSelectedIndex] = useState(null);
+
+    if (versions.length < 2) {
+        return null;
+    }
+
+    const selected = selectedIndex !== null ? versions[selectedIndex] : null;
+
+    return (
+        <Dropdown
+            popoverProps={{ placement: 'bottom-start' }}
+            onToggle={(willOpen) => !willOpen && setSelectedIndex(null)}
+            renderToggle={({ isOpen, onToggle }) => (
+                <ToolbarButton
+                    icon="backup"
+                    label="Version history"
+                    showTooltip
+                    onClick={onToggle}
+                    aria-expanded={isOpen}
+                />
+            )}
+            renderContent={({ onClose }) => (
+                <div style={{ width: '320px', padding: '8px' }}>
+                    <ol style={{ listStyle: 'none', margin: 0, padding: 0, maxHeight: '240px', overflowY: 'auto' }}>
+                        {versions.map((version, index) => (
+                            <li key={version.url + index} style={{ marginBottom: '4px' }}>
+                                <Button
+                                    onClick={() => setSelectedIndex(index)}
+                                    isPressed={index === selectedIndex}
+                                    style={{ height: 'auto', width: '100%', gap: '8px', textAlign: 'left', alignItems: 'flex-start' }}
+                                >
+                                    <img
+                                        src={version.url}
+                                        alt=""
+                                        style={{ display: 'block', flex: '0 0 48px', width: '48px', height: '48px', objectFit: 'cover' }}
+                                    />
+                                    <span>
+                                        <strong>
+                                            Version {index + 1}
+                                            {index === currentIndex && ' (current)'}
+                                        </strong>
+                                        <br />
+                                        <small>{getVersionOrigin(version)}</small>
+                                        {version.prompt && (
+                                            <>
+                                                <br />
+                                                <small>{version.prompt}</small>
+                                            </>
+                                        )}
+                                    </span>
+                                </Button>
+                            </li>
+                        ))}
+                    </ol>
+
+                    {selected && selectedIndex !== currentIndex && (
+                        <div style={{ marginTop: '8px' }}>
+                            <CompareImages beforeUrl={selected.url} afterUrl={currentUrl} />
+                            <Button
+                                variant="primary"
+                                onClick={() => {
+                                    onRestore(selected);
+                                    onClose();
+                                }}
+                                disabled={disabled}
+                            >
+                                Restore this version
+                            </Button>
+                        </div>
+                    )}
+                </div>
+            )}
+        />
+    );
+};
+
+export default VersionHistory;
@@ -2,8 +2,18 @@
 // It imports the API functions, components, and filters so that they are registered and active.
 
 import './api'; // Import API functions.
+import './store'; // Register the generations store.
+import './providerControls'; // Let provider scripts add their controls to the modals.
 import './components/AITab'; // Import the AITab component.
 import './components/AIImageToolbar'; // Import the toolbar component.
 import './filters/registerFormatType'; // Register the rich-text format type.
 import './filters/addMediaUploadFilter'; // Enhance the MediaUpload component.
-import './filters/addBlockEditFilter'; // Enhance the BlockEdit (image regeneration) functionality.
\ No newline at end of file
+import './filters/addImageHistoryAttribute'; // Keep a version history on image blocks.
+import './filters/addBlockEditFilter'; // Enhance the BlockEdit (image regeneration) functionality.
+import './filters/addGenerationPlaceholderFilter'; // Show where images generated from text will appear.
+import './filters/registerGenerationsPlugin'; // Resume generations after the editor is reloaded.
+import './filters/registerIllustratePlugin'; // Add the "Illustrate this post" sidebar.
+import './filters/addFeaturedImageFilter'; // Generate featured images from the document settings.
+import './filters/registerImageVariation'; // Add the "AI Image" block variation.
+import './filters/addImageAutocompleter'; // Add the /ai-image command to paragraphs.
+import './filters/registerCommands'; // Add the command palette entries and keyboard shortcuts.
\ No newline at end of file
@@ -0,0 +1,169 @@
+// This file maps the error categories of the REST API to the messages shown in the editor.
+
+import { __, sprintf, _n } from '@wordpress/i18n';
+
+// Error categories sent by the REST API in the error data, see WP_AI_Image_Gen_Errors.
+export const ERROR_CATEGORIES = {
+    AUTH: 'auth',
+    RATE_LIMIT: 'rate_limit',
+    QUOTA: 'quota',
+    MODERATION: 'moderation',
+    INVALID_INPUT: 'invalid_input',
+    PROVIDER_UNAVAILABLE: 'provider_unavailable',
+    TIMEOUT: 'timeout',
+    NOT_FOUND: 'not_found',
+    CANCELLED: 'cancelled',
+    UNKNOWN: 'unknown',
+};
+
+// Categories worth retrying without changing the request, used when the server did not say.
+const RETRYABLE_CATEGORIES = [
+    ERROR_CATEGORIES.RATE_LIMIT,
+    ERROR_CATEGORIES.PROVIDER_UNAVAILABLE,
+    ERROR_CATEGORIES.TIMEOUT,
+    ERROR_CATEGORIES.UNKNOWN,
+];
+
+/**
+ * Creates an error carrying the category and retry information of a REST API error.
+ * Accepts the errors apiFetch rejects with, the `error` of a failed job, or any other error.
+ *
+ * @param {Object|Error|string} error - The error.
+ * @returns {Error} The error with `code`, `category`, `retryable`, `retryAfter` and the error `data`.
+ */
+export const createGenerationError = (error) => {
+    if (error instanceof Error && error.category) {
+        return error;
+    }
+
+    const details = typeof error === 'string' ? { message: error } : error || {};
+    // REST errors hold the category in their data, failed jobs hold it directly.
+    const data = details.data || details;
+    let category = data.category;
+    if (!category) {
+        // apiFetch reports network failures with its own codes.
+        category = details.code === 'fetch_error' ? ERROR_CATEGORIES.PROVIDER_UNAVAILABLE : ERROR_CATEGORIES.UNKNOWN;
+    }
+
+    const generationError = new Error(details.message || __('An unknown error occurred while generating the image.', 'wp-ai-image-gen'));
+    generationError.code = details.code || '';
+    generationError.category = category;
+    generationError.retryable = data.retryable ?? RETRYABLE_CATEGORIES.includes(category);
+    generationError.retryAfter = data.retry_after || 0;
+    generationError.data = data;
+    generationError.cancelled = !!details.cancelled || category === ERROR_CATEGORIES.CANCELLED;
+    return generationError;
+};
+
+/**
+ * Describes how long to wait before retrying.
+ *
+ * @param {number} seconds - The number of seconds.
+ * @returns {string} The wait time, e.g. "2 minutes".
+ */
+const formatWait = (seconds) => {
+    if (seconds < 120) {
+        /* translators: %d: number of seconds. */
+        return sprintf(_n('%d second', '%d seconds', seconds, 'wp-ai-image-gen'), seconds);
+    }
+    if (seconds < 7200) {
+        const minutes = Math.ceil(seconds / 60);
+        /* translators: %d: number of minutes. */
+        return sprintf(_n('%d minute', '%d minutes', minutes, 'wp-ai-image-gen'), minutes);
+    }
+    const hours = Math.ceil(seconds / 3600);
+    /* translators: %d: number of hours. */
+    return sprintf(_n('%d hour', '%d hours', hours, 'wp-ai-image-gen'), hours);
+};
+
+/**
+ * Gets the message shown to the user for an error, telling them what to do about it.
+ * The provider's own message is kept where it says what exactly was wrong.
+ *
+ * @param {Object|Error|string} error - The error, see createGenerationError.
+ * @returns {string} The translated message.
+ */
+export const getErrorMessage = (error) => {
+    const { message, code, category, retryAfter, data } = createGenerationError(error);
+
+    // The site's own limits need a different answer than the provider's, see WP_AI_Image_Gen_Usage.
+    if (code === 'usage_rate_limited') {
+        return sprintf(
+            /* translators: 1: number of generations, 2: how long to wait, e.g. "30 seconds". */
+            _n(
+                'You can start %1$d generation per minute. Try again in %2$s.',
+                'You can start %1$d generations per minute. Try again in %2$s.',
+                data.limit,
+                'wp-ai-image-gen'
+            ),
+            data.limit,
+            formatWait(retryAfter)
+        );
+    }
+    if (code === 'usage_limit_reached') {
+        if (data.period === 'month') {
+            return sprintf(
+                /* translators: 1: number of images, 2: time until the limit resets, e.g. "3 hours". */
+                _n(
+                    'You have reached your limit of %1$d image this month. It resets in %2$s, or ask an administrator to raise it.',
+                    'You have reached your limit of %1$d images this month. It resets in %2$s, or ask an administrator to raise it.',
+                    data.limit,
+                    'wp-ai-image-gen'
+                ),
+                data.limit,
+                formatWait(retryAfter)
+            );
+        }
+        return sprintf(
+            /* translators: 1: number of images, 2: time until the limit resets, e.g. "3 hours". */
+            _n(
+                'You have reached your limit of %1$d image today. It resets in %2$s, or ask an administrator to raise it.',
+                'You have reached your limit of %1$d images today. It resets in %2$s, or ask an administrator to raise it.',
+                data.limit,
+                'wp-ai-image-gen'
+            ),
+            data.limit,
+            formatWait(retryAfter)
+        );
+    }
+
+    // Prompts refused by the site's own blocklist or moderation say what to change, see WP_AI_Image_Gen_Prompt_Safety.
+    if (code === 'prompt_blocked') {
+        return message;
+    }
+
+    switch (category) {
+        case ERROR_CATEGORIES.AUTH:
+            return sprintf(
+                /* translators: %s: the error message from the AI provider. */
+                __('The AI provider rejected the API key or account (%s). Check them in Settings > AI Image Gen.', 'wp-ai-image-gen'),
+                message
+            );
+        case ERROR_CATEGORIES.RATE_LIMIT:
+            return retryAfter
+                ? sprintf(
+                    /* translators: %s: how long to wait, e.g. "30 seconds". */
+                    __('The AI provider is receiving too many requests. Try again in %s.', 'wp-ai-image-gen'),
+                    formatWait(retryAfter)
+                )
+                : __('The AI provider is receiving too many requests. Wait a moment and try again.', 'wp-ai-image-gen');
+        case ERROR_CATEGORIES.QUOTA:
+            return __('The AI provider account has run out of credit or reached its usage limit. Add credit or raise the limit in the provider dashboard.', 'wp-ai-image-gen');
+        case ERROR_CATEGORIES.MODERATION:
+            return __('The prompt or image was blocked by the safety filters. Try rephrasing the prompt.', 'wp-ai-image-gen');
+        case ERROR_CATEGORIES.INVALID_INPUT:
+            return sprintf(
+                /* translators: %s: the error message describing the invalid input. */
+                __('The request is not valid: %s', 'wp-ai-image-gen'),
+                message
+            );
+        case ERROR_CATEGORIES.PROVIDER_UNAVAILABLE:
+            return __('The AI provider could not be reached or had a problem. Try again in a few minutes.', 'wp-ai-image-gen');
+        case ERROR_CATEGORIES.TIMEOUT:
+            return __('The image took too long to generate. Try again, or pick a faster model.', 'wp-ai-image-gen');
+        case ERROR_CATEGORIES.CANCELLED:
+            return __('Image generation was cancelled.', 'wp-ai-image-gen');
+        default:
+            return message;
+    }
+};
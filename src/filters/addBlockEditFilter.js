@@ -1,159 +1,178 @@
-// This file modifies the block editor for core/image blocks to include an AI image regeneration button.
+// This file modifies the block editor for image blocks, and other blocks with an image, to include an AI image regeneration button.
 
 import { addFilter } from '@wordpress/hooks'; // Import the addFilter function.
-import { useState, useEffect } from '@wordpress/element'; // Import necessary React hooks.
-import { BlockControls } from '@wordpress/block-editor'; // Import BlockControls for toolbar.
+import { useSelect, useDispatch } from '@wordpress/data'; // Import necessary data hooks.
+import { BlockControls, InspectorControls } from '@wordpress/block-editor'; // Import BlockControls for toolbar and InspectorControls for the sidebar.
+import { Modal } from '@wordpress/components'; // Import the modal holding the review of a regenerated image.
 import AIImageToolbar from '../components/AIImageToolbar'; // Import the AIImageToolbar component.
-import { generateImage } from '../api'; // Import API functions for image generation.
+import GenerationDetailsPanel from '../components/GenerationDetailsPanel'; // Import the generation details panel.
+import AltTextPanel from '../components/AltTextPanel'; // Import the alt text writer.
+import ImageReview from '../components/ImageReview'; // Import the crop, resize and convert step.
+import { isCapabilitySupported, getPluginSettings } from '../api'; // Import API functions for image generation.
+import { STORE_NAME } from '../store'; // Import the generations store.
+import { getImageVersions, getCurrentVersionIndex } from '../history'; // Import the version history helpers.
+import { getBlockAdapter, getBlockImage } from '../blockAdapters'; // Import the block image mapping.
 
 /**
- * Enhances the core/image block with an AI image regeneration button.
+ * The AI controls of a block showing a single image: the regeneration toolbar, the generation details,
+ * the review of a regenerated image and the alt text writer.
+ * Kept apart from the BlockEdit wrapper so its hooks run on every render of the blocks it is shown for.
  *
- * @param {function} BlockEdit - The original BlockEdit component.
- * @returns {function} A new BlockEdit component with additional regeneration functionality.
+ * @param {Object} props - The BlockEdit properties.
+ * @param {Object} props.adapter - The mapping of the block's image attributes, see getBlockAdapter().
+ * @returns {JSX.Element} The AI controls.
  */
-addFilter('editor.BlockEdit', 'wp-ai-image-gen/add-regenerate-button', (BlockEdit) => {
-    // Return a new functional component that wraps the original BlockEdit.
-    return (props) => {
-        // Only modify core/image blocks.
-        if (props.name !== 'core/image') {
-            return <BlockEdit {...props} />;
+const AIImageControls = ({ adapter, ...props }) => {
+    const image = getBlockImage(props);
+
+    // The regeneration of this block lives in the generations store, so it survives deselecting the block or a reload.
+    const generation = useSelect((select) => select(STORE_NAME).getBlockGeneration(props.clientId), [props.clientId]);
+    const { startGeneration, cancelGeneration, saveReviewedGeneration, clearModalRequest } = useDispatch(STORE_NAME);
+    // Commands and keyboard shortcuts open the regeneration modal through the store.
+    const isModalRequested = useSelect((select) => select(STORE_NAME).getModalRequest() === props.clientId, [props.clientId]);
+    const isRegenerating = !!generation; // Indicates if regeneration is in progress.
+    // Regeneration edits the current image, so the main provider needs a model that supports image-to-image.
+    const mainProvider = getPluginSettings().main_provider;
+    const supportsImageToImage = !!mainProvider && isCapabilitySupported('image_to_image', mainProvider);
+
+    /**
+     * Handles the AI image regeneration process for the current image block.
+     *
+     * @param {string} prompt - The prompt for image modification.
+     * @param {Object} [selection] - The provider, model, parameters and optional mask picked in the modal.
+     * @returns {void}
+     */
+    const handleRegenerateImage = (prompt, selection = {}) => {
+        // Use alt text as fallback if no prompt is provided
+        const finalPrompt = prompt || props.attributes.alt || props.attributes.mediaAlt || "no alt text or prompt, please just enhance";
+
+        // The provider picked in the modal, the main provider otherwise
+        const provider = selection.provider || mainProvider;
+
+        if (!provider) {
+            wp.data.dispatch('core/notices').createErrorNotice(
+                'No AI provider configured. Please check your plugin settings.',
+                { type: 'snackbar' }
+            );
+            return;
         }
 
-        // State to manage regeneration progress and errors.
-        const [isRegenerating, setIsRegenerating] = useState(false); // Indicates if regeneration is in progress.
-        const [error, setError] = useState(null); // Holds error messages if any.
-        const [supportsImageToImage, setSupportsImageToImage] = useState(false); // Whether provider supports image-to-image
-
-        // Initialize the provider from settings on component mount.
-        useEffect(() => {
-            const initializeProvider = async () => {
-                try {
-                    // Get the main provider from localized data
-                    const mainProvider = window.wpAiImageGen?.mainProvider;
-
-                    if (!mainProvider) {
-                        console.error('No main provider configured in localized data');
-                        return;
-                    }
-
-                    // Only OpenAI's gpt-image-1 supports image-to-image
-                    setSupportsImageToImage(mainProvider === 'openai');
-                } catch (err) {
-                    console.error('Failed to initialize provider:', err);
-                }
-            };
-
-            // Start initialization immediately
-            initializeProvider();
-        }, []);
-
-        /**
-         * Handles the AI image regeneration process for the current image block.
-         *
-         * @param {string} prompt - The prompt for image modification.
-         * @returns {Promise<void>} A promise that resolves when regeneration is complete.
-         */
-        const handleRegenerateImage = async (prompt) => {
-            setError(null); // Clear any previous errors.
-
-            // Use alt text as fallback if no prompt is provided
-            const finalPrompt = prompt || props.attributes.alt || "no alt text or prompt, please just enhance";
-
-            // Get the main provider from localized data
-            const mainProvider = window.wpAiImageGen?.mainProvider;
+        // Get the source image URL if available
+        const sourceImageUrl = image?.url;
+
+        // Set up options for image generation, the mask is uploaded by the store
+        const { maskBlob, ...options } = selection;
+
+        // Send the current image when the picked model can edit it
+        const useSourceImage = isCapabilitySupported('image_to_image', provider, selection.model);
+        if (useSourceImage && sourceImageUrl) {
+            options.sourceImageUrl = sourceImageUrl;
+        } else if (useSourceImage && !sourceImageUrl) {
+            console.warn('Image-to-image requested but no source image URL available');
+            wp.data.dispatch('core/notices').createWarningNotice(
+                'Image-to-image generation requires a source image. Please ensure the image is properly loaded.',
+                { type: 'snackbar' }
+            );
+        }
 
-            if (!mainProvider) {
-                console.error('No main provider configured');
-                wp.data.dispatch('core/notices').createErrorNotice(
-                    'No AI provider configured. Please check your plugin settings.',
-                    { type: 'snackbar' }
-                );
-                return;
-            }
+        startGeneration({
+            kind: 'regenerate',
+            clientId: props.clientId,
+            prompt: finalPrompt,
+            options,
+            maskBlob,
+        });
+    };
 
-            setIsRegenerating(true); // Indicate that regeneration is starting.
+    /**
+     * Restores a previous version of the image, later regenerations branch from it.
+     *
+     * @param {Object} version - The version to restore.
+     * @returns {void}
+     */
+    const handleRestoreVersion = (version) => {
+        props.setAttributes(adapter.getAttributes({ url: version.url, id: version.id }, props.attributes));
+    };
 
-            try {
-                // Get the source image URL if available
-                const sourceImageUrl = props.attributes.url;
-                
-                // Set up options for image generation
-                const options = {};
-                if (supportsImageToImage && sourceImageUrl) {
-                    options.sourceImageUrl = sourceImageUrl;
-                } else if (supportsImageToImage && !sourceImageUrl) {
-                    console.warn('Image-to-image requested but no source image URL available');
-                    wp.data.dispatch('core/notices').createWarningNotice(
-                        'Image-to-image generation requires a source image. Please ensure the image is properly loaded.',
-                        { type: 'snackbar' }
-                    );
-                }
-                
-                // Wrap the generateImage call in a promise.
-                const result = await new Promise((resolve, reject) => {
-                    generateImage(finalPrompt, (result) => {
-                        if (result.error) {
-                            reject(new Error(result.error));
-                        } else {
-                            resolve(result);
-                        }
-                    }, options);
-                });
+    /**
+     * Cancels the regeneration in progress.
+     *
+     * @returns {void}
+     */
+    const handleCancel = () => {
+        if (generation) {
+            cancelGeneration(generation.id);
+        }
+    };
 
-                // Update the block attributes with the new image data.
-                if (result.id && typeof result.id === 'number' && result.id > 0) {
-                    props.setAttributes({
-                        url: result.url,
-                        id: result.id,
-                    });
-                } else {
-                    props.setAttributes({
-                        url: result.url,
-                        id: undefined,
-                    });
-                }
+    return (
+        <>
+            {supportsImageToImage && image && (
+                <BlockControls>
+                    <AIImageToolbar
+                        isRegenerating={isRegenerating}
+                        onRegenerateImage={handleRegenerateImage}
+                        isImageBlock={true}
+                        supportsImageToImage={supportsImageToImage}
+                        imageUrl={image.url}
+                        progress={generation?.progress}
+                        onCancel={handleCancel}
+                        versions={getImageVersions(props.attributes)}
+                        currentVersionIndex={getCurrentVersionIndex(props.attributes)}
+                        onRestoreVersion={handleRestoreVersion}
+                        isModalRequested={isModalRequested}
+                        onModalRequestHandled={clearModalRequest}
+                    />
+                </BlockControls>
+            )}
+            {image?.id && (
+                <InspectorControls>
+                    <GenerationDetailsPanel
+                        attachmentId={image.id}
+                        clientId={props.clientId}
+                        isRegenerating={isRegenerating}
+                    />
+                </InspectorControls>
+            )}
+            {/* The regenerated image waits here until the user saves or discards it. */}
+            {generation?.candidate && (
+                <Modal title="Review Regenerated Image" onRequestClose={handleCancel}>
+                    <ImageReview
+                        imageUrls={[generation.candidate.url]}
+                        onSave={([file]) => saveReviewedGeneration(generation.id, file)}
+                        onBack={handleCancel}
+                        backLabel="Discard"
+                        isSaving={generation.status === 'saving'}
+                    />
+                </Modal>
+            )}
+            {/* Only image blocks have both alt text and a caption to write. */}
+            {props.name === 'core/image' && image && (
+                <InspectorControls>
+                    <AltTextPanel image={image} onApply={props.setAttributes} />
+                </InspectorControls>
+            )}
+        </>
+    );
+};
 
-                wp.data.dispatch('core/notices').createSuccessNotice(
-                    'Image regenerated successfully!',
-                    { type: 'snackbar' }
-                );
-            } catch (err) {
-                console.error('Image regeneration failed:', err);
-                
-                let errorMessage = err.message || 'Unknown error';
-                let actionGuidance = '';
-                
-                if (errorMessage.includes('organization verification')) {
-                    actionGuidance = ' Please verify your organization in the OpenAI dashboard.';
-                } else if (errorMessage.includes('parameter')) {
-                    errorMessage = 'API configuration error. Please contact the plugin developer.';
-                } else if (errorMessage.includes('content policy')) {
-                    actionGuidance = ' Try a different prompt.';
-                }
-                
-                wp.data.dispatch('core/notices').createErrorNotice(
-                    'Failed to regenerate image: ' + errorMessage + actionGuidance,
-                    { type: 'snackbar' }
-                );
-            } finally {
-                setIsRegenerating(false);
-            }
-        };
+/**
+ * Enhances the blocks supporting AI generation, like core/image, core/cover and core/media-text,
+ * with an AI image regeneration button once they have an image.
+ *
+ * @param {function} BlockEdit - The original BlockEdit component.
+ * @returns {function} A new BlockEdit component with additional regeneration functionality.
+ */
+addFilter('editor.BlockEdit', 'wp-ai-image-gen/add-regenerate-button', (BlockEdit) => {
+    // Return a new functional component that wraps the original BlockEdit.
+    return (props) => {
+        // Only modify blocks showing a single image that can be regenerated.
+        const adapter = getBlockAdapter(props.name);
 
         return (
             <>
                 <BlockEdit {...props} />
-                {supportsImageToImage && (
-                    <BlockControls>
-                        <AIImageToolbar
-                            isRegenerating={isRegenerating}
-                            onRegenerateImage={handleRegenerateImage}
-                            isImageBlock={true}
-                            supportsImageToImage={supportsImageToImage}
-                        />
-                    </BlockControls>
-                )}
+                {adapter && !adapter.multiple && <AIImageControls {...props} adapter={adapter} />}
             </>
         );
     };
@@ -0,0 +1,81 @@
+// This file adds AI generation to the Featured Image panel of the document settings.
+
+import { addFilter } from '@wordpress/hooks'; // Import the addFilter function.
+import { useSelect, useDispatch } from '@wordpress/data'; // Import necessary data hooks.
+import AITab from '../components/AITab'; // Import the AITab component.
+import { STORE_NAME, FEATURED_IMAGE_MODAL } from '../store'; // Import the generations store.
+
+// Landscape aspect ratios suited to social cards, best first, since each model accepts different ones.
+const FEATURED_IMAGE_PREFERRED_VALUES = {
+    aspect_ratio: ['16:9', '3:2', '4:3'],
+};
+
+/**
+ * Builds a prompt from the post title and excerpt.
+ *
+ * @param {string} title - The post title.
+ * @param {string} excerpt - The post excerpt, may contain HTML.
+ * @returns {string} The prompt, empty if the post has neither.
+ */
+const getFeaturedImagePrompt = (title, excerpt) => {
+    const summary = (excerpt || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!title && !summary) {
+        return '';
+    }
+    if (!title) {
+        return `A featured image for a blog post about: ${summary}`;
+    }
+    return summary
+        ? `A featured image for a blog post titled "${title}": ${summary}`
+        : `A featured image for a blog post titled "${title}"`;
+};
+
+/**
+ * Adds a "Generate featured image" button to the Featured Image panel.
+ * The prompt is filled in from the post title and excerpt and the image is landscape by default.
+ *
+ * @param {function} PostFeaturedImage - The original PostFeaturedImage component.
+ * @returns {function} A new PostFeaturedImage component with AI generation.
+ */
+addFilter('editor.PostFeaturedImage', 'wp-ai-image-gen/add-featured-image-generation', (PostFeaturedImage) => {
+    return (props) => {
+        const { title, excerpt } = useSelect((select) => ({
+            title: select('core/editor').getEditedPostAttribute('title'),
+            excerpt: select('core/editor').getEditedPostAttribute('excerpt'),
+        }), []);
+        // The "Generate featured image" command opens the modal through the store.
+        const isOpenRequested = useSelect((select) => select(STORE_NAME).getModalRequest() === FEATURED_IMAGE_MODAL, []);
+        const { clearModalRequest } = useDispatch(STORE_NAME);
+        const { editPost } = useDispatch('core/editor');
+        const { createErrorNotice } = useDispatch('core/notices');
+
+        /**
+         * Sets the generated image as the featured image.
+         *
+         * @param {Object} media - The generated image.
+         * @returns {void}
+         */
+        const handleSelect = (media) => {
+            if (!media.id) {
+                createErrorNotice('The generated image could not be added to the media library.', { type: 'snackbar' });
+                return;
+            }
+            editPost({ featured_media: media.id });
+        };
+
+        return (
+            <>
+                <PostFeaturedImage {...props} />
+                <AITab
+                    onSelect={handleSelect}
+                    shouldDisplay={true}
+                    initialPrompt={getFeaturedImagePrompt(title, excerpt)}
+                    preferredValues={FEATURED_IMAGE_PREFERRED_VALUES}
+                    buttonLabel={props.featuredImageId ? 'Generate a new featured image' : 'Generate featured image'}
+                    isOpenRequested={isOpenRequested}
+                    onOpenRequestHandled={clearModalRequest}
+                />
+            </>
+        );
+    };
+});
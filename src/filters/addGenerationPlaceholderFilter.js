@@ -0,0 +1,62 @@
+// This file shows a loading placeholder next to blocks an image is being generated from.
+
+import { addFilter } from '@wordpress/hooks'; // Import the addFilter function.
+import { useSelect, useDispatch } from '@wordpress/data'; // Import necessary data hooks.
+import { Button, Spinner } from '@wordpress/components'; // Import necessary UI components.
+import { STORE_NAME, PLACEMENTS } from '../store'; // Import the generations store.
+
+/**
+ * Shows where the image generated from a text selection will appear while it is generated.
+ * The placeholder is part of the editor UI, not a block, so it never ends up in the saved post.
+ *
+ * @param {function} BlockEdit - The original BlockEdit component.
+ * @returns {function} A new BlockEdit component with the placeholder.
+ */
+addFilter('editor.BlockEdit', 'wp-ai-image-gen/add-generation-placeholder', (BlockEdit) => {
+    return (props) => {
+        const generation = useSelect(
+            (select) => select(STORE_NAME).getSourceBlockGeneration(props.clientId),
+            [props.clientId]
+        );
+        const { cancelGeneration } = useDispatch(STORE_NAME);
+
+        if (!generation) {
+            return <BlockEdit {...props} />;
+        }
+
+        const placeholder = (
+            <div
+                className="wp-ai-image-gen-loading-placeholder"
+                role="status"
+                contentEditable={false}
+                style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '8px',
+                    minHeight: '120px',
+                    margin: '1em 0',
+                    border: '1px dashed currentColor',
+                    opacity: 0.8,
+                }}
+            >
+                <Spinner />
+                <span>{generation.progress || 'Generating AI image...'}</span>
+                <Button variant="tertiary" onClick={() => cancelGeneration(generation.id)}>
+                    Cancel
+                </Button>
+            </div>
+        );
+
+        // An image replacing the block appears where the block starts.
+        const isAbove = generation.placement === PLACEMENTS.ABOVE || generation.placement === PLACEMENTS.REPLACE;
+
+        return (
+            <>
+                {isAbove && placeholder}
+                <BlockEdit {...props} />
+                {!isAbove && placeholder}
+            </>
+        );
+    };
+});
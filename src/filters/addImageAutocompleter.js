@@ -0,0 +1,52 @@
+// This file adds the `/ai-image <prompt>` command to paragraphs, which turns the paragraph into a generated image.
+
+import { addFilter } from '@wordpress/hooks'; // Import the addFilter function.
+import { select, dispatch } from '@wordpress/data'; // Import the data registry.
+import { STORE_NAME, PLACEMENTS } from '../store'; // Import the generations store.
+
+/**
+ * The `/ai-image` completer. Like the block inserter's slash command it only works in an empty paragraph.
+ * Picking the option leaves the prompt in the paragraph while the image is generated, the image then replaces it.
+ */
+const aiImageCompleter = {
+    name: 'wp-ai-image-gen/ai-image',
+    className: 'wp-ai-image-gen-autocomplete',
+    triggerPrefix: '/ai-image ',
+    allowContext: (before, after) => !/\S/.test(before) && !/\S/.test(after),
+    options: (query) => (query.trim() ? [{ query, prompt: query.trim() }] : []),
+    // The typed query itself, so the option keeps matching while the prompt grows.
+    getOptionKeywords: (option) => [option.query],
+    getOptionLabel: (option) => `Generate image: ${option.prompt}`,
+    getOptionCompletion: (option) => {
+        const clientId = select('core/block-editor').getSelectedBlockClientId();
+        const mainProvider = select('core/editor')?.getEditorSettings()?.wp_ai_image_gen_main_provider;
+        if (!mainProvider) {
+            dispatch('core/notices').createErrorNotice(
+                'No AI provider configured. Please set one in the plugin settings.',
+                { type: 'snackbar' }
+            );
+        } else if (clientId) {
+            dispatch(STORE_NAME).startGeneration({
+                kind: 'insert',
+                sourceClientId: clientId,
+                prompt: option.prompt,
+                placement: PLACEMENTS.REPLACE,
+            });
+        }
+        return option.prompt;
+    },
+};
+
+/**
+ * Adds the `/ai-image` completer to paragraphs, ahead of the block inserter's slash command.
+ *
+ * @param {Object[]} completers - The completers of the block.
+ * @param {string} blockName - The block name.
+ * @returns {Object[]} The completers.
+ */
+addFilter('editor.Autocomplete.completers', 'wp-ai-image-gen/add-image-completer', (completers, blockName) => {
+    if (blockName !== 'core/paragraph') {
+        return completers;
+    }
+    return [aiImageCompleter, ...completers];
+});
@@ -0,0 +1,29 @@
+// This file adds the version history attribute to core/image blocks.
+
+import { addFilter } from '@wordpress/hooks';
+import { HISTORY_ATTRIBUTE } from '../history';
+
+/**
+ * Registers the version history attribute on core/image blocks.
+ * The history is saved in the block comment, so it survives saving the post unlike editor undo.
+ *
+ * @param {Object} settings - The block settings.
+ * @param {string} name - The block name.
+ * @returns {Object} The block settings.
+ */
+addFilter('blocks.registerBlockType', 'wp-ai-image-gen/add-image-history-attribute', (settings, name) => {
+    if (name !== 'core/image') {
+        return settings;
+    }
+
+    return {
+        ...settings,
+        attributes: {
+            ...settings.attributes,
+            [HISTORY_ATTRIBUTE]: {
+                type: 'array',
+                default: [],
+            },
+        },
+    };
+});
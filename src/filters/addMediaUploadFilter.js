@@ -1,7 +1,10 @@
 // This file enhances the MediaUpload component by adding the AITab for AI image generation.
 
-import { addFilter } from '@wordpress/hooks'; // Import the addFilter function.
+import { addFilter, hasFilter } from '@wordpress/hooks'; // Import the hook functions.
+import { useSelect, useDispatch } from '@wordpress/data'; // Import necessary data hooks.
 import AITab from '../components/AITab'; // Import the AITab component.
+import { getBlockAdapter, getBlockImage, getImageAttributes } from '../blockAdapters'; // Import the block image mapping.
+import { STORE_NAME } from '../store'; // Import the generations store.
 
 /**
  * Enhances the MediaUpload component by adding the AITab.
@@ -12,25 +15,46 @@ import AITab from '../components/AITab'; // Import the AITab component.
 addFilter('editor.MediaUpload', 'wp-ai-image-gen/add-ai-tab', (OriginalMediaUpload) => {
     // Return a new component which wraps the original MediaUpload.
     return (props) => {
-        // Check if the MediaUpload is used for a single image block.
-        const isSingleImageBlock = props.allowedTypes && props.allowedTypes.includes('image') && !props.multiple;
+        // Check if the MediaUpload accepts images.
+        const acceptsImages = props.allowedTypes && props.allowedTypes.includes('image');
 
         // Retrieve the currently selected block from the editor.
         const selectedBlock = wp.data.select('core/block-editor').getSelectedBlock();
-        // Determine if the block is an image block.
-        const isImageBlock = selectedBlock && selectedBlock.name === 'core/image';
+        // Determine if the block supports AI generation, see getBlockAdapter().
+        const adapter = selectedBlock && getBlockAdapter(selectedBlock.name);
+
+        // Blocks taking several images, like galleries, can always get more. Others only until they have an image.
+        const shouldDisplay = !!adapter && acceptsImages && (adapter.multiple
+            ? !!props.multiple
+            : !props.multiple && !getBlockImage(selectedBlock));
+
+        // The "AI Image" block, commands and keyboard shortcuts open the modal through the store.
+        const modalRequest = useSelect((select) => select(STORE_NAME).getModalRequest(), []);
+        const { clearModalRequest } = useDispatch(STORE_NAME);
 
         /**
-         * Checks if the current block already has image data.
+         * Passes the generated image to the block, which sets its own attributes from it, then applies the changes
+         * made with the wpAiImageGen.blockAttributes filter on top.
          *
-         * @returns {boolean} True if the block has an image, otherwise false.
+         * @param {Object|Object[]} media - The generated image, or images for blocks taking several.
+         * @returns {void}
          */
-        const hasImageData = () => {
-            return selectedBlock && selectedBlock.attributes && selectedBlock.attributes.url;
-        };
+        const handleSelect = (media) => {
+            props.onSelect(media);
+            if (adapter.multiple || !hasFilter('wpAiImageGen.blockAttributes')) {
+                return;
+            }
 
-        // Only display AITab if this is a single image block without image data.
-        const shouldDisplay = isSingleImageBlock && isImageBlock && !hasImageData();
+            const block = wp.data.select('core/block-editor').getBlock(selectedBlock.clientId);
+            const imageAttributes = adapter.getAttributes(media, block.attributes);
+            const filteredAttributes = getImageAttributes(block.name, media, block.attributes);
+            const changes = Object.fromEntries(Object.entries(filteredAttributes).filter(
+                ([name, value]) => value !== imageAttributes[name]
+            ));
+            if (Object.keys(changes).length) {
+                wp.data.dispatch('core/block-editor').updateBlockAttributes(block.clientId, changes);
+            }
+        };
 
         return (
             <OriginalMediaUpload
@@ -41,8 +65,11 @@ addFilter('editor.MediaUpload', 'wp-ai-image-gen/add-ai-tab', (OriginalMediaUplo
                         {props.render(originalProps)}
                         {/* Add the AITab component if conditions are met. */}
                         <AITab 
-                            onSelect={props.onSelect}
+                            onSelect={handleSelect}
                             shouldDisplay={shouldDisplay}
+                            multiple={!!adapter?.multiple}
+                            isOpenRequested={!!selectedBlock && modalRequest === selectedBlock.clientId}
+                            onOpenRequestHandled={clearModalRequest}
                         />
                     </>
                 )}
@@ -0,0 +1,239 @@
+// This file adds the AI image actions to the command palette and gives them keyboard shortcuts.
+
+import { useEffect, useMemo } from '@wordpress/element'; // Import React hooks.
+import { select, dispatch, useSelect, useDispatch } from '@wordpress/data'; // Import the data registry and hooks.
+import { registerPlugin } from '@wordpress/plugins'; // Import registerPlugin.
+import { useCommandLoader } from '@wordpress/commands'; // Import the command palette API.
+import { useShortcut, store as keyboardShortcutsStore } from '@wordpress/keyboard-shortcuts'; // Import the keyboard shortcuts API.
+import { create } from '@wordpress/rich-text'; // Import the rich-text parser.
+import { isCapabilitySupported } from '../api'; // Import API functions.
+import { STORE_NAME, FEATURED_IMAGE_MODAL } from '../store'; // Import the generations store.
+import { getBlockAdapter, getBlockImage } from '../blockAdapters'; // Import the block image mapping.
+
+// Keyboard shortcuts of the actions, also shown in the editor's keyboard shortcuts help.
+const SHORTCUTS = [
+    {
+        name: 'wp-ai-image-gen/generate-from-selection',
+        category: 'block',
+        description: 'Generate an image from the selected text.',
+        keyCombination: { modifier: 'primaryAlt', character: 'i' },
+    },
+    {
+        name: 'wp-ai-image-gen/regenerate-image',
+        category: 'block',
+        description: 'Regenerate the selected image.',
+        keyCombination: { modifier: 'primaryAlt', character: 'r' },
+    },
+    {
+        name: 'wp-ai-image-gen/generate-featured-image',
+        category: 'global',
+        description: 'Generate a featured image.',
+        keyCombination: { modifier: 'primaryAlt', character: 'f' },
+    },
+];
+
+/**
+ * Shows an error notice in the editor.
+ *
+ * @param {string} message - The message.
+ * @returns {void}
+ */
+const notifyError = (message) => {
+    dispatch('core/notices').createErrorNotice(message, { type: 'snackbar' });
+};
+
+/**
+ * Gets the text selected in a single rich-text field, outside blocks that hold images.
+ *
+ * @param {Function} [registrySelect] - The select function, the one passed to useSelect in components.
+ * @returns {Object|null} The `clientId` of the block and the selected `text`, or null if no text is selected.
+ */
+const getSelectedText = (registrySelect = select) => {
+    const blockEditor = registrySelect('core/block-editor');
+    const start = blockEditor.getSelectionStart();
+    const end = blockEditor.getSelectionEnd();
+    if (!start.clientId || start.clientId !== end.clientId || start.attributeKey !== end.attributeKey || start.offset === undefined) {
+        return null;
+    }
+
+    const block = blockEditor.getBlock(start.clientId);
+    if (!block || getBlockAdapter(block.name)) {
+        return null;
+    }
+
+    const text = create({ html: String(block.attributes[start.attributeKey] ?? '') }).text
+        .slice(Math.min(start.offset, end.offset), Math.max(start.offset, end.offset))
+        .trim();
+    return text ? { clientId: block.clientId, text } : null;
+};
+
+/**
+ * Gets the selected block if its image can be regenerated, see addBlockEditFilter.
+ *
+ * @param {Function} [registrySelect] - The select function.
+ * @returns {Object|null} The block, or null.
+ */
+const getRegenerableBlock = (registrySelect = select) => {
+    const block = registrySelect('core/block-editor').getSelectedBlock();
+    const adapter = block && getBlockAdapter(block.name);
+    return adapter && !adapter.multiple && getBlockImage(block) && isCapabilitySupported('image_to_image') ? block : null;
+};
+
+/**
+ * Checks whether the edited post can have a featured image.
+ *
+ * @param {Function} [registrySelect] - The select function.
+ * @returns {boolean} True if the post type supports featured images.
+ */
+const supportsFeaturedImage = (registrySelect = select) => {
+    const postType = registrySelect('core').getPostType(registrySelect('core/editor').getCurrentPostType());
+    return !!postType?.supports?.thumbnail;
+};
+
+/**
+ * Generates an image from the selected text, placed above the block the text is in.
+ *
+ * @returns {void}
+ */
+const generateFromSelection = () => {
+    const selection = getSelectedText();
+    if (!selection) {
+        notifyError('Please select some text to use as the image generation prompt.');
+        return;
+    }
+    if (!select('core/editor')?.getEditorSettings()?.wp_ai_image_gen_main_provider) {
+        notifyError('No AI provider configured. Please set one in the plugin settings.');
+        return;
+    }
+
+    dispatch(STORE_NAME).startGeneration({
+        kind: 'insert',
+        sourceClientId: selection.clientId,
+        prompt: selection.text,
+    });
+};
+
+/**
+ * Opens the regeneration modal of the selected image.
+ *
+ * @returns {void}
+ */
+const regenerateSelectedImage = () => {
+    const block = getRegenerableBlock();
+    if (!block) {
+        notifyError('Please select an image to regenerate.');
+        return;
+    }
+    dispatch(STORE_NAME).requestModal(block.clientId);
+};
+
+/**
+ * Opens the featured image generation modal, which lives in the Featured Image panel of the document settings.
+ *
+ * @returns {void}
+ */
+const generateFeaturedImage = () => {
+    if (!supportsFeaturedImage()) {
+        notifyError('This post type does not support featured images.');
+        return;
+    }
+    if (!select('core/editor').isEditorPanelEnabled('featured-image')) {
+        notifyError('Turn on the Featured image panel in the editor preferences to generate one.');
+        return;
+    }
+
+    // The panel has to be rendered for its modal to open.
+    dispatch('core/edit-post').openGeneralSidebar('edit-post/document');
+    if (!select('core/editor').isEditorPanelOpened('featured-image')) {
+        dispatch('core/editor').toggleEditorPanelOpened('featured-image');
+    }
+    dispatch(STORE_NAME).requestModal(FEATURED_IMAGE_MODAL);
+};
+
+/**
+ * Command loader offering the actions that apply to the current selection.
+ *
+ * @returns {Object} The `commands` and `isLoading` flag.
+ */
+const useImageCommands = () => {
+    const { hasSelectedText, hasRegenerableBlock, canHaveFeaturedImage } = useSelect((registrySelect) => ({
+        hasSelectedText: !!getSelectedText(registrySelect),
+        hasRegenerableBlock: !!getRegenerableBlock(registrySelect),
+        canHaveFeaturedImage: supportsFeaturedImage(registrySelect),
+    }), []);
+
+    const commands = useMemo(() => {
+        const available = [];
+        if (hasSelectedText) {
+            available.push({
+                name: 'wp-ai-image-gen/generate-from-selection',
+                label: 'Generate image from selection',
+                callback: ({ close }) => {
+                    close();
+                    generateFromSelection();
+                },
+            });
+        }
+        if (hasRegenerableBlock) {
+            available.push({
+                name: 'wp-ai-image-gen/regenerate-image',
+                label: 'Regenerate selected image',
+                callback: ({ close }) => {
+                    close();
+                    regenerateSelectedImage();
+                },
+            });
+        }
+        if (canHaveFeaturedImage) {
+            available.push({
+                name: 'wp-ai-image-gen/generate-featured-image',
+                label: 'Generate featured image',
+                callback: ({ close }) => {
+                    close();
+                    generateFeaturedImage();
+                },
+            });
+        }
+        return available;
+    }, [hasSelectedText, hasRegenerableBlock, canHaveFeaturedImage]);
+
+    return { commands, isLoading: false };
+};
+
+/**
+ * Registers the commands and keyboard shortcuts, renders nothing.
+ *
+ * @returns {null}
+ */
+const ImageCommands = () => {
+    const { registerShortcut, unregisterShortcut } = useDispatch(keyboardShortcutsStore);
+
+    useEffect(() => {
+        SHORTCUTS.forEach((shortcut) => registerShortcut(shortcut));
+        return () => SHORTCUTS.forEach((shortcut) => unregisterShortcut(shortcut.name));
+    }, [registerShortcut, unregisterShortcut]);
+
+    useCommandLoader({
+        name: 'wp-ai-image-gen/image-commands',
+        hook: useImageCommands,
+    });
+
+    useShortcut('wp-ai-image-gen/generate-from-selection', (event) => {
+        event.preventDefault();
+        generateFromSelection();
+    });
+    useShortcut('wp-ai-image-gen/regenerate-image', (event) => {
+        event.preventDefault();
+        regenerateSelectedImage();
+    });
+    useShortcut('wp-ai-image-gen/generate-featured-image', (event) => {
+        event.preventDefault();
+        generateFeaturedImage();
+    });
+
+    return null;
+};
+
+registerPlugin('wp-ai-image-gen-commands', {
+    render: ImageCommands,
+});
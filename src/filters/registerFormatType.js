@@ -1,11 +1,12 @@
 // This file registers a new rich-text format which uses BlockControls to trigger AI image generation.
 
-import { useEffect, useCallback, useState } from '@wordpress/element'; // Import React hooks.
+import { useCallback } from '@wordpress/element'; // Import React hooks.
 import { BlockControls } from '@wordpress/block-editor'; // Import BlockControls from the block editor.
 import { useSelect, useDispatch } from '@wordpress/data'; // Import necessary data hooks.
 import { registerFormatType } from '@wordpress/rich-text'; // Import registerFormatType.
 import AIImageToolbar from '../components/AIImageToolbar'; // Import the AIImageToolbar component.
-import { generateImage } from '../api'; // Import API function for image generation.
+import { STORE_NAME } from '../store'; // Import the generations store.
+import { getBlockAdapter } from '../blockAdapters'; // Import the block image mapping.
 
 /**
  * Registers the AI Image Generation format type and integrates BlockControls.
@@ -17,21 +18,28 @@ registerFormatType('wp-ai-image-gen/custom-format', {
     tagName: 'span',
     className: 'wp-ai-image-gen-format',
     edit: ({ isActive, value, onChange }) => { // This edit function adds AI image functionality to the block.
-        // Create state for generation state.
-        const [isGenerating, setIsGenerating] = useState(false); // Indicates if an image is being generated.
-
         // Retrieve the currently selected block.
         const selectedBlock = useSelect((select) => select('core/block-editor').getSelectedBlock(), []);
-        // Get the dispatch function to replace blocks.
-        const { replaceBlocks } = useDispatch('core/block-editor');
+        // The generation started from this block lives in the generations store, so deselecting the block does not lose it.
+        const generation = useSelect(
+            (select) => selectedBlock && select(STORE_NAME).getSourceBlockGeneration(selectedBlock.clientId),
+            [selectedBlock]
+        );
+        const { startGeneration, cancelGeneration } = useDispatch(STORE_NAME);
+
+        // Text in any rich-text block can be illustrated, except captions of blocks that already hold images.
+        const canGenerate = !!selectedBlock && !getBlockAdapter(selectedBlock.name);
 
         /**
          * Handles the AI image generation process based on the selected text.
          *
+         * @param {Object} [placementOptions] - Where the image goes and whether the text becomes its caption.
+         * @param {string} [placementOptions.placement] - One of PLACEMENTS.
+         * @param {boolean} [placementOptions.useCaption] - Whether to use the selected text as caption.
          * @returns {void}
          */
-        const handleGenerateImage = useCallback(() => { // This function manages image generation.
-            if (selectedBlock && selectedBlock.name === 'core/paragraph') {
+        const handleGenerateImage = useCallback(({ placement, useCaption } = {}) => { // This function manages image generation.
+            if (canGenerate) {
                 // Extract the currently selected text.
                 const selectedText = value.text.slice(value.start, value.end).trim();
                 if (!selectedText) {
@@ -52,63 +60,41 @@ registerFormatType('wp-ai-image-gen/custom-format', {
                     );
                     return;
                 }
-                
-                // Create a placeholder block to show that image generation is in progress.
-                const placeholderBlock = wp.blocks.createBlock('core/heading', {
-                    content: 'Generating AI image...',
-                    level: 2,
-                    style: {
-                        textAlign: 'center',
-                    },
-                });
-                // Replace the selected block with the placeholder.
-                replaceBlocks(selectedBlock.clientId, [placeholderBlock, selectedBlock]);
-                
-                setIsGenerating(true); // Set generating state.
 
-                // Call the API function to generate the image.
-                generateImage(selectedText, (result) => {
-                    setIsGenerating(false); // Reset generating state.
-                    
-                    if (result.error) {
-                        console.error('Image generation failed:', result.error);
-                        wp.data.dispatch('core/notices').createErrorNotice(
-                            'Failed to generate image: ' + result.error,
-                            { type: 'snackbar' }
-                        );
-                        // Remove the placeholder block on error.
-                        replaceBlocks(placeholderBlock.clientId, []);
-                    } else {
-                        // Create a new image block with the image details
-                        let blockAttributes = {
-                            url: result.url,
-                            alt: result.alt,
-                            caption: ''
-                        };
-                        
-                        // Only add ID attribute if it's a valid WordPress media ID
-                        if (result.id && typeof result.id === 'number' && result.id > 0) {
-                            blockAttributes.id = result.id;
-                        }
-                        
-                        const imageBlock = wp.blocks.createBlock('core/image', blockAttributes);
-                        // Replace the placeholder with the new image block.
-                        replaceBlocks(placeholderBlock.clientId, [imageBlock]);
-                    }
+                // The store shows a placeholder next to the block and places the image once it is ready.
+                startGeneration({
+                    kind: 'insert',
+                    sourceClientId: selectedBlock.clientId,
+                    prompt: selectedText,
+                    placement,
+                    caption: useCaption ? selectedText : '',
                 });
             }
-        }, [selectedBlock, value.text, value.start, value.end, replaceBlocks]);
+        }, [canGenerate, selectedBlock, value.text, value.start, value.end, startGeneration]);
+
+        /**
+         * Cancels the generation in progress.
+         *
+         * @returns {void}
+         */
+        const handleCancel = useCallback(() => {
+            if (generation) {
+                cancelGeneration(generation.id);
+            }
+        }, [generation, cancelGeneration]);
 
         // Determine if any text is selected.
         const selectedText = value.text.slice(value.start, value.end).trim();
-        const isTextSelected = selectedText !== "";
+        const isTextSelected = canGenerate && selectedText !== "";
 
         return (
             <BlockControls>
                 <AIImageToolbar
-                    isGenerating={isGenerating}
+                    isGenerating={!!generation}
                     onGenerateImage={handleGenerateImage}
                     isTextSelected={isTextSelected}
+                    progress={generation?.progress}
+                    onCancel={handleCancel}
                 />
             </BlockControls>
         );
@@ -0,0 +1,25 @@
+// This file registers an editor plugin that resumes the image generations left running before the editor was reloaded.
+
+import { useEffect } from '@wordpress/element'; // Import React hooks.
+import { useDispatch } from '@wordpress/data'; // Import the dispatch hook.
+import { registerPlugin } from '@wordpress/plugins'; // Import registerPlugin.
+import { STORE_NAME } from '../store'; // Import the generations store.
+
+/**
+ * Resumes the stored generations once the editor has loaded the post.
+ *
+ * @returns {null} Nothing is rendered.
+ */
+const ResumeGenerations = () => {
+    const { resumeGenerations } = useDispatch(STORE_NAME);
+
+    useEffect(() => {
+        resumeGenerations();
+    }, [resumeGenerations]);
+
+    return null;
+};
+
+registerPlugin('wp-ai-image-gen-generations', {
+    render: ResumeGenerations,
+});
@@ -0,0 +1,28 @@
+// This file registers the "Illustrate this post" sidebar generating images for the sections of the post.
+
+import { registerPlugin } from '@wordpress/plugins'; // Import registerPlugin.
+import { PluginSidebar, PluginSidebarMoreMenuItem } from '@wordpress/edit-post'; // Import the sidebar slots.
+import IllustratePost from '../components/IllustratePost'; // Import the sidebar content.
+
+// Name of the sidebar, also used to open it from the more menu.
+const SIDEBAR_NAME = 'wp-ai-image-gen-illustrate';
+
+/**
+ * Renders the sidebar and its more menu item.
+ *
+ * @returns {JSX.Element} The sidebar.
+ */
+const IllustratePostSidebar = () => (
+    <>
+        <PluginSidebarMoreMenuItem target={SIDEBAR_NAME} icon="format-gallery">
+            Illustrate this post
+        </PluginSidebarMoreMenuItem>
+        <PluginSidebar name={SIDEBAR_NAME} title="Illustrate this post" icon="format-gallery">
+            <IllustratePost />
+        </PluginSidebar>
+    </>
+);
+
+registerPlugin(SIDEBAR_NAME, {
+    render: IllustratePostSidebar,
+});
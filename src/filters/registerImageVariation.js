@@ -0,0 +1,68 @@
+// This file registers the "AI Image" variation of the image block, which opens the generation modal when inserted.
+
+import { addFilter } from '@wordpress/hooks'; // Import the addFilter function.
+import { useEffect } from '@wordpress/element'; // Import React hooks.
+import { useDispatch } from '@wordpress/data'; // Import necessary data hooks.
+import { registerBlockVariation } from '@wordpress/blocks'; // Import registerBlockVariation.
+import { STORE_NAME } from '../store'; // Import the generations store.
+
+// Attribute marking an image block inserted as "AI Image" whose generation modal has not opened yet.
+const OPEN_ATTRIBUTE = 'wpAiImageGenOpen';
+
+/**
+ * Registers the attribute the "AI Image" variation is inserted with on core/image blocks.
+ * It is cleared as soon as the modal opens, and being the default it is never saved.
+ *
+ * @param {Object} settings - The block settings.
+ * @param {string} name - The block name.
+ * @returns {Object} The block settings.
+ */
+addFilter('blocks.registerBlockType', 'wp-ai-image-gen/add-open-attribute', (settings, name) => {
+    if (name !== 'core/image') {
+        return settings;
+    }
+
+    return {
+        ...settings,
+        attributes: {
+            ...settings.attributes,
+            [OPEN_ATTRIBUTE]: {
+                type: 'boolean',
+                default: false,
+            },
+        },
+    };
+});
+
+/**
+ * Asks the generation modal of a freshly inserted "AI Image" block to open, see requestModal().
+ *
+ * @param {function} BlockEdit - The original BlockEdit component.
+ * @returns {function} A new BlockEdit component opening the modal once.
+ */
+addFilter('editor.BlockEdit', 'wp-ai-image-gen/open-ai-image', (BlockEdit) => {
+    return (props) => {
+        const { requestModal } = useDispatch(STORE_NAME);
+        const { clientId, setAttributes } = props;
+        const shouldOpen = props.name === 'core/image' && !!props.attributes[OPEN_ATTRIBUTE];
+
+        useEffect(() => {
+            if (shouldOpen) {
+                requestModal(clientId);
+                setAttributes({ [OPEN_ATTRIBUTE]: false });
+            }
+        }, [shouldOpen, clientId, setAttributes, requestModal]);
+
+        return <BlockEdit {...props} />;
+    };
+});
+
+registerBlockVariation('core/image', {
+    name: 'wp-ai-image-gen/ai-image',
+    title: 'AI Image',
+    description: 'Generate an image from a prompt.',
+    icon: 'format-image',
+    keywords: ['ai', 'generate', 'prompt'],
+    attributes: { [OPEN_ATTRIBUTE]: true },
+    scope: ['inserter'],
+});
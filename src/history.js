@@ -0,0 +1,58 @@
+// This file contains the helpers for the version history kept on regenerated image blocks.
+
+// Name of the image block attribute holding the version history.
+export const HISTORY_ATTRIBUTE = 'wpAiImageGenHistory';
+
+/**
+ * Gets the versions of an image block.
+ * Versions are only ever appended, so each one can point at the version it was edited from by index.
+ *
+ * @param {Object} attributes - The image block attributes.
+ * @returns {Object[]} The versions with `id`, `url`, `prompt`, `parent` (index or null) and `createdAt`.
+ */
+export const getImageVersions = (attributes) => attributes[HISTORY_ATTRIBUTE] || [];
+
+/**
+ * Gets the index of the version the block currently shows.
+ *
+ * @param {Object} attributes - The image block attributes.
+ * @returns {number} The index, or -1 if the current image is not in the history.
+ */
+export const getCurrentVersionIndex = (attributes) =>
+    getImageVersions(attributes).findIndex((version) => version.url === attributes.url);
+
+/**
+ * Adds a regenerated image to the version history of an image block.
+ * The new version branches from the image the block shows, which may be an older restored version.
+ * An image that is not in the history yet, like the original one, is added first as a new root.
+ *
+ * @param {Object} attributes - The image block attributes before the image is replaced.
+ * @param {Object} image - The new image with `url` and optional `id`.
+ * @param {string} prompt - The edit prompt that produced the new image.
+ * @returns {Object[]} The new versions.
+ */
+export const addImageVersion = (attributes, image, prompt) => {
+    const versions = [...getImageVersions(attributes)];
+    let parent = getCurrentVersionIndex(attributes);
+
+    if (parent === -1 && attributes.url) {
+        versions.push({
+            id: attributes.id,
+            url: attributes.url,
+            prompt: '',
+            parent: null,
+            createdAt: null,
+        });
+        parent = versions.length - 1;
+    }
+
+    versions.push({
+        id: image.id,
+        url: image.url,
+        prompt,
+        parent: parent === -1 ? null : parent,
+        createdAt: Date.now(),
+    });
+
+    return versions;
+};
@@ -0,0 +1,147 @@
+// This file crops, resizes and converts generated images in the browser before they are saved.
+
+import { getPluginSettings } from './api';
+
+// Image types a generated image can be converted to, the server and the browser both have to support them.
+export const OUTPUT_FORMATS = [
+    { label: 'WebP', value: 'image/webp' },
+    { label: 'AVIF', value: 'image/avif' },
+    { label: 'JPEG', value: 'image/jpeg' },
+];
+
+// Aspect ratios an image can be cropped to, around its center.
+export const CROP_ASPECT_RATIOS = ['1:1', '16:9', '4:3', '3:2', '2:3', '3:4', '9:16'];
+
+// The processing settings an image starts from, which keep it as it is apart from the format.
+export const DEFAULT_PROCESSING = {
+    aspectRatio: '',
+    maxWidth: 0,
+    format: 'image/webp',
+    quality: 82,
+};
+
+// Whether the browser can encode each image type, filled in on first use.
+const browserFormats = {};
+
+/**
+ * Checks whether the browser can encode an image type with a canvas.
+ *
+ * @param {string} mimeType - The image type.
+ * @returns {boolean} True if the canvas can produce it.
+ */
+const canBrowserEncode = (mimeType) => {
+    if (browserFormats[mimeType] === undefined) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+        // Browsers fall back to PNG for the types they cannot encode.
+        browserFormats[mimeType] = canvas.toDataURL(mimeType).startsWith(`data:${mimeType}`);
+    }
+    return browserFormats[mimeType];
+};
+
+/**
+ * Gets the formats a generated image can be converted to here.
+ *
+ * @returns {Object[]} The formats with `label` and `value`.
+ */
+export const getAvailableFormats = () => {
+    const serverFormats = getPluginSettings().upload_formats;
+    return OUTPUT_FORMATS.filter((format) => (
+        (!Array.isArray(serverFormats) || serverFormats.includes(format.value)) && canBrowserEncode(format.value)
+    ));
+};
+
+/**
+ * Loads an image so it can be drawn on a canvas.
+ * The image is fetched first, so the canvas is not tainted and the original file size is known.
+ *
+ * @param {string} url - The image URL.
+ * @returns {Promise<Object>} Resolves to `{ bitmap, size }` with the decoded image and the file size in bytes.
+ */
+export const loadImage = async (url) => {
+    const response = await window.fetch(url, { credentials: 'same-origin' });
+    if (!response.ok) {
+        throw new Error(`The image could not be loaded (HTTP ${response.status}).`);
+    }
+    const blob = await response.blob();
+    return { bitmap: await window.createImageBitmap(blob), size: blob.size };
+};
+
+/**
+ * Gets the part of an image kept by a centered crop to an aspect ratio.
+ *
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {string} aspectRatio - The aspect ratio, e.g. "16:9", or empty to keep the whole image.
+ * @returns {Object} The `x`, `y`, `width` and `height` of the kept part.
+ */
+export const getCropRect = (width, height, aspectRatio) => {
+    const [ratioWidth, ratioHeight] = (aspectRatio || '').split(':').map(Number);
+    if (!ratioWidth || !ratioHeight) {
+        return { x: 0, y: 0, width, height };
+    }
+
+    const ratio = ratioWidth / ratioHeight;
+    const cropWidth = Math.min(width, Math.round(height * ratio));
+    const cropHeight = Math.min(height, Math.round(cropWidth / ratio));
+    return {
+        x: Math.round((width - cropWidth) / 2),
+        y: Math.round((height - cropHeight) / 2),
+        width: cropWidth,
+        height: cropHeight,
+    };
+};
+
+/**
+ * Crops, resizes and converts an image.
+ *
+ * @param {ImageBitmap} bitmap - The image, see loadImage.
+ * @param {Object} settings - The processing settings, see DEFAULT_PROCESSING.
+ * @param {string} [settings.aspectRatio] - Aspect ratio to crop to, empty to keep the whole image.
+ * @param {number} [settings.maxWidth] - Width to scale larger images down to, 0 to keep the size.
+ * @param {string} settings.format - The image type to convert to.
+ * @param {number} settings.quality - The quality from 1 to 100.
+ * @returns {Promise<Object>} Resolves to `{ blob, width, height }`.
+ */
+export const processImage = (bitmap, { aspectRatio, maxWidth, format, quality }) => {
+    const crop = getCropRect(bitmap.width, bitmap.height, aspectRatio);
+    const scale = maxWidth > 0 && crop.width > maxWidth ? maxWidth / crop.width : 1;
+    const width = Math.round(crop.width * scale);
+    const height = Math.round(crop.height * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    // JPEG has no transparency, so transparent areas become white rather than black.
+    if (format === 'image/jpeg') {
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, width, height);
+    }
+    context.drawImage(bitmap, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve({ blob, width, height });
+            } else {
+                reject(new Error('The image could not be converted.'));
+            }
+        }, format, quality / 100);
+    });
+};
+
+/**
+ * Formats a file size for display, e.g. "1.4 MB".
+ *
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The formatted size.
+ */
+export const formatFileSize = (bytes) => {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
@@ -0,0 +1,150 @@
+// This file adds AI generation to the wp.media modal, used by the classic editor, widgets and other plugins,
+// and to the Media Library screen.
+
+import { createRoot } from '@wordpress/element'; // Import the React root.
+import domReady from '@wordpress/dom-ready'; // Import domReady.
+import AITab from './components/AITab'; // Import the AITab component.
+
+// Name of the router tab and content mode of the generation tab in media frames.
+const MODE = 'wp-ai-image-gen';
+
+/**
+ * Checks whether a media frame state browses images, other libraries such as video playlists get no generation tab.
+ *
+ * @param {Object} state - The frame state.
+ * @returns {boolean} True if the library can hold images.
+ */
+const acceptsImages = (state) => {
+    const type = state?.get('library')?.props?.get('type');
+    return !type || [].concat(type).some((item) => String(item).startsWith('image'));
+};
+
+/**
+ * Loads generated images as attachments of the media models.
+ *
+ * @param {Object[]} mediaItems - The generated images, see generateImage.
+ * @returns {Promise<Object[]>} The attachment models.
+ */
+const fetchAttachments = async (mediaItems) => {
+    const attachments = mediaItems.filter((media) => media.id).map((media) => wp.media.attachment(media.id));
+    await Promise.all(attachments.map((attachment) => attachment.fetch()));
+    return attachments;
+};
+
+/**
+ * Content of the generation tab, the form of the generation modal shown in place.
+ * The generated images are added to the library and selected, and the frame goes back to the library.
+ */
+const GenerateView = wp.media.View.extend({
+    className: 'wp-ai-image-gen-media-frame',
+
+    /**
+     * Renders the form.
+     *
+     * @returns {Object} The view.
+     */
+    render() {
+        const selection = this.controller.state().get('selection');
+        if (!this.root) {
+            this.root = createRoot(this.el);
+        }
+        this.root.render(
+            <div style={{ padding: '16px', maxWidth: '640px' }}>
+                <AITab
+                    inline
+                    shouldDisplay={true}
+                    multiple={!!selection?.multiple}
+                    onSelect={(media) => this.addImages(Array.isArray(media) ? media : [media])}
+                />
+            </div>
+        );
+        return this;
+    },
+
+    /**
+     * Adds the generated images to the library and the selection of the frame.
+     *
+     * @param {Object[]} mediaItems - The generated images.
+     * @returns {Promise<void>}
+     */
+    async addImages(mediaItems) {
+        const controller = this.controller;
+        const attachments = await fetchAttachments(mediaItems);
+        const state = controller.state();
+        state.get('library')?.add(attachments, { at: 0 });
+        const selection = state.get('selection');
+        if (selection?.multiple) {
+            selection.add(attachments);
+        } else if (selection && attachments.length) {
+            selection.reset(attachments.slice(0, 1));
+        }
+        controller.content.mode('browse');
+    },
+
+    /**
+     * Unmounts the form along with the view.
+     *
+     * @returns {Object} The view.
+     */
+    remove() {
+        this.root?.unmount();
+        this.root = null;
+        return wp.media.View.prototype.remove.apply(this, arguments);
+    },
+});
+
+const { Select } = wp.media.view.MediaFrame;
+
+// Add the tab next to "Upload files" and "Media Library". The Post frame and the frames of the block editor extend Select.
+const browseRouter = Select.prototype.browseRouter;
+Select.prototype.browseRouter = function (routerView) {
+    browseRouter.apply(this, arguments);
+    if (acceptsImages(this.state())) {
+        routerView.set({ [MODE]: { text: 'Generate with AI', priority: 60 } });
+    }
+};
+
+const bindHandlers = Select.prototype.bindHandlers;
+Select.prototype.bindHandlers = function () {
+    bindHandlers.apply(this, arguments);
+    this.on(`content:render:${MODE}`, function () {
+        this.content.set(new GenerateView({ controller: this }));
+    }, this);
+};
+
+/**
+ * Adds images generated on the Media Library screen to the grid, the list has to be loaded again to show them.
+ *
+ * @param {Object[]} mediaItems - The generated images.
+ * @returns {Promise<void>}
+ */
+const addToMediaLibrary = async (mediaItems) => {
+    const library = wp.media.frame?.state?.()?.get('library');
+    if (!library) {
+        window.location.reload();
+        return;
+    }
+    library.add(await fetchAttachments(mediaItems), { at: 0 });
+};
+
+// Add a "Generate with AI" button next to "Add New Media File" on the Media Library screen.
+domReady(() => {
+    const addNew = document.querySelector('.upload-php .wrap .page-title-action');
+    if (!addNew) {
+        return;
+    }
+
+    const container = document.createElement('span');
+    container.className = 'wp-ai-image-gen-media-library-action';
+    container.style.display = 'inline-block';
+    container.style.verticalAlign = 'top';
+    addNew.after(container);
+    createRoot(container).render(
+        <AITab
+            shouldDisplay={true}
+            multiple={true}
+            buttonLabel="Generate with AI"
+            onSelect={addToMediaLibrary}
+        />
+    );
+});
@@ -0,0 +1,41 @@
+// This file lets providers registered by other plugins add their own controls to the generation modals.
+
+import { addFilter, applyFilters } from '@wordpress/hooks';
+
+/**
+ * Registers the controls of a provider, shown in the "Advanced options" panel of the generation modals
+ * whenever the provider is picked. Provider scripts call it as `wpAiImageGen.registerProviderControls()`.
+ *
+ * The component receives `provider`, `model`, `schema`, `values`, `setValue( name, value )` and `disabled`.
+ * The values it sets are sent as parameters, so they have to be declared in the provider's parameter schema
+ * to reach the provider, see WP_AI_Image_Provider::get_parameter_schema().
+ *
+ * @param {string} provider - The provider ID.
+ * @param {Object} settings - The controls.
+ * @param {Function} settings.render - The component rendering the controls.
+ * @param {string[]} [settings.parameters] - Parameters the component handles, left out of the default form.
+ * @param {string[]} [settings.models] - Models the controls apply to, all models of the provider by default.
+ * @returns {void}
+ */
+export const registerProviderControls = (provider, { render, parameters = [], models = null }) => {
+    // Registered through a filter so the editor and media scripts, which are built separately, share the controls.
+    addFilter('wpAiImageGen.providerControls', `wp-ai-image-gen/provider-controls/${provider}`, (controls, providerId, model) => (
+        providerId === provider && (!models || models.includes(model))
+            ? [...controls, { render, parameters }]
+            : controls
+    ));
+};
+
+/**
+ * Gets the controls registered for a provider model.
+ *
+ * @param {string} provider - The provider ID.
+ * @param {string} model - The model ID.
+ * @returns {Object[]} The controls with `render` and `parameters`.
+ */
+export const getProviderControls = (provider, model) => (
+    provider ? applyFilters('wpAiImageGen.providerControls', [], provider, model) : []
+);
+
+// Provider scripts load after the plugin scripts and find the API in the global the server localizes.
+window.wpAiImageGen = { ...window.wpAiImageGen, registerProviderControls };
@@ -0,0 +1,730 @@
+// This file registers the data store tracking the image generations running for blocks in the editor.
+// Generations are kept in session storage so they resume, and land in the right block, after a reload.
+
+import { createReduxStore, register, subscribe, select as selectFromRegistry } from '@wordpress/data';
+import { createBlock, cloneBlock, getBlockType } from '@wordpress/blocks';
+import { create } from '@wordpress/rich-text';
+import { __, sprintf } from '@wordpress/i18n';
+import { generateImage, generateImageCandidates, resumeGeneration, saveProcessedImage, discardImageCandidates, uploadMask, cancelJob, recordPromptHistory } from '../api';
+import { getErrorMessage } from '../errors';
+import { HISTORY_ATTRIBUTE, addImageVersion } from '../history';
+import { getBlockImage, getImageAttributes } from '../blockAdapters';
+
+// The name of the store.
+export const STORE_NAME = 'wp-ai-image-gen/generations';
+
+// Class name of the placeholder blocks earlier versions inserted while an image was generated from a text selection.
+const PLACEHOLDER_CLASS_NAME = 'wp-ai-image-gen-placeholder';
+
+// Where an image generated from a text selection goes, relative to the block the text is in.
+// `replace` is for blocks holding nothing but the prompt, like the `/ai-image` command, the image takes their place.
+export const PLACEMENTS = {
+    ABOVE: 'above',
+    BELOW: 'below',
+    MEDIA_TEXT: 'media-text',
+    COVER: 'cover',
+    REPLACE: 'replace',
+};
+
+// Target of a modal request opening the featured image generation, other requests name the block to open it for.
+export const FEATURED_IMAGE_MODAL = 'featured-image';
+
+// Maximum number of generations running on the server at once, the others wait for their turn.
+const MAX_CONCURRENT_GENERATIONS = 2;
+
+// Session storage key holding the generations of every post edited in this browser tab.
+const SESSION_STORAGE_KEY = 'wp-ai-image-gen-generations';
+
+// Abort controllers of the running generations keyed by generation ID, kept out of the state since they cannot be stored.
+const abortControllers = {};
+
+// Callbacks resolving the promises returned by startGeneration, keyed by generation ID. They do not survive a reload.
+const finishCallbacks = {};
+
+/**
+ * Reads the generations stored in session storage.
+ *
+ * @returns {Object[]} The stored generations.
+ */
+const readStoredGenerations = () => {
+    try {
+        const stored = JSON.parse(window.sessionStorage.getItem(SESSION_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Writes the generations of a post to session storage, keeping those of other posts.
+ *
+ * @param {number} postId - The post the generations belong to.
+ * @param {Object[]} generations - The generations of the post.
+ * @returns {void}
+ */
+const writeStoredGenerations = (postId, generations) => {
+    const others = readStoredGenerations().filter((generation) => generation.postId !== postId);
+    const stored = generations.map(({ progress, ...generation }) => generation);
+    try {
+        window.sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify([...others, ...stored]));
+    } catch (error) {
+        // Full or disabled storage only means the generations do not survive a reload
+    }
+};
+
+/**
+ * Checks whether a block has a class name.
+ *
+ * @param {Object} block - The block.
+ * @param {string} className - The class name.
+ * @returns {boolean} True if the block has the class name.
+ */
+const hasClassName = (block, className) => (block.attributes.className || '').split(' ').includes(className);
+
+/**
+ * Gets the plain text of a rich-text block.
+ *
+ * @param {Object} block - The block.
+ * @returns {string} The text, empty for blocks without rich-text content.
+ */
+const getBlockText = (block) => {
+    const content = block.attributes.content;
+    return content ? create({ html: String(content) }).text : '';
+};
+
+/**
+ * Finds the block next to which a block type can be inserted, starting from a block and moving up
+ * its parents. An image cannot go inside a list for instance, so it goes next to the list instead.
+ *
+ * @param {Object} registry - The data registry.
+ * @param {string} clientId - The block to start from.
+ * @param {string} blockName - The block type to insert.
+ * @returns {Object} The `clientId` of the block to insert next to and its `rootClientId`.
+ */
+const findInsertionPoint = (registry, clientId, blockName) => {
+    const blockEditor = registry.select('core/block-editor');
+    let target = clientId;
+    let rootClientId = blockEditor.getBlockRootClientId(target);
+    while (rootClientId && !blockEditor.canInsertBlockType(blockName, rootClientId)) {
+        target = rootClientId;
+        rootClientId = blockEditor.getBlockRootClientId(target);
+    }
+    return { clientId: target, rootClientId: rootClientId || undefined };
+};
+
+/**
+ * Places an image generated from a text selection next to, or around, the block the text is in.
+ *
+ * @param {Object} registry - The data registry.
+ * @param {Object} generation - The generation, with its `placement` and `caption`.
+ * @param {string} sourceClientId - The block the text is in.
+ * @param {Object} media - The image with `url`, `alt`, `caption` and optional `id`.
+ * @returns {void}
+ */
+const placeImage = (registry, generation, sourceClientId, media) => {
+    const blockEditor = registry.select('core/block-editor');
+    const blockEditorDispatch = registry.dispatch('core/block-editor');
+    const image = {
+        url: media.url,
+        alt: media.alt,
+        // Only add ID attribute if it's a valid WordPress media ID
+        id: media.id && typeof media.id === 'number' && media.id > 0 ? media.id : undefined,
+    };
+
+    // The text goes inside a media & text or cover block, along with its parents that cannot move on their own
+    if (generation.placement === PLACEMENTS.MEDIA_TEXT || generation.placement === PLACEMENTS.COVER) {
+        const blockName = generation.placement === PLACEMENTS.COVER ? 'core/cover' : 'core/media-text';
+        const { clientId } = findInsertionPoint(registry, sourceClientId, blockName);
+        const attributes = getImageAttributes(blockName, image, { dimRatio: 100 });
+        blockEditorDispatch.replaceBlocks(clientId, [
+            createBlock(blockName, attributes, [cloneBlock(blockEditor.getBlock(clientId))]),
+        ]);
+        return;
+    }
+
+    const imageBlock = createBlock('core/image', {
+        ...getImageAttributes('core/image', image),
+        caption: generation.caption || media.caption || '',
+    });
+
+    // The prompt typed into the block becomes the image, unless the text was changed in the meantime
+    if (generation.placement === PLACEMENTS.REPLACE) {
+        const source = blockEditor.getBlock(sourceClientId);
+        if (source && getBlockText(source).trim() === generation.prompt) {
+            blockEditorDispatch.replaceBlocks(sourceClientId, imageBlock);
+            return;
+        }
+    }
+
+    const { clientId, rootClientId } = findInsertionPoint(registry, sourceClientId, 'core/image');
+    const index = blockEditor.getBlockIndex(clientId) + (generation.placement === PLACEMENTS.BELOW ? 1 : 0);
+    blockEditorDispatch.insertBlocks(
+        imageBlock,
+        index,
+        rootClientId,
+        false
+    );
+};
+
+/**
+ * Finds the first block in the editor matching a test, nested blocks included.
+ *
+ * @param {Object} registry - The data registry.
+ * @param {function} test - Receives a block and returns whether it matches.
+ * @returns {Object|undefined} The matching block.
+ */
+const findBlock = (registry, test) => {
+    const blockEditor = registry.select('core/block-editor');
+    return blockEditor.getClientIdsWithDescendants()
+        .map((clientId) => blockEditor.getBlock(clientId))
+        .find((block) => block && test(block));
+};
+
+/**
+ * Finds the block a generation applies to, looking it up again if its client ID changed after a reload.
+ *
+ * @param {Object} registry - The data registry.
+ * @param {Object} generation - The generation.
+ * @returns {Object|undefined} The block.
+ */
+const findGenerationBlock = (registry, generation) => {
+    if (generation.kind === 'insert') {
+        // The block the text was selected in, found again by its text after a reload
+        const source = generation.sourceClientId && registry.select('core/block-editor').getBlock(generation.sourceClientId);
+        return source || findBlock(registry, (item) => getBlockText(item).includes(generation.sourceText || generation.prompt));
+    }
+
+    const block = generation.clientId && registry.select('core/block-editor').getBlock(generation.clientId);
+
+    // A block still showing the image that is being regenerated
+    return block && getBlockImage(block)?.url === generation.sourceUrl
+        ? block
+        : findBlock(registry, (item) => getBlockImage(item)?.url === generation.sourceUrl);
+};
+
+/**
+ * Gets the request that starts a failed generation again, or null if retrying cannot help.
+ * Masks are removed once a job is finished, so masked edits have to be painted again.
+ *
+ * @param {Object} registry - The data registry.
+ * @param {Object} generation - The failed generation.
+ * @param {Object} result - The failure, see generateImage.
+ * @returns {Object|null} The request for startGeneration.
+ */
+const getRetryRequest = (registry, generation, result) => {
+    if (!result.retryable || generation.options?.maskToken) {
+        return null;
+    }
+
+    // Block client IDs change when the editor is loaded again
+    const block = findGenerationBlock(registry, generation);
+    if (!block) {
+        return null;
+    }
+
+    const { kind, prompt, sourceText, placement, caption, options } = generation;
+    return kind === 'insert'
+        ? { kind, prompt, sourceClientId: block.clientId, sourceText, placement, caption, options }
+        : { kind, prompt, clientId: block.clientId, options };
+};
+
+const DEFAULT_STATE = {
+    generations: {},
+    modalRequest: null,
+};
+
+const actions = {
+    /**
+     * Adds generations to the store.
+     *
+     * @param {Object[]} generations - The generations.
+     * @returns {Object} The action.
+     */
+    addGenerations(generations) {
+        return { type: 'ADD_GENERATIONS', generations };
+    },
+
+    /**
+     * Updates a generation.
+     *
+     * @param {string} id - The generation ID.
+     * @param {Object} changes - The changed properties.
+     * @returns {Object} The action.
+     */
+    updateGeneration(id, changes) {
+        return { type: 'UPDATE_GENERATION', id, changes };
+    },
+
+    /**
+     * Removes a generation.
+     *
+     * @param {string} id - The generation ID.
+     * @returns {Object} The action.
+     */
+    removeGeneration(id) {
+        return { type: 'REMOVE_GENERATION', id };
+    },
+
+    /**
+     * Asks the generation modal of a block, or of the featured image, to open.
+     * Commands and keyboard shortcuts use it to reach modals that belong to components rendered elsewhere.
+     *
+     * @param {string} target - The block client ID, or FEATURED_IMAGE_MODAL.
+     * @returns {Object} The action.
+     */
+    requestModal(target) {
+        return { type: 'REQUEST_MODAL', target };
+    },
+
+    /**
+     * Forgets the modal request once the modal opened.
+     *
+     * @returns {Object} The action.
+     */
+    clearModalRequest() {
+        return { type: 'REQUEST_MODAL', target: null };
+    },
+
+    /**
+     * Starts generating an image for a block.
+     * `regenerate` generations replace the image of the block `clientId`, see getBlockAdapter(). `insert` generations
+     * place a new image next to, or around, the block `sourceClientId` the prompt was selected in. The loading
+     * indicator is only shown in the editor, so saving during the generation leaves nothing behind in the post.
+     *
+     * @param {Object} request - The generation request.
+     * @param {string} request.kind - Either 'regenerate' or 'insert'.
+     * @param {string} request.prompt - The prompt.
+     * @param {string} [request.clientId] - The block to regenerate.
+     * @param {string} [request.sourceClientId] - The block the image is generated from.
+     * @param {string} [request.sourceText] - Text of the source block to find it again after a reload, defaults to the prompt.
+     * @param {string} [request.placement] - Where an inserted image goes, one of PLACEMENTS.
+     * @param {string} [request.caption] - Caption of an inserted image block.
+     * @param {Object} [request.options] - Options for generateImage, without callbacks or signal. Regenerations with
+     *                                     `review` wait for the user to crop, resize or convert the image, see saveReviewedGeneration.
+     * @param {Blob} [request.maskBlob] - A painted mask, uploaded before the generation starts.
+     * @returns {Function} The thunk, resolving with the generation result `{ id, error, cancelled }` once it finishes.
+     */
+    startGeneration({ kind, prompt, clientId, sourceClientId, sourceText, placement = PLACEMENTS.ABOVE, caption = '', options = {}, maskBlob }) {
+        return async ({ dispatch, registry }) => {
+            const blockEditor = registry.select('core/block-editor');
+            const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+            const generation = {
+                id,
+                kind,
+                prompt,
+                postId: registry.select('core/editor')?.getCurrentPostId(),
+                clientId,
+                sourceClientId,
+                sourceText: kind === 'insert' ? sourceText || prompt : undefined,
+                placement: kind === 'insert' ? placement : undefined,
+                caption: kind === 'insert' ? caption : undefined,
+                sourceUrl: kind === 'regenerate' ? getBlockImage(blockEditor.getBlock(clientId))?.url : undefined,
+                options,
+                jobId: null,
+                status: 'waiting',
+                progress: 'Waiting to start...',
+                createdAt: Date.now(),
+            };
+
+            if (maskBlob) {
+                try {
+                    const mask = await uploadMask(maskBlob);
+                    generation.options = { ...options, maskToken: mask.token };
+                } catch (error) {
+                    const message = getErrorMessage(error);
+                    registry.dispatch('core/notices').createErrorNotice(
+                        /* translators: %s: the error message. */
+                        sprintf(__('Failed to regenerate image: %s', 'wp-ai-image-gen'), message),
+                        { type: 'snackbar' }
+                    );
+                    return { id, error: message };
+                }
+            }
+
+            return new Promise((resolve) => {
+                finishCallbacks[id] = resolve;
+                dispatch.addGenerations([generation]);
+                dispatch.processQueue();
+            });
+        };
+    },
+
+    /**
+     * Starts waiting generations while there are free slots.
+     *
+     * @returns {Function} The thunk.
+     */
+    processQueue() {
+        return ({ select, dispatch }) => {
+            const generations = Object.values(select.getGenerations());
+            const running = generations.filter((generation) => generation.status === 'running').length;
+
+            generations
+                .filter((generation) => generation.status === 'waiting')
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .slice(0, Math.max(0, MAX_CONCURRENT_GENERATIONS - running))
+                .forEach((generation) => dispatch.runGeneration(generation.id));
+        };
+    },
+
+    /**
+     * Runs a generation, or resumes polling its job if it was queued before a reload.
+     *
+     * @param {string} id - The generation ID.
+     * @returns {Function} The thunk.
+     */
+    runGeneration(id) {
+        return async ({ select, dispatch }) => {
+            const generation = select.getGeneration(id);
+            if (!generation) {
+                return;
+            }
+
+            const abortController = new AbortController();
+            abortControllers[id] = abortController;
+            dispatch.updateGeneration(id, { status: 'running' });
+
+            const options = {
+                ...generation.options,
+                signal: abortController.signal,
+                onQueued: (job) => dispatch.updateGeneration(id, { jobId: job.id }),
+                onProgress: (text) => dispatch.updateGeneration(id, { progress: text }),
+            };
+
+            const result = await new Promise((resolve) => {
+                if (generation.jobId) {
+                    resumeGeneration(generation.jobId, generation.prompt, resolve, options);
+                } else if (generation.options.review) {
+                    // Reviewed images stay candidates until the user saves them
+                    generateImageCandidates(generation.prompt, 1, resolve, options);
+                } else {
+                    generateImage(generation.prompt, resolve, options);
+                }
+            });
+
+            delete abortControllers[id];
+            dispatch.finishGeneration(id, result);
+            dispatch.processQueue();
+        };
+    },
+
+    /**
+     * Applies the result of a generation to its block and removes the generation.
+     *
+     * @param {string} id - The generation ID.
+     * @param {Object} result - The image data, or `{ error, cancelled }`.
+     * @returns {Function} The thunk.
+     */
+    finishGeneration(id, result) {
+        return ({ select, dispatch, registry }) => {
+            const generation = select.getGeneration(id);
+            if (!generation) {
+                return;
+            }
+
+            // The image waits for the user to review it before it is saved and applied
+            if (result.candidates) {
+                dispatch.updateGeneration(id, {
+                    status: 'review',
+                    candidate: result.candidates[0],
+                    progress: 'Waiting for your review...',
+                });
+                return;
+            }
+
+            dispatch.removeGeneration(id);
+            finishCallbacks[id]?.({ ...result, id });
+            delete finishCallbacks[id];
+            if (!result.error) {
+                recordPromptHistory(generation.prompt, generation.options, result);
+            }
+
+            const notices = registry.dispatch('core/notices');
+
+            /**
+             * Shows a failed generation, with a Retry action when trying again can help.
+             *
+             * @param {string} message - The message, with a %s placeholder for the error.
+             * @returns {void}
+             */
+            const notifyError = (message) => {
+                const retryRequest = getRetryRequest(registry, generation, result);
+                notices.createErrorNotice(sprintf(message, result.error), {
+                    type: 'snackbar',
+                    actions: retryRequest ? [{
+                        label: __('Retry', 'wp-ai-image-gen'),
+                        onClick: () => dispatch.startGeneration(retryRequest),
+                    }] : [],
+                });
+            };
+
+            if (generation.kind === 'insert') {
+                if (result.error) {
+                    if (!result.cancelled) {
+                        /* translators: %s: the error message. */
+                        notifyError(__('Failed to generate image: %s', 'wp-ai-image-gen'));
+                    }
+                    return;
+                }
+
+                const source = findGenerationBlock(registry, generation);
+                if (!source) {
+                    notices.createInfoNotice(
+                        'The generated image was added to the media library, but the text it was generated from was removed from the post.',
+                        { type: 'snackbar' }
+                    );
+                    return;
+                }
+
+                placeImage(registry, generation, source.clientId, result);
+                return;
+            }
+
+            if (result.error) {
+                if (result.cancelled) {
+                    notices.createInfoNotice('Image regeneration cancelled.', { type: 'snackbar' });
+                } else {
+                    /* translators: %s: the error message. */
+                    notifyError(__('Failed to regenerate image: %s', 'wp-ai-image-gen'));
+                }
+                return;
+            }
+
+            const block = findGenerationBlock(registry, generation);
+            if (!block) {
+                notices.createInfoNotice(
+                    'The regenerated image was added to the media library, but the block changed in the meantime.',
+                    { type: 'snackbar' }
+                );
+                return;
+            }
+
+            // Update the block attributes with the new image data, keeping the replaced image in the history.
+            const imageId = result.id && typeof result.id === 'number' && result.id > 0 ? result.id : undefined;
+            const attributes = getImageAttributes(block.name, { id: imageId, url: result.url }, block.attributes);
+            if (getBlockType(block.name)?.attributes?.[HISTORY_ATTRIBUTE]) {
+                attributes[HISTORY_ATTRIBUTE] = addImageVersion(block.attributes, { id: imageId, url: result.url }, generation.prompt);
+            }
+            registry.dispatch('core/block-editor').updateBlockAttributes(block.clientId, attributes);
+
+            notices.createSuccessNotice('Image regenerated successfully!', { type: 'snackbar' });
+        };
+    },
+
+    /**
+     * Saves the image of a generation waiting for review, as the user cropped, resized or converted it, and applies it.
+     *
+     * @param {string} id - The generation ID.
+     * @param {Blob} file - The processed image.
+     * @returns {Function} The thunk.
+     */
+    saveReviewedGeneration(id, file) {
+        return async ({ select, dispatch }) => {
+            const generation = select.getGeneration(id);
+            if (!generation?.candidate) {
+                return;
+            }
+
+            dispatch.updateGeneration(id, { status: 'saving', progress: 'Saving...' });
+            const result = await new Promise((resolve) => {
+                saveProcessedImage(file, generation.candidate, generation.prompt, resolve);
+            });
+            dispatch.finishGeneration(id, result);
+        };
+    },
+
+    /**
+     * Cancels a generation, whether it is running, still waiting for its turn or waiting for review.
+     *
+     * @param {string} id - The generation ID.
+     * @returns {Function} The thunk.
+     */
+    cancelGeneration(id) {
+        return ({ select, dispatch }) => {
+            // Running generations clean up once the job is cancelled on the server
+            if (abortControllers[id]) {
+                abortControllers[id].abort();
+                return;
+            }
+
+            const candidate = select.getGeneration(id)?.candidate;
+            if (candidate) {
+                discardImageCandidates([candidate]);
+            }
+
+            dispatch.finishGeneration(id, { error: 'Image generation was cancelled.', cancelled: true });
+        };
+    },
+
+    /**
+     * Resumes the generations stored for the current post, and removes the placeholder blocks earlier
+     * versions could leave behind in saved posts.
+     *
+     * @returns {Function} The thunk.
+     */
+    resumeGenerations() {
+        return ({ dispatch, registry }) => {
+            const postId = registry.select('core/editor')?.getCurrentPostId();
+            const resumable = [];
+
+            readStoredGenerations()
+                .filter((generation) => generation.postId === postId)
+                .forEach((generation) => {
+                    // Block client IDs change when the editor is loaded again
+                    const block = findGenerationBlock(registry, generation);
+                    if (!block) {
+                        if (generation.jobId) {
+                            cancelJob(generation.jobId).catch(() => {});
+                        }
+                        return;
+                    }
+
+                    // An image waiting for review is still on the server, the review opens again
+                    if (generation.candidate) {
+                        resumable.push({ ...generation, clientId: block.clientId, status: 'review' });
+                        return;
+                    }
+
+                    resumable.push({
+                        ...generation,
+                        [generation.kind === 'insert' ? 'sourceClientId' : 'clientId']: block.clientId,
+                        // A generation without a job never reached the server, so it starts over
+                        status: 'waiting',
+                        progress: generation.jobId ? 'Resuming...' : 'Waiting to start...',
+                    });
+                });
+
+            // Placeholder blocks were saved with the post if it was saved mid-generation, none of them can finish now
+            const orphanedPlaceholders = registry.select('core/block-editor').getClientIdsWithDescendants()
+                .map((clientId) => registry.select('core/block-editor').getBlock(clientId))
+                .filter((block) => block && hasClassName(block, PLACEHOLDER_CLASS_NAME))
+                .map((block) => block.clientId);
+            if (orphanedPlaceholders.length) {
+                registry.dispatch('core/block-editor').removeBlocks(orphanedPlaceholders, false);
+            }
+
+            dispatch.addGenerations(resumable);
+            dispatch.processQueue();
+        };
+    },
+};
+
+const selectors = {
+    /**
+     * Gets all generations keyed by ID.
+     *
+     * @param {Object} state - The store state.
+     * @returns {Object} The generations.
+     */
+    getGenerations(state) {
+        return state.generations;
+    },
+
+    /**
+     * Gets a generation.
+     *
+     * @param {Object} state - The store state.
+     * @param {string} id - The generation ID.
+     * @returns {Object|undefined} The generation.
+     */
+    getGeneration(state, id) {
+        return state.generations[id];
+    },
+
+    /**
+     * Gets the generation regenerating the image of a block.
+     *
+     * @param {Object} state - The store state.
+     * @param {string} clientId - The block client ID.
+     * @returns {Object|undefined} The generation.
+     */
+    getBlockGeneration(state, clientId) {
+        return Object.values(state.generations).find((generation) => generation.clientId === clientId);
+    },
+
+    /**
+     * Gets the generation started from a block, such as a paragraph or heading with selected text.
+     *
+     * @param {Object} state - The store state.
+     * @param {string} sourceClientId - The block client ID.
+     * @returns {Object|undefined} The generation.
+     */
+    getSourceBlockGeneration(state, sourceClientId) {
+        return Object.values(state.generations).find((generation) => generation.sourceClientId === sourceClientId);
+    },
+
+    /**
+     * Gets the generation modal that was asked to open, see requestModal.
+     *
+     * @param {Object} state - The store state.
+     * @returns {string|null} The block client ID, FEATURED_IMAGE_MODAL, or null.
+     */
+    getModalRequest(state) {
+        return state.modalRequest;
+    },
+};
+
+/**
+ * Reducer for the generations store.
+ *
+ * @param {Object} state - The current state.
+ * @param {Object} action - The dispatched action.
+ * @returns {Object} The new state.
+ */
+const reducer = (state = DEFAULT_STATE, action) => {
+    switch (action.type) {
+        case 'ADD_GENERATIONS': {
+            const generations = { ...state.generations };
+            action.generations.forEach((generation) => {
+                generations[generation.id] = generation;
+            });
+            return { ...state, generations };
+        }
+
+        case 'UPDATE_GENERATION': {
+            if (!state.generations[action.id]) {
+                return state;
+            }
+            return {
+                ...state,
+                generations: {
+                    ...state.generations,
+                    [action.id]: { ...state.generations[action.id], ...action.changes },
+                },
+            };
+        }
+
+        case 'REMOVE_GENERATION': {
+            const { [action.id]: removed, ...generations } = state.generations;
+            return { ...state, generations };
+        }
+
+        case 'REQUEST_MODAL':
+            return { ...state, modalRequest: action.target };
+    }
+
+    return state;
+};
+
+export const store = createReduxStore(STORE_NAME, {
+    reducer,
+    actions,
+    selectors,
+});
+
+register(store);
+
+// Keep session storage in sync with the store so generations survive a reload.
+let storedGenerations = DEFAULT_STATE.generations;
+subscribe(() => {
+    const generations = selectFromRegistry(STORE_NAME).getGenerations();
+    if (generations === storedGenerations) {
+        return;
+    }
+    storedGenerations = generations;
+
+    const postId = selectFromRegistry('core/editor')?.getCurrentPostId();
+    if (postId) {
+        writeStoredGenerations(postId, Object.values(generations));
+    }
+});
@@ -0,0 +1,53 @@
+/**
+ * WordPress E2E test suite using Playwright.
+ * Tests that the models able to edit an image are offered for regeneration.
+ */
+import { test, expect } from '@wordpress/e2e-test-utils-playwright';
+import { logIn, setProviderApiKey, useMockProvider } from './helpers';
+
+/**
+ * Test suite for the image-to-image capabilities of the providers.
+ */
+test.describe('Image-to-image capabilities', () => {
+    /**
+     * Setup function that runs before each test to prepare the environment.
+     */
+    test.beforeEach(async ({ admin, page }) => {
+        test.setTimeout(60000);
+
+        await logIn(page);
+        await useMockProvider(admin, page);
+        // Nothing is sent to Replicate, the key only activates the provider.
+        await setProviderApiKey(admin, page, 'replicate', 'r8_e2e');
+    });
+
+    /**
+     * Test case for Replicate, whose Flux Kontext models edit images while its default model does not.
+     */
+    test('should offer Replicate with a Kontext model for image-to-image', async ({ admin, editor, page, requestUtils }) => {
+        const providers = await requestUtils.rest({ path: '/wp-ai-image-gen/v1/image-to-image-providers' });
+        expect(providers).toContain('replicate');
+
+        // Generate an image with the mock so the block can be regenerated.
+        await admin.createNewPost();
+        await editor.insertBlock({ name: 'core/image' });
+        await editor.canvas.getByRole('button', { name: 'Generate AI Image', exact: true }).click();
+        const modal = page.getByRole('dialog', { name: 'WP AI Image Gen' });
+        await modal.getByLabel('Enter your image prompt').fill('A harbour at dusk');
+        await modal.getByRole('button', { name: 'Generate Image' }).click();
+        await expect(modal).toBeHidden({ timeout: 20000 });
+
+        await editor.selectBlocks(editor.canvas.locator('[data-type="core/image"]'));
+        await editor.showBlockToolbar();
+        await page.getByRole('toolbar', { name: 'Block tools' }).getByRole('button', { name: /^Regenerate AI Image/ }).click();
+
+        // Only the Kontext models of Replicate can edit the current image.
+        const regenerateModal = page.getByRole('dialog', { name: 'Modify AI Image' });
+        await regenerateModal.getByLabel('Provider').selectOption('replicate');
+        const models = regenerateModal.getByLabel('Model').locator('option');
+        await expect(models).toHaveText([
+            'Flux Kontext Pro by Black Forest Labs (image editing)',
+            'Flux Kontext Max by Black Forest Labs (image editing, highest quality)',
+        ]);
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * WordPress E2E test suite using Playwright.
+ * Tests full image generations against the local mock provider, which draws placeholder images offline.
+ */
+import { test, expect } from '@wordpress/e2e-test-utils-playwright';
+import type { Page } from '@playwright/test';
+import type { Editor } from '@wordpress/e2e-test-utils-playwright';
+import { logIn, useMockProvider } from './helpers';
+
+/**
+ * Generates an image in a new image block through the "Generate AI Image" modal.
+ */
+async function generateInImageBlock(editor: Editor, page: Page, prompt: string) {
+    await editor.insertBlock({ name: 'core/image' });
+    await editor.canvas.getByRole('button', { name: 'Generate AI Image', exact: true }).click();
+
+    const modal = page.getByRole('dialog', { name: 'WP AI Image Gen' });
+    await modal.getByLabel('Enter your image prompt').fill(prompt);
+    await modal.getByRole('button', { name: 'Generate Image' }).click();
+
+    return modal;
+}
+
+/**
+ * Test suite for generating images with the local mock provider.
+ */
+test.describe('Image generation', () => {
+    /**
+     * Setup function that runs before each test to prepare the environment.
+     */
+    test.beforeEach(async ({ admin, page }) => {
+        test.setTimeout(60000);
+
+        await logIn(page);
+        await useMockProvider(admin, page);
+        await admin.createNewPost();
+    });
+
+    /**
+     * Test case for generating an image in an image block.
+     */
+    test('should generate an image in an image block', async ({ editor, page }) => {
+        const modal = await generateInImageBlock(editor, page, 'A lighthouse on a rocky coast');
+
+        // The modal closes and the block shows the generated image.
+        await expect(modal).toBeHidden({ timeout: 20000 });
+        const image = editor.canvas.locator('[data-type="core/image"] img');
+        await expect(image).toHaveAttribute('src', /ai-a-lighthouse-on-a-rocky-coast/);
+        await expect(image).toHaveAttribute('alt', 'A lighthouse on a rocky coast');
+
+        // The mock draws square images of 512 pixels unless another aspect ratio is picked.
+        await expect(image).toHaveJSProperty('naturalWidth', 512);
+    });
+
+    /**
+     * Test case for a generation that stays pending for a few status checks.
+     */
+    test('should wait for a pending generation to succeed', async ({ editor, page }) => {
+        const modal = await generateInImageBlock(editor, page, 'A slow sunrise [mock:pending=2]');
+
+        // The modal reports progress while the job is polled.
+        await expect(modal.getByRole('button', { name: 'Cancel' })).toBeVisible();
+
+        await expect(modal).toBeHidden({ timeout: 30000 });
+        await expect(editor.canvas.locator('[data-type="core/image"] img')).toHaveAttribute('src', /ai-a-slow-sunrise/);
+    });
+
+    /**
+     * Test case for regenerating the image of an image block.
+     */
+    test('should regenerate an image', async ({ editor, page }) => {
+        const modal = await generateInImageBlock(editor, page, 'A red bicycle');
+        await expect(modal).toBeHidden({ timeout: 20000 });
+
+        const image = editor.canvas.locator('[data-type="core/image"] img');
+        const originalSrc = await image.getAttribute('src');
+
+        // Regenerate the selected image from the block toolbar.
+        await editor.selectBlocks(editor.canvas.locator('[data-type="core/image"]'));
+        await editor.showBlockToolbar();
+        await page.getByRole('toolbar', { name: 'Block tools' }).getByRole('button', { name: /^Regenerate AI Image/ }).click();
+
+        const regenerateModal = page.getByRole('dialog', { name: 'Modify AI Image' });
+        await regenerateModal.getByLabel('Editing Instructions (optional)').fill('A blue bicycle');
+        await regenerateModal.getByRole('button', { name: 'Regenerate Image' }).click();
+
+        // The block shows the new image once it is generated.
+        await expect(image).not.toHaveAttribute('src', originalSrc ?? '', { timeout: 20000 });
+        await expect(image).toHaveAttribute('src', /ai-/);
+    });
+
+    /**
+     * Test case for generating an image from text selected in a paragraph.
+     */
+    test('should generate an image from the selected text', async ({ editor, page, pageUtils }) => {
+        await editor.insertBlock({
+            name: 'core/paragraph',
+            attributes: { content: 'A kite over green hills' },
+        });
+
+        // Select the text of the paragraph.
+        await editor.canvas.getByRole('document', { name: 'Block: Paragraph' }).click();
+        await pageUtils.pressKeys('End');
+        await pageUtils.pressKeys('shift+Home');
+
+        // Generate from the block toolbar, the image is placed above the paragraph.
+        await editor.showBlockToolbar();
+        await page.getByRole('toolbar', { name: 'Block tools' }).getByRole('button', { name: 'Generate AI Image' }).click();
+        await page.getByRole('button', { name: 'Generate Image' }).click();
+
+        const image = editor.canvas.locator('[data-type="core/image"] img');
+        await expect(image).toHaveAttribute('src', /ai-a-kite-over-green-hills/, { timeout: 20000 });
+        await expect(editor.canvas.getByRole('document', { name: 'Block: Paragraph' })).toHaveText('A kite over green hills');
+    });
+
+    /**
+     * Test case for a prompt rejected by the safety filters.
+     */
+    test('should explain a moderation rejection', async ({ editor, page }) => {
+        const modal = await generateInImageBlock(editor, page, 'Something forbidden [mock:moderation]');
+
+        // The modal stays open with the error so the prompt can be changed.
+        await expect(modal.getByText('The prompt or image was blocked by the safety filters. Try rephrasing the prompt.')).toBeVisible({ timeout: 20000 });
+        await expect(modal.getByLabel('Enter your image prompt')).toHaveValue('Something forbidden [mock:moderation]');
+        await expect(editor.canvas.locator('[data-type="core/image"] img')).toHaveCount(0);
+    });
+
+    /**
+     * Test case for a provider rejecting the API key.
+     */
+    test('should explain a rejected API key', async ({ editor, page }) => {
+        const modal = await generateInImageBlock(editor, page, 'A mountain lake [mock:auth]');
+
+        await expect(modal.getByText(/The AI provider rejected the API key or account/)).toBeVisible({ timeout: 20000 });
+        await expect(modal.getByText(/Settings > AI Image Gen/)).toBeVisible();
+    });
+
+    /**
+     * Test case for cancelling a generation that is still running.
+     */
+    test('should cancel a running generation', async ({ editor, page }) => {
+        const modal = await generateInImageBlock(editor, page, 'A very slow painting [mock:pending=10]');
+
+        await modal.getByRole('button', { name: 'Cancel' }).click();
+
+        // Cancelling is not an error, the form can be used again.
+        await expect(modal.getByRole('button', { name: 'Generate Image' })).toBeEnabled({ timeout: 20000 });
+        await expect(editor.canvas.locator('[data-type="core/image"] img')).toHaveCount(0);
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Shared steps of the E2E test suites.
+ */
+import type { Page } from '@playwright/test';
+import type { Admin } from '@wordpress/e2e-test-utils-playwright';
+
+/**
+ * Logs in as the admin user of the test site, unless the session is still logged in.
+ */
+export async function logIn(page: Page) {
+    await page.goto('/wp-admin');
+
+    if (page.url().includes('wp-login.php')) {
+        await page.getByLabel('Username or Email Address').fill('admin');
+        await page.getByLabel('Password', { exact: true }).fill('password');
+
+        await Promise.all([
+            page.waitForLoadState('domcontentloaded'),
+            page.getByRole('button', { name: 'Log In' }).click()
+        ]);
+    }
+}
+
+/**
+ * Sets the API key of a provider on the settings page, unless it already has one.
+ * Providers only become active once they have an API key.
+ */
+export async function setProviderApiKey(admin: Admin, page: Page, providerId: string, key: string) {
+    await admin.visitAdminPage('options-general.php', 'page=wp-ai-image-gen-settings');
+
+    const apiKey = page.locator(`#wp_ai_image_gen_${providerId}_api_key`);
+    if (!(await apiKey.inputValue())) {
+        await apiKey.fill(key);
+        await page.getByRole('button', { name: 'Save Changes' }).click();
+        await page.waitForLoadState('domcontentloaded');
+    }
+}
+
+/**
+ * Makes the local mock provider the main provider, so generations run offline and deterministically.
+ * The provider is only offered on local and development sites, which wp-env sites are.
+ */
+export async function useMockProvider(admin: Admin, page: Page) {
+    // Any value will do as the API key of the mock.
+    await setProviderApiKey(admin, page, 'local-mock', 'mock');
+
+    const mainProvider = page.locator('select[name="wp_ai_image_gen_main_provider"]');
+    if ((await mainProvider.inputValue()) !== 'local-mock') {
+        await mainProvider.selectOption('local-mock');
+        await page.getByRole('button', { name: 'Save Changes' }).click();
+        await page.waitForLoadState('domcontentloaded');
+    }
+}
@@ -2,7 +2,7 @@
 /**
  * Plugin Name:       WP AI Image Gen
  * Description:       A plugin to generate images using AI.
- * Requires at least: 6.1
+ * Requires at least: 6.3
  * Requires PHP:      7.0
  * Version:           0.1.7
  * Author:            Jacob Schweitzer
@@ -28,6 +28,9 @@ define( 'WP_AI_IMAGE_GEN_DEBUG_LOG', true );
 // Load utility functions first
 require_once __DIR__ . '/inc/utils.php';
 
+// Load the error categories shared by providers, jobs and the REST API
+require_once __DIR__ . '/inc/class-errors.php';
+
 // Load base classes and interfaces
 require_once __DIR__ . '/inc/class-image-handler.php';
 require_once __DIR__ . '/inc/interface-image-provider.php';
@@ -37,5 +40,23 @@ require_once __DIR__ . '/inc/class-image-provider.php';
 require_once __DIR__ . '/inc/class-provider-manager.php';
 require_once __DIR__ . '/inc/class-admin.php';
 
+// Load the prompt style presets
+require_once __DIR__ . '/inc/class-style-presets.php';
+
+// Load the per-user prompt history
+require_once __DIR__ . '/inc/class-prompt-history.php';
+
+// Load background generation jobs
+require_once __DIR__ . '/inc/class-job-manager.php';
+
+// Load usage accounting, quotas and rate limits
+require_once __DIR__ . '/inc/class-usage.php';
+
+// Load alt text and caption writing
+require_once __DIR__ . '/inc/class-alt-text.php';
+
+// Load the prompt blocklist and moderation pre-check
+require_once __DIR__ . '/inc/class-prompt-safety.php';
+
 // Load REST API functionality
 require_once __DIR__ . '/inc/class-rest-api.php';